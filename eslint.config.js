@@ -26,4 +26,10 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['scripts/**/*.js', 'vite.config.js', 'src/**/*.test.js', 'src/test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -0,0 +1,127 @@
+/**
+ * Lokálny server na vyskúšanie synchronizácie (náhrada za vlastný WebDAV/HTTP server)
+ *
+ *   npm run sync-server -- [--port 8787] [--dir .sync-data] [--user meno --password heslo]
+ *
+ * V aplikácii potom nastavte adresu http://localhost:8787/smartscale/. Server
+ * ukladá súbory do priečinka --dir a podporuje to, čo synchronizácia používa:
+ * GET, PUT s If-Match / If-None-Match (ETag), MKCOL, CORS a voliteľne Basic auth.
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { dirname, join, normalize, resolve, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8787' },
+        dir: { type: 'string', default: '.sync-data' },
+        user: { type: 'string' },
+        password: { type: 'string', default: '' }
+    }
+});
+
+const root = resolve(options.dir);
+const expectedAuth = options.user
+    ? `Basic ${Buffer.from(`${options.user}:${options.password}`).toString('base64')}`
+    : null;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, MKCOL, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+};
+
+const etagOf = (content) => `"${createHash('sha1').update(content).digest('hex')}"`;
+
+// Cesta v URL -> súbor v priečinku (bez možnosti dostať sa mimo neho)
+const filePath = (url) => {
+    const path = normalize(decodeURIComponent(new URL(url, 'http://localhost').pathname));
+    const target = join(root, path);
+    return target === root || target.startsWith(root + sep) ? target : null;
+};
+
+const readIfExists = async (path) => {
+    try {
+        return await readFile(path);
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'EISDIR') return null;
+        throw err;
+    }
+};
+
+// PUT-y vybavujeme postupne, aby dva súbežné zápisy s rovnakým If-Match neprešli oba
+let writeQueue = Promise.resolve();
+const serialized = (task) => {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+};
+
+const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+const handle = async (req, res) => {
+    const send = (status, body = '', headers = {}) => {
+        res.writeHead(status, { ...CORS_HEADERS, ...headers });
+        res.end(body);
+    };
+
+    if (req.method === 'OPTIONS') return send(204);
+    if (expectedAuth && req.headers.authorization !== expectedAuth) {
+        return send(401, 'Unauthorized', { 'WWW-Authenticate': 'Basic realm="SmartScale sync"' });
+    }
+
+    const path = filePath(req.url);
+    if (!path) return send(403, 'Forbidden');
+
+    if (req.method === 'MKCOL') {
+        await mkdir(path, { recursive: true });
+        return send(201);
+    }
+
+    if (req.method === 'GET') {
+        const current = await readIfExists(path);
+        if (!current) return send(404, 'Not Found');
+        return send(200, current, { 'Content-Type': 'application/json', ETag: etagOf(current) });
+    }
+
+    if (req.method === 'PUT') {
+        const body = await readBody(req);
+        return serialized(async () => {
+            const current = await readIfExists(path);
+            const ifMatch = req.headers['if-match'];
+            const ifNoneMatch = req.headers['if-none-match'];
+            if ((ifMatch && (!current || ifMatch !== etagOf(current))) || (ifNoneMatch === '*' && current)) {
+                return send(412, 'Precondition Failed');
+            }
+            // Ako WebDAV: do neexistujúceho priečinka sa zapísať nedá (najprv MKCOL)
+            const folder = await stat(dirname(path)).catch(() => null);
+            if (!folder?.isDirectory()) return send(409, 'Conflict');
+            // Zápis cez dočasný súbor – súbežné čítanie nikdy nevidí polovičný obsah
+            const temp = `${path}.${process.pid}.tmp`;
+            await writeFile(temp, body);
+            await rename(temp, path);
+            return send(current ? 204 : 201, '', { ETag: etagOf(body) });
+        });
+    }
+
+    return send(405, 'Method Not Allowed', { Allow: 'GET, PUT, MKCOL, OPTIONS' });
+};
+
+await mkdir(root, { recursive: true });
+
+createServer((req, res) => {
+    handle(req, res).catch(err => {
+        console.error(err);
+        res.writeHead(500, CORS_HEADERS);
+        res.end('Internal Server Error');
+    });
+}).listen(Number(options.port), () => {
+    console.log(`SmartScale sync server: http://localhost:${options.port}/ (data in ${root})`);
+});
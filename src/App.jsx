@@ -1,142 +1,449 @@
-import React, { useState, useEffect } from 'react';
-import { db, getUser, saveUser, getMeasurements, addMeasurement, deleteMeasurement } from './db';
-import { requestScale, subscribeToWeight, calculateBMI, getBMICategory } from './bluetooth';
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
+import { getTags, deleteMeasurement, onLocalChange } from './db';
 import {
-  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer
-} from 'recharts';
-import {
-  Scale, History, Settings, Plus, Trash2, User as UserIcon,
-  ChevronRight, ArrowLeft, RefreshCw, AlertCircle, Download
-} from 'lucide-react';
+  useAppData, loadAppData, loadMeasurements, setLatestWeight, switchUser, refreshFromDatabase, createProfile,
+  saveProfile, confirmDeleteProfile, confirmDeleteAllData, moveMeasurement, saveMeasurementEntry
+} from './appData';
+import { forgetScale } from './bluetooth';
+import { webBluetoothTransport } from './scales/transport';
+import { createSimulatedTransport, createScenario } from './scales/simulator';
+import { findScale, weigh, attributeToUsers, reviewReading, saveScaleReading, SCALE_STATUS } from './weighing';
+import { MEASUREMENT_STATUS } from './anomaly';
+import { syncScaleHistory, assignHistoryReading } from './scaleHistory';
+import { getDriver } from './scales';
+import { getSettings, saveSettings, clearSettings } from './settings';
+import { enableSync, disableSync, syncNow, getSyncStatus } from './sync';
+import { requestReminderPermission, scheduleReminder, syncReminder } from './reminders';
+import { shareOrDownload } from './share';
+import { showAlert, showConfirm } from './dialogs';
+import { t, useLocale, applyLanguage } from './i18n';
+import { createBackup, backupToBlob, parseBackup, restoreBackup } from './backup';
+import { formatDate } from './format';
+import { navigate, goBack, useRoute } from './router';
+import { formatWeightWithUnit } from './units';
+import { RefreshCw } from 'lucide-react';
+import UserPickerSheet from './components/UserPickerSheet';
+import SuspectReadingSheet from './components/SuspectReadingSheet';
+import MeasurementSheet from './components/MeasurementSheet';
+import SyncSetupSheet from './components/SyncSetupSheet';
+import RestoreBackupSheet from './components/RestoreBackupSheet';
+import OnboardingView from './views/OnboardingView';
+import DashboardView from './views/DashboardView';
+import ProfilesView from './views/ProfilesView';
+import ChartsView from './views/ChartsView';
+import HistoryView from './views/HistoryView';
+import MeasurementView from './views/MeasurementView';
+import ReportView from './views/ReportView';
+import SettingsView from './views/SettingsView';
+import ImportView from './views/ImportView';
+
+// Po lokálnej zmene počkáme, kým používateľ neskončí s úpravami, a až potom synchronizujeme
+const SYNC_DEBOUNCE_MS = 5000;
 
+// Nastavenia, synchronizácia a váženie pre všetky obrazovky; profily a merania sú v appData.js.
+// Obrazovku určuje adresa (router.js); listy nad obrazovkou (kto sa vážil, úprava merania...) sú spoločné.
 function App() {
-  const [user, setUser] = useState(null);
-  const [measurements, setMeasurements] = useState([]);
-  const [latestWeight, setLatestWeight] = useState(null);
-  const [scanning, setScanning] = useState(false);
-  const [view, setView] = useState('dashboard'); // dashboard, history, onboarding
-  const [loading, setLoading] = useState(true);
+  const locale = useLocale();
+  const route = useRoute();
+  const { loading, users, user, measurements, trendSource, latestWeight } = useAppData();
+  const [liveReading, setLiveReading] = useState(null);
+  const [scaleStatus, setScaleStatus] = useState(SCALE_STATUS.IDLE);
+  const scanning = ![SCALE_STATUS.IDLE, SCALE_STATUS.SAVED].includes(scaleStatus);
+  // AbortController prebiehajúceho váženia
+  const weighingRef = useRef(null);
+  // Merania, pri ktorých treba potvrdiť, komu patria (živé váženie alebo pamäť váhy)
+  const [pendingReadings, setPendingReadings] = useState([]);
+  const pendingReading = pendingReadings[0] ?? null;
+  const [syncingHistory, setSyncingHistory] = useState(false);
+  // Meranie, ktoré sa výrazne líši od histórie používateľa – čaká na potvrdenie
+  const [suspectReading, setSuspectReading] = useState(null);
+  // Meranie, ktoré sa presúva inému používateľovi
+  const [reassigning, setReassigning] = useState(null);
+  // Ručne pridávané / upravované meranie ({ measurement: null } = nové)
+  const [editing, setEditing] = useState(null);
+  const [knownTags, setKnownTags] = useState([]);
+  // Načítaná záloha čakajúca na voľbu merge / replace
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const restoreInputRef = useRef(null);
 
-  // Onboarding form state
-  const [form, setForm] = useState({ name: '', height: '', targetWeight: '' });
+  const [settings, setSettings] = useState(getSettings);
+  const [syncSetupOpen, setSyncSetupOpen] = useState(false);
+  const [syncInfo, setSyncInfo] = useState({ syncing: false, lastSyncedAt: null, error: null });
+  const syncingRef = useRef(false);
 
   useEffect(() => {
-    async function init() {
-      const existingUser = await getUser();
-      if (existingUser) {
-        setUser(existingUser);
-        const data = await getMeasurements(10);
-        setMeasurements(data);
-        if (data.length > 0) setLatestWeight(data[0].weight);
-        setView('dashboard');
-      } else {
-        setView('onboarding');
-      }
-      setLoading(false);
-    }
-    init();
+    loadAppData();
+    getSyncStatus().then(status => {
+      if (status) setSyncInfo(info => ({ ...info, lastSyncedAt: status.lastSyncedAt }));
+    });
   }, []);
 
-  const handleOnboarding = async (e) => {
-    e.preventDefault();
-    const newUser = {
-      name: form.name,
-      height: parseInt(form.height),
-      targetWeight: form.targetWeight ? parseFloat(form.targetWeight) : null
+  // Bez profilu sa dá len vytvoriť prvý (/welcome); s profilom vedie /welcome aj neznáma adresa na prehľad
+  useEffect(() => {
+    if (loading) return;
+    if (!user && route.name !== 'welcome') navigate('/welcome', { replace: true });
+    else if (user && (route.name === 'welcome' || route.name == null)) navigate('/', { replace: true });
+  }, [loading, user, route.name]);
+
+  // Automatická synchronizácia – pri spustení, pri návrate do aplikácie a chvíľu po lokálnej zmene
+  const onAutoSync = useEffectEvent(() => runSync(settings.sync, { quiet: true }));
+  useEffect(() => {
+    if (!settings.sync.enabled) return;
+    onAutoSync();
+
+    let timer = null;
+    const stopListening = onLocalChange(() => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onAutoSync(), SYNC_DEBOUNCE_MS);
+    });
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') onAutoSync();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      stopListening();
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
     };
-    await saveUser(newUser);
-    setUser(newUser);
-    setView('dashboard');
+  }, [settings.sync.enabled]);
+
+  // Jazyk z nastavení; pri 'auto' sledujeme aj zmenu jazyka prehliadača
+  useEffect(() => {
+    applyLanguage(settings.language);
+    if (settings.language !== 'auto') return;
+    const handleLanguageChange = () => applyLanguage('auto');
+    window.addEventListener('languagechange', handleLanguageChange);
+    return () => window.removeEventListener('languagechange', handleLanguageChange);
+  }, [settings.language]);
+
+  // Pripomienka váženia – časovač, kým je aplikácia otvorená
+  useEffect(() => scheduleReminder(settings.reminder), [settings.reminder]);
+
+  // Service worker pripomína aj na pozadí, potrebuje aktuálne nastavenia, profily a texty v jazyku aplikácie
+  useEffect(() => {
+    syncReminder(settings.reminder, users).catch(err => console.error('Reminder sync failed:', err));
+  }, [settings.reminder, users, locale]);
+
+  // Pri zatvorení aplikácie sa odpojíme od váhy
+  useEffect(() => () => weighingRef.current?.abort(), []);
+
+  // Potvrdenie uloženia zobrazíme len na chvíľu
+  useEffect(() => {
+    if (scaleStatus !== SCALE_STATUS.SAVED) return;
+    const timer = setTimeout(() => setScaleStatus(SCALE_STATUS.IDLE), 2500);
+    return () => clearTimeout(timer);
+  }, [scaleStatus]);
+
+  const handleCreateProfile = async (profile) => {
+    await createProfile(profile);
+    navigate('/', { replace: true });
+  };
+
+  const updateSettings = (patch) => {
+    setSettings(saveSettings({ ...settings, ...patch }));
+  };
+
+  const handleSaveProfile = async (profile) => {
+    await saveProfile(profile);
+    goBack();
+  };
+
+  const updateReminder = async (patch) => {
+    if (patch.enabled) {
+      try {
+        await requestReminderPermission();
+      } catch (err) {
+        await showAlert(err.message);
+        return;
+      }
+    }
+    updateSettings({ reminder: { ...settings.reminder, ...patch } });
   };
 
+  const runSync = async (config = settings.sync, { quiet = false } = {}) => {
+    if (!config.enabled || syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncInfo(info => ({ ...info, syncing: true }));
+    try {
+      const result = await syncNow(config);
+      setSyncInfo({ syncing: false, lastSyncedAt: result.lastSyncedAt, error: null });
+      // Po synchronizácii mohli pribudnúť alebo zmiznúť profily aj merania
+      if (result.received > 0 || result.removed > 0) await refreshFromDatabase();
+    } catch (err) {
+      console.error('Sync failed:', err);
+      setSyncInfo(info => ({ ...info, syncing: false, error: err.message }));
+      if (!quiet) await showAlert(err.message, { title: t('sync.failed') });
+    } finally {
+      syncingRef.current = false;
+    }
+  };
+
+  const handleConnectSync = async ({ url, username, password, passphrase }) => {
+    try {
+      await enableSync({ url: url.trim(), username: username.trim(), password, passphrase });
+    } catch (err) {
+      console.error('Sync setup failed:', err);
+      await showAlert(err.message, { title: t('sync.enableFailed') });
+      return;
+    }
+    const sync = { enabled: true, url: url.trim(), username: username.trim() };
+    updateSettings({ sync });
+    setSyncSetupOpen(false);
+    await runSync(sync);
+  };
+
+  const handleDisableSync = async () => {
+    const confirmed = await showConfirm(t('sync.disableConfirm'), { confirmLabel: t('sync.turnOff') });
+    if (!confirmed) return;
+    await disableSync();
+    updateSettings({ sync: { ...settings.sync, enabled: false } });
+    setSyncInfo({ syncing: false, lastSyncedAt: null, error: null });
+  };
+
+  const handleForgetScale = async () => {
+    const { pairedScale } = settings;
+    updateSettings({ pairedScale: null });
+    try {
+      await forgetScale(pairedScale.id);
+    } catch (err) {
+      console.error('Forget scale failed:', err);
+    }
+  };
+
+  const handleDeleteProfile = async () => {
+    if (await confirmDeleteProfile()) navigate('/');
+  };
+
+  const handleDeleteAllData = async () => {
+    if (!await confirmDeleteAllData()) return;
+    clearSettings();
+    setSettings(getSettings());
+    setSyncInfo({ syncing: false, lastSyncedAt: null, error: null });
+  };
+
+  const handleBackup = async () => {
+    const backup = await createBackup(settings);
+    const fileName = `${t('backup.fileName')}_${new Date().toISOString().split('T')[0]}.json`;
+    await shareOrDownload(backupToBlob(backup), fileName, {
+      title: t('backup.shareTitle'),
+      text: t('backup.shareText')
+    });
+  };
+
+  const handleRestoreFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setPendingRestore(parseBackup(await file.text()));
+    } catch (err) {
+      await showAlert(err.message, { title: t('backup.loadFailed') });
+    }
+  };
+
+  const handleRestore = async (mode) => {
+    const backup = pendingRestore;
+    setPendingRestore(null);
+    try {
+      const result = await restoreBackup(backup, mode);
+      if (mode === 'replace' && backup.settings) {
+        // Synchronizácia je nastavenie tohto zariadenia (kľúč v zálohe nie je)
+        setSettings(saveSettings({ ...getSettings(), ...backup.settings, sync: getSettings().sync }));
+      }
+
+      const allUsers = await refreshFromDatabase();
+      // Z /welcome presmeruje na prehľad efekt vyššie
+      if (allUsers.length > 0 && route.name !== 'welcome') navigate('/');
+      const restored = [
+        t('backup.profiles', { count: result.users }),
+        t('backup.measurements', { count: result.measurements })
+      ];
+      if (result.skipped > 0) restored.push(t('backup.skipped', { count: result.skipped }));
+      await showAlert(restored.join('\n'), { title: t('backup.restored') });
+    } catch (err) {
+      console.error('Restore failed:', err);
+      await showAlert(err.message, { title: t('backup.restoreFailed') });
+    }
+  };
+
+  const handleImportDone = async (count) => {
+    await loadMeasurements();
+    await showAlert(t('import.done', { count }));
+    navigate('/history', { replace: true });
+  };
+
+  const saveReading = async (targetUser, data, status = null) => {
+    await saveScaleReading(targetUser, data, status);
+    // Po vážení zobrazíme prehľad toho, komu meranie patrí
+    await switchUser(targetUser);
+  };
+
+  // Nezvyčajné živé meranie podržíme na potvrdenie, meranie z pamäte váhy len označíme
+  const commitReading = async (targetUser, data) => {
+    const check = await reviewReading(targetUser, data);
+    if (check.suspect && !data.createdAt) {
+      setScaleStatus(SCALE_STATUS.IDLE);
+      setSuspectReading({ user: targetUser, data, check });
+      return;
+    }
+    await saveReading(targetUser, data, check.suspect ? MEASUREMENT_STATUS.SUSPECT : null);
+    if (!data.createdAt) setScaleStatus(SCALE_STATUS.SAVED);
+  };
+
+  const resolveSuspectReading = async (status) => {
+    const { user: targetUser, data } = suspectReading;
+    setSuspectReading(null);
+    await saveReading(targetUser, data, status);
+    setScaleStatus(SCALE_STATUS.SAVED);
+  };
+
+  const discardSuspectReading = async () => {
+    setSuspectReading(null);
+    await loadMeasurements();
+  };
+
+  // V demo režime váži simulovaná váha okolo poslednej váhy používateľa
+  const scaleTransport = () => (settings.demoMode
+    ? createSimulatedTransport(createScenario(settings.demoScenario, { weight: measurements[0]?.weight ?? 75 }))
+    : webBluetoothTransport);
+
   const startWeighing = async () => {
+    const { demoMode } = settings;
+    const controller = new AbortController();
+    weighingRef.current = controller;
+    const { signal } = controller;
+
     try {
-      setScanning(true);
-      const device = await requestScale();
-
-      const cleanup = await subscribeToWeight(device, async (data) => {
-        setLatestWeight(data.weight);
-        if (data.isStable) {
-          const bmi = calculateBMI(data.weight, user.height);
-          await addMeasurement({
-            userId: user.id,
-            weight: data.weight,
-            bmi: bmi
-          });
-          const updatedData = await getMeasurements(10);
-          setMeasurements(updatedData);
-          cleanup();
-          setScanning(false);
+      const { device, remembered } = await findScale(scaleTransport(), demoMode ? null : settings.pairedScale?.id, {
+        signal,
+        onState: setScaleStatus
+      });
+      let pairedScale = remembered
+        ? settings.pairedScale
+        : { id: device.id, name: device.name || 'Smart Scale', driver: null, model: null };
+      if (!demoMode && !remembered) updateSettings({ pairedScale });
+
+      const data = await weigh(device, {
+        signal,
+        onState: setScaleStatus,
+        onLive: (reading) => {
+          setLiveReading(reading);
+          setLatestWeight(reading.weight);
+        },
+        onDriver: (driver) => {
+          if (demoMode || pairedScale.driver === driver.id) return;
+          pairedScale = { ...pairedScale, driver: driver.id, model: driver.name };
+          updateSettings({ pairedScale });
         }
       });
+
+      const attribution = await attributeToUsers(users, data.weight);
+      if (signal.aborted) return;
+
+      setLiveReading(null);
+
+      if (attribution.ambiguous) {
+        setScaleStatus(SCALE_STATUS.IDLE);
+        setPendingReadings([{ data, ranked: attribution.ranked, suggestedUserId: attribution.userId }]);
+        return;
+      }
+      await commitReading(users.find(u => u.id === attribution.userId), data);
     } catch (err) {
+      if (signal.aborted) return;
       console.error(err);
-      setScanning(false);
+      setLiveReading(null);
+      setScaleStatus(SCALE_STATUS.IDLE);
 
       const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
 
-      if (isIOS) {
-        alert("⚠️ Na iPhonoch (iOS) Web Bluetooth nefunguje v Chrome ani Safari.\n\nProsím, použi aplikáciu 'Bluefy' (z App Store) alebo použi Android/PC s Chrome.");
+      if (demoMode) {
+        await showAlert(err.message, { title: t('weighing.demoFailed') });
+      } else if (isIOS) {
+        await showAlert(t('weighing.iosUnsupported'), { title: t('weighing.bluetoothUnavailable') });
       } else if (!navigator.bluetooth) {
-        alert("Váš prehliadač nepodporuje Bluetooth. Použite prosím Chrome, Edge alebo Operu.");
+        await showAlert(t('weighing.browserUnsupported'), { title: t('weighing.bluetoothUnavailable') });
+      } else if (['UnsupportedScaleError', 'ScaleDisconnectedError', 'ScaleTimeoutError'].includes(err.name)) {
+        await showAlert(err.message);
       } else {
-        alert("Nepodarilo sa pripojiť k váhe. Uistite sa, že je zapnutý Bluetooth a váha je v dosahu.");
+        await showAlert(t('weighing.connectFailed'));
       }
+    } finally {
+      if (weighingRef.current === controller) weighingRef.current = null;
     }
   };
 
-  const exportToCSV = async () => {
-    if (measurements.length === 0) return;
-
-    // Headers and Slovak translation
-    const headers = ["Dátum", "Váha (kg)", "BMI", "Kategória"];
-    const rows = measurements.map(m => {
-      const date = new Date(m.createdAt).toLocaleDateString();
-      const weight = m.weight.toFixed(1);
-      const bmi = m.bmi.toFixed(1);
-      const category = getBMICategory(m.bmi).label;
-      return `${date},${weight},${bmi},${category}`;
-    });
+  const cancelWeighing = () => {
+    weighingRef.current?.abort();
+    weighingRef.current = null;
+    setLiveReading(null);
+    setScaleStatus(SCALE_STATUS.IDLE);
+    setLatestWeight(measurements.length > 0 ? measurements[0].weight : null);
+  };
 
-    const fileName = `moje_vahy_${new Date().toISOString().split('T')[0]}.csv`;
-    const csvContent = "\uFEFF" + headers.join(",") + "\n" + rows.join("\n");
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8' });
+  // Merania z pamäte váhy už sú uložené (measurementId) – iba ich priradíme alebo zmažeme
+  const confirmPendingReading = async (targetUser) => {
+    const pending = pendingReading;
+    setPendingReadings(pendingReadings.slice(1));
+    if (pending.measurementId != null) {
+      await assignHistoryReading(pending, targetUser);
+      await switchUser(targetUser);
+      return;
+    }
+    await commitReading(targetUser, pending.data);
+  };
 
-    // Try Web Share API first (Native iOS/Android share sheet)
-    if (navigator.share && navigator.canShare && navigator.canShare({ files: [new File([blob], fileName, { type: 'text/csv' })] })) {
-      try {
-        const file = new File([blob], fileName, { type: 'text/csv' });
-        await navigator.share({
-          files: [file],
-          title: 'Export meraní',
-          text: 'Váha a BMI dáta zo SmartScale App'
-        });
-        return; // Success
-      } catch (err) {
-        if (err.name !== 'AbortError') console.error('Share failed:', err);
-        // Fallback to traditional download if share failed or was cancelled
+  const discardPendingReading = async () => {
+    const pending = pendingReading;
+    setPendingReadings(pendingReadings.slice(1));
+    if (pending.measurementId != null) await deleteMeasurement(pending.measurementId);
+    await loadMeasurements();
+  };
+
+  const handleSyncHistory = async () => {
+    const clientId = settings.scaleClientId ?? Math.floor(Math.random() * 0xfffe) + 1;
+    if (settings.scaleClientId == null) updateSettings({ scaleClientId: clientId });
+
+    setSyncingHistory(true);
+    try {
+      const { device } = await findScale(scaleTransport(), settings.demoMode ? null : settings.pairedScale?.id);
+      const result = await syncScaleHistory(device, users, { clientId });
+      await loadMeasurements();
+
+      const parts = [
+        t('scaleHistory.saved', { count: result.saved }),
+        t('scaleHistory.duplicates', { count: result.duplicates })
+      ];
+      if (result.suspect > 0) parts.push(t('scaleHistory.suspect', { count: result.suspect }));
+      if (result.ambiguous.length > 0) parts.push(t('scaleHistory.ambiguous', { count: result.ambiguous.length }));
+      await showAlert(parts.join('\n'), { title: t('scaleHistory.done') });
+
+      if (result.ambiguous.length > 0) setPendingReadings(result.ambiguous);
+    } catch (err) {
+      console.error(err);
+      if (['UnsupportedScaleError', 'ScaleDisconnectedError', 'ScaleTimeoutError'].includes(err.name)) {
+        await showAlert(err.message);
+      } else {
+        await showAlert(t('scaleHistory.failed'));
       }
+    } finally {
+      setSyncingHistory(false);
     }
+  };
 
-    // Fallback: Traditional Download
-    const url = URL.createObjectURL(blob);
-    const link = document.body.appendChild(document.createElement("a"));
-    link.href = url;
-    link.download = fileName;
-    link.style.display = 'none';
-    link.click();
-    setTimeout(() => {
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-    }, 100);
+  const handleReassign = async (targetUser) => {
+    const measurement = reassigning;
+    setReassigning(null);
+    // Presunuté meranie už do histórie tejto osoby nepatrí
+    if (await moveMeasurement(measurement, targetUser) && route.name === 'measurement') goBack();
   };
 
-  const handleDelete = async (id) => {
-    if (confirm("Naozaj chcete zmazať tento záznam?")) {
-      await deleteMeasurement(id);
-      const updatedData = await getMeasurements(10);
-      setMeasurements(updatedData);
-    }
+  const openEditor = async (measurement = null) => {
+    setKnownTags(await getTags(user.id));
+    setEditing({ measurement });
+  };
+
+  const handleSaveMeasurement = async (values) => {
+    if (await saveMeasurementEntry(editing.measurement, values, settings.unit)) setEditing(null);
   };
 
   if (loading) return (
@@ -145,246 +452,178 @@ function App() {
     </div>
   );
 
-  // --- ONBOARDING VIEW ---
-  if (view === 'onboarding') return (
-    <div className="min-h-screen bg-[var(--ios-system-background)] flex flex-col p-8 pt-20">
-      <div className="w-full max-w-sm mx-auto flex flex-col items-center">
-        <div className="w-20 h-20 bg-[var(--ios-system-blue)] rounded-[22%] flex items-center justify-center mb-8 shadow-sm">
-          <Scale className="w-10 h-10 text-white" />
-        </div>
-        <h1 className="text-[var(--ios-label)] text-3xl font-extrabold mb-2 text-center">SmartScale</h1>
-        <p className="text-[var(--ios-secondary-label)] text-center mb-12">Monitor your progress with Health-style insights.</p>
-
-        <form onSubmit={handleOnboarding} className="w-full space-y-4">
-          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
-            <div className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)]">
-              <input
-                required
-                className="w-full bg-transparent text-[var(--ios-label)] focus:outline-none placeholder:text-[var(--ios-secondary-label)]"
-                placeholder="Name"
-                value={form.name}
-                onChange={e => setForm({ ...form, name: e.target.value })}
-              />
-            </div>
-            <div className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)]">
-              <input
-                required type="number"
-                className="w-full bg-transparent text-[var(--ios-label)] focus:outline-none placeholder:text-[var(--ios-secondary-label)]"
-                placeholder="Height (cm)"
-                value={form.height}
-                onChange={e => setForm({ ...form, height: e.target.value })}
-              />
-            </div>
-            <div className="px-4 py-3">
-              <input
-                type="number" step="0.1"
-                className="w-full bg-transparent text-[var(--ios-label)] focus:outline-none placeholder:text-[var(--ios-secondary-label)]"
-                placeholder="Target Weight (kg)"
-                value={form.targetWeight}
-                onChange={e => setForm({ ...form, targetWeight: e.target.value })}
-              />
-            </div>
-          </div>
-          <button className="w-full bg-[var(--ios-system-blue)] text-white font-semibold py-4 rounded-2xl shadow-sm active:opacity-60 transition-opacity">
-            Continue
-          </button>
-        </form>
-      </div>
-    </div>
-  );
+  // Pamäť meraní má len niektoré váhy – pri váhe spárovanej pred zistením modelu ponúkneme synchronizáciu vždy
+  const canSyncHistory = settings.demoMode
+    ? settings.demoScenario === 'body-composition'
+    : settings.pairedScale != null && (!settings.pairedScale.driver || !!getDriver(settings.pairedScale.driver)?.history);
 
-  // --- DASHBOARD VIEW ---
-  if (view === 'dashboard') return (
-    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] font-sans pb-32">
-      <header className="px-6 pt-12 pb-6 flex justify-between items-end">
-        <div>
-          <h2 className="text-3xl font-bold tracking-tight">Summary</h2>
-        </div>
-        <button className="w-10 h-10 bg-[var(--ios-secondary-system-background)] rounded-full flex items-center justify-center shadow-sm">
-          <UserIcon className="w-5 h-5 text-[var(--ios-system-blue)]" />
-        </button>
-      </header>
-
-      <main className="px-4 space-y-6">
-        {/* Main Status Cell */}
-        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-6 shadow-sm">
-          <div className="flex justify-between items-start mb-4">
-            <div className="flex items-center gap-2">
-              <div className="p-2 bg-[rgba(var(--ios-system-blue-rgb),0.1)] rounded-lg">
-                <Scale className="w-5 h-5 text-[var(--ios-system-blue)]" />
-              </div>
-              <span className="font-semibold text-lg">Weight</span>
-            </div>
-            <span className="text-[var(--ios-secondary-label)] text-sm">
-              {measurements.length > 0 ? new Date(measurements[0].createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : 'No data'}
-            </span>
-          </div>
-
-          <div className="flex items-baseline gap-1 mb-6">
-            <span className="text-5xl font-black">{latestWeight ? latestWeight.toFixed(1) : '--.-'}</span>
-            <span className="text-[var(--ios-secondary-label)] font-bold text-xl uppercase">kg</span>
-          </div>
-
-          <div className="grid grid-cols-2 gap-3">
-            <div className="bg-[var(--ios-tertiary-system-background)] p-4 rounded-xl">
-              <p className="text-[var(--ios-secondary-label)] text-[10px] font-bold uppercase mb-1">BMI</p>
-              <div className="flex items-center gap-1.5">
-                <div className={`w-2 h-2 rounded-full ${latestWeight ? (
-                  getBMICategory(calculateBMI(latestWeight, user.height)).status === 'green' ? 'bg-green-500' :
-                    getBMICategory(calculateBMI(latestWeight, user.height)).status === 'blue' ? 'bg-[var(--ios-system-blue)]' :
-                      getBMICategory(calculateBMI(latestWeight, user.height)).status === 'orange' ? 'bg-orange-500' : 'bg-red-500'
-                ) : 'bg-gray-300'}`}></div>
-                <span className="font-bold text-sm">
-                  {latestWeight ? getBMICategory(calculateBMI(latestWeight, user.height)).label : '--'}
-                </span>
-              </div>
-            </div>
-            <div className="bg-[var(--ios-tertiary-system-background)] p-4 rounded-xl">
-              <p className="text-[var(--ios-secondary-label)] text-[10px] font-bold uppercase mb-1">Difference</p>
-              <span className="font-bold text-sm text-[var(--ios-system-blue)]">
-                {measurements.length > 1 ? (latestWeight - measurements[1].weight).toFixed(1) + " kg" : "--"}
-              </span>
-            </div>
-          </div>
-        </div>
-
-        {/* Action Button */}
-        <button
-          onClick={startWeighing}
-          disabled={scanning}
-          className={`w-full py-4 rounded-2xl flex items-center justify-center gap-3 transition-all ${scanning ? 'bg-[var(--ios-secondary-system-background)] text-[var(--ios-secondary-label)]' : 'bg-[var(--ios-system-blue)] text-white font-semibold shadow-sm active:opacity-60'
-            }`}
-        >
-          {scanning ? <RefreshCw className="animate-spin w-5 h-5" /> : <Plus className="w-5 h-5" />}
-          {scanning ? "Searching for scale..." : "Record Weight"}
-        </button>
-
-        {/* Chart Cell */}
-        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-6 shadow-sm">
-          <div className="flex justify-between items-center mb-6">
-            <h3 className="font-bold text-lg">Trends</h3>
-            <button onClick={() => setView('history')} className="text-[var(--ios-system-blue)] text-sm font-medium">
-              Show All
-            </button>
-          </div>
-
-          <div className="h-[200px] w-full">
-            {measurements.length > 1 ? (
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={measurements.slice().reverse()}>
-                  <CartesianGrid vertical={false} stroke="var(--ios-separator)" strokeDasharray="0" />
-                  <XAxis
-                    dataKey="createdAt"
-                    tickFormatter={(d) => new Date(d).toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}
-                    tick={{ fontSize: 10, fill: 'var(--ios-secondary-label)' }}
-                    axisLine={false}
-                    tickLine={false}
-                  />
-                  <YAxis
-                    domain={['dataMin - 5', 'dataMax + 5']}
-                    tick={{ fontSize: 10, fill: 'var(--ios-secondary-label)' }}
-                    axisLine={false}
-                    tickLine={false}
-                    orientation="right"
-                  />
-                  <Tooltip
-                    contentStyle={{ backgroundColor: 'var(--ios-secondary-system-background)', border: 'none', borderRadius: '8px', boxShadow: '0 4px 12px rgba(0,0,0,0.1)' }}
-                    labelStyle={{ color: 'var(--ios-label)', fontWeight: 'bold' }}
-                  />
-                  <Line
-                    type="monotone"
-                    dataKey="weight"
-                    stroke="var(--ios-system-blue)"
-                    strokeWidth={3}
-                    dot={false}
-                    activeDot={{ r: 6, fill: 'var(--ios-system-blue)', stroke: '#fff', strokeWidth: 2 }}
-                  />
-                </LineChart>
-              </ResponsiveContainer>
-            ) : (
-              <div className="h-full flex flex-col items-center justify-center text-[var(--ios-secondary-label)] gap-2">
-                <AlertCircle className="w-8 h-8 opacity-20" />
-                <p className="text-sm italic">Need more measurements for trends.</p>
-              </div>
-            )}
-          </div>
-        </div>
-      </main>
-
-      {/* Navigation Bar (iOS Tab Bar Style) */}
-      <nav className="fixed bottom-0 left-0 right-0 bg-[var(--ios-secondary-system-background)]/80 backdrop-blur-xl border-t border-[var(--ios-separator)] px-6 pt-2 pb-8 flex justify-around items-center">
-        <button onClick={() => setView('dashboard')} className={`flex flex-col items-center gap-1 ${view === 'dashboard' ? 'text-[var(--ios-system-blue)]' : 'text-[var(--ios-secondary-label)] opacity-90'}`}>
-          <Scale className="w-7 h-7" />
-          <span className="text-[10px] font-bold">Summary</span>
-        </button>
-        <button onClick={() => setView('history')} className={`flex flex-col items-center gap-1 ${view === 'history' ? 'text-[var(--ios-system-blue)]' : 'text-[var(--ios-secondary-label)] opacity-90'}`}>
-          <History className="w-7 h-7" />
-          <span className="text-[10px] font-bold">History</span>
-        </button>
-        <button className="flex flex-col items-center gap-1 text-[var(--ios-secondary-label)] opacity-90">
-          <Settings className="w-7 h-7" />
-          <span className="text-[10px] font-bold">Settings</span>
-        </button>
-      </nav>
-    </div>
-  );
+  const renderRoute = () => {
+    if (!user || route.name === 'newProfile') return (
+      <OnboardingView
+        hasUsers={users.length > 0}
+        syncEnabled={settings.sync.enabled}
+        unit={settings.unit}
+        onCreate={handleCreateProfile}
+        onRestoreBackup={() => restoreInputRef.current.click()}
+        onSetUpSync={() => setSyncSetupOpen(true)}
+      />
+    );
 
-  // --- HISTORY VIEW ---
-  if (view === 'history') return (
-    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] pb-20">
-      <header className="px-6 pt-12 pb-6 flex justify-between items-end">
-        <div>
-          <button onClick={() => setView('dashboard')} className="flex items-center gap-1 text-[var(--ios-system-blue)] font-medium mb-4">
-            <ArrowLeft className="w-5 h-5" /> Back
-          </button>
-          <h1 className="text-3xl font-bold">History</h1>
-        </div>
-        <button
-          onClick={exportToCSV}
-          disabled={measurements.length === 0}
-          className="p-3 bg-[var(--ios-secondary-system-background)] rounded-full text-[var(--ios-system-blue)] shadow-sm disabled:opacity-30 active:opacity-60"
-          title="Export to CSV"
-        >
-          <Download className="w-5 h-5" />
-        </button>
-      </header>
-
-      <div className="px-4">
-        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
-          {measurements.map((m, index) => (
-            <div key={m.id} className={`p-4 flex justify-between items-center group ${index !== measurements.length - 1 ? 'border-b-[0.5px] border-[var(--ios-separator)]' : ''}`}>
-              <div className="flex flex-col">
-                <span className="font-semibold text-lg">{m.weight.toFixed(1)} <span className="text-sm font-bold text-[var(--ios-secondary-label)]">kg</span></span>
-                <span className="text-[var(--ios-secondary-label)] text-xs">{new Date(m.createdAt).toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</span>
-              </div>
-
-              <div className="flex items-center gap-3">
-                <div className={`px-2 py-1 rounded-md text-[10px] font-bold uppercase tracking-wide ${getBMICategory(m.bmi).status === 'green' ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' :
-                  getBMICategory(m.bmi).status === 'blue' ? 'bg-[rgba(var(--ios-system-blue-rgb),0.1)] text-[var(--ios-system-blue)]' :
-                    getBMICategory(m.bmi).status === 'orange' ? 'bg-orange-100 text-orange-700 dark:bg-orange-900/30 dark:text-orange-400' :
-                      'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
-                  }`}>
-                  BMI {m.bmi.toFixed(1)}
-                </div>
-                <button
-                  onClick={() => handleDelete(m.id)}
-                  className="p-2 text-red-500 rounded-full active:bg-red-50 dark:active:bg-red-900/20"
-                >
-                  <Trash2 className="w-4 h-4" />
-                </button>
-              </div>
-            </div>
-          ))}
-
-          {measurements.length === 0 && (
-            <div className="text-center py-20 px-6">
-              <Scale className="w-12 h-12 text-[var(--ios-separator)] mx-auto mb-4" />
-              <p className="text-[var(--ios-secondary-label)]">No health data found.</p>
-            </div>
-          )}
-        </div>
-      </div>
-    </div>
+    if (route.name === 'profiles') return (
+      <ProfilesView
+        users={users}
+        user={user}
+        onSelect={async (u) => { await switchUser(u); navigate('/'); }}
+      />
+    );
+
+    if (route.name === 'charts') return (
+      <ChartsView user={user} settings={settings} />
+    );
+
+    if (route.name === 'history') return (
+      <HistoryView
+        user={user}
+        users={users}
+        settings={settings}
+        onAdd={() => openEditor()}
+        onReassign={setReassigning}
+      />
+    );
+
+    if (route.name === 'measurement') return (
+      <MeasurementView
+        id={route.params.id}
+        user={user}
+        users={users}
+        settings={settings}
+        onEdit={openEditor}
+        onReassign={setReassigning}
+      />
+    );
+
+    if (route.name === 'report') return (
+      <ReportView user={user} unit={settings.unit} dateFormat={settings.dateFormat} />
+    );
+
+    if (route.name === 'settings') return (
+      <SettingsView
+        key={user.id}
+        user={user}
+        users={users}
+        settings={settings}
+        syncInfo={syncInfo}
+        canSyncHistory={canSyncHistory}
+        syncingHistory={syncingHistory}
+        scanning={scanning}
+        onUpdateSettings={updateSettings}
+        onUpdateReminder={updateReminder}
+        onSaveProfile={handleSaveProfile}
+        onForgetScale={handleForgetScale}
+        onSyncHistory={handleSyncHistory}
+        onSync={() => runSync()}
+        onDisableSync={handleDisableSync}
+        onSetUpSync={() => setSyncSetupOpen(true)}
+        onBackup={handleBackup}
+        onRestoreBackup={() => restoreInputRef.current.click()}
+        onDeleteProfile={handleDeleteProfile}
+        onDeleteAll={handleDeleteAllData}
+      />
+    );
+
+    if (route.name === 'import') return (
+      <ImportView user={user} unit={settings.unit} dateFormat={settings.dateFormat} onDone={handleImportDone} />
+    );
+
+    return (
+      <DashboardView
+        user={user}
+        users={users}
+        settings={settings}
+        measurements={measurements}
+        trendSource={trendSource}
+        latestWeight={latestWeight}
+        liveReading={liveReading}
+        scaleStatus={scaleStatus}
+        onWeigh={startWeighing}
+        onCancelWeighing={cancelWeighing}
+        onAddMeasurement={() => openEditor()}
+      />
+    );
+  };
+
+  return (
+    <>
+      {renderRoute()}
+
+      {pendingReading && (
+        <UserPickerSheet
+          title={t('picker.whoStepped')}
+          subtitle={pendingReading.data.createdAt
+            ? `${formatWeightWithUnit(pendingReading.data.weight, settings.unit)} · ${formatDate(pendingReading.data.createdAt, settings.dateFormat, 'medium')}`
+            : formatWeightWithUnit(pendingReading.data.weight, settings.unit)}
+          users={users}
+          unit={settings.unit}
+          ranked={pendingReading.ranked}
+          selectedId={pendingReading.suggestedUserId}
+          onSelect={confirmPendingReading}
+          onCancel={discardPendingReading}
+          cancelLabel={t('common.discardReading')}
+        />
+      )}
+
+      {suspectReading && (
+        <SuspectReadingSheet
+          {...suspectReading}
+          unit={settings.unit}
+          canReassign={users.length > 1}
+          onAccept={() => resolveSuspectReading(MEASUREMENT_STATUS.ACCEPTED)}
+          onFlag={() => resolveSuspectReading(MEASUREMENT_STATUS.SUSPECT)}
+          onReassign={() => {
+            const { data } = suspectReading;
+            setSuspectReading(null);
+            setPendingReadings([{ data, ranked: [], suggestedUserId: null }]);
+          }}
+          onDiscard={discardSuspectReading}
+        />
+      )}
+
+      {editing && (
+        <MeasurementSheet
+          measurement={editing.measurement}
+          unit={settings.unit}
+          knownTags={knownTags}
+          onSave={handleSaveMeasurement}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {reassigning && (
+        <UserPickerSheet
+          title={t('history.assignTitle')}
+          subtitle={formatWeightWithUnit(reassigning.weight, settings.unit)}
+          users={users}
+          unit={settings.unit}
+          selectedId={reassigning.userId}
+          onSelect={handleReassign}
+          onCancel={() => setReassigning(null)}
+        />
+      )}
+
+      {syncSetupOpen && (
+        <SyncSetupSheet initial={settings.sync} onConnect={handleConnectSync} onCancel={() => setSyncSetupOpen(false)} />
+      )}
+
+      <input ref={restoreInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleRestoreFile} />
+      {pendingRestore && (
+        <RestoreBackupSheet
+          backup={pendingRestore}
+          dateFormat={settings.dateFormat}
+          onRestore={handleRestore}
+          onCancel={() => setPendingRestore(null)}
+        />
+      )}
+    </>
   );
 }
 
@@ -0,0 +1,57 @@
+import React, { useEffect, useRef, useSyncExternalStore } from 'react';
+import { getDialog, subscribeDialogs, closeDialog } from './dialogs';
+import { t, useLocale } from './i18n';
+
+// Upozornenia a otázky zo src/dialogs.js – v strede obrazovky ako systémový alert v iOS
+function DialogHost() {
+  useLocale();
+  const dialog = useSyncExternalStore(subscribeDialogs, getDialog);
+  const confirmRef = useRef(null);
+
+  useEffect(() => {
+    if (!dialog) return;
+    // Nevratnú akciu nepotvrdí omylom stlačený Enter
+    if (!dialog.destructive) confirmRef.current?.focus();
+    const handleKey = (e) => {
+      if (e.key === 'Escape') closeDialog(false);
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [dialog]);
+
+  if (!dialog) return null;
+
+  const isConfirm = dialog.kind === 'confirm';
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-[70] p-8 print:hidden" onClick={() => closeDialog(false)}>
+      <div
+        role={isConfirm ? 'alertdialog' : 'alert'}
+        aria-modal="true"
+        className="w-full max-w-[300px] bg-[var(--ios-secondary-system-background)] text-[var(--ios-label)] rounded-2xl shadow-lg overflow-hidden text-center"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="px-4 pt-5 pb-4 space-y-1">
+          {dialog.title && <h3 className="font-semibold">{dialog.title}</h3>}
+          <p className={`text-sm whitespace-pre-line ${dialog.title ? 'text-[var(--ios-secondary-label)]' : ''}`}>{dialog.message}</p>
+        </div>
+        <div className="flex border-t-[0.5px] border-[var(--ios-separator)]">
+          {isConfirm && (
+            <button onClick={() => closeDialog(false)} className="flex-1 py-3 text-[var(--ios-system-blue)] border-r-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)]">
+              {t('common.cancel')}
+            </button>
+          )}
+          <button
+            ref={confirmRef}
+            onClick={() => closeDialog(true)}
+            className={`flex-1 py-3 font-semibold active:bg-[var(--ios-fill)] ${dialog.destructive ? 'text-red-500' : 'text-[var(--ios-system-blue)]'}`}
+          >
+            {dialog.confirmLabel ?? t('common.ok')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DialogHost;
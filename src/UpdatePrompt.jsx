@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { registerServiceWorker } from './pwa';
+import { t, useLocale } from './i18n';
+
+// Ponuka novej verzie aplikácie – zobrazí sa nad obsahom, keď service worker stiahne aktualizáciu
+function UpdatePrompt() {
+  useLocale();
+  const [applyUpdate, setApplyUpdate] = useState(null);
+
+  useEffect(() => {
+    let stopChecking = () => {};
+    let unmounted = false;
+    registerServiceWorker({ onUpdate: (apply) => setApplyUpdate(() => apply) })
+      .then(stop => {
+        if (unmounted) stop();
+        else stopChecking = stop;
+      })
+      .catch(err => console.error('Service worker registration failed:', err));
+    return () => {
+      unmounted = true;
+      stopChecking();
+    };
+  }, []);
+
+  if (!applyUpdate) return null;
+
+  return (
+    <div className="fixed top-4 inset-x-4 z-[60] flex justify-center pointer-events-none print:hidden">
+      <div className="pointer-events-auto w-full max-w-md bg-[var(--ios-secondary-system-background)] text-[var(--ios-label)] rounded-2xl shadow-lg px-4 py-3 flex items-center gap-3">
+        <RefreshCw className="w-5 h-5 text-[var(--ios-system-blue)] shrink-0" />
+        <span className="flex-1 text-sm">{t('update.available')}</span>
+        <button onClick={() => setApplyUpdate(null)} className="text-[var(--ios-secondary-label)] text-sm font-medium active:opacity-60">
+          {t('update.later')}
+        </button>
+        <button onClick={applyUpdate} className="text-[var(--ios-system-blue)] text-sm font-semibold active:opacity-60">
+          {t('update.reload')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -0,0 +1,58 @@
+/**
+ * Kontrola nových meraní voči histórii používateľa – odhalí merania, ktoré
+ * mu pravdepodobne nepatria (dieťa na váhe, váženie s batohom, chybný paket)
+ */
+import { estimateWeight } from './attribution';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// status merania v db.measurements (null = bežné meranie)
+export const MEASUREMENT_STATUS = {
+    SUSPECT: 'suspect',
+    ACCEPTED: 'accepted'
+};
+
+// Mimo tohto rozsahu nejde o človeka, ale o chybný paket
+const MIN_PLAUSIBLE_KG = 2;
+const MAX_PLAUSIBLE_KG = 300;
+// Bežné kolísanie v rámci dňa (voda, jedlo, oblečenie) – pevná hodnota alebo podiel z váhy
+const BASE_TOLERANCE_KG = 2;
+const BASE_TOLERANCE_RATIO = 0.03;
+// Aj rýchla zmena váhy je najviac okolo 0.3 kg za deň
+const DAILY_CHANGE_KG = 0.3;
+const MAX_TOLERANCE_KG = 12;
+
+/**
+ * Meranie sa započítava do trendu a štatistík
+ */
+export const isTrusted = (measurement) => measurement.status !== MEASUREMENT_STATUS.SUSPECT;
+
+/**
+ * @param {number} weight - nová váha v kg
+ * @param {object[]} recent - dôveryhodné merania používateľa, najnovšie prvé
+ * @param {Date} [at] - čas nového merania
+ * @returns {{ suspect: boolean, reason: 'implausible'|'deviation'|null, expected: number|null,
+ *             deviation: number|null, tolerance: number|null }}
+ */
+export const checkReading = (weight, recent, at = new Date()) => {
+    if (!(weight >= MIN_PLAUSIBLE_KG && weight <= MAX_PLAUSIBLE_KG)) {
+        return { suspect: true, reason: 'implausible', expected: null, deviation: null, tolerance: null };
+    }
+
+    // Pri meraní z pamäte váhy porovnávame len s tým, čo bolo pred ním
+    const before = recent.filter(m => new Date(m.createdAt) <= at);
+    const expected = estimateWeight(before, at);
+    if (expected == null) {
+        return { suspect: false, reason: null, expected: null, deviation: null, tolerance: null };
+    }
+
+    const daysSince = Math.max((at - new Date(before[0].createdAt)) / DAY_MS, 0);
+    const tolerance = Math.min(
+        Math.max(BASE_TOLERANCE_KG, expected * BASE_TOLERANCE_RATIO) + daysSince * DAILY_CHANGE_KG,
+        MAX_TOLERANCE_KG
+    );
+    const deviation = weight - expected;
+    const suspect = Math.abs(deviation) > tolerance;
+
+    return { suspect, reason: suspect ? 'deviation' : null, expected, deviation, tolerance };
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { checkReading, isTrusted, MEASUREMENT_STATUS } from './anomaly';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-03-10T07:00:00Z');
+
+// Posledné merania (najnovšie prvé) okolo 80 kg, denne
+const history = (days = 5, weight = 80) => Array.from({ length: days }, (_, i) => ({
+    weight,
+    createdAt: new Date(NOW.getTime() - (i + 1) * DAY_MS)
+}));
+
+describe('checkReading', () => {
+    it('accepts a normal reading', () => {
+        const result = checkReading(81, history(), NOW);
+        expect(result).toMatchObject({ suspect: false, reason: null, expected: 80 });
+        expect(result.deviation).toBeCloseTo(1, 10);
+        expect(result.tolerance).toBeCloseTo(2.7, 10);
+    });
+
+    it('flags a reading far from the expected weight', () => {
+        // Dieťa na váhe alebo váženie s batohom
+        expect(checkReading(25, history(), NOW)).toMatchObject({ suspect: true, reason: 'deviation', expected: 80 });
+        expect(checkReading(84, history(), NOW)).toMatchObject({ suspect: true, reason: 'deviation' });
+    });
+
+    it('widens the tolerance after a longer break', () => {
+        const later = new Date(NOW.getTime() + 20 * DAY_MS);
+        expect(checkReading(84, history(), later)).toMatchObject({ suspect: false });
+        expect(checkReading(50, history(), later)).toMatchObject({ suspect: true });
+    });
+
+    it('flags implausible values even without history', () => {
+        expect(checkReading(0.5, [], NOW)).toMatchObject({ suspect: true, reason: 'implausible' });
+        expect(checkReading(400, [], NOW)).toMatchObject({ suspect: true, reason: 'implausible' });
+        expect(checkReading(NaN, [], NOW)).toMatchObject({ suspect: true, reason: 'implausible' });
+        expect(checkReading(25, [], NOW)).toMatchObject({ suspect: false, expected: null });
+    });
+
+    it('compares a reading from the scale memory only with earlier ones', () => {
+        // Meranie spred piatich dní, keď mal používateľ ešte 90 kg
+        const recent = [...history(3, 80), { weight: 90, createdAt: new Date(NOW.getTime() - 6 * DAY_MS) }];
+        const at = new Date(NOW.getTime() - 5 * DAY_MS);
+        expect(checkReading(89.5, recent, at)).toMatchObject({ suspect: false, expected: 90 });
+    });
+});
+
+describe('isTrusted', () => {
+    it('excludes only suspect measurements', () => {
+        expect(isTrusted({ status: null })).toBe(true);
+        expect(isTrusted({ status: MEASUREMENT_STATUS.ACCEPTED })).toBe(true);
+        expect(isTrusted({ status: MEASUREMENT_STATUS.SUSPECT })).toBe(false);
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Spoločné dáta aplikácie – profily, aktívny používateľ a jeho posledné
+ * merania – a zmeny nad nimi. Obrazovky ich čítajú cez useAppData() a menia
+ * funkciami nižšie, takže ich App nemusí posielať cez props.
+ *
+ * dataVersion sa zvýši pri každom načítaní meraní – obrazovky s vlastnými
+ * dotazmi do DB (história, detail, grafy) sa podľa neho obnovia.
+ */
+import { useSyncExternalStore } from 'react';
+import {
+    getUsers, saveUser, getMeasurements, getAllMeasurements, addMeasurement, deleteMeasurement, updateMeasurement,
+    getActiveUserId, setActiveUserId, computeMetrics, reassignMeasurement, setMeasurementStatus,
+    recalculateMeasurements, deleteUser, deleteAllData
+} from './db';
+import { MEASUREMENT_STATUS } from './anomaly';
+import { reviewReading } from './weighing';
+import { TREND_WINDOW_DAYS } from './trends';
+import { showConfirm } from './dialogs';
+import { t } from './i18n';
+import { formatWeightWithUnit } from './units';
+
+// Na prehľade stačí posledných pár meraní
+const RECENT_COUNT = 10;
+
+const EMPTY_DATA = { users: [], user: null, measurements: [], trendSource: [], latestWeight: null };
+
+const listeners = new Set();
+let state = { ...EMPTY_DATA, loading: true, dataVersion: 0 };
+
+const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const getState = () => state;
+
+/**
+ * @returns {{ loading: boolean, users: object[], user: object|null, measurements: object[],
+ *             trendSource: object[], latestWeight: number|null, dataVersion: number }}
+ */
+export const useAppData = () => useSyncExternalStore(subscribe, getState);
+
+// Merania za posledné obdobie, z ktorých sa počíta trend
+const getTrendSource = (userId) => {
+    const from = new Date(Date.now() - TREND_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    return getAllMeasurements(userId, { from, trustedOnly: true });
+};
+
+/**
+ * Znova načíta posledné merania používateľa (predvolene aktívneho)
+ */
+export const loadMeasurements = async (userId = state.user.id) => {
+    const measurements = await getMeasurements(RECENT_COUNT, userId, { trustedOnly: true });
+    const trendSource = await getTrendSource(userId);
+    setState({
+        measurements,
+        trendSource,
+        latestWeight: measurements.length > 0 ? measurements[0].weight : null,
+        dataVersion: state.dataVersion + 1
+    });
+};
+
+/**
+ * Váha zobrazená na prehľade – počas váženia priebežná hodnota z váhy
+ * @param {number|null} weight
+ */
+export const setLatestWeight = (weight) => setState({ latestWeight: weight });
+
+export const switchUser = async (nextUser) => {
+    setActiveUserId(nextUser.id);
+    setState({ user: nextUser });
+    await loadMeasurements(nextUser.id);
+};
+
+/**
+ * Znova načíta profily a merania z DB – po synchronizácii alebo obnove zálohy
+ * mohli pribudnúť alebo zmiznúť
+ * @returns {Promise<object[]>} profily
+ */
+export const refreshFromDatabase = async () => {
+    const users = await getUsers();
+    setState({ users });
+    if (users.length === 0) {
+        setState({ ...EMPTY_DATA, dataVersion: state.dataVersion + 1 });
+    } else {
+        await switchUser(users.find(u => u.id === getActiveUserId()) || users[0]);
+    }
+    return users;
+};
+
+/**
+ * Prvé načítanie pri spustení aplikácie
+ */
+export const loadAppData = async () => {
+    await refreshFromDatabase();
+    setState({ loading: false });
+};
+
+/**
+ * Vytvorí profil a prepne sa naň
+ * @returns {Promise<object>} nový používateľ s id
+ */
+export const createProfile = async (profile) => {
+    const id = await saveUser(profile);
+    const created = { ...profile, id };
+    setState({ users: [...state.users, created] });
+    await switchUser(created);
+    return created;
+};
+
+/**
+ * Uloží zmeny profilu aktívneho používateľa
+ */
+export const saveProfile = async (profile) => {
+    const { user, users } = state;
+    const updated = { ...user, ...profile };
+    await saveUser(updated);
+
+    // BMI a zloženie tela závisia od výšky, veku a pohlavia
+    if (updated.height !== user.height || updated.birthDate !== user.birthDate || updated.sex !== user.sex) {
+        await recalculateMeasurements(updated);
+    }
+    setState({ users: users.map(u => (u.id === updated.id ? updated : u)), user: updated });
+    await loadMeasurements(updated.id);
+};
+
+/**
+ * Po potvrdení zmaže aktívny profil aj s meraniami a prepne sa na iný
+ * @returns {Promise<boolean>} false, ak používateľ zmazanie nepotvrdil
+ */
+export const confirmDeleteProfile = async () => {
+    const { user, users } = state;
+    const confirmed = await showConfirm(t('settings.deleteProfileConfirm', { name: user.name }), {
+        confirmLabel: t('common.delete'),
+        destructive: true
+    });
+    if (!confirmed) return false;
+    await deleteUser(user.id);
+    const remaining = users.filter(u => u.id !== user.id);
+    setState({ users: remaining });
+    await switchUser(remaining[0]);
+    return true;
+};
+
+/**
+ * Po potvrdení zmaže všetky profily a merania
+ * @returns {Promise<boolean>} false, ak používateľ zmazanie nepotvrdil
+ */
+export const confirmDeleteAllData = async () => {
+    const confirmed = await showConfirm(t('settings.deleteAllConfirm'), {
+        title: t('settings.deleteAll'),
+        confirmLabel: t('common.delete'),
+        destructive: true
+    });
+    if (!confirmed) return false;
+    await deleteAllData();
+    setState({ ...EMPTY_DATA, dataVersion: state.dataVersion + 1 });
+    return true;
+};
+
+/**
+ * Podozrivé meranie sa predsa započíta do trendu
+ */
+export const acceptMeasurement = async (measurement) => {
+    await setMeasurementStatus(measurement.id, MEASUREMENT_STATUS.ACCEPTED);
+    await loadMeasurements();
+};
+
+/**
+ * Presunie meranie inému používateľovi
+ * @returns {Promise<boolean>} false, ak meranie už tomuto používateľovi patrí
+ */
+export const moveMeasurement = async (measurement, targetUser) => {
+    if (targetUser.id === measurement.userId) return false;
+    await reassignMeasurement(measurement, targetUser);
+    await loadMeasurements();
+    return true;
+};
+
+/**
+ * Po potvrdení zmaže meranie
+ * @returns {Promise<boolean>} false, ak používateľ zmazanie nepotvrdil
+ */
+export const confirmDeleteMeasurement = async (measurement) => {
+    const confirmed = await showConfirm(t('history.deleteConfirm'), { confirmLabel: t('common.delete'), destructive: true });
+    if (!confirmed) return false;
+    await deleteMeasurement(measurement.id);
+    await loadMeasurements();
+    return true;
+};
+
+/**
+ * Uloží ručne zadané (measurement = null) alebo upravené meranie aktívneho používateľa
+ * @param {object|null} measurement
+ * @param {{ weight: number, createdAt: Date, note: string, tags: string[] }} values
+ * @param {string} unit - jednotka zobrazenia pre otázku na nezvyčajnú váhu
+ * @returns {Promise<boolean>} false, ak používateľ nezvyčajnú váhu nepotvrdil
+ */
+export const saveMeasurementEntry = async (measurement, values, unit) => {
+    const { user } = state;
+    if (measurement) {
+        await updateMeasurement(measurement, values, user);
+        await loadMeasurements();
+        return true;
+    }
+
+    let status = null;
+    // Preklep (8.2 namiesto 82) by pokazil trend – necháme formulár otvorený na opravu
+    const check = await reviewReading(user, values);
+    if (check.suspect) {
+        const weight = formatWeightWithUnit(values.weight, unit);
+        const message = check.expected != null
+            ? t('measurement.unusualConfirm', { weight, expected: formatWeightWithUnit(check.expected, unit) })
+            : t('measurement.unrealisticConfirm', { weight });
+        const confirmed = await showConfirm(message, { title: t('measurement.unusualTitle'), confirmLabel: t('common.save') });
+        if (!confirmed) return false;
+        status = MEASUREMENT_STATUS.ACCEPTED;
+    }
+
+    await addMeasurement({
+        userId: user.id,
+        source: 'manual',
+        impedance: null,
+        status,
+        ...values,
+        ...computeMetrics(user, values.weight, null, values.createdAt)
+    });
+    await loadMeasurements();
+    return true;
+};
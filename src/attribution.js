@@ -0,0 +1,77 @@
+/**
+ * Priradenie nového merania k členovi domácnosti podľa trendu jeho váhy
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Koľko posledných meraní berieme do úvahy pri odhade trendu
+export const TREND_SAMPLE_SIZE = 5;
+// Základná tolerancia a o koľko sa rozširuje za každý deň od posledného merania
+const BASE_TOLERANCE_KG = 2;
+const TOLERANCE_PER_DAY_KG = 0.15;
+const MAX_TOLERANCE_KG = 8;
+// Ak sú dvaja kandidáti bližšie ako toto, necháme rozhodnúť používateľa
+const AMBIGUITY_MARGIN_KG = 1;
+
+/**
+ * Odhad aktuálnej váhy z posledných meraní (lineárna regresia, najviac
+ * týždeň dopredu, aby jeden výkyv neodhadol nezmysel)
+ * @param {{ weight: number, createdAt: Date }[]} recent - najnovšie prvé
+ * @param {Date} at
+ */
+export const estimateWeight = (recent, at = new Date()) => {
+    if (recent.length === 0) return null;
+    if (recent.length === 1) return recent[0].weight;
+
+    const points = recent.map(m => ({
+        x: (new Date(m.createdAt) - at) / DAY_MS,
+        y: m.weight
+    }));
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    if (sxx === 0) return meanY;
+
+    const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / sxx;
+    const daysAhead = Math.min(-points[0].x, 7);
+    return recent[0].weight + slope * daysAhead;
+};
+
+/**
+ * @param {number} weight - nová váha v kg
+ * @param {{ user: object, recent: object[] }[]} candidates - používatelia a ich posledné merania (najnovšie prvé)
+ * @param {Date} [at]
+ * @returns {{ userId: number|null, ambiguous: boolean, ranked: { userId: number, expected: number|null, distance: number|null }[] }}
+ */
+export const attributeReading = (weight, candidates, at = new Date()) => {
+    if (candidates.length === 1) {
+        return { userId: candidates[0].user.id, ambiguous: false, ranked: [{ userId: candidates[0].user.id, expected: null, distance: null }] };
+    }
+
+    const ranked = candidates.map(({ user, recent }) => {
+        const expected = estimateWeight(recent, at);
+        if (expected == null) return { userId: user.id, expected: null, distance: null, tolerance: 0 };
+
+        const daysSince = (at - new Date(recent[0].createdAt)) / DAY_MS;
+        const tolerance = Math.min(BASE_TOLERANCE_KG + Math.max(daysSince, 0) * TOLERANCE_PER_DAY_KG, MAX_TOLERANCE_KG);
+        return { userId: user.id, expected, distance: Math.abs(weight - expected), tolerance };
+    }).sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+    const matching = ranked.filter(r => r.distance != null && r.distance <= r.tolerance);
+    const result = (userId, ambiguous) => ({
+        userId,
+        ambiguous,
+        ranked: ranked.map(({ userId, expected, distance }) => ({ userId, expected, distance }))
+    });
+
+    if (matching.length === 0) return result(null, true);
+    if (matching.length > 1 && matching[1].distance - matching[0].distance < AMBIGUITY_MARGIN_KG) {
+        return result(matching[0].userId, true);
+    }
+    // Niekto bez histórie by mohol byť rovnako dobrý kandidát – radšej sa spýtame
+    if (matching.length === 1 && ranked.some(r => r.distance == null) && matching[0].distance > BASE_TOLERANCE_KG) {
+        return result(matching[0].userId, true);
+    }
+    return result(matching[0].userId, false);
+};
@@ -0,0 +1,191 @@
+/**
+ * Úplná záloha a obnova databázy SmartScaleDB vo formáte JSON
+ */
+import { db } from './db';
+import { EMPTY_BODY_COMPOSITION } from './bodyComposition';
+import { t } from './i18n';
+
+export const BACKUP_FORMAT = 'smartscale-backup';
+// Verzia obálky zálohy (nie schémy DB) – zvýšiť pri nekompatibilnej zmene formátu
+export const BACKUP_VERSION = 1;
+// Stav zariadenia, ktorý do zálohy nepatrí (kľúč a heslo synchronizácie)
+const LOCAL_TABLES = ['syncState'];
+
+/**
+ * Záloha všetkých tabuliek. Tabuľky a polia sa neberú zo zoznamu,
+ * takže záloha obsahuje aj tie, ktoré pribudnú v ďalších verziách schémy.
+ * @param {object} [settings] - nastavenia aplikácie, ktoré sa uložia spolu s dátami
+ */
+export const createBackup = async (settings = null) => {
+    const tables = {};
+    const backedUp = db.tables.filter(table => !LOCAL_TABLES.includes(table.name));
+    await db.transaction('r', backedUp, async () => {
+        for (const table of backedUp) {
+            tables[table.name] = await table.toArray();
+        }
+    });
+
+    return {
+        format: BACKUP_FORMAT,
+        backupVersion: BACKUP_VERSION,
+        schemaVersion: db.verno,
+        exportedAt: new Date().toISOString(),
+        settings,
+        tables
+    };
+};
+
+export const backupToBlob = (backup) => {
+    return new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+};
+
+const isValidDate = (value) => value != null && !isNaN(new Date(value));
+
+// Obnovený záznam je nová zmena – bez changeId mu ho pridelí hook v db.js.
+// So starým changeId by ho synchronizácia považovala za nezmenený a ak ho
+// iné zariadenie medzitým zmazalo, zmazala by ho znova.
+const withoutChangeId = (record) => {
+    const { changeId: _changeId, ...rest } = record;
+    return rest;
+};
+
+/**
+ * Doplní polia, ktoré v starších verziách schémy chýbali
+ * (rovnako ako upgrade funkcie v db.js). Záloha spred v6 nemá syncId –
+ * to doplní hook v db.js pri zápise, rovnako ako changeId.
+ */
+const upgradeRecords = ({ users, measurements }, schemaVersion) => {
+    const firstUserId = users.length > 0 ? users[0].id : null;
+
+    const upgraded = measurements.map(m => {
+        const record = { ...withoutChangeId(m), createdAt: new Date(m.createdAt) };
+        if (schemaVersion < 2) {
+            if (record.impedance === undefined) record.impedance = null;
+            for (const key of Object.keys(EMPTY_BODY_COMPOSITION)) {
+                if (record[key] === undefined) record[key] = null;
+            }
+        }
+        if (schemaVersion < 3 && record.userId == null) record.userId = firstUserId;
+        if (schemaVersion < 4) {
+            if (record.source === undefined) record.source = 'scale';
+            if (record.note === undefined) record.note = '';
+            if (record.tags === undefined) record.tags = [];
+        }
+        if (schemaVersion < 5 && record.status === undefined) record.status = null;
+        return record;
+    });
+
+    return { users: users.map(withoutChangeId), measurements: upgraded };
+};
+
+/**
+ * Načíta a overí súbor zálohy. Pri chybe vyhodí Error so správou pre používateľa.
+ * @param {string} text - obsah súboru
+ */
+export const parseBackup = (text) => {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch {
+        throw new Error(t('errors.backup.invalidJson'));
+    }
+
+    if (backup?.format !== BACKUP_FORMAT || typeof backup.tables !== 'object' || backup.tables === null) {
+        throw new Error(t('errors.backup.notBackup'));
+    }
+    if (backup.backupVersion > BACKUP_VERSION || backup.schemaVersion > db.verno) {
+        throw new Error(t('errors.backup.newerVersion'));
+    }
+
+    const users = backup.tables.users;
+    const measurements = backup.tables.measurements;
+    if (!Array.isArray(users) || !Array.isArray(measurements)) {
+        throw new Error(t('errors.backup.empty'));
+    }
+
+    const invalidUser = users.find(u => typeof u.id !== 'number' || !u.name || !(u.height > 0));
+    if (invalidUser) {
+        throw new Error(t('errors.backup.invalidUser', { record: JSON.stringify(invalidUser) }));
+    }
+
+    const userIds = new Set(users.map(u => u.id));
+    const invalidMeasurement = measurements.find(m =>
+        !(typeof m.weight === 'number' && m.weight > 0) ||
+        !isValidDate(m.createdAt) ||
+        (m.userId != null && !userIds.has(m.userId))
+    );
+    if (invalidMeasurement) {
+        throw new Error(t('errors.backup.invalidMeasurement', { record: JSON.stringify(invalidMeasurement) }));
+    }
+
+    return {
+        ...backup,
+        tables: {
+            ...backup.tables,
+            ...upgradeRecords({ users, measurements }, backup.schemaVersion ?? 1)
+        }
+    };
+};
+
+const measurementKey = (userId, createdAt) => `${userId}:${new Date(createdAt).getTime()}`;
+
+/**
+ * Obnova zo zálohy (výstup parseBackup)
+ *
+ * replace – zmaže všetky dáta a obnoví zálohu 1:1 (vrátane id a syncId)
+ * merge   – profily spáruje podľa mena, merania pridá iba ak používateľ
+ *           ešte nemá meranie s rovnakým časom. Pridané záznamy dostanú
+ *           nové syncId, aby sa nezrazili so živým záznamom pri synchronizácii.
+ * @param {object} backup
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<{ users: number, measurements: number, skipped: number }>}
+ */
+export const restoreBackup = async (backup, mode) => {
+    const { users, measurements } = backup.tables;
+
+    if (mode === 'replace') {
+        await db.transaction('rw', db.users, db.measurements, async () => {
+            await db.measurements.clear();
+            await db.users.clear();
+            await db.users.bulkAdd(users);
+            await db.measurements.bulkAdd(measurements);
+        });
+        return { users: users.length, measurements: measurements.length, skipped: 0 };
+    }
+
+    return await db.transaction('rw', db.users, db.measurements, async () => {
+        const existingUsers = await db.users.toArray();
+        const idMap = new Map();
+        let addedUsers = 0;
+
+        for (const user of users) {
+            const match = existingUsers.find(u => u.name.trim().toLowerCase() === user.name.trim().toLowerCase());
+            if (match) {
+                idMap.set(user.id, match.id);
+            } else {
+                const { id, syncId: _syncId, ...rest } = user;
+                idMap.set(id, await db.users.add(rest));
+                addedUsers++;
+            }
+        }
+
+        // Merania bez používateľa (nemali by nastať) pripíšeme prvému profilu zo zálohy
+        const fallbackUserId = users.length > 0 ? idMap.get(users[0].id) : existingUsers[0]?.id;
+
+        const existingKeys = new Set();
+        await db.measurements.each(m => existingKeys.add(measurementKey(m.userId, m.createdAt)));
+
+        const toAdd = [];
+        for (const measurement of measurements) {
+            const { id: _id, syncId: _syncId, ...rest } = measurement;
+            const record = { ...rest, userId: idMap.get(measurement.userId) ?? fallbackUserId };
+            const key = measurementKey(record.userId, record.createdAt);
+            if (existingKeys.has(key)) continue;
+            existingKeys.add(key);
+            toAdd.push(record);
+        }
+        await db.measurements.bulkAdd(toAdd);
+
+        return { users: addedUsers, measurements: toAdd.length, skipped: measurements.length - toAdd.length };
+    });
+};
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createBackup, parseBackup, restoreBackup, BACKUP_FORMAT } from './backup';
+import { db, addMeasurement, saveUser } from './db';
+import { EMPTY_BODY_COMPOSITION } from './bodyComposition';
+import { resetDatabase } from './test/db';
+
+const withoutChangeId = (record) => {
+    const { changeId: _changeId, ...rest } = record;
+    return rest;
+};
+
+const seed = async () => {
+    const anna = await saveUser({ name: 'Anna', height: 170, sex: 'female', birthDate: '1990-04-02', targetWeight: 65 });
+    const peter = await saveUser({ name: 'Peter', height: 182, sex: 'male', birthDate: '1988-01-15' });
+    await addMeasurement({ userId: anna, weight: 68.4, bmi: 23.7, createdAt: new Date('2024-03-01T07:15:00Z'), note: 'ráno', tags: ['beh'] });
+    await addMeasurement({ userId: peter, weight: 84.1, bmi: 25.4, impedance: 510, createdAt: new Date('2024-03-01T07:20:00Z') });
+    return { anna, peter };
+};
+
+// Záloha tak, ako ju používateľ uloží do súboru a znova otvorí
+const throughFile = async (backup) => parseBackup(JSON.stringify(backup));
+
+beforeEach(resetDatabase);
+
+describe('backup round trip', () => {
+    it('restores every record and the settings with replace', async () => {
+        await seed();
+        await db.syncState.put({ key: 'config', url: 'https://dav.example.com' });
+        const users = await db.users.toArray();
+        const measurements = await db.measurements.toArray();
+
+        const backup = await throughFile(await createBackup({ unit: 'lb' }));
+        expect(backup).toMatchObject({ format: BACKUP_FORMAT, settings: { unit: 'lb' } });
+        expect(backup.tables.syncState).toBeUndefined();
+
+        await resetDatabase();
+        expect(await restoreBackup(backup, 'replace')).toEqual({ users: 2, measurements: 2, skipped: 0 });
+        expect((await db.users.toArray()).map(withoutChangeId)).toEqual(users.map(withoutChangeId));
+        expect((await db.measurements.toArray()).map(withoutChangeId)).toEqual(measurements.map(withoutChangeId));
+    });
+
+    it('merges profiles by name and skips measurements taken at the same time', async () => {
+        const { anna } = await seed();
+        const backup = await throughFile(await createBackup());
+        await db.users.delete(anna);
+        await db.measurements.where('userId').equals(anna).delete();
+        await addMeasurement({ userId: (await db.users.toArray())[0].id, weight: 84.5, bmi: 25.5, createdAt: new Date('2024-03-02T07:20:00Z') });
+
+        expect(await restoreBackup(backup, 'merge')).toEqual({ users: 1, measurements: 1, skipped: 1 });
+        const restored = await db.users.where('name').equals('Anna').first();
+        expect(restored).toMatchObject({ height: 170, targetWeight: 65 });
+        expect(await db.measurements.where('userId').equals(restored.id).toArray()).toEqual([
+            expect.objectContaining({ weight: 68.4, note: 'ráno', tags: ['beh'] })
+        ]);
+        expect(await db.measurements.count()).toBe(3);
+    });
+});
+
+describe('parseBackup', () => {
+    it('upgrades records from the first schema version', async () => {
+        const backup = await throughFile({
+            format: BACKUP_FORMAT,
+            backupVersion: 1,
+            schemaVersion: 1,
+            tables: {
+                users: [{ id: 1, name: 'Anna', height: 170 }],
+                measurements: [{ id: 1, weight: 68.4, bmi: 23.7, createdAt: '2023-01-05T07:00:00.000Z' }]
+            }
+        });
+        expect(backup.tables.measurements).toEqual([{
+            id: 1,
+            userId: 1,
+            weight: 68.4,
+            bmi: 23.7,
+            impedance: null,
+            ...EMPTY_BODY_COMPOSITION,
+            createdAt: new Date('2023-01-05T07:00:00.000Z'),
+            source: 'scale',
+            note: '',
+            tags: [],
+            status: null
+        }]);
+
+        // syncId a changeId doplní databáza pri zápise
+        await restoreBackup(backup, 'replace');
+        const [measurement] = await db.measurements.toArray();
+        expect(measurement.syncId).toBeTruthy();
+        expect(measurement.changeId).toBeTruthy();
+    });
+
+    it('rejects files it cannot restore', () => {
+        const valid = { format: BACKUP_FORMAT, backupVersion: 1, schemaVersion: 1, tables: { users: [], measurements: [] } };
+        expect(() => parseBackup('{')).toThrow();
+        expect(() => parseBackup(JSON.stringify({ ...valid, format: 'other' }))).toThrow();
+        expect(() => parseBackup(JSON.stringify({ ...valid, backupVersion: 99 }))).toThrow();
+        expect(() => parseBackup(JSON.stringify({ ...valid, tables: { users: [] } }))).toThrow();
+        expect(() => parseBackup(JSON.stringify({
+            ...valid,
+            tables: { users: [], measurements: [{ weight: 70, createdAt: '2024-03-01', userId: 7 }] }
+        }))).toThrow();
+        expect(parseBackup(JSON.stringify(valid)).tables).toEqual({ users: [], measurements: [] });
+    });
+});
@@ -1,25 +1,22 @@
 /**
- * Web Bluetooth Logic for Xiaomi Mi Smart Scale 2
+ * Pripojenie k váham cez Web Bluetooth (alebo iný transport, napr. simulovanú
+ * váhu). Samotné protokoly jednotlivých modelov sú v src/scales (registry driverov).
  */
 
-const WEIGHT_SCALE_SERVICE_UUID = 0x181d;
-const BODY_COMPOSITION_SERVICE_UUID = 0x181b;
+import { getRequestOptions, selectDriver } from './scales';
+import { webBluetoothTransport } from './scales/transport';
+import { t } from './i18n';
 
-const WEIGHT_MEASUREMENT_CHAR_UUID = 0x2a9d; // Pre 0x181d
-const BODY_COMP_MEASUREMENT_CHAR_UUID = 0x2a9c; // Pre 0x181b
-
-export const requestScale = async () => {
+export const requestScale = async (transport = webBluetoothTransport) => {
     try {
-        if (!navigator.bluetooth) {
-            throw new Error("Web Bluetooth nie je podporovaný v tomto prehliadači.");
+        if (!transport.isAvailable()) {
+            throw new Error(t('errors.scale.bluetoothUnsupported'));
         }
 
-        const device = await navigator.bluetooth.requestDevice({
-            filters: [
-                { services: [WEIGHT_SCALE_SERVICE_UUID] },
-                { services: [BODY_COMPOSITION_SERVICE_UUID] }
-            ],
-            optionalServices: ['generic_access']
+        const { filters, optionalServices } = getRequestOptions();
+        const device = await transport.requestDevice({
+            filters,
+            optionalServices: [...optionalServices, 'generic_access']
         });
         return device;
     } catch (error) {
@@ -28,70 +25,241 @@ export const requestScale = async () => {
     }
 };
 
-export const subscribeToWeight = async (device, onData) => {
-    const server = await device.gatt.connect();
+/**
+ * Chyba s menom, podľa ktorého ju UI rozlíši (UnsupportedScaleError,
+ * ScaleDisconnectedError, ScaleTimeoutError, AbortError)
+ */
+export const createScaleError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+};
 
-    // Zistíme, ktorá služba je dostupná
-    let service;
-    let charUUID;
+export const createAbortError = () => createScaleError('AbortError', t('errors.scale.aborted'));
 
+/**
+ * Spárovaná váha, ku ktorej už máme povolenie – bez zobrazenia výberu zariadenia
+ * @param {string} deviceId
+ * @returns {Promise<BluetoothDevice|null>}
+ */
+export const getRememberedScale = async (deviceId, transport = webBluetoothTransport) => {
+    if (!deviceId || !transport.isAvailable()) return null;
     try {
-        service = await server.getPrimaryService(WEIGHT_SCALE_SERVICE_UUID);
-        charUUID = WEIGHT_MEASUREMENT_CHAR_UUID;
-    } catch (e) {
-        service = await server.getPrimaryService(BODY_COMPOSITION_SERVICE_UUID);
-        charUUID = BODY_COMP_MEASUREMENT_CHAR_UUID;
+        const devices = await transport.getDevices();
+        return devices.find(d => d.id === deviceId) || null;
+    } catch (error) {
+        console.error("Bluetooth getDevices Error:", error);
+        return null;
+    }
+};
+
+/**
+ * Počká, kým sa zapamätaná váha ozve (po zobudení vysiela advertisementy).
+ * Ak prehliadač watchAdvertisements nepodporuje, vráti hneď false –
+ * pripojenie sa potom skúša priamo.
+ * @param {BluetoothDevice} device
+ * @param {{ signal?: AbortSignal, timeoutMs?: number }} [options]
+ * @returns {Promise<boolean>} či prišiel advertisement
+ */
+export const waitForAdvertisement = (device, { signal, timeoutMs = 30000 } = {}) => new Promise((resolve, reject) => {
+    if (!device.watchAdvertisements) {
+        resolve(false);
+        return;
+    }
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
     }
 
-    const characteristic = await service.getCharacteristic(charUUID);
+    const watch = new AbortController();
+    let timer = null;
+    const finish = (result) => {
+        clearTimeout(timer);
+        watch.abort();
+        device.removeEventListener('advertisementreceived', handleAdvertisement);
+        signal?.removeEventListener('abort', handleAbort);
+        if (result instanceof Error) reject(result);
+        else resolve(result);
+    };
+    const handleAdvertisement = () => finish(true);
+    const handleAbort = () => finish(createAbortError());
 
+    timer = setTimeout(() => finish(false), timeoutMs);
+    device.addEventListener('advertisementreceived', handleAdvertisement);
+    signal?.addEventListener('abort', handleAbort);
+    device.watchAdvertisements({ signal: watch.signal }).catch(() => finish(false));
+});
 
-    await characteristic.startNotifications();
+/**
+ * Zruší povolenie pre spárovanú váhu (ak to prehliadač podporuje)
+ * @param {string} deviceId
+ */
+export const forgetScale = async (deviceId, transport = webBluetoothTransport) => {
+    if (!transport.isAvailable()) return false;
+    const devices = await transport.getDevices();
+    const device = devices.find(d => d.id === deviceId);
+    if (!device?.forget) return false;
+    await device.forget();
+    return true;
+};
 
-    characteristic.addEventListener('characteristicvaluechanged', (event) => {
+/**
+ * Pripojí sa k váhe, vyberie driver podľa ponúkaných služieb a posiela
+ * dekódované merania do onData
+ * @param {BluetoothDevice} device
+ * @param {(reading: object) => void} onData
+ * @param {object} [callbacks]
+ * @param {(driver: { id: string, name: string }) => void} [callbacks.onDriver] - ktorý driver sa použil
+ * @param {() => void} [callbacks.onDisconnect] - váha sa odpojila sama (nie cez vrátenú funkciu)
+ * @returns {Promise<() => void>} funkcia na odpojenie
+ */
+export const subscribeToWeight = async (device, onData, { onDriver, onDisconnect } = {}) => {
+    const server = await device.gatt.connect();
+
+    // Charakteristika môže prežiť opätovné pripojenie – handler preto pri
+    // odpojení aj zatvorení odoberáme, inak by sa každé meranie doručilo viackrát
+    let characteristic = null;
+    let driver = null;
+    let session = null;
+    const handleValue = (event) => {
         const value = event.target.value; // DataView
-        const result = parseScaleData(value);
+        const result = driver.decode(value, session);
         if (result) onData(result);
-    });
+    };
 
-    return () => {
-        characteristic.stopNotifications();
+    let closing = false;
+    const handleDisconnect = () => {
+        device.removeEventListener('gattserverdisconnected', handleDisconnect);
+        characteristic?.removeEventListener('characteristicvaluechanged', handleValue);
+        if (!closing) onDisconnect?.();
+    };
+    device.addEventListener('gattserverdisconnected', handleDisconnect);
+
+    const close = () => {
+        closing = true;
+        device.removeEventListener('gattserverdisconnected', handleDisconnect);
+        if (characteristic) {
+            characteristic.removeEventListener('characteristicvaluechanged', handleValue);
+            characteristic.stopNotifications().catch(() => {});
+        }
         server.disconnect();
     };
+
+    try {
+        const services = await server.getPrimaryServices();
+        const match = selectDriver(device.name, services.map(s => s.uuid));
+        if (!match) {
+            throw createScaleError(
+                'UnsupportedScaleError',
+                device.name ? t('errors.scale.unsupportedNamed', { name: device.name }) : t('errors.scale.unsupported')
+            );
+        }
+        const { profile } = match;
+        driver = match.driver;
+        onDriver?.({ id: driver.id, name: driver.name });
+
+        const service = await server.getPrimaryService(profile.service);
+        characteristic = await service.getCharacteristic(profile.notify);
+
+        const writable = new Map();
+        session = {
+            profile,
+            state: {},
+            write: async (charUUID, bytes) => {
+                if (!writable.has(charUUID)) {
+                    writable.set(charUUID, await service.getCharacteristic(charUUID));
+                }
+                const target = writable.get(charUUID);
+                try {
+                    await (target.writeValueWithoutResponse ? target.writeValueWithoutResponse(bytes) : target.writeValue(bytes));
+                } catch (error) {
+                    console.error("Bluetooth Write Error:", error);
+                }
+            }
+        };
+
+        characteristic.addEventListener('characteristicvaluechanged', handleValue);
+        await characteristic.startNotifications();
+        if (driver.init) await driver.init(session);
+    } catch (error) {
+        // Neúspešné nastavenie nesmie nechať otvorené spojenie ani listener,
+        // ktorý by neskôr ohlásil odpojenie a spustil ďalší pokus
+        close();
+        throw error;
+    }
+
+    return close;
 };
 
+// Ako dlho čakáme na koniec prenosu pamäte meraní
+const HISTORY_TIMEOUT_MS = 20000;
+
 /**
- * Parsovanie dát z DataView (GATT Characteristic)
- * @param {DataView} data 
+ * Stiahne merania, ktoré si váha uložila, kým nebol pripojený telefón.
+ * Spojenie zostáva otvorené, aby sa dali merania potvrdiť až po uložení.
+ * @param {BluetoothDevice} device
+ * @param {{ clientId: number, timeoutMs?: number }} options - clientId: 16-bitové id tejto aplikácie
+ * @returns {Promise<{ records: object[], acknowledge: () => Promise<void>, close: () => void }>}
  */
-const parseScaleData = (data) => {
-    if (data.byteLength < 3) return null;
-
-    // Byte 0: Flags
-    // Bit 0: Units (0 = kg, 1 = lbs)
-    // Bit 1: Timestamp present
-    // Bit 2: ID present
-    const flags = data.getUint8(0);
-    const isLbs = (flags & 0x01) !== 0;
-
-    // Byte 1-2: Weight (UINT16, Little Endian)
-    // Xiaomi Mi Scale 2 (GATT standard) uses multiplier 0.005 for kg
-    // But some versions use 0.01. The user's snippet used / 200.0 (which is * 0.005)
-    const rawWeight = data.getUint16(1, true);
-    let weight = rawWeight * 0.005;
-
-    if (isLbs) {
-        weight = rawWeight * 0.01; // lbs often use different multiplier
-    }
+export const readScaleHistory = async (device, { clientId, timeoutMs = HISTORY_TIMEOUT_MS }) => {
+    const server = await device.gatt.connect();
 
-    // Stabilita v GATT dátach býva indikovaná v Byte 0 (Flags) 
-    // alebo proste tým, že prídu finálne dáta.
+    try {
+        const services = await server.getPrimaryServices();
+        const match = selectDriver(device.name, services.map(s => s.uuid));
+        if (!match?.driver.history) {
+            throw createScaleError('UnsupportedScaleError', t('errors.scale.noHistory'));
+        }
+        const { history } = match.driver;
 
-    return {
-        weight: Math.round(weight * 100) / 100,
-        isStable: true, // GATT notifications usually mean stable/measurement ready
-        unit: isLbs ? 'lbs' : 'kg'
-    };
+        const service = await server.getPrimaryService(history.service);
+        const characteristic = await service.getCharacteristic(history.characteristic);
+        const write = async (packets) => {
+            for (const bytes of packets) {
+                await characteristic.writeValue(new Uint8Array(bytes));
+            }
+        };
+
+        const records = await new Promise((resolve, reject) => {
+            const collected = [];
+            const finish = (error) => {
+                clearTimeout(timer);
+                characteristic.removeEventListener('characteristicvaluechanged', handleValue);
+                device.removeEventListener('gattserverdisconnected', handleDisconnect);
+                if (error) reject(error);
+                else resolve(collected);
+            };
+            const handleValue = (event) => {
+                const result = history.decode(event.target.value);
+                collected.push(...result.records);
+                if (result.done) finish();
+            };
+            const handleDisconnect = () => finish(
+                createScaleError('ScaleDisconnectedError', t('errors.scale.historyDisconnected'))
+            );
+            const timer = setTimeout(() => finish(
+                createScaleError('ScaleTimeoutError', t('errors.scale.historyTimeout'))
+            ), timeoutMs);
+
+            characteristic.addEventListener('characteristicvaluechanged', handleValue);
+            device.addEventListener('gattserverdisconnected', handleDisconnect);
+            characteristic.startNotifications()
+                .then(() => write(history.request(clientId)))
+                .catch(finish);
+        });
+
+        return {
+            records,
+            acknowledge: () => write(history.acknowledge(clientId)),
+            close: () => {
+                characteristic.stopNotifications().catch(() => {});
+                server.disconnect();
+            }
+        };
+    } catch (error) {
+        server.disconnect();
+        throw error;
+    }
 };
 
 // Pomocné výpočty
@@ -101,10 +269,3 @@ export const calculateBMI = (weight, height) => {
     const bmi = weight / (heightInMeters * heightInMeters);
     return Math.round(bmi * 10) / 10;
 };
-
-export const getBMICategory = (bmi) => {
-    if (bmi < 18.5) return { label: 'Podváha', color: '#60a5fa', status: 'blue' };
-    if (bmi < 25) return { label: 'Normálna', color: '#4ade80', status: 'green' };
-    if (bmi < 30) return { label: 'Nadváha', color: '#fb923c', status: 'orange' };
-    return { label: 'Obezita', color: '#f87171', status: 'red' };
-};
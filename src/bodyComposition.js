@@ -0,0 +1,155 @@
+/**
+ * Výpočet zloženia tela z bioelektrickej impedancie
+ * (vzorce zhodné s aplikáciou Mi Fit / Zepp Life pre Mi Body Composition Scale 2)
+ */
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Dátum narodenia z profilu. Dátum bez času (YYYY-MM-DD z <input type="date">)
+ * je miestny deň – new Date by ho vzal ako polnoc UTC a západne od Greenwichu
+ * by narodeniny pripadli o deň skôr (na predošlý večer).
+ * @param {string|Date} birthDate
+ * @returns {Date|null}
+ */
+export const parseBirthDate = (birthDate) => {
+    if (!birthDate) return null;
+    const birth = /^\d{4}-\d{2}-\d{2}$/.test(birthDate) ? new Date(`${birthDate}T00:00`) : new Date(birthDate);
+    return isNaN(birth) ? null : birth;
+};
+
+/**
+ * Vek v celých rokoch k zadanému dátumu
+ * @param {string|Date} birthDate
+ * @param {Date} [at]
+ */
+export const getAge = (birthDate, at = new Date()) => {
+    const birth = parseBirthDate(birthDate);
+    if (!birth) return null;
+    let age = at.getFullYear() - birth.getFullYear();
+    const monthDiff = at.getMonth() - birth.getMonth();
+    if (monthDiff < 0 || (monthDiff === 0 && at.getDate() < birth.getDate())) age--;
+    return age;
+};
+
+const getLBMCoefficient = ({ weight, impedance, height, age }) => {
+    let lbm = (height * 9.058 / 100) * (height / 100);
+    lbm += weight * 0.32 + 12.226;
+    lbm -= impedance * 0.0068;
+    lbm -= age * 0.0542;
+    return lbm;
+};
+
+const getBodyFat = (input) => {
+    const { weight, height, age, sex } = input;
+    const isFemale = sex === 'female';
+
+    let lbmSub = 0.8;
+    if (isFemale) lbmSub = age <= 49 ? 9.25 : 7.25;
+
+    let coefficient = 1.0;
+    if (!isFemale && weight < 61) {
+        coefficient = 0.98;
+    } else if (isFemale && weight > 60) {
+        coefficient = 0.96;
+        if (height > 160) coefficient *= 1.03;
+    } else if (isFemale && weight < 50) {
+        coefficient = 1.02;
+        if (height > 160) coefficient *= 1.03;
+    }
+
+    const bodyFat = (1 - ((getLBMCoefficient(input) - lbmSub) * coefficient) / weight) * 100;
+    return clamp(bodyFat, 5, 75);
+};
+
+const getBoneMass = (input) => {
+    const isFemale = input.sex === 'female';
+    const base = isFemale ? 0.245691014 : 0.18016894;
+
+    let boneMass = (base - getLBMCoefficient(input) * 0.05158) * -1;
+    boneMass += boneMass > 2.2 ? 0.1 : -0.1;
+
+    return clamp(boneMass, 0.5, isFemale ? 5.1 : 5.2);
+};
+
+const getVisceralFat = ({ weight, height, age, sex }) => {
+    let visceralFat;
+
+    if (sex === 'female') {
+        if (weight > (13 - height * 0.5) * -1) {
+            const subsubcalc = height * 1.45 + height * 0.1158 * height - 120;
+            const subcalc = weight * 500 / subsubcalc;
+            visceralFat = subcalc - 6 + age * 0.07;
+        } else {
+            const subcalc = 0.691 + height * -0.0024 + height * -0.0024;
+            visceralFat = (height * 0.027 - subcalc * weight) * -1 + age * 0.07 - age;
+        }
+    } else if (height < weight * 1.6) {
+        const subcalc = (height * 0.4 - height * (height * 0.0826)) * -1;
+        visceralFat = weight * 305 / (subcalc + 48) - 2.9 + age * 0.15;
+    } else {
+        const subcalc = 0.765 + height * -0.0015;
+        visceralFat = (height * 0.143 - weight * subcalc) * -1 + age * 0.15 - 5;
+    }
+
+    return clamp(visceralFat, 1, 50);
+};
+
+const getBMR = ({ weight, height, age, sex }) => {
+    const bmr = sex === 'female'
+        ? 864.6 + weight * 10.2036 - height * 0.39336 - age * 6.204
+        : 877.8 + weight * 14.916 - height * 0.726 - age * 8.976;
+    return clamp(bmr, 500, 5000);
+};
+
+const getMetabolicAge = ({ weight, impedance, height, age, sex }) => {
+    const metabolicAge = sex === 'female'
+        ? height * -1.1165 + weight * 1.5784 + age * 0.4615 + impedance * 0.0415 + 83.2548
+        : height * -0.7471 + weight * 0.9161 + age * 0.4184 + impedance * 0.0517 + 54.2267;
+    return clamp(metabolicAge, 15, 80);
+};
+
+/**
+ * Zloženie tela pre jedno meranie. Ak chýba impedancia alebo údaje v profile,
+ * prípadne sú mimo rozsahu, pre ktorý vzorce platia, vráti null.
+ * @param {{ weight: number, impedance: number, height: number, age: number, sex: 'male'|'female' }} input
+ */
+export const calculateBodyComposition = (input) => {
+    const { weight, impedance, height, age, sex } = input;
+
+    if (!weight || !impedance || !height || age == null || !sex) return null;
+    if (weight < 10 || weight > 200 || impedance >= 3000 || height > 220 || age < 6 || age > 99) return null;
+
+    const bodyFat = getBodyFat(input);
+    const boneMass = getBoneMass(input);
+    const fatMass = weight * bodyFat / 100;
+    const leanMass = weight - fatMass;
+    const muscleMass = leanMass - boneMass;
+    const water = (100 - bodyFat) * 0.7;
+
+    return {
+        bodyFat: round1(bodyFat),
+        leanMass: round1(leanMass),
+        muscleMass: round1(muscleMass),
+        water: round1(water * (water < 50 ? 1.02 : 0.98)),
+        boneMass: round1(boneMass),
+        visceralFat: Math.round(getVisceralFat(input)),
+        bmr: Math.round(getBMR(input)),
+        metabolicAge: Math.round(getMetabolicAge(input))
+    };
+};
+
+/**
+ * Prázdne hodnoty zloženia tela – pre merania bez impedancie
+ */
+export const EMPTY_BODY_COMPOSITION = {
+    bodyFat: null,
+    leanMass: null,
+    muscleMass: null,
+    water: null,
+    boneMass: null,
+    visceralFat: null,
+    bmr: null,
+    metabolicAge: null
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { calculateBodyComposition, getAge } from './bodyComposition';
+
+const MAN = { weight: 80.5, impedance: 500, height: 180, age: 35, sex: 'male' };
+const WOMAN = { weight: 62, impedance: 550, height: 165, age: 30, sex: 'female' };
+
+describe('calculateBodyComposition', () => {
+    // Referenčné výsledky vzorcov – každá zmena vzorca sa prejaví tu
+    it('computes every metric for a man and a woman', () => {
+        expect(calculateBodyComposition(MAN)).toEqual({
+            bodyFat: 23.9,
+            leanMass: 61.2,
+            muscleMass: 58.1,
+            water: 52.2,
+            boneMass: 3.1,
+            visceralFat: 14,
+            bmr: 1634,
+            metabolicAge: 34
+        });
+        expect(calculateBodyComposition(WOMAN)).toEqual({
+            bodyFat: 32.8,
+            leanMass: 41.6,
+            muscleMass: 39.1,
+            water: 48,
+            boneMass: 2.5,
+            visceralFat: 1,
+            bmr: 1246,
+            metabolicAge: 34
+        });
+    });
+
+    it('reports more body fat for a higher impedance', () => {
+        const lower = calculateBodyComposition(MAN);
+        const higher = calculateBodyComposition({ ...MAN, impedance: 600 });
+        expect(higher.bodyFat).toBeGreaterThan(lower.bodyFat);
+        expect(higher.muscleMass).toBeLessThan(lower.muscleMass);
+    });
+
+    it('keeps lean and fat mass adding up to the weight', () => {
+        const { bodyFat, leanMass } = calculateBodyComposition(MAN);
+        expect(leanMass + MAN.weight * bodyFat / 100).toBeCloseTo(MAN.weight, 0);
+    });
+
+    it('returns null without impedance, profile data or outside the valid range', () => {
+        expect(calculateBodyComposition({ ...MAN, impedance: null })).toBeNull();
+        expect(calculateBodyComposition({ ...MAN, sex: null })).toBeNull();
+        expect(calculateBodyComposition({ ...MAN, age: null })).toBeNull();
+        expect(calculateBodyComposition({ ...MAN, age: 5 })).toBeNull();
+        expect(calculateBodyComposition({ ...MAN, weight: 201 })).toBeNull();
+        expect(calculateBodyComposition({ ...MAN, impedance: 3000 })).toBeNull();
+    });
+});
+
+describe('getAge', () => {
+    it('counts a year only from the birthday on', () => {
+        expect(getAge('1990-04-02', new Date(2024, 3, 1))).toBe(33);
+        expect(getAge('1990-04-02', new Date(2024, 3, 2))).toBe(34);
+        expect(getAge('1990-04-02', new Date(2024, 2, 15))).toBe(33);
+    });
+
+    it('turns a year older at local midnight of the birthday', () => {
+        expect(getAge('2004-03-01', new Date(2024, 1, 29, 23, 59))).toBe(19);
+        expect(getAge('2004-03-01', new Date(2024, 2, 1, 0, 0))).toBe(20);
+    });
+
+    it('returns null for a missing or invalid date', () => {
+        expect(getAge(null)).toBeNull();
+        expect(getAge('not a date')).toBeNull();
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Podklady pre obrazovku grafov – rozsahy, metriky na druhej osi, súhrny
+ * po týždňoch a mesiacoch, prerušenie čiary pri dlhšej pauze a priblíženie
+ * časovej osi
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CHART_RANGES = [
+    { value: '1w', labelKey: 'charts.ranges.1w', days: 7 },
+    { value: '1m', labelKey: 'charts.ranges.1m', days: 30 },
+    { value: '3m', labelKey: 'charts.ranges.3m', days: 91 },
+    { value: '1y', labelKey: 'charts.ranges.1y', days: 365 },
+    { value: 'all', labelKey: 'charts.ranges.all', days: null }
+];
+
+// kind určuje formátovanie: mass – hmotnosť v kg (prepočíta sa na jednotku), percent, number
+export const CHART_METRICS = [
+    { value: 'bmi', labelKey: 'charts.bmi', kind: 'number', digits: 1 },
+    { value: 'bodyFat', labelKey: 'composition.bodyFat', kind: 'percent', digits: 1 },
+    { value: 'muscleMass', labelKey: 'composition.muscle', kind: 'mass', digits: 1 },
+    { value: 'water', labelKey: 'composition.water', kind: 'percent', digits: 1 },
+    { value: 'boneMass', labelKey: 'composition.boneMass', kind: 'mass', digits: 1 },
+    { value: 'leanMass', labelKey: 'composition.leanMass', kind: 'mass', digits: 1 },
+    { value: 'visceralFat', labelKey: 'composition.visceralFat', kind: 'number', digits: 0 },
+    { value: 'bmr', labelKey: 'composition.bmr', kind: 'number', digits: 0 },
+    { value: 'metabolicAge', labelKey: 'composition.metabolicAge', kind: 'number', digits: 0 }
+];
+
+// gapDays – dlhšia pauza medzi bodmi preruší čiaru
+export const CHART_GROUPINGS = [
+    { value: 'none', labelKey: 'charts.groupings.none', gapDays: 14 },
+    { value: 'week', labelKey: 'charts.groupings.week', gapDays: 28 },
+    { value: 'month', labelKey: 'charts.groupings.month', gapDays: 93 }
+];
+
+/**
+ * Predvolené zoskupenie podľa dĺžky zobrazeného obdobia – pri dlhých
+ * obdobiach by jednotlivé merania splynuli
+ * @param {number} spanDays
+ */
+export const defaultGrouping = (spanDays) => {
+    if (spanDays > 2 * 365) return 'month';
+    if (spanDays > 120) return 'week';
+    return 'none';
+};
+
+// Začiatok týždňa (pondelok) alebo mesiaca v lokálnom čase
+const periodStart = (date, grouping) => {
+    if (grouping === 'month') return new Date(date.getFullYear(), date.getMonth(), 1);
+    const day = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - day);
+};
+
+// Priemer, minimum a maximum hodnôt, ktoré meranie má (null, ak nemá žiadne)
+const summarize = (values) => {
+    const present = values.filter(value => value != null);
+    if (present.length === 0) return null;
+    return {
+        avg: present.reduce((sum, value) => sum + value, 0) / present.length,
+        min: Math.min(...present),
+        max: Math.max(...present)
+    };
+};
+
+/**
+ * Body grafu – jednotlivé merania alebo súhrny za týždeň / mesiac
+ * @param {object[]} measurements - ľubovoľné poradie
+ * @param {'none'|'week'|'month'} grouping
+ * @param {string|null} metric - kľúč z CHART_METRICS pre druhú os
+ * @returns {{ time: number, count: number, weight: { avg, min, max }, metric: { avg, min, max }|null }[]}
+ *          zoradené od najstaršieho, time je začiatok obdobia
+ */
+export const chartPoints = (measurements, grouping, metric = null) => {
+    const sorted = measurements
+        .slice()
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const groups = [];
+    for (const m of sorted) {
+        const date = new Date(m.createdAt);
+        const time = grouping === 'none' ? date.getTime() : periodStart(date, grouping).getTime();
+        if (grouping === 'none' || groups.length === 0 || groups[groups.length - 1].time !== time) {
+            groups.push({ time, items: [] });
+        }
+        groups[groups.length - 1].items.push(m);
+    }
+
+    return groups.map(({ time, items }) => ({
+        time,
+        count: items.length,
+        weight: summarize(items.map(m => m.weight)),
+        metric: metric ? summarize(items.map(m => m[metric])) : null
+    }));
+};
+
+/**
+ * Vloží prázdny bod medzi body vzdialené viac ako `gapDays` – čiara sa tam
+ * preruší namiesto toho, aby pauzu v meraniach premostila
+ * @param {{ time: number }[]} points - zoradené od najstaršieho
+ */
+export const withGaps = (points, gapDays) => {
+    const result = [];
+    points.forEach((point, i) => {
+        const previous = points[i - 1];
+        if (previous && point.time - previous.time > gapDays * DAY_MS) {
+            result.push({ time: (previous.time + point.time) / 2, gap: true });
+        }
+        result.push(point);
+    });
+    return result;
+};
+
+/**
+ * Časový rozsah pre predvoľbu (pri "Všetko" od prvého merania)
+ * @returns {[number, number]} [od, do] v ms
+ */
+export const rangeBounds = (range, firstTime, now = Date.now()) => {
+    const { days } = CHART_RANGES.find(r => r.value === range);
+    if (days != null) return [now - days * DAY_MS, now];
+    return [Math.min(firstTime ?? now - DAY_MS, now - DAY_MS), now];
+};
+
+// Posunie okno dovnútra hraníc bez zmeny jeho šírky
+const clampDomain = (start, span, [min, max]) => {
+    const clamped = Math.min(Math.max(start, min), max - span);
+    return [clamped, clamped + span];
+};
+
+/**
+ * Priblíženie / oddialenie okolo bodu `anchor` (prsty pri pinch, kurzor pri kolieske)
+ * @param {[number, number]} domain - aktuálne zobrazené okno
+ * @param {number} factor - < 1 priblíži, > 1 oddiali
+ * @param {number} anchor - čas, ktorý zostane na mieste
+ * @param {[number, number]} bounds - okno nemôže byť širšie ako rozsah
+ */
+export const zoomDomain = (domain, factor, anchor, bounds, minSpan = DAY_MS) => {
+    const [start, end] = domain;
+    const span = Math.min(Math.max((end - start) * factor, minSpan), bounds[1] - bounds[0]);
+    const ratio = (anchor - start) / (end - start);
+    return clampDomain(anchor - ratio * span, span, bounds);
+};
+
+/**
+ * Posun okna o `delta` ms (ťahanie prstom)
+ */
+export const panDomain = (domain, delta, bounds) => clampDomain(domain[0] + delta, domain[1] - domain[0], bounds);
+
+/**
+ * Popisy časovej osi zarovnané na dni alebo začiatky mesiacov, najviac `maxTicks`
+ * @param {[number, number]} domain
+ * @returns {{ ticks: number[], monthly: boolean }} monthly – popisy sú mesiace
+ */
+export const timeTicks = ([start, end], maxTicks = 5) => {
+    const spanDays = (end - start) / DAY_MS;
+    const dayStep = [1, 2, 7, 14].find(step => spanDays / step <= maxTicks);
+    const ticks = [];
+
+    if (dayStep) {
+        const first = new Date(start);
+        const date = new Date(first.getFullYear(), first.getMonth(), first.getDate());
+        if (date.getTime() < start) date.setDate(date.getDate() + 1);
+        // Týždenné popisy vždy v pondelok
+        if (dayStep >= 7) date.setDate(date.getDate() + (8 - date.getDay()) % 7);
+        while (date.getTime() <= end) {
+            ticks.push(date.getTime());
+            date.setDate(date.getDate() + dayStep);
+        }
+        return { ticks, monthly: false };
+    }
+
+    const monthStep = [1, 2, 3, 6, 12, 24, 60].find(step => spanDays / 30.44 / step <= maxTicks) ?? 120;
+    // Poradové číslo mesiaca od roku 0, zaokrúhlené nahor na násobok kroku (štvrťroky od januára...)
+    const first = new Date(start);
+    let month = first.getFullYear() * 12 + first.getMonth();
+    if (new Date(first.getFullYear(), first.getMonth(), 1).getTime() < start) month += 1;
+    month = Math.ceil(month / monthStep) * monthStep;
+    for (; new Date(Math.floor(month / 12), month % 12, 1).getTime() <= end; month += monthStep) {
+        ticks.push(new Date(Math.floor(month / 12), month % 12, 1).getTime());
+    }
+    return { ticks, monthly: true };
+};
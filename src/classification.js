@@ -0,0 +1,202 @@
+/**
+ * Klasifikácia BMI podľa veku, pohlavia a populácie – percentily BMI-for-age
+ * (CDC) pre deti a mladistvých, hranice WHO pre dospelých, voliteľne ázijské
+ * hranice WHO, a rozsah zdravej váhy pre danú výšku
+ */
+import { parseBirthDate } from './bodyComposition';
+import { t } from './i18n';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BMI_STANDARDS = [
+    { value: 'who', labelKey: 'settings.bmiStandards.who' },
+    { value: 'asian', labelKey: 'settings.bmiStandards.asian' }
+];
+
+// BMI-for-age platí od 2 rokov, od 20 rokov sa používajú hranice pre dospelých
+export const CHILD_MIN_AGE = 2;
+export const ADULT_AGE = 20;
+
+// Hranice pre dospelých: [podváha/normálna, normálna/nadváha, nadváha/obezita]
+const ADULT_CUTOFFS = {
+    who: [18.5, 25, 30],
+    // WHO Expert Consultation 2004 – vyššie riziko pri nižšom BMI v ázijskej populácii
+    asian: [18.5, 23, 27.5]
+};
+
+/**
+ * CDC 2000 BMI-for-age – BMI na 5., 50., 85. a 95. percentile v celých rokoch veku
+ * (medzi rokmi sa interpoluje lineárne)
+ * [vek, P5, P50, P85, P95]
+ */
+const BMI_FOR_AGE = {
+    male: [
+        [2, 14.7, 16.5, 18.2, 19.3],
+        [3, 14.3, 16.0, 17.4, 18.3],
+        [4, 14.0, 15.7, 17.0, 17.8],
+        [5, 13.8, 15.5, 16.8, 17.9],
+        [6, 13.7, 15.4, 17.0, 18.4],
+        [7, 13.7, 15.5, 17.4, 19.1],
+        [8, 13.8, 15.8, 17.9, 20.0],
+        [9, 14.0, 16.1, 18.6, 21.0],
+        [10, 14.2, 16.6, 19.4, 22.0],
+        [11, 14.5, 17.2, 20.2, 23.1],
+        [12, 15.0, 17.8, 21.0, 24.2],
+        [13, 15.5, 18.4, 21.8, 25.1],
+        [14, 16.0, 19.1, 22.6, 26.0],
+        [15, 16.6, 19.8, 23.4, 26.8],
+        [16, 17.1, 20.5, 24.2, 27.5],
+        [17, 17.7, 21.1, 24.9, 28.2],
+        [18, 18.2, 21.7, 25.6, 28.9],
+        [19, 18.7, 22.2, 26.3, 29.7],
+        [20, 19.1, 22.6, 27.0, 30.6]
+    ],
+    female: [
+        [2, 14.4, 16.1, 17.6, 18.7],
+        [3, 14.0, 15.6, 17.2, 18.3],
+        [4, 13.7, 15.4, 17.0, 18.0],
+        [5, 13.5, 15.2, 16.9, 18.3],
+        [6, 13.4, 15.2, 17.1, 18.8],
+        [7, 13.4, 15.4, 17.6, 19.7],
+        [8, 13.5, 15.7, 18.3, 20.7],
+        [9, 13.7, 16.1, 19.1, 21.8],
+        [10, 14.0, 16.6, 19.9, 22.9],
+        [11, 14.4, 17.2, 20.8, 24.1],
+        [12, 14.8, 17.8, 21.7, 25.2],
+        [13, 15.3, 18.4, 22.5, 26.2],
+        [14, 15.8, 19.0, 23.3, 27.2],
+        [15, 16.3, 19.6, 24.0, 28.1],
+        [16, 16.8, 20.1, 24.7, 28.9],
+        [17, 17.2, 20.5, 25.2, 29.6],
+        [18, 17.5, 20.9, 25.7, 30.3],
+        [19, 17.8, 21.3, 26.1, 31.0],
+        [20, 17.9, 21.7, 26.5, 31.8]
+    ]
+};
+
+// z-skóre percentilov v tabuľke (P5, P50, P85, P95)
+const PERCENTILE_Z = [-1.645, 0, 1.036, 1.645];
+
+const CATEGORIES = {
+    underweight: { key: 'underweight', color: '#60a5fa', status: 'blue' },
+    healthy: { key: 'healthy', color: '#4ade80', status: 'green' },
+    overweight: { key: 'overweight', color: '#fb923c', status: 'orange' },
+    obese: { key: 'obese', color: '#f87171', status: 'red' }
+};
+
+// Názov kategórie sa prekladá až pri klasifikácii – v aktuálnom jazyku
+const category = (key) => ({ ...CATEGORIES[key], label: t(`bmi.categories.${key}`) });
+
+/**
+ * Vek v rokoch (s desatinami) – pre interpoláciu tabuľky detských percentilov
+ * @param {string|Date} birthDate
+ * @param {Date} [at]
+ */
+export const getExactAge = (birthDate, at = new Date()) => {
+    const birth = parseBirthDate(birthDate);
+    if (!birth) return null;
+    return (new Date(at) - birth) / (365.25 * DAY_MS);
+};
+
+/**
+ * BMI na percentiloch P5, P50, P85, P95 pre vek; pri neznámom pohlaví priemer oboch tabuliek
+ */
+const percentileBMIs = (age, sex) => {
+    if (!BMI_FOR_AGE[sex]) {
+        const male = percentileBMIs(age, 'male');
+        const female = percentileBMIs(age, 'female');
+        return male.map((value, i) => (value + female[i]) / 2);
+    }
+
+    const table = BMI_FOR_AGE[sex];
+    const clamped = Math.min(Math.max(age, CHILD_MIN_AGE), ADULT_AGE);
+    const index = Math.min(Math.floor(clamped) - CHILD_MIN_AGE, table.length - 2);
+    const [age0, ...lower] = table[index];
+    const [, ...upper] = table[index + 1];
+    const fraction = clamped - age0;
+    return lower.map((value, i) => value + (upper[i] - value) * fraction);
+};
+
+// Aproximácia distribučnej funkcie normálneho rozdelenia (Abramowitz–Stegun 7.1.26)
+const normalCDF = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const k = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * k - 1.453152027) * k) + 1.421413741) * k - 0.284496736) * k + 0.254829592) * k * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Percentil BMI pre vek – z-skóre sa interpoluje medzi percentilmi tabuľky
+ * (mimo nich podľa najbližšieho úseku)
+ */
+const bmiPercentile = (bmi, cutoffs) => {
+    let i = 0;
+    while (i < cutoffs.length - 2 && bmi > cutoffs[i + 1]) i++;
+    const z = PERCENTILE_Z[i] + (bmi - cutoffs[i]) * (PERCENTILE_Z[i + 1] - PERCENTILE_Z[i]) / (cutoffs[i + 1] - cutoffs[i]);
+    return Math.min(Math.max(normalCDF(z) * 100, 0.1), 99.9);
+};
+
+/**
+ * Kontext pre klasifikáciu z profilu používateľa
+ * @param {object} user - profil (birthDate, sex, bmiStandard)
+ * @param {Date} [at] - čas merania
+ */
+export const classificationContext = (user, at = new Date()) => ({
+    age: getExactAge(user?.birthDate, at),
+    sex: user?.sex ?? null,
+    standard: user?.bmiStandard ?? 'who'
+});
+
+/**
+ * Kategória BMI. Deti a mladiství (2–20 rokov) podľa percentilu BMI-for-age,
+ * dospelí (alebo neznámy vek) podľa hraníc WHO, resp. ázijských.
+ * @param {number} bmi
+ * @param {{ age?: number|null, sex?: string|null, standard?: 'who'|'asian' }} [context]
+ * @returns {{ key: string, label: string, color: string, status: string,
+ *             percentile: number|null, reference: 'adult'|'bmi-for-age'|null }}
+ */
+export const getBMICategory = (bmi, { age = null, sex = null, standard = 'who' } = {}) => {
+    if (age != null && age < CHILD_MIN_AGE) {
+        // Pre batoľatá sa BMI nehodnotí (WHO používa váhu k dĺžke tela)
+        return { key: null, label: t('bmi.categories.notRated'), color: '#9ca3af', status: 'gray', percentile: null, reference: null };
+    }
+
+    if (age != null && age < ADULT_AGE) {
+        const cutoffs = percentileBMIs(age, sex);
+        const percentile = bmiPercentile(bmi, cutoffs);
+        // CDC: < P5 podváha, P85–P95 nadváha, ≥ P95 obezita
+        const key = bmi < cutoffs[0] ? 'underweight' : bmi < cutoffs[2] ? 'healthy' : bmi < cutoffs[3] ? 'overweight' : 'obese';
+        return { ...category(key), percentile: Math.round(percentile), reference: 'bmi-for-age' };
+    }
+
+    const [under, over, obese] = ADULT_CUTOFFS[standard] ?? ADULT_CUTOFFS.who;
+    const key = bmi < under ? 'underweight' : bmi < over ? 'healthy' : bmi < obese ? 'overweight' : 'obese';
+    return { ...category(key), percentile: null, reference: 'adult' };
+};
+
+/**
+ * Rozsah zdravej váhy (kg) pre výšku – pre dospelých BMI 18.5 až horná
+ * hranica normálnej váhy, pre deti BMI medzi 5. a 85. percentilom
+ * @param {number} height - v cm
+ * @param {{ age?: number|null, sex?: string|null, standard?: 'who'|'asian' }} [context]
+ * @returns {{ min: number, max: number }|null}
+ */
+export const getHealthyWeightRange = (height, { age = null, sex = null, standard = 'who' } = {}) => {
+    if (!height || (age != null && age < CHILD_MIN_AGE)) return null;
+
+    let minBMI;
+    let maxBMI;
+    if (age != null && age < ADULT_AGE) {
+        const cutoffs = percentileBMIs(age, sex);
+        minBMI = cutoffs[0];
+        maxBMI = cutoffs[2];
+    } else {
+        [minBMI, maxBMI] = ADULT_CUTOFFS[standard] ?? ADULT_CUTOFFS.who;
+    }
+
+    const meters = height / 100;
+    return {
+        min: Math.round(minBMI * meters * meters * 10) / 10,
+        max: Math.round(maxBMI * meters * meters * 10) / 10
+    };
+};
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { getExactAge, getBMICategory, classificationContext } from './classification';
+
+describe('getExactAge', () => {
+    it('counts from the local midnight of the birth date', () => {
+        expect(getExactAge('2004-03-01', new Date(2024, 2, 1))).toBe(20);
+        expect(getExactAge(null)).toBeNull();
+        expect(getExactAge('not a date')).toBeNull();
+    });
+});
+
+describe('classificationContext', () => {
+    // Večer pred 20. narodeninami platia percentily, ráno v deň narodenín hranice pre dospelých
+    it('switches to adult cutoffs on the 20th birthday in any time zone', () => {
+        const user = { sex: 'male', birthDate: '2004-03-01' };
+        const eve = classificationContext(user, new Date(2024, 1, 29, 20, 0));
+        const morning = classificationContext(user, new Date(2024, 2, 1, 7, 0));
+        expect(getBMICategory(22, eve).reference).toBe('bmi-for-age');
+        expect(getBMICategory(22, morning).reference).toBe('adult');
+    });
+});
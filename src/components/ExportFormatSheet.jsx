@@ -0,0 +1,37 @@
+import React from 'react';
+import { t } from '../i18n';
+import { EXPORT_FORMATS } from '../exporters';
+import { ChevronRight } from 'lucide-react';
+
+function ExportFormatSheet({ onSelect, onCancel }) {
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end justify-center z-50" onClick={onCancel}>
+      <div className="w-full max-w-md bg-[var(--ios-system-background)] rounded-t-3xl p-4 pb-10 space-y-4" onClick={e => e.stopPropagation()}>
+        <div className="text-center pt-2">
+          <h3 className="font-bold text-lg">{t('export.title')}</h3>
+          <p className="text-[var(--ios-secondary-label)] text-sm">{t('export.subtitle')}</p>
+        </div>
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          {EXPORT_FORMATS.map((format, index) => (
+            <button
+              key={format.value}
+              onClick={() => onSelect(format.value)}
+              className={`w-full p-4 flex justify-between items-center gap-4 text-left active:bg-[var(--ios-fill)] ${index !== EXPORT_FORMATS.length - 1 ? 'border-b-[0.5px] border-[var(--ios-separator)]' : ''}`}
+            >
+              <div className="flex flex-col">
+                <span className="font-semibold">{t(format.labelKey)}</span>
+                <span className="text-[var(--ios-secondary-label)] text-xs">{t(format.descriptionKey)}</span>
+              </div>
+              <ChevronRight className="w-5 h-5 text-[var(--ios-separator)] shrink-0" />
+            </button>
+          ))}
+        </div>
+        <button onClick={onCancel} className="w-full bg-[var(--ios-secondary-system-background)] text-red-500 font-semibold py-4 rounded-2xl shadow-sm active:opacity-60">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ExportFormatSheet;
@@ -0,0 +1,28 @@
+import React, { useEffect, useRef } from 'react';
+import { RefreshCw } from 'lucide-react';
+
+// Zavolá onVisible, keď sa koniec zoznamu dostane do viewportu
+function LoadMoreSentinel({ onVisible }) {
+  const ref = useRef(null);
+  const callbackRef = useRef(onVisible);
+
+  useEffect(() => {
+    callbackRef.current = onVisible;
+  }, [onVisible]);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) callbackRef.current();
+    }, { rootMargin: '400px' });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <div ref={ref} className="py-6 flex justify-center">
+      <RefreshCw className="w-5 h-5 text-[var(--ios-secondary-label)] animate-spin" />
+    </div>
+  );
+}
+
+export default LoadMoreSentinel;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { MEASUREMENT_STATUS } from '../anomaly';
+import { t } from '../i18n';
+import { entryUnit, kgToUnit, unitToKg } from '../units';
+import { X } from 'lucide-react';
+
+const SUGGESTED_TAGS = ['clothesOn', 'afterHoliday', 'afterMeal', 'evening'];
+
+// Hodnota pre <input type="datetime-local"> v lokálnom čase
+const toDateTimeInput = (value) => {
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Bottom sheet pre ručné pridanie alebo úpravu merania
+function MeasurementSheet({ measurement, unit, knownTags, onSave, onCancel }) {
+  const inputUnit = entryUnit(unit);
+  const initialWeight = measurement ? kgToUnit(measurement.weight, inputUnit).toFixed(1) : '';
+  const [form, setForm] = useState({
+    weight: initialWeight,
+    dateTime: toDateTimeInput(measurement ? measurement.createdAt : new Date()),
+    note: measurement?.note || '',
+    tags: measurement?.tags || [],
+    trusted: measurement ? measurement.status !== MEASUREMENT_STATUS.SUSPECT : true
+  });
+  const [tagInput, setTagInput] = useState('');
+
+  const addTag = (tag) => {
+    const normalized = tag.trim().toLowerCase();
+    if (normalized && !form.tags.includes(normalized)) setForm({ ...form, tags: [...form.tags, normalized] });
+    setTagInput('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      // Bez zmeny ponecháme pôvodnú váhu – prevod kg → lb → kg by ju zaokrúhlil
+      weight: measurement && form.weight === initialWeight ? measurement.weight : unitToKg(parseFloat(form.weight), inputUnit),
+      createdAt: new Date(form.dateTime),
+      note: form.note.trim(),
+      tags: form.tags,
+      ...(measurement && {
+        status: !form.trusted ? MEASUREMENT_STATUS.SUSPECT
+          : measurement.status === MEASUREMENT_STATUS.SUSPECT ? MEASUREMENT_STATUS.ACCEPTED
+            : measurement.status ?? null
+      })
+    });
+  };
+
+  const suggested = SUGGESTED_TAGS.map(key => t(`measurement.suggestedTags.${key}`));
+  const suggestions = [...new Set([...knownTags, ...suggested])].filter(tag => !form.tags.includes(tag));
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end justify-center z-50" onClick={onCancel}>
+      <form onSubmit={handleSubmit} className="w-full max-w-md bg-[var(--ios-system-background)] rounded-t-3xl p-4 pb-10 space-y-4" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-center pt-2 px-2">
+          <button type="button" onClick={onCancel} className="text-[var(--ios-system-blue)]">{t('common.cancel')}</button>
+          <h3 className="font-bold text-lg">{measurement ? t('measurement.editTitle') : t('measurement.addTitle')}</h3>
+          <button className="text-[var(--ios-system-blue)] font-semibold">{t('common.save')}</button>
+        </div>
+
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+            <span>{t('measurement.weight', { unit: inputUnit })}</span>
+            <input
+              required autoFocus={!measurement}
+              type="number" step="0.1" min="1"
+              className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+              value={form.weight}
+              onChange={e => setForm({ ...form, weight: e.target.value })}
+            />
+          </label>
+          <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+            <span>{t('measurement.date')}</span>
+            <input
+              required type="datetime-local"
+              className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+              value={form.dateTime}
+              max={toDateTimeInput(new Date())}
+              onChange={e => setForm({ ...form, dateTime: e.target.value })}
+            />
+          </label>
+          {measurement && (
+            <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('measurement.includeInTrends')}</span>
+              <input
+                type="checkbox"
+                className="w-5 h-5 accent-[var(--ios-system-blue)]"
+                checked={form.trusted}
+                onChange={e => setForm({ ...form, trusted: e.target.checked })}
+              />
+            </label>
+          )}
+          <div className="px-4 py-3">
+            <textarea
+              rows={2}
+              className="w-full bg-transparent text-[var(--ios-label)] focus:outline-none placeholder:text-[var(--ios-secondary-label)] resize-none"
+              placeholder={t('measurement.note')}
+              value={form.note}
+              onChange={e => setForm({ ...form, note: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-4 shadow-sm space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {form.tags.map(tag => (
+              <button
+                type="button" key={tag}
+                onClick={() => setForm({ ...form, tags: form.tags.filter(other => other !== tag) })}
+                className="px-2 py-1 rounded-md text-xs font-semibold bg-[rgba(var(--ios-system-blue-rgb),0.1)] text-[var(--ios-system-blue)] flex items-center gap-1"
+              >
+                {tag} <X className="w-3 h-3" />
+              </button>
+            ))}
+            <input
+              className="flex-1 min-w-[8rem] bg-transparent text-sm text-[var(--ios-label)] focus:outline-none placeholder:text-[var(--ios-secondary-label)]"
+              placeholder={t('measurement.addTag')}
+              value={tagInput}
+              onChange={e => setTagInput(e.target.value)}
+              onKeyDown={e => {
+                if (e.key === 'Enter' || e.key === ',') {
+                  e.preventDefault();
+                  addTag(tagInput);
+                }
+              }}
+              onBlur={() => addTag(tagInput)}
+            />
+          </div>
+          {suggestions.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {suggestions.map(tag => (
+                <button
+                  type="button" key={tag}
+                  onClick={() => addTag(tag)}
+                  className="px-2 py-1 rounded-md text-xs bg-[var(--ios-tertiary-system-background)] text-[var(--ios-secondary-label)]"
+                >
+                  + {tag}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default MeasurementSheet;
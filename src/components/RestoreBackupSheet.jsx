@@ -0,0 +1,44 @@
+import React from 'react';
+import { t } from '../i18n';
+import { showConfirm } from '../dialogs';
+import { formatDate } from '../format';
+
+// Načítaná záloha (výstup parseBackup) – voľba zlúčenia s dátami alebo ich nahradenia
+function RestoreBackupSheet({ backup, dateFormat, onRestore, onCancel }) {
+  const confirmReplace = async () => {
+    const confirmed = await showConfirm(t('backup.replaceConfirm'), {
+      confirmLabel: t('backup.replace'),
+      destructive: true
+    });
+    if (confirmed) onRestore('replace');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end justify-center z-50" onClick={onCancel}>
+      <div className="w-full max-w-md bg-[var(--ios-system-background)] rounded-t-3xl p-4 pb-10 space-y-4" onClick={e => e.stopPropagation()}>
+        <div className="text-center pt-2">
+          <h3 className="font-bold text-lg text-[var(--ios-label)]">{t('backup.restoreTitle')}</h3>
+          <p className="text-[var(--ios-secondary-label)] text-sm">
+            {t('backup.profiles', { count: backup.tables.users.length })} · {t('backup.measurements', { count: backup.tables.measurements.length })}
+            {backup.exportedAt && ` · ${formatDate(backup.exportedAt, dateFormat)}`}
+          </p>
+        </div>
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          <button onClick={() => onRestore('merge')} className="w-full p-4 text-left border-b-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)]">
+            <span className="block font-semibold text-[var(--ios-system-blue)]">{t('backup.merge')}</span>
+            <span className="block text-[var(--ios-secondary-label)] text-xs">{t('backup.mergeDescription')}</span>
+          </button>
+          <button onClick={confirmReplace} className="w-full p-4 text-left active:bg-[var(--ios-fill)]">
+            <span className="block font-semibold text-red-500">{t('backup.replace')}</span>
+            <span className="block text-[var(--ios-secondary-label)] text-xs">{t('backup.replaceDescription')}</span>
+          </button>
+        </div>
+        <button onClick={onCancel} className="w-full bg-[var(--ios-secondary-system-background)] text-[var(--ios-system-blue)] font-semibold py-4 rounded-2xl shadow-sm active:opacity-60">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RestoreBackupSheet;
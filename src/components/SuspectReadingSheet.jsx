@@ -0,0 +1,44 @@
+import React from 'react';
+import { t } from '../i18n';
+import { formatWeightWithUnit, formatMass } from '../units';
+import { AlertCircle } from 'lucide-react';
+
+function SuspectReadingSheet({ user, data, check, unit, canReassign, onAccept, onFlag, onReassign, onDiscard }) {
+  const message = check.expected != null
+    ? t(check.deviation > 0 ? 'suspect.above' : 'suspect.below', {
+      amount: formatMass(Math.abs(check.deviation), unit),
+      name: user.name,
+      expected: formatWeightWithUnit(check.expected, unit)
+    })
+    : t('suspect.unrealistic');
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end justify-center z-50" onClick={onDiscard}>
+      <div className="w-full max-w-md bg-[var(--ios-system-background)] rounded-t-3xl p-4 pb-10 space-y-4" onClick={e => e.stopPropagation()}>
+        <div className="text-center pt-2 space-y-1">
+          <AlertCircle className="w-8 h-8 text-orange-500 mx-auto" />
+          <h3 className="font-bold text-lg">{t('suspect.title', { weight: formatWeightWithUnit(data.weight, unit) })}</h3>
+          <p className="text-[var(--ios-secondary-label)] text-sm px-4">{message}</p>
+        </div>
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          <button onClick={onAccept} className="w-full p-4 text-left font-semibold text-[var(--ios-system-blue)] border-b-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)]">
+            {t('suspect.accept')}
+          </button>
+          {canReassign && (
+            <button onClick={onReassign} className="w-full p-4 text-left text-[var(--ios-system-blue)] border-b-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)]">
+              {t('suspect.someoneElse')}
+            </button>
+          )}
+          <button onClick={onFlag} className="w-full p-4 text-left text-[var(--ios-system-blue)] active:bg-[var(--ios-fill)]">
+            {t('suspect.exclude')}
+          </button>
+        </div>
+        <button onClick={onDiscard} className="w-full bg-[var(--ios-secondary-system-background)] text-red-500 font-semibold py-4 rounded-2xl shadow-sm active:opacity-60">
+          {t('common.discardReading')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SuspectReadingSheet;
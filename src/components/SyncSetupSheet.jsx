@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { t } from '../i18n';
+
+// Bottom sheet s nastavením synchronizácie (server a heslo na šifrovanie)
+function SyncSetupSheet({ initial, onConnect, onCancel }) {
+  const [form, setForm] = useState({ url: initial.url, username: initial.username, password: '', passphrase: '' });
+  const [connecting, setConnecting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setConnecting(true);
+    try {
+      await onConnect(form);
+    } finally {
+      setConnecting(false);
+    }
+  };
+
+  const field = (key, props) => (
+    <input
+      className="w-full bg-transparent text-[var(--ios-label)] focus:outline-none placeholder:text-[var(--ios-secondary-label)]"
+      value={form[key]}
+      onChange={e => setForm({ ...form, [key]: e.target.value })}
+      {...props}
+    />
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end justify-center z-50" onClick={onCancel}>
+      <form onSubmit={handleSubmit} className="w-full max-w-md bg-[var(--ios-system-background)] rounded-t-3xl p-4 pb-10 space-y-4" onClick={e => e.stopPropagation()}>
+        <div className="text-center pt-2">
+          <h3 className="font-bold text-lg text-[var(--ios-label)]">{t('sync.setup.title')}</h3>
+          <p className="text-[var(--ios-secondary-label)] text-sm px-4">
+            {t('sync.setup.subtitle')}
+          </p>
+        </div>
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          <div className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)]">
+            {field('url', { required: true, type: 'url', placeholder: t('sync.setup.url') })}
+          </div>
+          <div className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)]">
+            {field('username', { placeholder: t('sync.setup.username'), autoComplete: 'username' })}
+          </div>
+          <div className="px-4 py-3">
+            {field('password', { type: 'password', placeholder: t('sync.setup.password'), autoComplete: 'current-password' })}
+          </div>
+        </div>
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          <div className="px-4 py-3">
+            {field('passphrase', { required: true, type: 'password', placeholder: t('sync.setup.passphrase'), autoComplete: 'new-password' })}
+          </div>
+        </div>
+        <p className="text-[var(--ios-secondary-label)] text-xs px-4">
+          {t('sync.setup.encryptionNote')}
+        </p>
+        <button disabled={connecting} className="w-full bg-[var(--ios-system-blue)] text-white font-semibold py-4 rounded-2xl shadow-sm active:opacity-60 disabled:opacity-50">
+          {connecting ? t('sync.setup.connecting') : t('sync.setup.connect')}
+        </button>
+        <button type="button" onClick={onCancel} className="w-full bg-[var(--ios-secondary-system-background)] text-red-500 font-semibold py-4 rounded-2xl shadow-sm active:opacity-60">
+          {t('common.cancel')}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default SyncSetupSheet;
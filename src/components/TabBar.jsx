@@ -0,0 +1,33 @@
+import React from 'react';
+import { t } from '../i18n';
+import { navigate, useRoute } from '../router';
+import { Scale, ChartLine, History, Settings } from 'lucide-react';
+
+const TABS = [
+  { name: 'dashboard', path: '/', labelKey: 'nav.summary', Icon: Scale },
+  { name: 'charts', path: '/charts', labelKey: 'nav.charts', Icon: ChartLine },
+  { name: 'history', path: '/history', labelKey: 'nav.history', Icon: History },
+  { name: 'settings', path: '/settings', labelKey: 'nav.settings', Icon: Settings }
+];
+
+// Navigation Bar (iOS Tab Bar Style) – ťuknutie na aktuálnu záložku posunie obrazovku na začiatok
+function TabBar() {
+  const route = useRoute();
+
+  return (
+    <nav className="fixed bottom-0 left-0 right-0 bg-[var(--ios-secondary-system-background)]/80 backdrop-blur-xl border-t border-[var(--ios-separator)] px-6 pt-2 pb-8 flex justify-around items-center">
+      {TABS.map(tab => (
+        <button
+          key={tab.name}
+          onClick={() => (route.name === tab.name ? window.scrollTo({ top: 0, behavior: 'smooth' }) : navigate(tab.path))}
+          className={`flex flex-col items-center gap-1 ${route.name === tab.name ? 'text-[var(--ios-system-blue)]' : 'text-[var(--ios-secondary-label)] opacity-90'}`}
+        >
+          <tab.Icon className="w-7 h-7" />
+          <span className="text-[10px] font-bold">{t(tab.labelKey)}</span>
+        </button>
+      ))}
+    </nav>
+  );
+}
+
+export default TabBar;
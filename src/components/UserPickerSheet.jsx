@@ -0,0 +1,46 @@
+import React from 'react';
+import { t } from '../i18n';
+import { formatWeightWithUnit } from '../units';
+import { Check } from 'lucide-react';
+
+// Bottom sheet s výberom používateľa (priradenie merania)
+function UserPickerSheet({ title, subtitle, users, unit, ranked = [], selectedId, onSelect, onCancel, cancelLabel = t('common.cancel') }) {
+  const expectedFor = (id) => ranked.find(r => r.userId === id)?.expected;
+  const order = (u) => {
+    const index = ranked.findIndex(r => r.userId === u.id);
+    return index === -1 ? Infinity : index;
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-end justify-center z-50" onClick={onCancel}>
+      <div className="w-full max-w-md bg-[var(--ios-system-background)] rounded-t-3xl p-4 pb-10 space-y-4" onClick={e => e.stopPropagation()}>
+        <div className="text-center pt-2">
+          <h3 className="font-bold text-lg">{title}</h3>
+          {subtitle && <p className="text-[var(--ios-secondary-label)] text-sm">{subtitle}</p>}
+        </div>
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          {users.slice().sort((a, b) => order(a) - order(b)).map((u, index) => (
+            <button
+              key={u.id}
+              onClick={() => onSelect(u)}
+              className={`w-full p-4 flex justify-between items-center text-left active:bg-[var(--ios-fill)] ${index !== users.length - 1 ? 'border-b-[0.5px] border-[var(--ios-separator)]' : ''}`}
+            >
+              <div className="flex flex-col">
+                <span className="font-semibold">{u.name}</span>
+                {expectedFor(u.id) != null && (
+                  <span className="text-[var(--ios-secondary-label)] text-xs">{t('picker.usuallyAround', { weight: formatWeightWithUnit(expectedFor(u.id), unit) })}</span>
+                )}
+              </div>
+              {u.id === selectedId && <Check className="w-5 h-5 text-[var(--ios-system-blue)]" />}
+            </button>
+          ))}
+        </div>
+        <button onClick={onCancel} className="w-full bg-[var(--ios-secondary-system-background)] text-red-500 font-semibold py-4 rounded-2xl shadow-sm active:opacity-60">
+          {cancelLabel}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UserPickerSheet;
@@ -1,4 +1,8 @@
 import Dexie from 'dexie';
+import { calculateBMI } from './bluetooth';
+import { calculateBodyComposition, getAge, EMPTY_BODY_COMPOSITION } from './bodyComposition';
+import { isTrusted, MEASUREMENT_STATUS } from './anomaly';
+import { newSyncId, nextChangeId } from './sync/changeId';
 
 export const db = new Dexie('SmartScaleDB');
 
@@ -7,30 +11,300 @@ db.version(1).stores({
     measurements: '++id, userId, weight, bmi, createdAt'
 });
 
+// v2: zloženie tela z impedancie (tuk, svaly, voda, kosti, viscerálny tuk, BMR)
+db.version(2).stores({
+    users: '++id, name, height, targetWeight',
+    measurements: '++id, userId, weight, bmi, createdAt, impedance'
+}).upgrade(tx => {
+    return tx.table('measurements').toCollection().modify(m => {
+        if (m.impedance === undefined) m.impedance = null;
+        for (const key of Object.keys(EMPTY_BODY_COMPOSITION)) {
+            if (m[key] === undefined) m[key] = null;
+        }
+    });
+});
+
+// v3: viac používateľov – merania podľa používateľa zoradené podľa času
+db.version(3).stores({
+    users: '++id, name, height, targetWeight',
+    measurements: '++id, userId, weight, bmi, createdAt, impedance, [userId+createdAt]'
+}).upgrade(async tx => {
+    // Merania uložené hneď po onboardingu mohli ostať bez userId
+    const firstUser = await tx.table('users').orderBy('id').first();
+    if (!firstUser) return;
+    await tx.table('measurements')
+        .filter(m => m.userId == null)
+        .modify({ userId: firstUser.id });
+});
+
+// v4: ručné merania, poznámky a štítky (multiEntry index pre filtrovanie)
+db.version(4).stores({
+    users: '++id, name, height, targetWeight',
+    measurements: '++id, userId, weight, bmi, createdAt, impedance, [userId+createdAt], *tags'
+}).upgrade(tx => {
+    return tx.table('measurements').toCollection().modify(m => {
+        if (m.source === undefined) m.source = 'scale';
+        if (m.note === undefined) m.note = '';
+        if (m.tags === undefined) m.tags = [];
+    });
+});
+
+// v5: podozrivé merania (status 'suspect') sa nezapočítavajú do trendu a štatistík
+db.version(5).stores({
+    users: '++id, name, height, targetWeight',
+    measurements: '++id, userId, weight, bmi, createdAt, impedance, [userId+createdAt], *tags'
+}).upgrade(tx => {
+    return tx.table('measurements').toCollection().modify(m => {
+        if (m.status === undefined) m.status = null;
+    });
+});
+
+// v6: synchronizácia medzi zariadeniami (src/sync) – trvalé syncId záznamu, changeId
+// poslednej zmeny a lokálny stav synchronizácie
+db.version(6).stores({
+    users: '++id, name, height, targetWeight, syncId',
+    measurements: '++id, userId, weight, bmi, createdAt, impedance, [userId+createdAt], *tags, syncId',
+    syncState: 'key'
+}).upgrade(async tx => {
+    for (const table of ['users', 'measurements']) {
+        await tx.table(table).toCollection().modify(record => {
+            if (record.syncId === undefined) record.syncId = newSyncId();
+            if (record.changeId === undefined) record.changeId = nextChangeId();
+        });
+    }
+});
+
+// Odberatelia lokálnych zmien – automatická synchronizácia po úprave dát
+const changeListeners = new Set();
+
+export const onLocalChange = (listener) => {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+};
+
+const notifyOnCommit = (transaction) => {
+    transaction.on('complete', () => changeListeners.forEach(listener => listener()));
+};
+
+// Každý zápis do profilov a meraní dostane nové changeId, aby ho synchronizácia
+// odoslala. Záznamy zo synchronizácie už changeId majú – to sa neprepisuje.
+for (const table of [db.users, db.measurements]) {
+    table.hook('creating', (_primKey, record, transaction) => {
+        record.syncId ??= newSyncId();
+        if (record.changeId == null) {
+            record.changeId = nextChangeId();
+            notifyOnCommit(transaction);
+        }
+    });
+    table.hook('updating', (modifications, _primKey, _record, transaction) => {
+        if ('changeId' in modifications) return;
+        notifyOnCommit(transaction);
+        return { changeId: nextChangeId() };
+    });
+    table.hook('deleting', (_primKey, _record, transaction) => notifyOnCommit(transaction));
+}
+
+const ACTIVE_USER_KEY = 'smartscale.activeUserId';
+
 // Pomocné funkcie pre DB
-export const getUser = async () => {
+export const getUser = async (id) => {
+    if (id != null) {
+        const user = await db.users.get(id);
+        if (user) return user;
+    }
     return await db.users.orderBy('id').first();
 };
 
+export const getUsers = async () => {
+    return await db.users.orderBy('id').toArray();
+};
+
+export const getActiveUserId = () => {
+    const id = parseInt(localStorage.getItem(ACTIVE_USER_KEY));
+    return isNaN(id) ? null : id;
+};
+
+export const setActiveUserId = (id) => {
+    localStorage.setItem(ACTIVE_USER_KEY, String(id));
+};
+
 export const saveUser = async (user) => {
     return await db.users.put(user);
 };
 
 export const addMeasurement = async (measurement) => {
     return await db.measurements.add({
+        source: 'scale',
+        note: '',
+        tags: [],
+        status: null,
         ...measurement,
-        createdAt: new Date()
+        createdAt: measurement.createdAt ?? new Date()
     });
 };
 
-export const getMeasurements = async (limit = 100) => {
-    return await db.measurements
-        .orderBy('createdAt')
-        .reverse()
+/**
+ * Úprava merania (váha, čas, poznámka, štítky). Pri zmene váhy alebo
+ * času sa prepočíta BMI a zloženie tela podľa profilu používateľa.
+ */
+export const updateMeasurement = async (measurement, changes, user) => {
+    const updated = { ...measurement, ...changes };
+    if (updated.weight !== measurement.weight || +new Date(updated.createdAt) !== +new Date(measurement.createdAt)) {
+        Object.assign(updated, computeMetrics(user, updated.weight, updated.impedance, new Date(updated.createdAt)));
+    }
+    await db.measurements.put(updated);
+    return updated;
+};
+
+/**
+ * Všetky štítky používané v meraniach používateľa (abecedne)
+ */
+export const getTags = async (userId) => {
+    const tags = new Set();
+    await db.measurements.where('userId').equals(userId).each(m => {
+        for (const tag of m.tags || []) tags.add(tag);
+    });
+    return [...tags].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Jedno meranie podľa id (undefined, ak neexistuje)
+ * @param {number} id
+ */
+export const getMeasurement = async (id) => await db.measurements.get(id);
+
+/**
+ * Posledné merania (najnovšie prvé)
+ * @param {number} [limit]
+ * @param {number|null} [userId]
+ * @param {{ trustedOnly?: boolean }} [options] - trustedOnly: bez podozrivých meraní
+ */
+export const getMeasurements = async (limit = 100, userId = null, { trustedOnly = false } = {}) => {
+    let collection = userId == null
+        ? db.measurements.orderBy('createdAt')
+        : db.measurements
+            .where('[userId+createdAt]')
+            .between([userId, Dexie.minKey], [userId, Dexie.maxKey]);
+    collection = collection.reverse();
+    if (trustedOnly) collection = collection.filter(isTrusted);
+    return await collection
         .limit(limit)
         .toArray();
 };
 
+/**
+ * Jedna stránka histórie používateľa (najnovšie prvé). Ďalšiu stránku
+ * získame s `before` / `beforeId` = createdAt a id posledného načítaného merania.
+ * Merania s rovnakým časom index radí podľa id – kurzor (createdAt, id) preto
+ * nepreskočí tie, ktoré sa na hranici stránky nezmestili (hromadný import).
+ * @param {number} userId
+ * @param {{ before?: Date, beforeId?: number, from?: Date, to?: Date, tag?: string, limit?: number }} [options]
+ */
+export const getMeasurementsPage = async (userId, { before = null, beforeId = null, from = null, to = null, tag = null, limit = 50 } = {}) => {
+    const upper = before ?? to;
+    let collection = db.measurements
+        .where('[userId+createdAt]')
+        .between([userId, from ?? Dexie.minKey], [userId, upper ?? Dexie.maxKey], true, true)
+        .reverse();
+    if (before != null) {
+        const cursor = new Date(before).getTime();
+        collection = collection.filter(m => {
+            const time = new Date(m.createdAt).getTime();
+            return time < cursor || (time === cursor && beforeId != null && m.id < beforeId);
+        });
+    }
+    if (tag) collection = collection.filter(m => (m.tags || []).includes(tag));
+    return await collection
+        .limit(limit)
+        .toArray();
+};
+
+/**
+ * Celá história používateľa (voliteľne v rozsahu dátumov), najnovšie prvé
+ */
+export const getAllMeasurements = async (userId, { from = null, to = null, tag = null, trustedOnly = false } = {}) => {
+    let collection = db.measurements
+        .where('[userId+createdAt]')
+        .between([userId, from ?? Dexie.minKey], [userId, to ?? Dexie.maxKey], true, true)
+        .reverse();
+    if (tag) collection = collection.filter(m => (m.tags || []).includes(tag));
+    if (trustedOnly) collection = collection.filter(isTrusted);
+    return await collection.toArray();
+};
+
+/**
+ * BMI a zloženie tela pre váhu podľa profilu používateľa
+ * @param {object} user
+ * @param {number} weight
+ * @param {number|null} impedance
+ * @param {Date} [at] - čas merania (pre vek)
+ */
+export const computeMetrics = (user, weight, impedance, at = new Date()) => {
+    const composition = calculateBodyComposition({
+        weight,
+        impedance,
+        height: user.height,
+        age: getAge(user.birthDate, at),
+        sex: user.sex
+    });
+    return {
+        bmi: calculateBMI(weight, user.height),
+        ...(composition || EMPTY_BODY_COMPOSITION)
+    };
+};
+
+/**
+ * Presunie meranie inému používateľovi a prepočíta BMI a zloženie tela
+ * podľa jeho profilu
+ */
+export const reassignMeasurement = async (measurement, user) => {
+    return await db.measurements.update(measurement.id, {
+        userId: user.id,
+        // Podozrivé meranie, ktoré používateľ presunul správnej osobe, je overené
+        status: measurement.status === MEASUREMENT_STATUS.SUSPECT ? MEASUREMENT_STATUS.ACCEPTED : measurement.status ?? null,
+        ...computeMetrics(user, measurement.weight, measurement.impedance, new Date(measurement.createdAt))
+    });
+};
+
+/**
+ * Označí meranie ako podozrivé alebo ho prijme (null/accepted sa započítava do trendu)
+ * @param {number} id
+ * @param {'suspect'|'accepted'|null} status
+ */
+export const setMeasurementStatus = async (id, status) => {
+    return await db.measurements.update(id, { status });
+};
+
 export const deleteMeasurement = async (id) => {
     return await db.measurements.delete(id);
 };
+
+/**
+ * Prepočíta BMI a zloženie tela všetkých meraní používateľa – po zmene
+ * výšky, dátumu narodenia alebo pohlavia v profile
+ */
+export const recalculateMeasurements = async (user) => {
+    return await db.measurements
+        .where('userId')
+        .equals(user.id)
+        .modify(m => {
+            Object.assign(m, computeMetrics(user, m.weight, m.impedance, new Date(m.createdAt)));
+        });
+};
+
+export const deleteUser = async (id) => {
+    return await db.transaction('rw', db.users, db.measurements, async () => {
+        await db.measurements.where('userId').equals(id).delete();
+        await db.users.delete(id);
+    });
+};
+
+export const deleteAllData = async () => {
+    return await db.transaction('rw', db.users, db.measurements, db.syncState, async () => {
+        // Stav synchronizácie mažeme tiež – inak by sa zmazanie odoslalo na server
+        await db.syncState.clear();
+        await db.measurements.clear();
+        await db.users.clear();
+        localStorage.removeItem(ACTIVE_USER_KEY);
+    });
+};
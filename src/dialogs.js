@@ -0,0 +1,51 @@
+/**
+ * Dialógy v štýle aplikácie namiesto natívnych alert/confirm (tie nejdú
+ * preložiť tlačidlá a v nainštalovanej aplikácii ukazujú adresu stránky).
+ * Zobrazuje ich DialogHost; viac dialógov naraz čaká v poradí.
+ */
+
+const queue = [];
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+const open = (dialog) => new Promise(resolve => {
+    queue.push({ ...dialog, resolve });
+    if (queue.length === 1) notify();
+});
+
+/**
+ * Upozornenie s tlačidlom OK
+ * @param {string} message
+ * @param {{ title?: string }} [options]
+ * @returns {Promise<void>}
+ */
+export const showAlert = (message, { title = null } = {}) => open({ kind: 'alert', title, message });
+
+/**
+ * Otázka s potvrdením
+ * @param {string} message
+ * @param {{ title?: string, confirmLabel?: string, destructive?: boolean }} [options]
+ *   destructive – potvrdenie je nevratná akcia (červené tlačidlo)
+ * @returns {Promise<boolean>}
+ */
+export const showConfirm = (message, { title = null, confirmLabel = null, destructive = false } = {}) => (
+    open({ kind: 'confirm', title, message, confirmLabel, destructive })
+);
+
+export const getDialog = () => queue[0] ?? null;
+
+export const subscribeDialogs = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Zatvorí zobrazený dialóg s výsledkom (confirm: true/false)
+ */
+export const closeDialog = (result) => {
+    const dialog = queue.shift();
+    if (!dialog) return;
+    dialog.resolve(dialog.kind === 'confirm' ? result : undefined);
+    notify();
+};
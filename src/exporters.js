@@ -0,0 +1,226 @@
+/**
+ * Export meraní do štandardných formátov pre iné systémy – FHIR R4,
+ * Open mHealth, Google Fit a CSV s ISO 8601 časom. Na rozdiel od CSV pre
+ * tabuľkový procesor (spreadsheetCSV vo views/HistoryView.jsx) sú hodnoty vždy v kg
+ * a bez prekladu.
+ */
+import { isTrusted } from './anomaly';
+import { t } from './i18n';
+
+export const EXPORT_FORMATS = [
+    { value: 'csv', labelKey: 'export.formats.csv', descriptionKey: 'export.formats.csvDescription' },
+    { value: 'iso-csv', labelKey: 'export.formats.isoCsv', descriptionKey: 'export.formats.isoCsvDescription' },
+    { value: 'fhir', labelKey: 'export.formats.fhir', descriptionKey: 'export.formats.fhirDescription' },
+    { value: 'omh', labelKey: 'export.formats.omh', descriptionKey: 'export.formats.omhDescription' },
+    { value: 'google-fit', labelKey: 'export.formats.googleFit', descriptionKey: 'export.formats.googleFitDescription' }
+];
+
+const APP_NAME = 'SmartScale';
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const BODY_WEIGHT_LOINC = '29463-7';
+const BMI_LOINC = '39156-5';
+
+/**
+ * Čas v ISO 8601 s miestnym posunom časového pásma (2026-03-01T07:15:00+01:00),
+ * aby export zachoval aj miestny čas merania
+ * @param {Date|string} value
+ */
+export const toLocalISOString = (value) => {
+    const date = new Date(value);
+    const pad = (n) => String(Math.floor(Math.abs(n))).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+        `${sign}${pad(offset / 60)}:${pad(offset % 60)}`;
+};
+
+const round = (value, digits) => (value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// Zdroj merania: z váhy namerané, ručne zadané alebo importované od používateľa
+const isSensed = (m) => (m.source ?? 'scale') === 'scale';
+
+const sortByTime = (measurements) => measurements
+    .slice()
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+// --- CSV s ISO 8601 časom ---
+
+const ISO_CSV_COLUMNS = [
+    ['timestamp', m => toLocalISOString(m.createdAt)],
+    ['weight_kg', m => round(m.weight, 2)],
+    ['bmi', m => round(m.bmi, 1)],
+    ['body_fat_percent', m => m.bodyFat],
+    ['muscle_mass_kg', m => m.muscleMass],
+    ['water_percent', m => m.water],
+    ['bone_mass_kg', m => m.boneMass],
+    ['visceral_fat', m => m.visceralFat],
+    ['bmr_kcal', m => m.bmr],
+    ['metabolic_age_years', m => m.metabolicAge],
+    ['impedance_ohm', m => m.impedance],
+    ['source', m => m.source ?? 'scale'],
+    ['status', m => m.status ?? ''],
+    ['note', m => m.note ?? ''],
+    ['tags', m => (m.tags || []).join(';')]
+];
+
+const csvCell = (value) => {
+    if (value == null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV so stĺpcami v angličtine, jednotkami v názve stĺpca a časom s pásmom
+ * @param {object[]} measurements
+ * @returns {string}
+ */
+export const toISOCSV = (measurements) => {
+    const rows = sortByTime(measurements).map(m => ISO_CSV_COLUMNS.map(([, value]) => csvCell(value(m))).join(','));
+    return [ISO_CSV_COLUMNS.map(([name]) => name).join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+// --- FHIR R4 ---
+
+const quantity = (value, unit, code) => ({ value, unit, system: UCUM, code });
+
+const observation = (m, patientUrl, { profile, code, display, valueQuantity }) => ({
+    resourceType: 'Observation',
+    meta: { profile: [profile] },
+    identifier: [{ system: `urn:${APP_NAME.toLowerCase()}:measurement`, value: `${m.syncId ?? m.id}:${code}` }],
+    status: 'final',
+    category: [{
+        coding: [{
+            system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+            code: 'vital-signs',
+            display: 'Vital Signs'
+        }]
+    }],
+    code: { coding: [{ system: LOINC, code, display }], text: display },
+    subject: { reference: patientUrl },
+    effectiveDateTime: toLocalISOString(m.createdAt),
+    valueQuantity,
+    ...(m.note ? { note: [{ text: m.note }] } : {})
+});
+
+/**
+ * FHIR R4 Bundle (collection) s pacientom a pozorovaniami telesnej váhy
+ * (LOINC 29463-7) a BMI (LOINC 39156-5) podľa profilov vital signs.
+ * Podozrivé merania sa neexportujú.
+ * @param {object[]} measurements
+ * @param {object} user - profil (meno, pohlavie, dátum narodenia)
+ */
+export const toFHIRBundle = (measurements, user) => {
+    const patientUrl = `urn:uuid:${crypto.randomUUID()}`;
+    const patient = {
+        resourceType: 'Patient',
+        name: [{ text: user.name }],
+        ...(user.sex ? { gender: user.sex } : {}),
+        ...(user.birthDate ? { birthDate: user.birthDate } : {})
+    };
+
+    const entries = sortByTime(measurements.filter(isTrusted)).flatMap(m => [
+        observation(m, patientUrl, {
+            profile: 'http://hl7.org/fhir/StructureDefinition/bodyweight',
+            code: BODY_WEIGHT_LOINC,
+            display: 'Body weight',
+            valueQuantity: quantity(round(m.weight, 2), 'kg', 'kg')
+        }),
+        ...(m.bmi != null ? [observation(m, patientUrl, {
+            profile: 'http://hl7.org/fhir/StructureDefinition/bmi',
+            code: BMI_LOINC,
+            display: 'Body mass index (BMI) [Ratio]',
+            valueQuantity: quantity(round(m.bmi, 1), 'kg/m2', 'kg/m2')
+        })] : [])
+    ]);
+
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        entry: [
+            { fullUrl: patientUrl, resource: patient },
+            ...entries.map(resource => ({ fullUrl: `urn:uuid:${crypto.randomUUID()}`, resource }))
+        ]
+    };
+};
+
+// --- Open mHealth ---
+
+const omhDataPoint = (m, schema, body) => ({
+    header: {
+        uuid: crypto.randomUUID(),
+        schema_id: { namespace: 'omh', ...schema },
+        creation_date_time: new Date().toISOString(),
+        acquisition_provenance: {
+            source_name: APP_NAME,
+            modality: isSensed(m) ? 'sensed' : 'self-reported'
+        }
+    },
+    body: { ...body, effective_time_frame: { date_time: toLocalISOString(m.createdAt) } }
+});
+
+/**
+ * Dátové body Open mHealth – omh:body-weight:2.0 a omh:body-mass-index:1.0
+ * (podozrivé merania sa neexportujú)
+ * @returns {object[]}
+ */
+export const toOpenMHealth = (measurements) => {
+    return sortByTime(measurements.filter(isTrusted)).flatMap(m => [
+        omhDataPoint(m, { name: 'body-weight', version: '2.0' }, {
+            body_weight: { value: round(m.weight, 2), unit: 'kg' }
+        }),
+        ...(m.bmi != null ? [omhDataPoint(m, { name: 'body-mass-index', version: '1.0' }, {
+            body_mass_index: { value: round(m.bmi, 1), unit: 'kg/m^2' }
+        })] : [])
+    ]);
+};
+
+// --- Google Fit ---
+
+const toNanos = (value) => `${BigInt(new Date(value).getTime()) * 1000000n}`;
+
+/**
+ * Dataset com.google.weight vo formáte Fitness REST API
+ * (PATCH users/me/dataSources/{dataSourceId}/datasets/{datasetId})
+ */
+export const toGoogleFitDataset = (measurements) => {
+    const points = sortByTime(measurements.filter(isTrusted));
+    const dataSourceId = `raw:com.google.weight:${APP_NAME}`;
+    return {
+        dataSourceId,
+        minStartTimeNs: points.length > 0 ? toNanos(points[0].createdAt) : '0',
+        maxEndTimeNs: points.length > 0 ? toNanos(points[points.length - 1].createdAt) : '0',
+        point: points.map(m => ({
+            dataTypeName: 'com.google.weight',
+            startTimeNanos: toNanos(m.createdAt),
+            endTimeNanos: toNanos(m.createdAt),
+            value: [{ fpVal: round(m.weight, 2) }]
+        }))
+    };
+};
+
+/**
+ * Súbor na zdieľanie v zvolenom formáte (okrem 'csv', ktorý zostavuje HistoryView podľa jednotiek)
+ * @param {'iso-csv'|'fhir'|'omh'|'google-fit'} format
+ * @param {object[]} measurements
+ * @param {object} user
+ * @returns {{ blob: Blob, extension: string }}
+ */
+export const exportMeasurements = (format, measurements, user) => {
+    const json = (value, type = 'application/json') => new Blob([JSON.stringify(value, null, 2)], { type });
+    switch (format) {
+        case 'iso-csv':
+            return { blob: new Blob([toISOCSV(measurements)], { type: 'text/csv;charset=utf-8' }), extension: 'csv' };
+        case 'fhir':
+            return { blob: json(toFHIRBundle(measurements, user), 'application/fhir+json'), extension: 'fhir.json' };
+        case 'omh':
+            return { blob: json(toOpenMHealth(measurements)), extension: 'omh.json' };
+        case 'google-fit':
+            return { blob: json(toGoogleFitDataset(measurements)), extension: 'googlefit.json' };
+        default:
+            throw new Error(t('errors.export.unknownFormat', { format }));
+    }
+};
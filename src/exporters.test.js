@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { toLocalISOString, toISOCSV, toFHIRBundle, toOpenMHealth, toGoogleFitDataset, exportMeasurements } from './exporters';
+import { parseCSV, guessMapping, parseGenericCSV, prepareImport, importMeasurements } from './importers';
+import { MEASUREMENT_STATUS } from './anomaly';
+import { db, getAllMeasurements } from './db';
+import { resetDatabase } from './test/db';
+
+const USER = { id: 1, name: 'Anna', height: 170, sex: 'female', birthDate: '1990-04-02' };
+
+const MEASUREMENTS = [
+    {
+        id: 2,
+        syncId: 'm-2',
+        userId: 1,
+        weight: 69.8,
+        bmi: 24.15,
+        bodyFat: 28.1,
+        createdAt: new Date('2024-03-02T06:10:00Z'),
+        source: 'manual',
+        note: 'po dovolenke, "konečne"\nznova doma',
+        tags: ['dovolenka', 'ráno'],
+        status: MEASUREMENT_STATUS.ACCEPTED
+    },
+    {
+        id: 1,
+        syncId: 'm-1',
+        userId: 1,
+        weight: 70.456,
+        bmi: 24.38,
+        bodyFat: 28.4,
+        impedance: 480,
+        createdAt: new Date('2024-03-01T07:15:00Z'),
+        status: null
+    },
+    {
+        id: 3,
+        syncId: 'm-3',
+        userId: 1,
+        weight: 91,
+        bmi: null,
+        createdAt: new Date('2024-03-03T07:00:00Z'),
+        status: MEASUREMENT_STATUS.SUSPECT
+    }
+];
+
+describe('toLocalISOString', () => {
+    it('keeps the instant and adds the local offset', () => {
+        const date = new Date('2024-03-01T07:15:00Z');
+        const text = toLocalISOString(date);
+        expect(text).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/);
+        expect(new Date(text)).toEqual(date);
+    });
+});
+
+describe('toISOCSV', () => {
+    it('writes one row per measurement sorted by time with escaped text', () => {
+        const { headers, rows } = parseCSV(toISOCSV(MEASUREMENTS));
+        expect(headers[0]).toBe('timestamp');
+        expect(rows).toHaveLength(3);
+
+        const column = (name) => rows.map(row => row[headers.indexOf(name)]);
+        expect(column('weight_kg')).toEqual(['70.46', '69.8', '91']);
+        expect(column('bmi')).toEqual(['24.4', '24.2', '']);
+        expect(column('source')).toEqual(['scale', 'manual', 'scale']);
+        expect(column('status')).toEqual(['', 'accepted', 'suspect']);
+        expect(column('note')[1]).toBe(MEASUREMENTS[0].note);
+        expect(column('tags')[1]).toBe('dovolenka;ráno');
+    });
+});
+
+describe('ISO CSV round trip', () => {
+    beforeEach(resetDatabase);
+
+    it('imports the export back with the same times, weights and notes', async () => {
+        const user = await db.users.get(await db.users.add({ name: 'Anna', height: 170, sex: 'female', birthDate: '1990-04-02' }));
+
+        const csv = parseCSV(toISOCSV(MEASUREMENTS));
+        const { records, duplicates, invalid } = await prepareImport(parseGenericCSV(csv, guessMapping(csv.headers)), user);
+        expect({ duplicates: duplicates.length, invalid }).toEqual({ duplicates: 0, invalid: 0 });
+        await importMeasurements(records);
+
+        const imported = await getAllMeasurements(user.id);
+        const summary = (list) => list
+            .map(m => [new Date(m.createdAt).getTime(), Math.round(m.weight * 100) / 100, m.bodyFat ?? null, m.note || ''])
+            .sort((a, b) => a[0] - b[0]);
+        expect(summary(imported)).toEqual(summary(MEASUREMENTS));
+
+        // Druhý import toho istého súboru sú samé duplicity
+        const again = await prepareImport(parseGenericCSV(csv, guessMapping(csv.headers)), user);
+        expect(again).toMatchObject({ records: [], invalid: 0 });
+        expect(again.duplicates).toHaveLength(3);
+    });
+});
+
+describe('toFHIRBundle', () => {
+    it('adds weight and BMI observations for the patient and skips suspect readings', () => {
+        const bundle = toFHIRBundle(MEASUREMENTS, USER);
+        expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+
+        const [patient, ...observations] = bundle.entry;
+        expect(patient.resource).toEqual({ resourceType: 'Patient', name: [{ text: 'Anna' }], gender: 'female', birthDate: '1990-04-02' });
+        expect(observations.map(e => [e.resource.code.coding[0].code, e.resource.valueQuantity.value])).toEqual([
+            ['29463-7', 70.46],
+            ['39156-5', 24.4],
+            ['29463-7', 69.8],
+            ['39156-5', 24.2]
+        ]);
+        for (const { resource } of observations) {
+            expect(resource.subject.reference).toBe(patient.fullUrl);
+            expect(resource.status).toBe('final');
+        }
+        expect(observations[0].resource.identifier[0].value).toBe('m-1:29463-7');
+        expect(new Date(observations[0].resource.effectiveDateTime)).toEqual(MEASUREMENTS[1].createdAt);
+        expect(observations[2].resource.note).toEqual([{ text: MEASUREMENTS[0].note }]);
+    });
+});
+
+describe('toOpenMHealth', () => {
+    it('marks scale readings as sensed and others as self-reported', () => {
+        const points = toOpenMHealth(MEASUREMENTS);
+        expect(points.map(p => [p.header.schema_id.name, p.header.acquisition_provenance.modality])).toEqual([
+            ['body-weight', 'sensed'],
+            ['body-mass-index', 'sensed'],
+            ['body-weight', 'self-reported'],
+            ['body-mass-index', 'self-reported']
+        ]);
+        expect(points[0].body.body_weight).toEqual({ value: 70.46, unit: 'kg' });
+        expect(points[1].body.body_mass_index).toEqual({ value: 24.4, unit: 'kg/m^2' });
+    });
+});
+
+describe('toGoogleFitDataset', () => {
+    it('writes times in nanoseconds as strings', () => {
+        const dataset = toGoogleFitDataset(MEASUREMENTS);
+        expect(dataset.minStartTimeNs).toBe('1709277300000000000');
+        expect(dataset.maxEndTimeNs).toBe('1709359800000000000');
+        expect(dataset.point.map(p => p.value[0].fpVal)).toEqual([70.46, 69.8]);
+        expect(toGoogleFitDataset([])).toMatchObject({ minStartTimeNs: '0', maxEndTimeNs: '0', point: [] });
+    });
+});
+
+describe('exportMeasurements', () => {
+    it('returns a file with the extension of the format', async () => {
+        const { blob, extension } = exportMeasurements('fhir', MEASUREMENTS, USER);
+        expect(extension).toBe('fhir.json');
+        expect(blob.type).toBe('application/fhir+json');
+        expect(JSON.parse(await blob.text()).resourceType).toBe('Bundle');
+    });
+
+    it('rejects an unknown format', () => {
+        expect(() => exportMeasurements('xml', MEASUREMENTS, USER)).toThrow();
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Formátovanie dátumov podľa nastavenia používateľa a jazyka aplikácie
+ */
+import { getLocale, t } from './i18n';
+
+export const DATE_FORMATS = [
+    { value: 'locale', labelKey: 'settings.dateFormats.locale' },
+    { value: 'dmy', labelKey: 'settings.dateFormats.dmy' },
+    { value: 'mdy', labelKey: 'settings.dateFormats.mdy' },
+    { value: 'iso', labelKey: 'settings.dateFormats.iso' }
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * @param {Date|string} value
+ * @param {string} dateFormat - jedna z hodnôt DATE_FORMATS
+ * @param {'short'|'medium'|'long'} [style] - short bez roku (graf), long s dňom v týždni (história)
+ */
+export const formatDate = (value, dateFormat = 'locale', style = 'medium') => {
+    const date = new Date(value);
+
+    if (dateFormat === 'locale') {
+        if (style === 'short') return date.toLocaleDateString(getLocale(), { day: 'numeric', month: 'short' });
+        if (style === 'long') return date.toLocaleDateString(getLocale(), { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        return date.toLocaleDateString(getLocale());
+    }
+
+    const d = pad(date.getDate());
+    const m = pad(date.getMonth() + 1);
+    const y = date.getFullYear();
+
+    let formatted;
+    if (dateFormat === 'dmy') formatted = style === 'short' ? `${d}.${m}.` : `${d}.${m}.${y}`;
+    else if (dateFormat === 'mdy') formatted = style === 'short' ? `${m}/${d}` : `${m}/${d}/${y}`;
+    else formatted = style === 'short' ? `${m}-${d}` : `${y}-${m}-${d}`;
+
+    if (style === 'long') {
+        return `${date.toLocaleDateString(getLocale(), { weekday: 'long' })}, ${formatted}`;
+    }
+    return formatted;
+};
+
+/**
+ * Čas merania (hodiny a minúty podľa jazyka)
+ */
+export const formatTime = (value) => new Date(value).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Mesiac s rokom – nadpisy skupín v histórii, obdobia zostavy
+ */
+export const formatMonth = (value) => new Date(value).toLocaleDateString(getLocale(), { month: 'long', year: 'numeric' });
+
+/**
+ * Zmena so znamienkom – kladná hodnota dostane "+" (záporná ho už má)
+ * @param {string} text - naformátovaná hodnota
+ * @param {number} value
+ */
+export const signed = (text, value) => (value > 0 ? `+${text}` : text);
+
+/**
+ * Percentá s medzerou alebo bez nej podľa jazyka (23,4 % / 23.4%)
+ */
+export const percent = (value) => t('units.percent', { value });
@@ -0,0 +1,502 @@
+/**
+ * Anglické texty aplikácie
+ *
+ * Kľúče sú rovnaké ako v sk.js. Tvary podľa počtu (one, other) vyberá t()
+ * podľa params.count, {meno} nahrádza parametrom.
+ */
+export default {
+    common: {
+        cancel: 'Cancel',
+        ok: 'OK',
+        back: 'Back',
+        save: 'Save',
+        delete: 'Delete',
+        continue: 'Continue',
+        none: 'None',
+        automatic: 'Automatic',
+        reached: 'Reached',
+        edit: 'Edit',
+        discardReading: 'Discard Reading',
+        yes: 'yes'
+    },
+
+    ordinal: { one: '{n}st', two: '{n}nd', few: '{n}rd', other: '{n}th' },
+
+    units: {
+        percent: '{value}%'
+    },
+
+    nav: {
+        summary: 'Summary',
+        charts: 'Charts',
+        history: 'History',
+        settings: 'Settings'
+    },
+
+    scaleStatus: {
+        searching: 'Searching for scale...',
+        connected: 'Connected, step on the scale',
+        settling: 'Settling, stand still...',
+        lost: 'Connection lost, reconnecting...',
+        saved: 'Saved',
+        stepOn: 'Step on {name}...'
+    },
+
+    bmi: {
+        categories: {
+            underweight: 'Underweight',
+            healthy: 'Healthy',
+            overweight: 'Overweight',
+            obese: 'Obese',
+            notRated: 'Not rated'
+        }
+    },
+
+    chart: {
+        weight: 'Weight',
+        weightWithUnit: 'Weight ({unit})',
+        trend: 'Trend',
+        goal: 'Goal'
+    },
+
+    charts: {
+        title: 'Charts',
+        ranges: {
+            '1w': '1W',
+            '1m': '1M',
+            '3m': '3M',
+            '1y': '1Y',
+            all: 'All'
+        },
+        bmi: 'BMI',
+        secondMetric: 'Second Axis',
+        grouping: 'Grouping',
+        groupings: {
+            none: 'Each reading',
+            week: 'Weekly',
+            month: 'Monthly'
+        },
+        automaticGrouping: 'Automatic ({grouping})',
+        weekOf: 'Week of {date}',
+        average: 'Average',
+        range: '{min} – {max}',
+        readings: { one: '{count} reading', other: '{count} readings' },
+        resetZoom: 'Reset Zoom',
+        zoomHint: 'Pinch to zoom, drag to move through time.',
+        empty: 'No readings in this period.'
+    },
+
+    onboarding: {
+        tagline: 'Monitor your progress with Health-style insights.',
+        compositionNote: "Birth date and sex are needed for body composition (body fat, muscle, water) from the scale's impedance."
+    },
+
+    profile: {
+        name: 'Name',
+        heightCm: 'Height (cm)',
+        targetWeight: 'Target Weight ({unit})',
+        targetWeightPlaceholder: 'Not set',
+        birthDate: 'Birth Date',
+        sex: 'Sex',
+        sexes: {
+            notSet: 'Not set',
+            male: 'Male',
+            female: 'Female'
+        }
+    },
+
+    profiles: {
+        title: 'Household',
+        height: '{height} cm',
+        add: 'Add Person',
+        assignmentNote: 'New readings are assigned automatically to the person whose recent weight is closest. You will be asked when it is not clear.'
+    },
+
+    dashboard: {
+        title: 'Summary',
+        weight: 'Weight',
+        noData: 'No data',
+        percentile: '{ordinal} percentile',
+        perWeek: 'Per Week',
+        perMonth: 'Per Month',
+        healthyRange: 'Healthy range {min}–{max}',
+        healthyRangeForAge: 'Healthy range {min}–{max} for age',
+        recordWeight: 'Record Weight',
+        recordWeightDemo: 'Record Weight (Demo)',
+        enterManually: 'Enter Manually',
+        trends: 'Trends',
+        showAll: 'Show All',
+        openCharts: 'Charts',
+        goalNotSet: 'Not set',
+        offTrack: 'Off track',
+        needMore: 'Need more measurements for trends.'
+    },
+
+    composition: {
+        title: 'Body Composition',
+        bodyFat: 'Body Fat',
+        muscle: 'Muscle',
+        water: 'Water',
+        boneMass: 'Bone Mass',
+        visceralFat: 'Visceral Fat',
+        bmr: 'BMR',
+        leanMass: 'Lean Mass',
+        metabolicAge: 'Metabolic Age',
+        kcal: 'kcal',
+        years: 'y'
+    },
+
+    measurement: {
+        addTitle: 'Add Measurement',
+        editTitle: 'Edit Measurement',
+        weight: 'Weight ({unit})',
+        date: 'Date',
+        includeInTrends: 'Include in Trends',
+        note: 'Note',
+        addTag: 'Add tag',
+        suggestedTags: {
+            clothesOn: 'clothes on',
+            afterHoliday: 'after holiday',
+            afterMeal: 'after meal',
+            evening: 'evening'
+        },
+        unusualTitle: 'Unusual Weight',
+        unusualConfirm: 'The weight {weight} is far from your recent readings (around {expected}). Save it anyway?',
+        unrealisticConfirm: 'The weight {weight} is not realistic. Save it anyway?',
+        title: 'Reading',
+        notFound: 'This reading no longer exists.',
+        source: 'Source',
+        sources: {
+            scale: 'Scale',
+            manual: 'Entered manually',
+            import: 'Imported'
+        },
+        impedance: 'Impedance',
+        impedanceValue: '{value} Ω',
+        tags: 'Tags'
+    },
+
+    picker: {
+        whoStepped: 'Who stepped on the scale?',
+        usuallyAround: 'Usually around {weight}'
+    },
+
+    suspect: {
+        title: 'Unusual Reading: {weight}',
+        above: "{amount} above {name}'s recent weight of {expected}. Was someone else on the scale, or were you holding something?",
+        below: "{amount} below {name}'s recent weight of {expected}. Was someone else on the scale, or were you holding something?",
+        unrealistic: 'This value is outside any realistic body weight. It was probably a bad reading.',
+        accept: "It's Correct, Save",
+        someoneElse: 'Someone Else Stepped On',
+        exclude: 'Save but Exclude from Trends'
+    },
+
+    weighing: {
+        demoFailed: 'Demo Scale',
+        bluetoothUnavailable: 'Bluetooth Unavailable',
+        iosUnsupported: "Web Bluetooth does not work in Chrome or Safari on iPhone (iOS).\n\nPlease use the 'Bluefy' app from the App Store, or Chrome on Android or a computer.",
+        browserUnsupported: 'Your browser does not support Bluetooth. Please use Chrome, Edge or Opera.',
+        connectFailed: 'Could not connect to the scale. Make sure Bluetooth is on and the scale is in range.'
+    },
+
+    scaleHistory: {
+        sync: 'Sync Offline Readings',
+        syncing: 'Syncing, step on the scale to wake it...',
+        done: 'Scale Memory Read',
+        saved: { one: '{count} new reading', other: '{count} new readings' },
+        duplicates: { one: '{count} already saved', other: '{count} already saved' },
+        suspect: { one: '{count} unusual (not in trends)', other: '{count} unusual (not in trends)' },
+        ambiguous: { one: '{count} to assign', other: '{count} to assign' },
+        failed: 'Could not read the readings stored in the scale. Make sure the scale is awake and in range.'
+    },
+
+    history: {
+        title: 'History',
+        from: 'From',
+        to: 'To',
+        tag: 'Tag',
+        allTags: 'All',
+        clearFilter: 'Clear Filter',
+        unusual: 'Unusual reading · not in trends',
+        composition: 'Fat {bodyFat} · Muscle {muscle} · Water {water}',
+        bmi: 'BMI {bmi}',
+        assign: 'Assign to another person',
+        assignTitle: 'Assign Reading To',
+        empty: 'No health data found.',
+        deleteConfirm: 'Delete this reading?'
+    },
+
+    settings: {
+        title: 'Settings',
+        profile: 'Profile',
+        bmiStandard: 'BMI Cut-offs',
+        bmiStandards: {
+            who: 'WHO (international)',
+            asian: 'WHO Asian cut-offs'
+        },
+        bmiStandardNote: 'Under 20, BMI is rated by CDC percentiles for age and sex. Asian cut-offs apply to adults only.',
+        saveProfile: 'Save Profile',
+        display: 'Display',
+        language: 'Language',
+        unitsLabel: 'Units',
+        units: {
+            kg: 'Kilograms (kg)',
+            lb: 'Pounds (lb)',
+            st: 'Stones (st lb)'
+        },
+        dateFormat: 'Date Format',
+        dateFormats: {
+            locale: 'System',
+            dmy: 'DD.MM.YYYY',
+            mdy: 'MM/DD/YYYY',
+            iso: 'YYYY-MM-DD'
+        },
+        scale: 'Scale',
+        noScale: 'No scale paired yet',
+        forgetScale: 'Forget',
+        demoScale: 'Demo Scale',
+        scenario: 'Scenario',
+        scenarios: {
+            bodyComposition: 'Body composition scale',
+            miScale: 'Weight-only scale',
+            qnScale: 'Renpho / Eufy (QN)',
+            reconnect: 'Drops connection, reconnects',
+            disconnect: 'Goes out of range',
+            connectError: 'Connection fails'
+        },
+        demoNote: 'The demo scale replays a recorded weighing, so you can try the app without a Bluetooth scale.',
+        data: 'Data',
+        deleteProfile: 'Delete Profile "{name}"',
+        deleteProfileConfirm: 'Delete the profile {name} and all of its readings?',
+        deleteAll: 'Delete All Data',
+        deleteAllConfirm: 'Delete all profiles and readings? This cannot be undone.',
+        dataNote: 'Data is stored only in this browser. Back up regularly to keep your history when clearing site data or switching devices.'
+    },
+
+    reminders: {
+        title: 'Reminders',
+        daily: 'Daily Weigh-in',
+        time: 'Time',
+        note: 'You get a notification at this time if someone has not weighed in yet that day. Keep the app open in the background, or install it to the home screen, to be reminded.',
+        notificationTitle: 'Time to weigh in',
+        notificationBody: {
+            one: "{names} hasn't weighed in today.",
+            other: "{names} haven't weighed in today."
+        }
+    },
+
+    sync: {
+        title: 'Sync',
+        lastSynced: 'Last synced {date} {time}',
+        notSynced: 'Not synced yet',
+        syncNow: 'Sync Now',
+        syncing: 'Syncing...',
+        turnOff: 'Turn Off Sync',
+        setUp: 'Set Up Sync',
+        fromAnotherDevice: 'Sync from Another Device',
+        note: 'Keep profiles and readings in sync across your devices through your own HTTP or WebDAV server. Everything is encrypted with your passphrase before it leaves this device.',
+        failed: 'Sync Failed',
+        enableFailed: 'Could Not Turn On Sync',
+        disableConfirm: 'Turn off sync on this device? Data stays both here and on the server.',
+        setup: {
+            title: 'Sync Between Devices',
+            subtitle: 'Use the same server folder and passphrase on every device.',
+            url: 'Server Folder (HTTP or WebDAV URL)',
+            username: 'Username (optional)',
+            password: 'Server Password (optional)',
+            passphrase: 'Encryption Passphrase',
+            encryptionNote: 'Data is encrypted on this device before upload. The server never sees your passphrase, and there is no way to recover it if you forget it.',
+            connecting: 'Connecting...',
+            connect: 'Connect'
+        }
+    },
+
+    backup: {
+        backUp: 'Back Up Data',
+        restoreFromBackup: 'Restore from Backup',
+        restoreTitle: 'Restore Backup',
+        merge: 'Merge',
+        mergeDescription: 'Keep current data and add readings that are not here yet.',
+        replace: 'Replace All',
+        replaceDescription: 'Delete current data and restore the backup exactly.',
+        replaceConfirm: 'Replace all profiles and readings with the contents of the backup?',
+        profiles: { one: '{count} profile', other: '{count} profiles' },
+        measurements: { one: '{count} measurement', other: '{count} measurements' },
+        skipped: { one: '{count} duplicate skipped', other: '{count} duplicates skipped' },
+        restored: 'Backup Restored',
+        loadFailed: 'Could Not Open Backup',
+        restoreFailed: 'Restore failed, no data was changed',
+        fileName: 'smartscale_backup',
+        shareTitle: 'SmartScale Backup',
+        shareText: 'Full backup of profiles and readings from SmartScale App'
+    },
+
+    import: {
+        fromOtherApps: 'Import from Other Apps',
+        title: 'Import History',
+        addedTo: 'Readings will be added to {name}.',
+        sources: {
+            zepp: 'Zepp Life / Mi Fit',
+            zeppDescription: 'BODY_*.csv from the Zepp Life data export',
+            apple: 'Apple Health',
+            appleDescription: 'export.xml from the Health app export (unzipped)',
+            csv: 'Other CSV',
+            csvDescription: 'Any CSV with a date and a weight column'
+        },
+        columns: 'Columns',
+        chooseColumn: 'Choose column',
+        column: 'Column {number}',
+        dateColumn: 'Date',
+        weightColumn: 'Weight',
+        bodyFatColumn: 'Body Fat (%)',
+        noteColumn: 'Note',
+        weightUnit: 'Weight Unit',
+        dateOrder: 'Date Order',
+        dateOrders: {
+            dmy: 'Day / Month',
+            mdy: 'Month / Day'
+        },
+        preview: 'Preview',
+        newReadings: { one: '{count} new reading', other: '{count} new readings' },
+        duplicates: {
+            one: '{count} already recorded, will be skipped',
+            other: '{count} already recorded, will be skipped'
+        },
+        invalid: {
+            one: '{count} row without a valid date or weight, will be skipped',
+            other: '{count} rows without a valid date or weight, will be skipped'
+        },
+        importButton: { one: 'Import {count} Reading', other: 'Import {count} Readings' },
+        done: { one: '{count} reading imported.', other: '{count} readings imported.' }
+    },
+
+    export: {
+        title: 'Export',
+        subtitle: 'All measurements matching the current filter',
+        formats: {
+            csv: 'Spreadsheet (CSV)',
+            csvDescription: 'Readable table in your units, for Excel or Numbers',
+            isoCsv: 'ISO 8601 CSV',
+            isoCsvDescription: 'Full timestamps with time zone and metric units, for scripts and data tools',
+            fhir: 'FHIR R4 Bundle',
+            fhirDescription: 'Body weight and BMI observations with LOINC codes, for health records',
+            omh: 'Open mHealth JSON',
+            omhDescription: 'Body weight and BMI data points (omh schemas)',
+            googleFit: 'Google Fit JSON',
+            googleFitDescription: 'com.google.weight dataset for the Fitness REST API'
+        },
+        csv: {
+            date: 'Date',
+            weight: 'Weight ({unit})',
+            bmi: 'BMI',
+            category: 'Category',
+            bodyFat: 'Body Fat (%)',
+            muscle: 'Muscle ({unit})',
+            water: 'Water (%)',
+            bone: 'Bone ({unit})',
+            visceralFat: 'Visceral Fat',
+            bmr: 'BMR (kcal)',
+            metabolicAge: 'Metabolic Age',
+            note: 'Note',
+            tags: 'Tags',
+            suspect: 'Not in Trends'
+        },
+        fileName: 'my_weights',
+        shareTitle: 'Measurement Export',
+        shareText: 'Weight and BMI data from SmartScale App ({format})'
+    },
+
+    report: {
+        title: 'Progress Report',
+        period: 'Period',
+        periods: {
+            month: 'Month',
+            quarter: 'Quarter'
+        },
+        quarterLabel: 'Q{quarter} {year}',
+        print: 'Print or Save as PDF',
+        heading: 'SmartScale Progress Report',
+        generated: 'Generated {date}',
+        empty: 'No readings in this period.',
+        stats: {
+            start: 'Start',
+            end: 'End',
+            change: 'Change',
+            perWeek: 'Per Week',
+            lowest: 'Lowest',
+            highest: 'Highest',
+            average: 'Average',
+            readings: 'Readings'
+        },
+        goal: 'Goal {weight}',
+        toGo: '{amount} to go',
+        goalPercent: '{percent}% of the way this period',
+        chartTitle: 'Weight and BMI',
+        weightAxis: 'Weight ({unit}, left)',
+        bmiAxis: 'BMI (right)',
+        averageBMI: 'Average {value}',
+        table: {
+            date: 'Date',
+            time: 'Time',
+            weight: 'Weight',
+            category: 'Category',
+            bodyFat: 'Body Fat',
+            note: 'Note'
+        }
+    },
+
+    update: {
+        available: 'A new version of SmartScale is available.',
+        later: 'Later',
+        reload: 'Reload'
+    },
+
+    errors: {
+        backup: {
+            invalidJson: 'The file is not valid JSON.',
+            notBackup: 'The file is not a SmartScale backup.',
+            newerVersion: 'The backup comes from a newer version of the app. Update the app and try again.',
+            empty: 'The backup contains no profiles or readings.',
+            invalidUser: 'Invalid profile in backup: {record}',
+            invalidMeasurement: 'Invalid reading in backup: {record}'
+        },
+        export: {
+            unknownFormat: 'Unknown export format: {format}'
+        },
+        import: {
+            zepp: 'The file does not look like a Zepp Life export (the time or weight column is missing).',
+            apple: 'The file does not look like export.xml from Apple Health.',
+            mapping: 'Choose the date column and the weight column.'
+        },
+        reminders: {
+            unsupported: 'This browser does not support notifications.',
+            denied: 'Notifications are blocked for this site. Allow them in your browser settings.'
+        },
+        scale: {
+            bluetoothUnsupported: 'Web Bluetooth is not supported in this browser.',
+            aborted: 'Weighing was cancelled.',
+            unsupportedNamed: 'The scale {name} is not supported.',
+            unsupported: 'This scale is not supported.',
+            noHistory: 'This scale does not store readings in its memory.',
+            historyDisconnected: 'The scale disconnected while reading its memory.',
+            historyTimeout: 'The scale did not respond to the request for stored readings.',
+            disconnected: 'The scale disconnected before the weighing finished.',
+            timeout: 'The scale did not send a stable reading.'
+        },
+        sync: {
+            decrypt: 'Could not decrypt the data on the server. Check your sync passphrase.',
+            notSmartScale: 'The file on the server is not SmartScale data.',
+            newerVersion: 'The data on the server comes from a newer version of the app. Update the app and try again.',
+            passphraseRequired: 'Enter a passphrase to encrypt the data.',
+            notConfigured: 'Sync is not set up on this device.',
+            otherPassphrase: 'The storage on the server was created with a different passphrase. Turn sync off and on again.',
+            invalidUrl: 'The server address is not a valid URL.',
+            unreachable: 'The sync server is not reachable. Check the address, your connection and the CORS settings on the server.',
+            auth: 'The server rejected the login. Check the server username and password.',
+            readFailed: 'The server returned error {status} while reading data.',
+            invalidJson: 'The file on the server is not valid JSON.',
+            conflict: 'Another device changed the data on the server in the meantime.',
+            writeFailed: 'The server returned error {status} while saving data.'
+        }
+    }
+};
@@ -0,0 +1,114 @@
+/**
+ * Preklady (katalógy správ v src/i18n/<jazyk>.js) a jazyk aplikácie
+ *
+ * Jazyk sa zistí z prehliadača, používateľ ho môže zmeniť v nastaveniach
+ * (settings.language). Správy sa prekladajú pri vykreslení alebo pri vzniku
+ * chyby, preto konštanty v moduloch nesú kľúč správy (labelKey), nie text.
+ */
+import { useSyncExternalStore } from 'react';
+import sk from './sk';
+import en from './en';
+
+const CATALOGS = { sk, en };
+const FALLBACK_LOCALE = 'en';
+
+// Názvy jazykov sa zobrazujú v danom jazyku, nie prekladajú
+export const LANGUAGES = [
+    { value: 'sk', label: 'Slovenčina' },
+    { value: 'en', label: 'English' }
+];
+
+/**
+ * Prvý podporovaný jazyk z preferencií prehliadača
+ * @param {readonly string[]} [languages]
+ * @returns {'sk'|'en'}
+ */
+export const detectLocale = (languages = globalThis.navigator?.languages ?? []) => {
+    for (const language of languages) {
+        const base = language.toLowerCase().split('-')[0];
+        if (base in CATALOGS) return base;
+    }
+    return FALLBACK_LOCALE;
+};
+
+let locale = detectLocale();
+const listeners = new Set();
+
+export const getLocale = () => locale;
+
+const setLocale = (next) => {
+    if (typeof document !== 'undefined') document.documentElement.lang = next;
+    if (next === locale) return;
+    locale = next;
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Nastaví jazyk podľa settings.language ('auto' = podľa prehliadača)
+ */
+export const applyLanguage = (language) => {
+    setLocale(language in CATALOGS ? language : detectLocale());
+};
+
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Aktuálny jazyk – komponent sa pri jeho zmene prekreslí
+ */
+export const useLocale = () => useSyncExternalStore(subscribe, getLocale);
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+const findMessage = (key) => lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[FALLBACK_LOCALE], key);
+
+const pluralRules = new Map();
+const pluralForm = (forms, count, type = 'cardinal') => {
+    const cacheKey = `${locale}:${type}`;
+    if (!pluralRules.has(cacheKey)) pluralRules.set(cacheKey, new Intl.PluralRules(locale, { type }));
+    return forms[pluralRules.get(cacheKey).select(count)] ?? forms.other;
+};
+
+const numberFormats = new Map();
+/**
+ * Číslo podľa jazyka (desatinná čiarka v slovenčine)
+ * @param {number} value
+ * @param {number|null} [digits] - pevný počet desatinných miest, null = ako je (najviac 2)
+ */
+export const formatNumber = (value, digits = null) => {
+    const cacheKey = `${locale}:${digits}`;
+    if (!numberFormats.has(cacheKey)) {
+        numberFormats.set(cacheKey, new Intl.NumberFormat(locale, digits == null
+            ? { maximumFractionDigits: 2 }
+            : { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+    }
+    return numberFormats.get(cacheKey).format(value);
+};
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+});
+
+/**
+ * Preložená správa. Parametre sa dosadia za {meno}; ak je správa objekt
+ * s tvarmi (one, few, many, other), tvar sa vyberie podľa params.count.
+ * @param {string} key - napr. 'history.title'
+ * @param {Record<string, string|number>} [params]
+ */
+export const t = (key, params = {}) => {
+    let message = findMessage(key);
+    if (message == null) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+    if (typeof message === 'object') message = pluralForm(message, params.count ?? 0);
+    return interpolate(message, params);
+};
+
+/**
+ * Radová číslovka (85th / 85.)
+ */
+export const formatOrdinal = (n) => interpolate(pluralForm(findMessage('ordinal'), n, 'ordinal'), { n: String(n) });
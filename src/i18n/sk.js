@@ -0,0 +1,537 @@
+/**
+ * Slovenské texty aplikácie
+ *
+ * Tvary podľa počtu: one (1), few (2 – 4), many (desatinné čísla), other (0, 5 a viac).
+ */
+export default {
+    common: {
+        cancel: 'Zrušiť',
+        ok: 'OK',
+        back: 'Späť',
+        save: 'Uložiť',
+        delete: 'Zmazať',
+        continue: 'Pokračovať',
+        none: 'Žiadny',
+        automatic: 'Automaticky',
+        reached: 'Dosiahnutý',
+        edit: 'Upraviť',
+        discardReading: 'Zahodiť meranie',
+        yes: 'áno'
+    },
+
+    ordinal: { other: '{n}.' },
+
+    units: {
+        percent: '{value} %'
+    },
+
+    nav: {
+        summary: 'Prehľad',
+        charts: 'Grafy',
+        history: 'História',
+        settings: 'Nastavenia'
+    },
+
+    scaleStatus: {
+        searching: 'Hľadám váhu...',
+        connected: 'Pripojené, postavte sa na váhu',
+        settling: 'Ustaľuje sa, stojte pokojne...',
+        lost: 'Spojenie prerušené, pripájam znova...',
+        saved: 'Uložené',
+        stepOn: 'Postavte sa na {name}...'
+    },
+
+    bmi: {
+        categories: {
+            underweight: 'Podváha',
+            healthy: 'Normálna',
+            overweight: 'Nadváha',
+            obese: 'Obezita',
+            notRated: 'Nehodnotí sa'
+        }
+    },
+
+    chart: {
+        weight: 'Váha',
+        weightWithUnit: 'Váha ({unit})',
+        trend: 'Trend',
+        goal: 'Cieľ'
+    },
+
+    charts: {
+        title: 'Grafy',
+        ranges: {
+            '1w': '1T',
+            '1m': '1M',
+            '3m': '3M',
+            '1y': '1R',
+            all: 'Všetko'
+        },
+        bmi: 'BMI',
+        secondMetric: 'Druhá os',
+        grouping: 'Zoskupenie',
+        groupings: {
+            none: 'Každé meranie',
+            week: 'Po týždňoch',
+            month: 'Po mesiacoch'
+        },
+        automaticGrouping: 'Automaticky ({grouping})',
+        weekOf: 'Týždeň od {date}',
+        average: 'Priemer',
+        range: '{min} – {max}',
+        readings: {
+            one: '{count} meranie',
+            few: '{count} merania',
+            many: '{count} merania',
+            other: '{count} meraní'
+        },
+        resetZoom: 'Zrušiť priblíženie',
+        zoomHint: 'Roztiahnutím prstov graf priblížite, ťahaním sa posúvate v čase.',
+        empty: 'V tomto období nie sú žiadne merania.'
+    },
+
+    onboarding: {
+        tagline: 'Sledujte svoj pokrok prehľadne ako v aplikácii Zdravie.',
+        compositionNote: 'Dátum narodenia a pohlavie sú potrebné na výpočet zloženia tela (tuk, svaly, voda) z impedancie váhy.'
+    },
+
+    profile: {
+        name: 'Meno',
+        heightCm: 'Výška (cm)',
+        targetWeight: 'Cieľová váha ({unit})',
+        targetWeightPlaceholder: 'Nezadaná',
+        birthDate: 'Dátum narodenia',
+        sex: 'Pohlavie',
+        sexes: {
+            notSet: 'Nezadané',
+            male: 'Muž',
+            female: 'Žena'
+        }
+    },
+
+    profiles: {
+        title: 'Domácnosť',
+        height: '{height} cm',
+        add: 'Pridať osobu',
+        assignmentNote: 'Nové merania sa automaticky priradia osobe, ktorej posledná váha je najbližšie. Ak to nie je jasné, aplikácia sa opýta.'
+    },
+
+    dashboard: {
+        title: 'Prehľad',
+        weight: 'Váha',
+        noData: 'Bez údajov',
+        percentile: '{ordinal} percentil',
+        perWeek: 'Za týždeň',
+        perMonth: 'Za mesiac',
+        healthyRange: 'Zdravé rozpätie {min} – {max}',
+        healthyRangeForAge: 'Zdravé rozpätie {min} – {max} pre vek',
+        recordWeight: 'Zaznamenať váhu',
+        recordWeightDemo: 'Zaznamenať váhu (demo)',
+        enterManually: 'Zadať ručne',
+        trends: 'Trendy',
+        showAll: 'Zobraziť všetko',
+        openCharts: 'Grafy',
+        goalNotSet: 'Nezadaný',
+        offTrack: 'Mimo kurzu',
+        needMore: 'Na trendy je potrebných viac meraní.'
+    },
+
+    composition: {
+        title: 'Zloženie tela',
+        bodyFat: 'Telesný tuk',
+        muscle: 'Svaly',
+        water: 'Voda',
+        boneMass: 'Kosti',
+        visceralFat: 'Viscerálny tuk',
+        bmr: 'BMR',
+        leanMass: 'Beztuková hmota',
+        metabolicAge: 'Metabolický vek',
+        kcal: 'kcal',
+        years: 'r.'
+    },
+
+    measurement: {
+        addTitle: 'Pridať meranie',
+        editTitle: 'Upraviť meranie',
+        weight: 'Váha ({unit})',
+        date: 'Dátum',
+        includeInTrends: 'Započítať do trendov',
+        note: 'Poznámka',
+        addTag: 'Pridať štítok',
+        suggestedTags: {
+            clothesOn: 'oblečený',
+            afterHoliday: 'po dovolenke',
+            afterMeal: 'po jedle',
+            evening: 'večer'
+        },
+        unusualTitle: 'Nezvyčajná váha',
+        unusualConfirm: 'Zadaná váha {weight} sa výrazne líši od vašich posledných meraní (okolo {expected}). Naozaj ju chcete uložiť?',
+        unrealisticConfirm: 'Zadaná váha {weight} nie je reálna. Naozaj ju chcete uložiť?',
+        title: 'Meranie',
+        notFound: 'Toto meranie už neexistuje.',
+        source: 'Zdroj',
+        sources: {
+            scale: 'Váha',
+            manual: 'Zadané ručne',
+            import: 'Importované'
+        },
+        impedance: 'Impedancia',
+        impedanceValue: '{value} Ω',
+        tags: 'Štítky'
+    },
+
+    picker: {
+        whoStepped: 'Kto sa postavil na váhu?',
+        usuallyAround: 'Zvyčajne okolo {weight}'
+    },
+
+    suspect: {
+        title: 'Nezvyčajné meranie: {weight}',
+        above: 'O {amount} viac, ako je posledná váha osoby {name} ({expected}). Stál na váhe niekto iný alebo ste niečo držali?',
+        below: 'O {amount} menej, ako je posledná váha osoby {name} ({expected}). Stál na váhe niekto iný alebo ste niečo držali?',
+        unrealistic: 'Táto hodnota nezodpovedá žiadnej reálnej telesnej váhe. Pravdepodobne ide o chybné meranie.',
+        accept: 'Je správne, uložiť',
+        someoneElse: 'Na váhe bol niekto iný',
+        exclude: 'Uložiť, ale nezapočítať do trendov'
+    },
+
+    weighing: {
+        demoFailed: 'Demo váha',
+        bluetoothUnavailable: 'Bluetooth nie je dostupný',
+        iosUnsupported: "Na iPhonoch (iOS) Web Bluetooth nefunguje v Chrome ani Safari.\n\nProsím, použi aplikáciu 'Bluefy' (z App Store) alebo použi Android/PC s Chrome.",
+        browserUnsupported: 'Váš prehliadač nepodporuje Bluetooth. Použite prosím Chrome, Edge alebo Operu.',
+        connectFailed: 'Nepodarilo sa pripojiť k váhe. Uistite sa, že je zapnutý Bluetooth a váha je v dosahu.'
+    },
+
+    scaleHistory: {
+        sync: 'Načítať merania z pamäte váhy',
+        syncing: 'Načítavam, postavte sa na váhu, aby sa zobudila...',
+        done: 'Pamäť váhy načítaná',
+        saved: {
+            one: '{count} nové meranie',
+            few: '{count} nové merania',
+            many: '{count} nového merania',
+            other: '{count} nových meraní'
+        },
+        duplicates: 'už uložené: {count}',
+        suspect: 'nezvyčajné (mimo trendu): {count}',
+        ambiguous: 'na priradenie: {count}',
+        failed: 'Nepodarilo sa načítať merania z pamäte váhy. Uistite sa, že je váha zobudená a v dosahu.'
+    },
+
+    history: {
+        title: 'História',
+        from: 'Od',
+        to: 'Do',
+        tag: 'Štítok',
+        allTags: 'Všetky',
+        clearFilter: 'Zrušiť filter',
+        unusual: 'Nezvyčajné meranie · mimo trendov',
+        composition: 'Tuk {bodyFat} · Svaly {muscle} · Voda {water}',
+        bmi: 'BMI {bmi}',
+        assign: 'Priradiť inej osobe',
+        assignTitle: 'Priradiť meranie',
+        empty: 'Žiadne záznamy.',
+        deleteConfirm: 'Naozaj chcete zmazať tento záznam?'
+    },
+
+    settings: {
+        title: 'Nastavenia',
+        profile: 'Profil',
+        bmiStandard: 'Hranice BMI',
+        bmiStandards: {
+            who: 'WHO (medzinárodné)',
+            asian: 'WHO pre Ázijcov'
+        },
+        bmiStandardNote: 'Do 20 rokov sa BMI hodnotí podľa percentilov CDC pre vek a pohlavie. Hranice pre Ázijcov platia len pre dospelých.',
+        saveProfile: 'Uložiť profil',
+        display: 'Zobrazenie',
+        language: 'Jazyk',
+        unitsLabel: 'Jednotky',
+        units: {
+            kg: 'Kilogramy (kg)',
+            lb: 'Libry (lb)',
+            st: 'Stouny (st lb)'
+        },
+        dateFormat: 'Formát dátumu',
+        dateFormats: {
+            locale: 'Podľa systému',
+            dmy: 'DD.MM.RRRR',
+            mdy: 'MM/DD/RRRR',
+            iso: 'RRRR-MM-DD'
+        },
+        scale: 'Váha',
+        noScale: 'Zatiaľ nie je spárovaná žiadna váha',
+        forgetScale: 'Zabudnúť',
+        demoScale: 'Demo váha',
+        scenario: 'Scenár',
+        scenarios: {
+            bodyComposition: 'Váha so zložením tela',
+            miScale: 'Váha len s hmotnosťou',
+            qnScale: 'Renpho / Eufy (QN)',
+            reconnect: 'Preruší spojenie a znova sa pripojí',
+            disconnect: 'Vzdiali sa z dosahu',
+            connectError: 'Pripojenie zlyhá'
+        },
+        demoNote: 'Demo váha prehrá nahraté váženie, takže aplikáciu vyskúšate aj bez Bluetooth váhy.',
+        data: 'Dáta',
+        deleteProfile: 'Zmazať profil „{name}“',
+        deleteProfileConfirm: 'Naozaj chcete zmazať profil {name} aj všetky jeho merania?',
+        deleteAll: 'Zmazať všetky dáta',
+        deleteAllConfirm: 'Naozaj chcete zmazať všetky profily a merania? Túto akciu nie je možné vrátiť späť.',
+        dataNote: 'Dáta sú uložené len v tomto prehliadači. Zálohujte pravidelne, aby ste o históriu neprišli pri vymazaní dát stránky alebo zmene zariadenia.'
+    },
+
+    reminders: {
+        title: 'Pripomienky',
+        daily: 'Denné váženie',
+        time: 'Čas',
+        note: 'V tomto čase dostanete notifikáciu, ak sa v ten deň ešte niekto nevážil. Aby pripomienka prišla, nechajte aplikáciu otvorenú na pozadí alebo si ju nainštalujte na plochu.',
+        notificationTitle: 'Čas na váženie',
+        notificationBody: 'Dnešné váženie ešte chýba: {names}.'
+    },
+
+    sync: {
+        title: 'Synchronizácia',
+        lastSynced: 'Naposledy synchronizované {date} {time}',
+        notSynced: 'Zatiaľ nesynchronizované',
+        syncNow: 'Synchronizovať teraz',
+        syncing: 'Synchronizujem...',
+        turnOff: 'Vypnúť synchronizáciu',
+        setUp: 'Nastaviť synchronizáciu',
+        fromAnotherDevice: 'Synchronizovať z iného zariadenia',
+        note: 'Profily a merania zostanú rovnaké na všetkých vašich zariadeniach cez váš vlastný HTTP alebo WebDAV server. Všetko sa pred odoslaním zo zariadenia zašifruje vaším heslom.',
+        failed: 'Synchronizácia zlyhala',
+        enableFailed: 'Synchronizáciu sa nepodarilo zapnúť',
+        disableConfirm: 'Vypnúť synchronizáciu na tomto zariadení? Dáta tu aj na serveri zostanú zachované.',
+        setup: {
+            title: 'Synchronizácia medzi zariadeniami',
+            subtitle: 'Na každom zariadení použite rovnaký priečinok na serveri a rovnaké heslo.',
+            url: 'Priečinok na serveri (HTTP alebo WebDAV URL)',
+            username: 'Používateľské meno (nepovinné)',
+            password: 'Heslo k serveru (nepovinné)',
+            passphrase: 'Heslo na šifrovanie',
+            encryptionNote: 'Dáta sa zašifrujú na tomto zariadení ešte pred odoslaním. Server vaše heslo nikdy neuvidí a ak ho zabudnete, nedá sa obnoviť.',
+            connecting: 'Pripájam...',
+            connect: 'Pripojiť'
+        }
+    },
+
+    backup: {
+        backUp: 'Zálohovať dáta',
+        restoreFromBackup: 'Obnoviť zo zálohy',
+        restoreTitle: 'Obnova zálohy',
+        merge: 'Zlúčiť',
+        mergeDescription: 'Ponechať aktuálne dáta a pridať merania, ktoré tu ešte nie sú.',
+        replace: 'Nahradiť všetko',
+        replaceDescription: 'Zmazať aktuálne dáta a obnoviť zálohu presne.',
+        replaceConfirm: 'Naozaj chcete nahradiť všetky profily a merania obsahom zálohy?',
+        profiles: {
+            one: '{count} profil',
+            few: '{count} profily',
+            many: '{count} profilu',
+            other: '{count} profilov'
+        },
+        measurements: {
+            one: '{count} meranie',
+            few: '{count} merania',
+            many: '{count} merania',
+            other: '{count} meraní'
+        },
+        skipped: {
+            one: '{count} duplicitné preskočené',
+            few: '{count} duplicitné preskočené',
+            many: '{count} duplicitného preskočeného',
+            other: '{count} duplicitných preskočených'
+        },
+        restored: 'Záloha obnovená',
+        loadFailed: 'Zálohu sa nepodarilo načítať',
+        restoreFailed: 'Obnova zlyhala, dáta neboli zmenené',
+        fileName: 'smartscale_zaloha',
+        shareTitle: 'Záloha SmartScale',
+        shareText: 'Kompletná záloha profilov a meraní zo SmartScale App'
+    },
+
+    import: {
+        fromOtherApps: 'Import z iných aplikácií',
+        title: 'Import histórie',
+        addedTo: 'Merania sa pridajú osobe {name}.',
+        sources: {
+            zepp: 'Zepp Life / Mi Fit',
+            zeppDescription: 'BODY_*.csv z exportu dát Zepp Life',
+            apple: 'Apple Health',
+            appleDescription: 'export.xml z exportu aplikácie Zdravie (rozbalený)',
+            csv: 'Iné CSV',
+            csvDescription: 'Ľubovoľné CSV so stĺpcom dátumu a váhy'
+        },
+        columns: 'Stĺpce',
+        chooseColumn: 'Vyberte stĺpec',
+        column: 'Stĺpec {number}',
+        dateColumn: 'Dátum',
+        weightColumn: 'Váha',
+        bodyFatColumn: 'Telesný tuk (%)',
+        noteColumn: 'Poznámka',
+        weightUnit: 'Jednotka váhy',
+        dateOrder: 'Poradie v dátume',
+        dateOrders: {
+            dmy: 'Deň / mesiac',
+            mdy: 'Mesiac / deň'
+        },
+        preview: 'Ukážka',
+        newReadings: {
+            one: '{count} nové meranie',
+            few: '{count} nové merania',
+            many: '{count} nového merania',
+            other: '{count} nových meraní'
+        },
+        duplicates: {
+            one: '{count} už zaznamenané, preskočí sa',
+            few: '{count} už zaznamenané, preskočia sa',
+            many: '{count} už zaznamenaného, preskočí sa',
+            other: '{count} už zaznamenaných, preskočia sa'
+        },
+        invalid: {
+            one: '{count} riadok bez platného dátumu alebo váhy, preskočí sa',
+            few: '{count} riadky bez platného dátumu alebo váhy, preskočia sa',
+            many: '{count} riadku bez platného dátumu alebo váhy, preskočí sa',
+            other: '{count} riadkov bez platného dátumu alebo váhy, preskočia sa'
+        },
+        importButton: {
+            one: 'Importovať {count} meranie',
+            few: 'Importovať {count} merania',
+            many: 'Importovať {count} merania',
+            other: 'Importovať {count} meraní'
+        },
+        done: 'Importovaných meraní: {count}'
+    },
+
+    export: {
+        title: 'Export',
+        subtitle: 'Všetky merania zodpovedajúce aktuálnemu filtru',
+        formats: {
+            csv: 'Tabuľka (CSV)',
+            csvDescription: 'Prehľadná tabuľka vo vašich jednotkách pre Excel alebo Numbers',
+            isoCsv: 'CSV s ISO 8601',
+            isoCsvDescription: 'Presný čas s časovým pásmom a metrické jednotky pre skripty a dátové nástroje',
+            fhir: 'FHIR R4 Bundle',
+            fhirDescription: 'Pozorovania telesnej váhy a BMI s kódmi LOINC pre zdravotné záznamy',
+            omh: 'Open mHealth JSON',
+            omhDescription: 'Dátové body telesnej váhy a BMI (schémy omh)',
+            googleFit: 'Google Fit JSON',
+            googleFitDescription: 'Dataset com.google.weight pre Fitness REST API'
+        },
+        csv: {
+            date: 'Dátum',
+            weight: 'Váha ({unit})',
+            bmi: 'BMI',
+            category: 'Kategória',
+            bodyFat: 'Tuk (%)',
+            muscle: 'Svaly ({unit})',
+            water: 'Voda (%)',
+            bone: 'Kosti ({unit})',
+            visceralFat: 'Viscerálny tuk',
+            bmr: 'BMR (kcal)',
+            metabolicAge: 'Metabolický vek',
+            note: 'Poznámka',
+            tags: 'Štítky',
+            suspect: 'Mimo trendu'
+        },
+        fileName: 'moje_vahy',
+        shareTitle: 'Export meraní',
+        shareText: 'Váha a BMI dáta zo SmartScale App ({format})'
+    },
+
+    report: {
+        title: 'Zostava pokroku',
+        period: 'Obdobie',
+        periods: {
+            month: 'Mesiac',
+            quarter: 'Štvrťrok'
+        },
+        quarterLabel: '{quarter}. štvrťrok {year}',
+        print: 'Vytlačiť alebo uložiť ako PDF',
+        heading: 'Zostava pokroku SmartScale',
+        generated: 'Vytvorené {date}',
+        empty: 'V tomto období nie sú žiadne merania.',
+        stats: {
+            start: 'Začiatok',
+            end: 'Koniec',
+            change: 'Zmena',
+            perWeek: 'Za týždeň',
+            lowest: 'Najnižšia',
+            highest: 'Najvyššia',
+            average: 'Priemer',
+            readings: 'Merania'
+        },
+        goal: 'Cieľ {weight}',
+        toGo: 'ešte {amount}',
+        goalPercent: '{percent} % cesty v tomto období',
+        chartTitle: 'Váha a BMI',
+        weightAxis: 'Váha ({unit}, vľavo)',
+        bmiAxis: 'BMI (vpravo)',
+        averageBMI: 'Priemer {value}',
+        table: {
+            date: 'Dátum',
+            time: 'Čas',
+            weight: 'Váha',
+            category: 'Kategória',
+            bodyFat: 'Tuk',
+            note: 'Poznámka'
+        }
+    },
+
+    update: {
+        available: 'K dispozícii je nová verzia SmartScale.',
+        later: 'Neskôr',
+        reload: 'Načítať znova'
+    },
+
+    errors: {
+        backup: {
+            invalidJson: 'Súbor nie je platný JSON.',
+            notBackup: 'Súbor nie je záloha SmartScale.',
+            newerVersion: 'Záloha pochádza z novšej verzie aplikácie. Aktualizujte aplikáciu a skúste znova.',
+            empty: 'Záloha neobsahuje používateľov alebo merania.',
+            invalidUser: 'Neplatný profil v zálohe: {record}',
+            invalidMeasurement: 'Neplatné meranie v zálohe: {record}'
+        },
+        export: {
+            unknownFormat: 'Neznámy formát exportu: {format}'
+        },
+        import: {
+            zepp: 'Súbor nevyzerá ako export zo Zepp Life (chýba stĺpec time alebo weight).',
+            apple: 'Súbor nevyzerá ako export.xml z Apple Health.',
+            mapping: 'Vyberte stĺpec s dátumom a stĺpec s váhou.'
+        },
+        reminders: {
+            unsupported: 'Tento prehliadač nepodporuje notifikácie.',
+            denied: 'Notifikácie sú pre túto stránku zakázané. Povoľte ich v nastaveniach prehliadača.'
+        },
+        scale: {
+            bluetoothUnsupported: 'Web Bluetooth nie je podporovaný v tomto prehliadači.',
+            aborted: 'Váženie bolo zrušené.',
+            unsupportedNamed: 'Váha {name} nie je podporovaná.',
+            unsupported: 'Táto váha nie je podporovaná.',
+            noHistory: 'Táto váha neukladá merania do pamäte.',
+            historyDisconnected: 'Váha sa odpojila počas načítania pamäte.',
+            historyTimeout: 'Váha neodpovedala na požiadavku o uložené merania.',
+            disconnected: 'Váha sa odpojila pred dokončením merania.',
+            timeout: 'Váha neposlala žiadne ustálené meranie.'
+        },
+        sync: {
+            decrypt: 'Dáta na serveri sa nepodarilo rozšifrovať. Skontrolujte heslo k synchronizácii.',
+            notSmartScale: 'Súbor na serveri nie sú dáta SmartScale.',
+            newerVersion: 'Dáta na serveri pochádzajú z novšej verzie aplikácie. Aktualizujte aplikáciu a skúste znova.',
+            passphraseRequired: 'Zadajte heslo na šifrovanie dát.',
+            notConfigured: 'Synchronizácia nie je na tomto zariadení nastavená.',
+            otherPassphrase: 'Úložisko na serveri bolo vytvorené s iným heslom. Vypnite a znova zapnite synchronizáciu.',
+            invalidUrl: 'Adresa servera nie je platná URL.',
+            unreachable: 'Server synchronizácie nie je dostupný. Skontrolujte adresu, pripojenie a nastavenie CORS na serveri.',
+            auth: 'Server odmietol prihlásenie. Skontrolujte meno a heslo k serveru.',
+            readFailed: 'Server vrátil chybu {status} pri čítaní dát.',
+            invalidJson: 'Súbor na serveri nie je platný JSON.',
+            conflict: 'Dáta na serveri medzitým zmenilo iné zariadenie.',
+            writeFailed: 'Server vrátil chybu {status} pri ukladaní dát.'
+        }
+    }
+};
@@ -0,0 +1,308 @@
+/**
+ * Import histórie z iných aplikácií: Zepp Life (Mi Fit), Apple Health
+ * a všeobecný CSV súbor s mapovaním stĺpcov
+ */
+import { db, computeMetrics } from './db';
+import { EMPTY_BODY_COMPOSITION } from './bodyComposition';
+import { unitToKg, scaleWeightToKg } from './units';
+import { t } from './i18n';
+
+// Merania s rozdielom času menším ako toto považujeme za duplicitné
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Jednoduchý CSV parser (úvodzovky, zalomenia v úvodzovkách, oddeľovač , ; alebo tab)
+ * @param {string} text
+ * @returns {{ headers: string[], rows: string[][] }}
+ */
+export const parseCSV = (text) => {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    return {
+        headers: (nonEmpty[0] || []).map(h => h.trim()),
+        rows: nonEmpty.slice(1)
+    };
+};
+
+const parseNumber = (value) => {
+    if (value == null) return null;
+    const normalized = String(value).trim().replace(',', '.');
+    if (normalized === '') return null;
+    const number = parseFloat(normalized);
+    return isNaN(number) ? null : number;
+};
+
+/**
+ * Dátum z CSV – ISO 8601, unix timestamp (s alebo ms) alebo D.M.YYYY / M/D/YYYY s voliteľným časom
+ * @param {string} value
+ * @param {'auto'|'dmy'|'mdy'} order - poradie dňa a mesiaca pri dátumoch s lomkou
+ */
+export const parseDateValue = (value, order = 'auto') => {
+    const text = String(value ?? '').trim();
+    if (text === '') return null;
+
+    if (/^\d{9,13}$/.test(text)) {
+        const number = Number(text);
+        return new Date(text.length > 10 ? number : number * 1000);
+    }
+
+    const local = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (local) {
+        const [, a, b, year, hours = 0, minutes = 0, seconds = 0] = local;
+        // Bodka je vždy D.M.YYYY, pri lomke rozhoduje nastavenie (auto = deň > 12 ⇒ D/M)
+        const dayFirst = text.includes('.') || order === 'dmy' || (order === 'auto' && Number(a) > 12);
+        const day = Number(dayFirst ? a : b);
+        const month = Number(dayFirst ? b : a);
+        const date = new Date(Number(year), month - 1, day, Number(hours), Number(minutes), Number(seconds));
+        return isNaN(date) ? null : date;
+    }
+
+    // "2021-03-14 07:12:45+0000" / "2020-01-01 08:00:00 +0100" → ISO 8601
+    const iso = text
+        .replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2')
+        .replace(/ ?([+-]\d{2}):?(\d{2})$/, '$1:$2');
+    const date = new Date(iso);
+    return isNaN(date) ? null : date;
+};
+
+const columnIndex = (headers, ...names) => {
+    const lower = headers.map(h => h.toLowerCase());
+    for (const name of names) {
+        const index = lower.indexOf(name.toLowerCase());
+        if (index !== -1) return index;
+    }
+    return -1;
+};
+
+/**
+ * Zepp Life / Mi Fit export (BODY_*.csv):
+ * time,weight,height,bmi,fatRate,bodyWaterRate,boneMass,metabolism,muscleRate,visceralFat,impedance
+ */
+export const parseZeppLifeCSV = (text) => {
+    const { headers, rows } = parseCSV(text);
+    const col = {
+        time: columnIndex(headers, 'time', 'timestamp', 'date'),
+        weight: columnIndex(headers, 'weight'),
+        bodyFat: columnIndex(headers, 'fatRate', 'bodyFat'),
+        water: columnIndex(headers, 'bodyWaterRate', 'water'),
+        boneMass: columnIndex(headers, 'boneMass'),
+        bmr: columnIndex(headers, 'metabolism', 'bmr'),
+        muscleMass: columnIndex(headers, 'muscleRate', 'muscleMass'),
+        visceralFat: columnIndex(headers, 'visceralFat'),
+        impedance: columnIndex(headers, 'impedance')
+    };
+    if (col.time === -1 || col.weight === -1) {
+        throw new Error(t('errors.import.zepp'));
+    }
+
+    const value = (row, key) => (col[key] === -1 ? null : parseNumber(row[col[key]]));
+    // Zepp Life zapisuje chýbajúce hodnoty ako 0
+    const positive = (n) => (n != null && n > 0 ? n : null);
+
+    return rows.map(row => ({
+        createdAt: parseDateValue(row[col.time]),
+        weight: positive(value(row, 'weight')),
+        impedance: positive(value(row, 'impedance')),
+        bodyFat: positive(value(row, 'bodyFat')),
+        water: positive(value(row, 'water')),
+        boneMass: positive(value(row, 'boneMass')),
+        bmr: positive(value(row, 'bmr')),
+        muscleMass: positive(value(row, 'muscleMass')),
+        visceralFat: positive(value(row, 'visceralFat'))
+    }));
+};
+
+const readAttribute = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+};
+
+/**
+ * Apple Health export.xml – záznamy HKQuantityTypeIdentifierBodyMass
+ * a HKQuantityTypeIdentifierBodyFatPercentage (spárované podľa času).
+ * Export býva veľký, preto ho neparsujeme ako DOM, ale len hľadáme tagy <Record>.
+ */
+export const parseAppleHealthXML = (text) => {
+    const weights = [];
+    const bodyFat = new Map();
+    const recordPattern = /<Record\s[^>]*?type="HKQuantityTypeIdentifier(BodyMass|BodyFatPercentage)"[^>]*>/g;
+
+    let match;
+    while ((match = recordPattern.exec(text)) !== null) {
+        const tag = match[0];
+        const date = parseDateValue(readAttribute(tag, 'startDate'));
+        const value = parseNumber(readAttribute(tag, 'value'));
+        if (!date || value == null) continue;
+
+        if (match[1] === 'BodyMass') {
+            const unit = readAttribute(tag, 'unit');
+            const weight = unit === 'lb' ? scaleWeightToKg(value, 'lbs') : unit === 'g' ? value / 1000 : value;
+            weights.push({ createdAt: date, weight, sourceName: readAttribute(tag, 'sourceName') });
+        } else {
+            // Apple Health ukladá percento tuku ako podiel (0.215)
+            bodyFat.set(Math.round(date.getTime() / DUPLICATE_WINDOW_MS), value <= 1 ? value * 100 : value);
+        }
+    }
+
+    if (weights.length === 0 && bodyFat.size === 0 && !text.includes('<HealthData')) {
+        throw new Error(t('errors.import.apple'));
+    }
+
+    return weights.map(({ createdAt, weight, sourceName }) => {
+        const fat = bodyFat.get(Math.round(createdAt.getTime() / DUPLICATE_WINDOW_MS));
+        return {
+            createdAt,
+            weight,
+            bodyFat: fat != null ? Math.round(fat * 10) / 10 : null,
+            note: sourceName ? `Apple Health: ${sourceName}` : ''
+        };
+    });
+};
+
+/**
+ * Odhad mapovania stĺpcov všeobecného CSV podľa názvov v hlavičke
+ * @param {string[]} headers
+ */
+export const guessMapping = (headers) => {
+    const find = (pattern) => headers.findIndex(h => pattern.test(h));
+    const weight = find(/weight|váha|vaha|gewicht|poids|mass/i);
+    return {
+        date: find(/date|time|dátum|datum|čas|cas/i),
+        weight,
+        bodyFat: find(/fat|tuk/i),
+        note: find(/note|comment|poznámka|poznamka/i),
+        unit: /\blbs?\b|pound/i.test(headers[weight] || '') ? 'lb' : 'kg',
+        dateOrder: 'auto'
+    };
+};
+
+/**
+ * Všeobecný CSV s mapovaním stĺpcov (indexy do hlavičky, -1 = nepoužiť)
+ * @param {{ headers: string[], rows: string[][] }} csv - výstup parseCSV
+ * @param {{ date: number, weight: number, bodyFat: number, note: number, unit: 'kg'|'lb', dateOrder: 'auto'|'dmy'|'mdy' }} mapping
+ */
+export const parseGenericCSV = ({ rows }, mapping) => {
+    if (mapping.date === -1 || mapping.weight === -1) {
+        throw new Error(t('errors.import.mapping'));
+    }
+
+    return rows.map(row => {
+        const weight = parseNumber(row[mapping.weight]);
+        return {
+            createdAt: parseDateValue(row[mapping.date], mapping.dateOrder),
+            weight: weight != null ? unitToKg(weight, mapping.unit) : null,
+            bodyFat: mapping.bodyFat === -1 ? null : parseNumber(row[mapping.bodyFat]),
+            note: mapping.note === -1 ? '' : (row[mapping.note] || '').trim()
+        };
+    });
+};
+
+/**
+ * Z riadkov importu vytvorí merania pre používateľa: prepočíta BMI (a zloženie
+ * tela, ak je známa impedancia), doplní hodnoty zo súboru a označí duplicity
+ * voči meraniam, ktoré už sú v databáze.
+ * @param {object[]} rows - výstup parserov vyššie
+ * @param {object} user
+ * @returns {Promise<{ records: object[], duplicates: object[], invalid: number }>}
+ */
+export const prepareImport = async (rows, user) => {
+    const valid = rows.filter(r => r.createdAt && !isNaN(r.createdAt) && r.weight > 0 && r.weight < 500);
+
+    const existing = await db.measurements.where('userId').equals(user.id).toArray();
+    const existingTimes = existing.map(m => new Date(m.createdAt).getTime()).sort((a, b) => a - b);
+    const isDuplicate = (time) => {
+        // Binárne vyhľadanie najbližšieho existujúceho merania
+        let lo = 0;
+        let hi = existingTimes.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (Math.abs(existingTimes[mid] - time) < DUPLICATE_WINDOW_MS) return true;
+            if (existingTimes[mid] < time) lo = mid + 1;
+            else hi = mid - 1;
+        }
+        return false;
+    };
+
+    const records = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    for (const row of valid.sort((a, b) => a.createdAt - b.createdAt)) {
+        const weight = Math.round(row.weight * 100) / 100;
+        const impedance = row.impedance ?? null;
+        const metrics = computeMetrics(user, weight, impedance, row.createdAt);
+
+        // Hodnoty zo súboru použijeme tam, kde ich nevieme vypočítať
+        for (const key of Object.keys(EMPTY_BODY_COMPOSITION)) {
+            if (metrics[key] == null && row[key] != null) metrics[key] = row[key];
+        }
+
+        const record = {
+            userId: user.id,
+            weight,
+            impedance,
+            ...metrics,
+            createdAt: row.createdAt,
+            source: 'import',
+            note: row.note || '',
+            tags: [],
+            status: null
+        };
+
+        const time = row.createdAt.getTime();
+        const slot = Math.round(time / DUPLICATE_WINDOW_MS);
+        if (isDuplicate(time) || seen.has(slot)) {
+            duplicates.push(record);
+        } else {
+            seen.add(slot);
+            records.push(record);
+        }
+    }
+
+    return { records, duplicates, invalid: rows.length - valid.length };
+};
+
+export const importMeasurements = async (records) => {
+    return await db.measurements.bulkAdd(records);
+};
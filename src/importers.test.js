@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    parseCSV,
+    parseDateValue,
+    parseZeppLifeCSV,
+    parseAppleHealthXML,
+    guessMapping,
+    parseGenericCSV,
+    prepareImport,
+    importMeasurements
+} from './importers';
+import { db } from './db';
+import { resetDatabase } from './test/db';
+
+describe('parseCSV', () => {
+    it('handles quotes, escaped quotes and line breaks inside a field', () => {
+        const { headers, rows } = parseCSV('﻿date,weight,note\r\n2024-03-01,80.5,"ráno, po behu"\r\n2024-03-02,80.1,"povedal ""stačí""\nnový riadok"\r\n\r\n');
+        expect(headers).toEqual(['date', 'weight', 'note']);
+        expect(rows).toEqual([
+            ['2024-03-01', '80.5', 'ráno, po behu'],
+            ['2024-03-02', '80.1', 'povedal "stačí"\nnový riadok']
+        ]);
+    });
+
+    it('detects semicolon and tab delimiters', () => {
+        expect(parseCSV('Dátum;Váha\n1.3.2024;80,5').rows).toEqual([['1.3.2024', '80,5']]);
+        expect(parseCSV('date\tweight\n2024-03-01\t80.5\n').rows).toEqual([['2024-03-01', '80.5']]);
+    });
+});
+
+describe('parseDateValue', () => {
+    it('reads unix timestamps in seconds and milliseconds', () => {
+        expect(parseDateValue('1709280000')).toEqual(new Date('2024-03-01T08:00:00Z'));
+        expect(parseDateValue('1709280000000')).toEqual(new Date('2024-03-01T08:00:00Z'));
+    });
+
+    it('reads local dates with the day and month order', () => {
+        expect(parseDateValue('1.3.2024 7:15')).toEqual(new Date(2024, 2, 1, 7, 15));
+        expect(parseDateValue('3/1/2024')).toEqual(new Date(2024, 2, 1));
+        expect(parseDateValue('3/1/2024', 'dmy')).toEqual(new Date(2024, 0, 3));
+        // Deň väčší ako 12 prezradí poradie aj pri 'auto'
+        expect(parseDateValue('25/1/2024 07:15:30')).toEqual(new Date(2024, 0, 25, 7, 15, 30));
+    });
+
+    it('reads ISO dates with a space and an offset without a colon', () => {
+        expect(parseDateValue('2021-03-14 07:12:45+0000')).toEqual(new Date('2021-03-14T07:12:45Z'));
+        expect(parseDateValue('2020-01-01 08:00:00 +0100')).toEqual(new Date('2020-01-01T07:00:00Z'));
+    });
+
+    it('returns null for empty or invalid values', () => {
+        expect(parseDateValue('')).toBeNull();
+        expect(parseDateValue('yesterday')).toBeNull();
+    });
+});
+
+describe('parseZeppLifeCSV', () => {
+    it('reads the BODY export and treats zeros as missing', () => {
+        const text = [
+            'time,weight,height,bmi,fatRate,bodyWaterRate,boneMass,metabolism,muscleRate,visceralFat,impedance',
+            '2021-03-14 07:12:45+0000,80.5,175.0,26.3,22.4,55.1,3.1,1702.0,59.2,11.0,480',
+            '2021-03-15 07:05:10+0000,80.2,175.0,26.2,0.0,0.0,0.0,0.0,0.0,0.0,0'
+        ].join('\n');
+        expect(parseZeppLifeCSV(text)).toEqual([
+            {
+                createdAt: new Date('2021-03-14T07:12:45Z'),
+                weight: 80.5,
+                impedance: 480,
+                bodyFat: 22.4,
+                water: 55.1,
+                boneMass: 3.1,
+                bmr: 1702,
+                muscleMass: 59.2,
+                visceralFat: 11
+            },
+            {
+                createdAt: new Date('2021-03-15T07:05:10Z'),
+                weight: 80.2,
+                impedance: null,
+                bodyFat: null,
+                water: null,
+                boneMass: null,
+                bmr: null,
+                muscleMass: null,
+                visceralFat: null
+            }
+        ]);
+    });
+
+    it('rejects a file without time and weight columns', () => {
+        expect(() => parseZeppLifeCSV('steps,calories\n1000,50')).toThrow();
+    });
+});
+
+describe('parseAppleHealthXML', () => {
+    it('reads body mass in any unit and pairs body fat by time', () => {
+        const text = `<?xml version="1.0" encoding="UTF-8"?>
+<HealthData locale="sk_SK">
+ <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Health Mate" unit="kg" creationDate="2024-03-01 07:16:02 +0100" startDate="2024-03-01 07:15:00 +0100" endDate="2024-03-01 07:15:00 +0100" value="80.5"/>
+ <Record type="HKQuantityTypeIdentifierBodyFatPercentage" sourceName="Health Mate" unit="%" startDate="2024-03-01 07:15:00 +0100" endDate="2024-03-01 07:15:00 +0100" value="0.224"/>
+ <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Zdravie" unit="lb" startDate="2024-03-02 07:10:00 +0100" endDate="2024-03-02 07:10:00 +0100" value="177"/>
+ <Record type="HKQuantityTypeIdentifierStepCount" sourceName="iPhone" unit="count" startDate="2024-03-02 08:00:00 +0100" value="120"/>
+</HealthData>`;
+        const [first, second] = parseAppleHealthXML(text);
+        expect(first).toEqual({ createdAt: new Date('2024-03-01T06:15:00Z'), weight: 80.5, bodyFat: 22.4, note: 'Apple Health: Health Mate' });
+        expect(second.weight).toBeCloseTo(80.29, 2);
+        expect(second.bodyFat).toBeNull();
+    });
+
+    it('rejects a file that is not an Apple Health export', () => {
+        expect(() => parseAppleHealthXML('<html></html>')).toThrow();
+    });
+});
+
+describe('parseGenericCSV', () => {
+    it('guesses the columns and converts pounds to kg', () => {
+        const csv = parseCSV('Date,Weight (lbs),Body Fat,Comment\n2024-03-01T07:15:00Z,177.47,22.4,after run\n,180,,\n');
+        const mapping = guessMapping(csv.headers);
+        expect(mapping).toEqual({ date: 0, weight: 1, bodyFat: 2, note: 3, unit: 'lb', dateOrder: 'auto' });
+
+        const [row, invalid] = parseGenericCSV(csv, mapping);
+        expect(row).toMatchObject({ createdAt: new Date('2024-03-01T07:15:00Z'), bodyFat: 22.4, note: 'after run' });
+        expect(row.weight).toBeCloseTo(80.5, 2);
+        expect(invalid.createdAt).toBeNull();
+    });
+
+    it('requires the date and weight columns', () => {
+        expect(() => parseGenericCSV({ rows: [] }, { date: -1, weight: 0 })).toThrow();
+    });
+});
+
+describe('prepareImport', () => {
+    beforeEach(resetDatabase);
+
+    it('computes metrics, keeps values from the file and marks duplicates', async () => {
+        const user = await db.users.get(await db.users.add({ name: 'Anna', height: 175, sex: 'female', birthDate: '1990-04-02' }));
+        await db.measurements.add({ userId: user.id, weight: 80, bmi: 26.1, createdAt: new Date('2024-03-01T07:15:20Z') });
+
+        const rows = [
+            { createdAt: new Date('2024-03-02T07:15:00Z'), weight: 80.456, bodyFat: 22.4, note: 'Zepp' },
+            // Rovnaké meranie ako v databáze (do minúty) a rovnaké ako predošlý riadok
+            { createdAt: new Date('2024-03-01T07:15:00Z'), weight: 80 },
+            { createdAt: new Date('2024-03-02T07:15:20Z'), weight: 80.5 },
+            { createdAt: null, weight: 80 },
+            { createdAt: new Date('2024-03-03T07:15:00Z'), weight: 0 }
+        ];
+        const { records, duplicates, invalid } = await prepareImport(rows, user);
+        expect(invalid).toBe(2);
+        expect(duplicates.map(r => r.createdAt)).toEqual([new Date('2024-03-01T07:15:00Z'), new Date('2024-03-02T07:15:20Z')]);
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({ userId: user.id, weight: 80.46, bodyFat: 22.4, source: 'import', note: 'Zepp', status: null });
+        expect(records[0].bmi).toBeCloseTo(80.46 / 1.75 ** 2, 1);
+
+        await importMeasurements(records);
+        expect(await db.measurements.count()).toBe(2);
+    });
+});
@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import UpdatePrompt from './UpdatePrompt.jsx'
+import DialogHost from './DialogHost.jsx'
+import { applyLanguage } from './i18n'
+import { getSettings } from './settings'
+
+// Jazyk nastavíme pred prvým vykreslením, aby sa texty neprepínali
+applyLanguage(getSettings().language)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
+    <UpdatePrompt />
+    <DialogHost />
   </StrictMode>,
 )
@@ -0,0 +1,55 @@
+/**
+ * Registrácia service workera (src/sw.js) – offline režim a ponuka
+ * aktualizácie na novú verziu aplikácie
+ */
+
+const BASE_URL = import.meta.env.BASE_URL;
+// Nainštalovaná aplikácia môže byť otvorená celé dni – aktualizáciu hľadáme aj priebežne
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+export const serviceWorkerSupported = () => 'serviceWorker' in navigator;
+
+/**
+ * Registrácia service workera aplikácie, ak existuje (iba v produkčnom
+ * builde – dev server sw.js negeneruje)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const getServiceWorker = async () => {
+    if (!serviceWorkerSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration(BASE_URL);
+    if (!registration) return null;
+    await navigator.serviceWorker.ready;
+    return registration;
+};
+
+/**
+ * Zaregistruje service worker. Keď je stiahnutá nová verzia aplikácie,
+ * zavolá onUpdate(applyUpdate) – applyUpdate() ju aktivuje a stránku
+ * znovu načíta.
+ * @param {{ onUpdate: (applyUpdate: () => void) => void }} options
+ * @returns {Promise<() => void>} zruší priebežnú kontrolu aktualizácií
+ */
+export const registerServiceWorker = async ({ onUpdate }) => {
+    if (!import.meta.env.PROD || !serviceWorkerSupported()) return () => {};
+
+    const registration = await navigator.serviceWorker.register(`${BASE_URL}sw.js`, { scope: BASE_URL });
+
+    const offerUpdate = (worker) => onUpdate(() => {
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    // Bez controllera ide o prvú inštaláciu – nie je čo aktualizovať
+    if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+    });
+
+    const timer = setInterval(() => {
+        registration.update().catch(err => console.warn('Update check failed:', err));
+    }, UPDATE_CHECK_MS);
+    return () => clearInterval(timer);
+};
@@ -0,0 +1,105 @@
+/**
+ * Pripomienky váženia – lokálna notifikácia v nastavený čas pre používateľov,
+ * ktorí v ten deň ešte nemajú meranie
+ *
+ * Notifikáciu ukazuje service worker (src/sw.js), ktorý si pamätá nastavenia
+ * a či už dnes pripomínal. Kým je aplikácia otvorená (aj na pozadí), požiada
+ * ho o kontrolu časovač; nainštalovaná aplikácia v Chromiu sa navyše kontroluje
+ * cez periodickú synchronizáciu na pozadí. Bez push servera iný spôsob, ako
+ * pripomenúť pri zatvorenej aplikácii, prehliadače neponúkajú.
+ */
+import { getServiceWorker } from './pwa';
+import { t, getLocale } from './i18n';
+
+export const REMINDER_TAG = 'weigh-in-reminder';
+// Prehliadač periodickú synchronizáciu aj tak spúšťa podľa vlastného uváženia
+const PERIODIC_SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+export const remindersSupported = () => 'Notification' in window && 'serviceWorker' in navigator;
+
+/**
+ * Vyžiada povolenie notifikácií. Pri zamietnutí vyhodí Error so správou pre používateľa.
+ */
+export const requestReminderPermission = async () => {
+    if (!remindersSupported()) {
+        throw new Error(t('errors.reminders.unsupported'));
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        throw new Error(t('errors.reminders.denied'));
+    }
+};
+
+/**
+ * Najbližší čas pripomienky (dnes, ak ešte nebol, inak zajtra)
+ * @param {string} time - "HH:MM"
+ */
+export const nextReminderAt = (time, now = new Date()) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+    if (next <= now) next.setDate(next.getDate() + 1);
+    return next;
+};
+
+/**
+ * Odovzdá nastavenia pripomienky service workeru a podľa nich zapne
+ * alebo vypne periodickú kontrolu na pozadí
+ * @param {{ enabled: boolean, time: string }} reminder
+ * @param {object[]} users - pripomína sa každému profilu bez dnešného merania
+ */
+export const syncReminder = async (reminder, users) => {
+    if (!remindersSupported()) return;
+    const registration = await getServiceWorker();
+    if (!registration) return;
+
+    registration.active?.postMessage({
+        type: 'REMINDER',
+        reminder: {
+            ...reminder,
+            users: users.map(u => ({ id: u.id, name: u.name })),
+            // Texty notifikácie v jazyku aplikácie – service worker katalógy prekladov nemá
+            locale: getLocale(),
+            title: t('reminders.notificationTitle'),
+            body: {
+                one: t('reminders.notificationBody', { count: 1 }),
+                other: t('reminders.notificationBody', { count: 2 })
+            }
+        }
+    });
+
+    if (!('periodicSync' in registration)) return;
+    try {
+        if (reminder.enabled) {
+            await registration.periodicSync.register(REMINDER_TAG, { minInterval: PERIODIC_SYNC_INTERVAL_MS });
+        } else {
+            await registration.periodicSync.unregister(REMINDER_TAG);
+        }
+    } catch (err) {
+        // Periodickú synchronizáciu prehliadač povolí len nainštalovanej aplikácii
+        console.warn('Periodic sync unavailable:', err);
+    }
+};
+
+/**
+ * Časovač, ktorý v nastavený čas (každý deň) požiada service worker o kontrolu
+ * @returns {() => void} zrušenie časovača
+ */
+export const scheduleReminder = (reminder) => {
+    if (!reminder.enabled || !remindersSupported()) return () => {};
+
+    let timer = null;
+    let cancelled = false;
+    const schedule = () => {
+        timer = setTimeout(async () => {
+            const registration = await getServiceWorker();
+            registration?.active?.postMessage({ type: 'CHECK_REMINDER' });
+            if (!cancelled) schedule();
+        }, nextReminderAt(reminder.time) - Date.now());
+    };
+    schedule();
+
+    return () => {
+        cancelled = true;
+        clearTimeout(timer);
+    };
+};
@@ -0,0 +1,121 @@
+/**
+ * Prehľad pokroku za mesiac alebo štvrťrok – podklady pre tlačovú zostavu
+ * (štatistiky, rýchlosť zmeny, pokrok k cieľu, rozdelenie kategórií BMI)
+ */
+import { trendSlope } from './trends';
+import { getBMICategory, classificationContext } from './classification';
+import { formatMonth } from './format';
+import { t } from './i18n';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REPORT_PERIODS = [
+    { value: 'month', labelKey: 'report.periods.month' },
+    { value: 'quarter', labelKey: 'report.periods.quarter' }
+];
+
+// Poradie kategórií v rozdelení (od najnižšieho BMI)
+const CATEGORY_ORDER = ['underweight', 'healthy', 'overweight', 'obese'];
+
+const periodOf = (kind, year, index) => {
+    const months = kind === 'quarter' ? 3 : 1;
+    const from = new Date(year, index * months, 1);
+    const to = new Date(new Date(year, (index + 1) * months, 1).getTime() - 1);
+    const label = kind === 'quarter'
+        ? t('report.quarterLabel', { quarter: String(index + 1), year: String(year) })
+        : formatMonth(from);
+    return { key: `${kind}-${year}-${index}`, kind, from, to, label };
+};
+
+/**
+ * Obdobia na výber – aktuálne a `count - 1` predchádzajúcich (najnovšie prvé)
+ * @param {'month'|'quarter'} kind
+ * @returns {{ key: string, kind: string, from: Date, to: Date, label: string }[]}
+ */
+export const listPeriods = (kind, count = 12, now = new Date()) => {
+    const perYear = kind === 'quarter' ? 4 : 12;
+    const current = now.getFullYear() * perYear + Math.floor(now.getMonth() / (12 / perYear));
+    return Array.from({ length: count }, (_, i) => {
+        const n = current - i;
+        return periodOf(kind, Math.floor(n / perYear), n % perYear);
+    });
+};
+
+/**
+ * Rozdelenie meraní podľa kategórie BMI (klasifikácia v čase merania)
+ * @returns {{ key: string|null, label: string, color: string, count: number, share: number }[]}
+ */
+export const bmiDistribution = (readings, user) => {
+    const groups = new Map();
+    for (const m of readings) {
+        const category = getBMICategory(m.bmi, classificationContext(user, new Date(m.createdAt)));
+        const group = groups.get(category.label) ?? { key: category.key, label: category.label, color: category.color, count: 0 };
+        group.count++;
+        groups.set(category.label, group);
+    }
+    const order = (group) => (group.key == null ? -1 : CATEGORY_ORDER.indexOf(group.key));
+    return [...groups.values()]
+        .sort((a, b) => order(a) - order(b))
+        .map(group => ({ ...group, share: group.count / readings.length }));
+};
+
+/**
+ * Pokrok k cieľovej váhe v rámci obdobia
+ * @returns {{ target: number, remaining: number, percent: number|null }|null}
+ *   percent – koľko zo vzdialenosti na začiatku obdobia sa prešlo (záporné = vzďaľovanie)
+ */
+export const goalProgress = (start, end, targetWeight) => {
+    if (targetWeight == null) return null;
+    const distance = start - targetWeight;
+    return {
+        target: targetWeight,
+        remaining: end - targetWeight,
+        percent: Math.abs(distance) < 0.1 ? null : Math.round(((start - end) / distance) * 100)
+    };
+};
+
+/**
+ * Zostava za obdobie
+ * @param {object[]} measurements - merania používateľa (ľubovoľné poradie, bez podozrivých)
+ * @param {object} user - profil (targetWeight, výška a vek pre BMI)
+ * @param {{ from: Date, to: Date }} period
+ */
+export const buildReport = (measurements, user, period) => {
+    const readings = measurements
+        .filter(m => new Date(m.createdAt) >= period.from && new Date(m.createdAt) <= period.to)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    if (readings.length === 0) {
+        return { period, readings, stats: null, goal: null, distribution: [] };
+    }
+
+    const first = readings[0];
+    const last = readings[readings.length - 1];
+    const lightest = readings.reduce((min, m) => (m.weight < min.weight ? m : min));
+    const heaviest = readings.reduce((max, m) => (m.weight > max.weight ? m : max));
+    const average = (key) => readings.reduce((sum, m) => sum + m[key], 0) / readings.length;
+
+    // Rýchlosť zmeny z lineárnej regresie všetkých meraní obdobia, nie len prvého a posledného
+    const periodDays = Math.ceil((period.to - period.from) / DAY_MS);
+    const slope = trendSlope(readings.map(m => ({ createdAt: m.createdAt, trend: m.weight })), periodDays);
+
+    return {
+        period,
+        readings,
+        stats: {
+            count: readings.length,
+            start: first.weight,
+            end: last.weight,
+            change: last.weight - first.weight,
+            min: lightest,
+            max: heaviest,
+            average: average('weight'),
+            weeklyRate: slope != null ? slope * 7 : null,
+            startBMI: first.bmi,
+            endBMI: last.bmi,
+            averageBMI: average('bmi')
+        },
+        goal: goalProgress(first.weight, last.weight, user.targetWeight ?? null),
+        distribution: bmiDistribution(readings, user)
+    };
+};
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { listPeriods, goalProgress, buildReport, bmiDistribution } from './report';
+import { applyLanguage } from './i18n';
+
+const USER = { name: 'Peter', height: 180, sex: 'male', birthDate: '1985-06-01', targetWeight: 78 };
+
+// Merania v marci 2024 – každé tri dni o 0.2 kg menej, BMI z výšky 180 cm klesne pod 25
+const MARCH = Array.from({ length: 10 }, (_, i) => {
+    const weight = Math.round((81.9 - i * 0.2) * 10) / 10;
+    return { weight, bmi: weight / 1.8 ** 2, createdAt: new Date(2024, 2, 1 + i * 3, 7, 0) };
+});
+
+beforeEach(() => {
+    applyLanguage('en');
+});
+
+describe('listPeriods', () => {
+    it('lists the current and previous months', () => {
+        const periods = listPeriods('month', 3, new Date(2024, 0, 15));
+        expect(periods.map(p => p.key)).toEqual(['month-2024-0', 'month-2023-11', 'month-2023-10']);
+        expect(periods[1].from).toEqual(new Date(2023, 11, 1));
+        expect(periods[1].to).toEqual(new Date(2023, 11, 31, 23, 59, 59, 999));
+    });
+
+    it('lists quarters across the year boundary', () => {
+        const periods = listPeriods('quarter', 2, new Date(2024, 1, 10));
+        expect(periods.map(p => p.label)).toEqual(['Q1 2024', 'Q4 2023']);
+        expect(periods[1].from).toEqual(new Date(2023, 9, 1));
+        expect(periods[1].to).toEqual(new Date(2023, 11, 31, 23, 59, 59, 999));
+    });
+});
+
+describe('goalProgress', () => {
+    it('returns the share of the distance covered in the period', () => {
+        expect(goalProgress(84, 82, 78)).toEqual({ target: 78, remaining: 4, percent: 33 });
+        // Vzďaľovanie od cieľa je záporný pokrok
+        expect(goalProgress(84, 85, 78).percent).toBe(-17);
+        expect(goalProgress(78.05, 78, 78).percent).toBeNull();
+        expect(goalProgress(84, 82, null)).toBeNull();
+    });
+});
+
+describe('buildReport', () => {
+    const [march] = listPeriods('month', 1, new Date(2024, 2, 20));
+
+    it('summarizes the readings of the period', () => {
+        const outside = { weight: 90, bmi: 27.8, createdAt: new Date(2024, 3, 1, 7, 0) };
+        const { readings, stats, goal, distribution } = buildReport([outside, ...MARCH.slice().reverse()], USER, march);
+
+        expect(readings).toEqual(MARCH);
+        expect(stats).toMatchObject({ count: 10, start: 81.9, end: 80.1, min: MARCH[9], max: MARCH[0] });
+        expect(stats.change).toBeCloseTo(-1.8, 10);
+        expect(stats.average).toBeCloseTo(81, 10);
+        // 0.2 kg za 3 dni
+        expect(stats.weeklyRate).toBeCloseTo(-0.2 / 3 * 7, 2);
+        expect(goal).toEqual({ target: 78, remaining: expect.closeTo(2.1, 10), percent: 46 });
+        expect(distribution).toEqual([
+            expect.objectContaining({ key: 'healthy', count: 5, share: 0.5 }),
+            expect.objectContaining({ key: 'overweight', count: 5, share: 0.5 })
+        ]);
+    });
+
+    it('returns an empty report for a period without readings', () => {
+        const [april] = listPeriods('month', 1, new Date(2024, 3, 20));
+        expect(buildReport(MARCH, USER, april)).toMatchObject({ readings: [], stats: null, goal: null, distribution: [] });
+    });
+});
+
+describe('bmiDistribution', () => {
+    it('orders categories from the lowest BMI and rates toddlers separately', () => {
+        const child = { sex: 'female', birthDate: '2023-01-01' };
+        const groups = bmiDistribution([{ bmi: 16, createdAt: new Date(2024, 0, 1) }], child);
+        expect(groups).toEqual([expect.objectContaining({ key: null, count: 1, share: 1 })]);
+    });
+});
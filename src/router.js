@@ -0,0 +1,121 @@
+/**
+ * Smerovanie podľa adresy (History API) pod base cestou z vite.config.js
+ * (na GitHub Pages /SmartScale-Web-App/). Každá obrazovka aj detail merania
+ * má vlastnú adresu – dá sa obnoviť a otvoriť z odkazu a tlačidlo alebo gesto
+ * Späť prehliadača vráti predchádzajúcu obrazovku namiesto opustenia aplikácie.
+ */
+import { useSyncExternalStore } from 'react';
+
+const BASE_URL = import.meta.env.BASE_URL;
+
+// Prvá zhoda vyhráva; :id je číselný kľúč záznamu v DB
+const ROUTES = [
+    { name: 'dashboard', path: '/' },
+    { name: 'welcome', path: '/welcome' },
+    { name: 'charts', path: '/charts' },
+    { name: 'history', path: '/history' },
+    { name: 'report', path: '/history/report' },
+    { name: 'measurement', path: '/history/:id' },
+    { name: 'profiles', path: '/profiles' },
+    { name: 'newProfile', path: '/profiles/new' },
+    { name: 'settings', path: '/settings' },
+    { name: 'import', path: '/settings/import' }
+].map(route => ({
+    ...route,
+    keys: [...route.path.matchAll(/:(\w+)/g)].map(m => m[1]),
+    pattern: new RegExp(`^${route.path.replace(/:\w+/g, '(\\d+)')}$`)
+}));
+
+/**
+ * Obrazovka pre cestu v rámci aplikácie
+ * @param {string} path - napr. '/history/42'
+ * @returns {{ name: string, params: Record<string, number> } | null}
+ */
+export const matchRoute = (path) => {
+    for (const route of ROUTES) {
+        const match = route.pattern.exec(path);
+        if (match) {
+            return { name: route.name, params: Object.fromEntries(route.keys.map((key, i) => [key, Number(match[i + 1])])) };
+        }
+    }
+    return null;
+};
+
+// Adresa prehliadača → cesta v rámci aplikácie ('/SmartScale-Web-App/history/' → '/history')
+const toAppPath = (pathname) => {
+    const path = `${pathname}/`.startsWith(BASE_URL) ? pathname.slice(BASE_URL.length - 1) : pathname;
+    return path.replace(/\/+$/, '') || '/';
+};
+
+// Poradie záznamu v histórii prehliadača – podľa neho Späť vie, či je kam sa vrátiť v rámci aplikácie
+const currentIndex = () => window.history.state?.index ?? 0;
+
+const listeners = new Set();
+let route = null;
+
+const readRoute = () => {
+    const { pathname, search } = window.location;
+    if (route && route.pathname === pathname && route.search === search) return route;
+    const path = toAppPath(pathname);
+    const match = matchRoute(path);
+    route = {
+        pathname,
+        search,
+        path,
+        name: match?.name ?? null,
+        params: match?.params ?? {},
+        query: new URLSearchParams(search)
+    };
+    return route;
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+if (typeof window !== 'undefined') {
+    if (window.history.state?.index == null) window.history.replaceState({ index: 0 }, '');
+    window.addEventListener('popstate', notify);
+}
+
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Aktuálna obrazovka – komponent sa pri zmene adresy prekreslí.
+ * name je null, ak adresa nezodpovedá žiadnej obrazovke.
+ * @returns {{ path: string, name: string|null, params: Record<string, number>, query: URLSearchParams }}
+ */
+export const useRoute = () => useSyncExternalStore(subscribe, readRoute);
+
+/**
+ * Prejde na cestu v rámci aplikácie
+ * @param {string} path - napr. '/history?tag=večer'
+ * @param {{ replace?: boolean }} [options] - replace nahradí aktuálny záznam histórie (presmerovanie, zmena filtra)
+ */
+export const navigate = (path, { replace = false } = {}) => {
+    const url = BASE_URL + path.replace(/^\//, '');
+    if (replace) {
+        window.history.replaceState({ index: currentIndex() }, '', url);
+    } else {
+        window.history.pushState({ index: currentIndex() + 1 }, '', url);
+        window.scrollTo(0, 0);
+    }
+    notify();
+};
+
+/**
+ * Nadradená obrazovka ('/history/42' → '/history', '/settings' → '/')
+ */
+export const parentPath = (path) => path.replace(/\/[^/]*$/, '') || '/';
+
+/**
+ * Tlačidlo Späť v aplikácii. Ak sme na obrazovku prišli z aplikácie, urobí to
+ * isté ako Späť prehliadača. Pri otvorení z odkazu alebo po obnovení stránky
+ * predchádzajúca obrazovka neexistuje, preto otvorí nadradenú.
+ * @param {string} [fallback] - kam ísť bez predchádzajúcej obrazovky
+ */
+export const goBack = (fallback = parentPath(readRoute().path)) => {
+    if (currentIndex() > 0) window.history.back();
+    else navigate(fallback, { replace: true });
+};
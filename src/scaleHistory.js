@@ -0,0 +1,113 @@
+/**
+ * Synchronizácia meraní, ktoré si váha uložila do pamäte, keď nebol
+ * pripojený telefón – stiahnutie, odstránenie duplicít, priradenie
+ * používateľovi a potvrdenie váhe
+ */
+import { db, computeMetrics } from './db';
+import { readScaleHistory } from './bluetooth';
+import { attributeToUsers, reviewReading, saveScaleReading } from './weighing';
+import { MEASUREMENT_STATUS } from './anomaly';
+
+// Hodiny váhy sa rozchádzajú s telefónom – meranie s rovnakou váhou
+// v tomto okne považujeme za to isté (napr. už uložené pri živom vážení)
+export const HISTORY_DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const HISTORY_DUPLICATE_WEIGHT_KG = 0.1;
+
+const isSameReading = (a, b) =>
+    Math.abs(new Date(a.createdAt) - new Date(b.createdAt)) <= HISTORY_DUPLICATE_WINDOW_MS &&
+    Math.abs(a.weight - b.weight) <= HISTORY_DUPLICATE_WEIGHT_KG;
+
+/**
+ * Rozdelí záznamy z pamäte váhy na nové a tie, ktoré už v databáze sú
+ * @param {object[]} records - merania z váhy (createReading)
+ * @returns {Promise<{ fresh: object[], duplicates: number, invalid: number }>}
+ */
+export const dedupeHistory = async (records) => {
+    const fresh = [];
+    let duplicates = 0;
+    let invalid = 0;
+
+    for (const record of records) {
+        // Bez času nevieme meranie zaradiť, nestabilné sú len priebežné hodnoty
+        if (!record.timestamp || !record.isStable || !(record.weight > 0)) {
+            invalid++;
+            continue;
+        }
+
+        const reading = { ...record, createdAt: record.timestamp };
+        const time = reading.createdAt.getTime();
+        const existing = await db.measurements
+            .where('createdAt')
+            .between(new Date(time - HISTORY_DUPLICATE_WINDOW_MS), new Date(time + HISTORY_DUPLICATE_WINDOW_MS), true, true)
+            .toArray();
+
+        if (existing.some(m => isSameReading(m, reading)) || fresh.some(r => isSameReading(r, reading))) {
+            duplicates++;
+        } else {
+            fresh.push(reading);
+        }
+    }
+
+    return { fresh, duplicates, invalid };
+};
+
+/**
+ * Stiahne a uloží merania z pamäte váhy. Nezvyčajné merania uloží ako
+ * podozrivé – nezapočítajú sa do trendu, kým ich používateľ neprijme.
+ * Merania, pri ktorých nie je jasné, komu patria, uloží tiež ako podozrivé
+ * (navrhnutému používateľovi) a vráti ich na potvrdenie – váha po potvrdení
+ * pamäť zmaže, takže nevybavené merania nesmú existovať iba v pamäti aplikácie.
+ * @param {BluetoothDevice} device
+ * @param {object[]} users
+ * @param {{ clientId: number }} options
+ * @returns {Promise<{ saved: number, suspect: number, duplicates: number, invalid: number,
+ *          ambiguous: { data: object, ranked: object[], suggestedUserId: number|null, measurementId: number }[] }>}
+ */
+export const syncScaleHistory = async (device, users, { clientId }) => {
+    const session = await readScaleHistory(device, { clientId });
+
+    try {
+        const { fresh, duplicates, invalid } = await dedupeHistory(session.records);
+
+        let saved = 0;
+        let suspect = 0;
+        const ambiguous = [];
+        // Od najstaršieho, aby sa priradenie opieralo aj o práve uložené merania
+        for (const reading of fresh.sort((a, b) => a.createdAt - b.createdAt)) {
+            const attribution = await attributeToUsers(users, reading.weight, reading.createdAt);
+            if (attribution.ambiguous) {
+                const holder = users.find(u => u.id === (attribution.userId ?? attribution.ranked[0]?.userId)) ?? users[0];
+                const measurementId = await saveScaleReading(holder, reading, MEASUREMENT_STATUS.SUSPECT);
+                ambiguous.push({ data: reading, ranked: attribution.ranked, suggestedUserId: attribution.userId, measurementId });
+                continue;
+            }
+            const owner = users.find(u => u.id === attribution.userId);
+            const check = await reviewReading(owner, reading);
+            await saveScaleReading(owner, reading, check.suspect ? MEASUREMENT_STATUS.SUSPECT : null);
+            saved++;
+            if (check.suspect) suspect++;
+        }
+
+        // Až po uložení – inak by sa merania pri chybe stratili
+        await session.acknowledge();
+        return { saved, suspect, duplicates, invalid, ambiguous };
+    } finally {
+        session.close();
+    }
+};
+
+/**
+ * Priradí uložené meranie z pamäte váhy, ktoré čakalo na potvrdenie, vybranému
+ * používateľovi – prepočíta metriky podľa jeho profilu a skontroluje ho
+ * voči jeho histórii
+ * @param {{ data: object, measurementId: number }} pending - položka z ambiguous
+ * @param {object} user
+ */
+export const assignHistoryReading = async ({ data, measurementId }, user) => {
+    const check = await reviewReading(user, data);
+    await db.measurements.update(measurementId, {
+        userId: user.id,
+        status: check.suspect ? MEASUREMENT_STATUS.SUSPECT : null,
+        ...computeMetrics(user, data.weight, data.impedance, data.createdAt)
+    });
+};
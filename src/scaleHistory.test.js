@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { syncScaleHistory, assignHistoryReading } from './scaleHistory';
+import { createSimulatedScale, createScenario } from './scales/simulator';
+import { MIBCS_HISTORY_CHAR_UUID } from './scales/miScale';
+import { toUUID } from './scales/gatt';
+import { MEASUREMENT_STATUS } from './anomaly';
+import { db } from './db';
+import { resetDatabase } from './test/db';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLIENT_ID = 0x1234;
+const ACK = [0x04, 0xff, 0xff, 0x12, 0x34];
+
+const hoursAgo = (hours) => {
+    const date = new Date(Date.now() - hours * 60 * 60 * 1000);
+    date.setMilliseconds(0);
+    return date;
+};
+
+// Anna a Peter s podobnou váhou – meranie medzi nimi je nejednoznačné
+const createHousehold = async () => {
+    const anna = await db.users.add({ name: 'Anna', height: 170, sex: 'female', birthDate: '1990-04-02' });
+    const peter = await db.users.add({ name: 'Peter', height: 175, sex: 'male', birthDate: '1988-01-15' });
+    for (const [userId, weight] of [[anna, 70], [peter, 71]]) {
+        for (let days = 2; days <= 4; days++) {
+            await db.measurements.add({ userId, weight, bmi: 0, createdAt: new Date(Date.now() - days * DAY_MS), status: null });
+        }
+    }
+    return { anna, peter, users: await db.users.toArray() };
+};
+
+const scaleWithHistory = (history) => createSimulatedScale(createScenario('body-composition', { history }), { speed: 0 });
+
+const historyWrites = (device) => device.writes
+    .filter(w => w.uuid === toUUID(MIBCS_HISTORY_CHAR_UUID))
+    .map(w => [...w.data]);
+
+beforeEach(resetDatabase);
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('syncScaleHistory', () => {
+    it('saves an ambiguous reading as suspect before acknowledging the scale', async () => {
+        const { anna, peter, users } = await createHousehold();
+        const date = hoursAgo(12);
+        const device = scaleWithHistory([{ weight: 70.5, impedance: 480, date }]);
+
+        const result = await syncScaleHistory(device, users, { clientId: CLIENT_ID });
+        expect(result).toMatchObject({ saved: 0, duplicates: 0, invalid: 0 });
+        expect(result.ambiguous).toHaveLength(1);
+
+        const [pending] = result.ambiguous;
+        expect([anna, peter]).toContain(pending.suggestedUserId);
+        expect(await db.measurements.get(pending.measurementId)).toMatchObject({
+            userId: pending.suggestedUserId,
+            weight: 70.5,
+            createdAt: date,
+            status: MEASUREMENT_STATUS.SUSPECT
+        });
+        expect(historyWrites(device).at(-1)).toEqual(ACK);
+
+        // Používateľ vyberie Petra – metriky sa prepočítajú podľa jeho profilu
+        await assignHistoryReading(pending, users.find(u => u.id === peter));
+        const assigned = await db.measurements.get(pending.measurementId);
+        expect(assigned).toMatchObject({ userId: peter, status: null });
+        expect(assigned.bmi).toBeCloseTo(70.5 / 1.75 ** 2, 1);
+    });
+
+    it('saves a clear reading to its owner and acknowledges the scale', async () => {
+        const { peter, users } = await createHousehold();
+        const date = hoursAgo(12);
+        const device = scaleWithHistory([{ weight: 72.8, impedance: 480, date }]);
+
+        const result = await syncScaleHistory(device, users, { clientId: CLIENT_ID });
+        expect(result).toMatchObject({ saved: 1, duplicates: 0, invalid: 0, suspect: 0, ambiguous: [] });
+        expect(await db.measurements.where('createdAt').equals(date).first()).toMatchObject({ userId: peter, weight: 72.8 });
+        expect(historyWrites(device).at(-1)).toEqual(ACK);
+    });
+
+    it('skips readings that are already saved', async () => {
+        const { users } = await createHousehold();
+        const date = hoursAgo(6);
+        const peter = users.find(u => u.name === 'Peter');
+        await db.measurements.add({ userId: peter.id, weight: 72, bmi: 0, createdAt: new Date(date.getTime() + 5 * 60 * 1000), status: null });
+        const device = scaleWithHistory([{ weight: 72.05, impedance: 480, date }]);
+
+        const result = await syncScaleHistory(device, users, { clientId: CLIENT_ID });
+        expect(result).toMatchObject({ saved: 0, duplicates: 1, ambiguous: [] });
+        expect(historyWrites(device).at(-1)).toEqual(ACK);
+    });
+
+    it('leaves the readings on the scale when saving fails', async () => {
+        const { users } = await createHousehold();
+        const device = scaleWithHistory([{ weight: 70.5, impedance: 480, date: hoursAgo(12) }]);
+        vi.spyOn(db.measurements, 'add').mockRejectedValue(new Error('QuotaExceededError'));
+
+        await expect(syncScaleHistory(device, users, { clientId: CLIENT_ID })).rejects.toThrow('QuotaExceededError');
+        expect(historyWrites(device)).not.toContainEqual(ACK);
+        expect(device.gatt.connected).toBe(false);
+
+        vi.restoreAllMocks();
+        const retry = await syncScaleHistory(device, users, { clientId: CLIENT_ID });
+        expect(retry.ambiguous).toHaveLength(1);
+    });
+});
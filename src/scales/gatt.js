@@ -0,0 +1,56 @@
+/**
+ * Spoločné pomôcky pre dekódovanie GATT dát z váh
+ */
+
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+/**
+ * 16-bitové UUID (0x181d) → plné 128-bitové UUID, v akom ich vracia Web Bluetooth
+ * (BluetoothUUID.canonicalUUID, ale použiteľné aj mimo prehliadača)
+ * @param {number|string} uuid
+ */
+export const toUUID = (uuid) => {
+    if (typeof uuid === 'string') return uuid.toLowerCase();
+    return `0000${uuid.toString(16).padStart(4, '0')}${BASE_UUID_SUFFIX}`;
+};
+
+/**
+ * Dátum a čas vo formáte GATT Date Time (rok UINT16 LE, mesiac, deň, h, min, s).
+ * Neplatný dátum (rok 0, mesiac 0 a pod.) vráti null.
+ * @param {DataView} data
+ * @param {number} offset
+ */
+export const readDateTime = (data, offset) => {
+    if (data.byteLength < offset + 7) return null;
+    const year = data.getUint16(offset, true);
+    const month = data.getUint8(offset + 2);
+    const day = data.getUint8(offset + 3);
+    const hours = data.getUint8(offset + 4);
+    const minutes = data.getUint8(offset + 5);
+    const seconds = data.getUint8(offset + 6);
+
+    if (year < 2000 || month < 1 || month > 12 || day < 1 || day > 31 || hours > 23 || minutes > 59 || seconds > 59) {
+        return null;
+    }
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+export const roundWeight = (weight) => Math.round(weight * 100) / 100;
+
+/**
+ * Jednotný tvar merania, ktorý vracajú všetky drivery. `weight` je vždy v kg,
+ * `scaleWeight` a `unit` zodpovedajú tomu, čo ukazuje displej váhy.
+ */
+export const createReading = (fields) => ({
+    weight: null,
+    scaleWeight: null,
+    unit: 'kg',
+    isStable: false,
+    isLoadRemoved: false,
+    impedance: null,
+    timestamp: null,
+    userId: null,
+    bmi: null,
+    height: null,
+    ...fields
+});
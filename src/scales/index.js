@@ -0,0 +1,57 @@
+/**
+ * Registry driverov pre BLE váhy
+ *
+ * Driver popisuje jeden model (alebo rodinu) váh:
+ *   id, name  – identifikátor a názov pre UI
+ *   filters   – filtre pre navigator.bluetooth.requestDevice
+ *   services  – všetky služby, ku ktorým driver potrebuje prístup
+ *   detect(deviceName, serviceUUIDs) – podľa názvu a ponúkaných služieb
+ *               vráti profil { service, notify, write?, writeTime? } alebo null
+ *   init(session)?        – voliteľný handshake po zapnutí notifikácií
+ *   decode(data, session) – DataView → meranie (createReading) alebo null
+ *   history?  – pamäť meraní urobených bez pripojeného telefónu:
+ *               { service, characteristic, request(clientId) → bajty na zápis,
+ *                 decode(data) → { done, records }, acknowledge(clientId) → bajty }
+ *
+ * session = { profile, state, write(charUUID, bytes) } – state si driver
+ * môže použiť na dáta z handshaku (napr. mierku váhy).
+ */
+import { miBodyCompositionScale, miScale } from './miScale';
+import { qnScale } from './qnScale';
+import { weightScaleProfile } from './weightScaleProfile';
+import { toUUID } from './gatt';
+
+// Poradie je dôležité – konkrétne modely pred všeobecným Weight Scale Profile
+export const SCALE_DRIVERS = [
+    miBodyCompositionScale,
+    miScale,
+    qnScale,
+    weightScaleProfile
+];
+
+export const getDriver = (id) => SCALE_DRIVERS.find(d => d.id === id) || null;
+
+/**
+ * Parametre pre navigator.bluetooth.requestDevice pokrývajúce všetky drivery
+ */
+export const getRequestOptions = () => ({
+    filters: SCALE_DRIVERS.flatMap(d => d.filters),
+    optionalServices: [...new Set(SCALE_DRIVERS.flatMap(d => d.services))]
+});
+
+/**
+ * Vyberie driver podľa názvu zariadenia a služieb, ktoré ponúka
+ * @param {string} deviceName
+ * @param {(number|string)[]} serviceUUIDs
+ * @returns {{ driver: object, profile: object }|null}
+ */
+export const selectDriver = (deviceName, serviceUUIDs) => {
+    const available = new Set(serviceUUIDs.map(toUUID));
+    for (const driver of SCALE_DRIVERS) {
+        const profile = driver.detect(deviceName, available);
+        if (profile) return { driver, profile };
+    }
+    return null;
+};
+
+export { toUUID } from './gatt';
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { selectDriver } from './index';
+
+const driverFor = (name, services) => selectDriver(name, services)?.driver.id ?? null;
+
+describe('selectDriver', () => {
+    it('prefers a specific model over the generic Weight Scale Profile', () => {
+        expect(driverFor('MIBCS', [0x181b, 0x181d])).toBe('mi-body-composition-scale');
+        expect(driverFor('MI SCALE2', [0x181d])).toBe('mi-scale');
+        expect(driverFor('MI_SCALE', [0x181d])).toBe('mi-scale');
+        expect(driverFor('Beurer BF 720', [0x181d])).toBe('weight-scale-profile');
+    });
+
+    it('picks the QN characteristics by the offered service', () => {
+        expect(selectDriver('QN-Scale', [0xffe0]).profile).toMatchObject({ notify: 0xffe1, write: 0xffe3 });
+        expect(selectDriver('QN-Scale', ['0000FFF0-0000-1000-8000-00805F9B34FB']).profile).toMatchObject({ notify: 0xfff1, write: 0xfff2 });
+    });
+
+    it('returns null for an unknown device', () => {
+        expect(driverFor('Kitchen', [0x1234])).toBeNull();
+    });
+});
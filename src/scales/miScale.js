@@ -0,0 +1,150 @@
+/**
+ * Xiaomi Mi Smart Scale (1 a 2) a Mi Body Composition Scale (1 a 2)
+ */
+import { scaleWeightToKg } from '../units';
+import { createReading, readDateTime, roundWeight, toUUID } from './gatt';
+import { parseWeightMeasurementData, WEIGHT_SCALE_SERVICE_UUID, WEIGHT_MEASUREMENT_CHAR_UUID } from './weightScaleProfile';
+
+export const BODY_COMPOSITION_SERVICE_UUID = 0x181b;
+export const BODY_COMP_MEASUREMENT_CHAR_UUID = 0x2a9c;
+
+// Pamäť meraní – vlastná charakteristika Xiaomi v službe 0x181B
+export const MIBCS_HISTORY_CHAR_UUID = '00002a2f-0000-3512-2118-0009af100700';
+const MIBCS_HISTORY_REGISTER = 0x01;
+const MIBCS_HISTORY_REQUEST = 0x02;
+const MIBCS_HISTORY_END = 0x03;
+const MIBCS_HISTORY_ACK = 0x04;
+const MIBCS_RECORD_LENGTH = 13;
+
+// Control bits Xiaomi rámca (0x2A9C, Mi Body Composition Scale 2)
+const MIBCS_CTRL0_LBS = 0x01;
+const MIBCS_CTRL1_IMPEDANCE = 0x02;
+const MIBCS_CTRL1_STABILIZED = 0x20;
+const MIBCS_CTRL1_JIN = 0x40;
+const MIBCS_CTRL1_LOAD_REMOVED = 0x80;
+
+// Xiaomi (Mi Scale 1/2) používa rezervované bity Weight Measurement pre stav merania
+const MISCALE_FLAG_JIN = 0x10;
+const MISCALE_FLAG_STABILIZED = 0x20;
+const MISCALE_FLAG_LOAD_REMOVED = 0x80;
+
+// Mi Smart Scale sa hlási ako "MI_SCALE" (v1) alebo "MI SCALE2" (v2)
+const MI_SCALE_NAME = /^MI[_ ]SCALE/i;
+
+/**
+ * Xiaomi Mi Body Composition Scale 2 – 13 bajtový rámec na 0x2A9C
+ *
+ * Byte 0:     Control byte 0 (bit 0: lbs)
+ * Byte 1:     Control byte 1 (bit 1: impedancia, bit 5: stabilizované,
+ *             bit 6: jin, bit 7: váha zložená)
+ * Byte 2-8:   Dátum a čas
+ * Byte 9-10:  Impedancia (UINT16 LE, ohm)
+ * Byte 11-12: Váha (UINT16 LE; kg / 200, lbs a jin / 100)
+ * @param {DataView} data
+ */
+export const parseBodyCompositionData = (data) => {
+    if (data.byteLength < 13) return null;
+
+    const ctrl0 = data.getUint8(0);
+    const ctrl1 = data.getUint8(1);
+
+    const isLbs = (ctrl0 & MIBCS_CTRL0_LBS) !== 0;
+    const isJin = (ctrl1 & MIBCS_CTRL1_JIN) !== 0;
+    const hasImpedance = (ctrl1 & MIBCS_CTRL1_IMPEDANCE) !== 0;
+
+    const rawWeight = data.getUint16(11, true);
+    const weight = isLbs || isJin ? rawWeight / 100 : rawWeight / 200;
+    const unit = isLbs ? 'lbs' : isJin ? 'jin' : 'kg';
+    const impedance = data.getUint16(9, true);
+
+    return createReading({
+        weight: roundWeight(scaleWeightToKg(weight, unit)),
+        scaleWeight: roundWeight(weight),
+        unit,
+        isStable: (ctrl1 & MIBCS_CTRL1_STABILIZED) !== 0,
+        isLoadRemoved: (ctrl1 & MIBCS_CTRL1_LOAD_REMOVED) !== 0,
+        // Váha posiela 0 alebo 0xFFFF, kým meranie impedancie nie je hotové
+        impedance: hasImpedance && impedance > 0 && impedance < 3000 ? impedance : null,
+        timestamp: readDateTime(data, 2)
+    });
+};
+
+/**
+ * Mi Smart Scale – štandardný Weight Measurement (0x2A9D) s Xiaomi bitmi
+ * (bit 4 jin, bit 5 stabilizované, bit 7 váha zložená)
+ * @param {DataView} data
+ */
+export const parseMiScaleData = (data) => {
+    const reading = parseWeightMeasurementData(data, (flags, isLbs) => {
+        if (isLbs) return 'lbs';
+        return flags & MISCALE_FLAG_JIN ? 'jin' : 'kg';
+    });
+    if (!reading) return null;
+
+    const flags = data.getUint8(0);
+    return {
+        ...reading,
+        isStable: (flags & MISCALE_FLAG_STABILIZED) !== 0,
+        isLoadRemoved: (flags & MISCALE_FLAG_LOAD_REMOVED) !== 0
+    };
+};
+
+const clientIdBytes = (clientId) => [0xff, 0xff, (clientId >> 8) & 0xff, clientId & 0xff];
+
+/**
+ * Notifikácia z pamäte meraní – jeden alebo viac 13 bajtových rámcov
+ * (rovnaký formát ako živé meranie), koniec prenosu je samotný bajt 0x03
+ * @param {DataView} data
+ * @returns {{ done: boolean, records: object[] }}
+ */
+export const parseHistoryData = (data) => {
+    if (data.byteLength === 1 && data.getUint8(0) === MIBCS_HISTORY_END) {
+        return { done: true, records: [] };
+    }
+
+    const records = [];
+    for (let offset = 0; offset + MIBCS_RECORD_LENGTH <= data.byteLength; offset += MIBCS_RECORD_LENGTH) {
+        const record = parseBodyCompositionData(new DataView(data.buffer, data.byteOffset + offset, MIBCS_RECORD_LENGTH));
+        if (record) records.push(record);
+    }
+    return { done: false, records };
+};
+
+export const miBodyCompositionScale = {
+    id: 'mi-body-composition-scale',
+    name: 'Xiaomi Mi Body Composition Scale',
+    filters: [{ services: [BODY_COMPOSITION_SERVICE_UUID] }, { namePrefix: 'MIBCS' }, { namePrefix: 'MIBFS' }],
+    services: [BODY_COMPOSITION_SERVICE_UUID],
+    detect: (deviceName, serviceUUIDs) => {
+        if (!serviceUUIDs.has(toUUID(BODY_COMPOSITION_SERVICE_UUID))) return null;
+        return { service: BODY_COMPOSITION_SERVICE_UUID, notify: BODY_COMP_MEASUREMENT_CHAR_UUID };
+    },
+    decode: (data) => parseBodyCompositionData(data),
+    // Váha si pamätá, čo už ktorému klientovi (16-bitové id) poslala –
+    // po potvrdzení jej tieto merania znova neposiela
+    history: {
+        service: BODY_COMPOSITION_SERVICE_UUID,
+        characteristic: MIBCS_HISTORY_CHAR_UUID,
+        request: (clientId) => [
+            [MIBCS_HISTORY_REGISTER, ...clientIdBytes(clientId)],
+            [MIBCS_HISTORY_REQUEST]
+        ],
+        decode: (data) => parseHistoryData(data),
+        acknowledge: (clientId) => [
+            [MIBCS_HISTORY_END],
+            [MIBCS_HISTORY_ACK, ...clientIdBytes(clientId)]
+        ]
+    }
+};
+
+export const miScale = {
+    id: 'mi-scale',
+    name: 'Xiaomi Mi Smart Scale',
+    filters: [{ namePrefix: 'MI_SCALE' }, { namePrefix: 'MI SCALE' }],
+    services: [WEIGHT_SCALE_SERVICE_UUID],
+    detect: (deviceName, serviceUUIDs) => {
+        if (!MI_SCALE_NAME.test(deviceName || '') || !serviceUUIDs.has(toUUID(WEIGHT_SCALE_SERVICE_UUID))) return null;
+        return { service: WEIGHT_SCALE_SERVICE_UUID, notify: WEIGHT_MEASUREMENT_CHAR_UUID };
+    },
+    decode: (data) => parseMiScaleData(data)
+};
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { parseBodyCompositionData, parseMiScaleData, parseHistoryData } from './miScale';
+import { hexFrame } from '../test/frames';
+
+// 15. 3. 2024 7:30:00 v GATT Date Time
+const DATE = 'e8 07 03 0f 07 1e 00';
+const AT = new Date(2024, 2, 15, 7, 30, 0);
+
+describe('parseBodyCompositionData (0x2A9C)', () => {
+    it('decodes a stabilized frame with impedance', () => {
+        // ctrl1 0x26: impedancia + stabilizované, 500 Ω, 16100 / 200 kg
+        expect(parseBodyCompositionData(hexFrame(`02 26 ${DATE} f4 01 e4 3e`))).toEqual({
+            weight: 80.5,
+            scaleWeight: 80.5,
+            unit: 'kg',
+            isStable: true,
+            isLoadRemoved: false,
+            impedance: 500,
+            timestamp: AT,
+            userId: null,
+            bmi: null,
+            height: null
+        });
+    });
+
+    it('reports a settling weight without impedance', () => {
+        const reading = parseBodyCompositionData(hexFrame(`02 04 ${DATE} 00 00 b8 3e`));
+        expect(reading).toMatchObject({ weight: 80.28, isStable: false, impedance: null });
+    });
+
+    it('ignores impedance the scale has not finished measuring', () => {
+        expect(parseBodyCompositionData(hexFrame(`02 26 ${DATE} ff ff e4 3e`)).impedance).toBeNull();
+        expect(parseBodyCompositionData(hexFrame(`02 26 ${DATE} 00 00 e4 3e`)).impedance).toBeNull();
+    });
+
+    it('flags a removed load', () => {
+        expect(parseBodyCompositionData(hexFrame(`02 a6 ${DATE} f4 01 e4 3e`))).toMatchObject({ isStable: true, isLoadRemoved: true });
+    });
+
+    it('converts lbs and jin to kg', () => {
+        // 177.47 lbs (ctrl0 bit 0) a 161.00 jin (ctrl1 bit 6)
+        expect(parseBodyCompositionData(hexFrame(`03 26 ${DATE} f4 01 53 45`))).toMatchObject({ weight: 80.5, scaleWeight: 177.47, unit: 'lbs' });
+        expect(parseBodyCompositionData(hexFrame(`02 66 ${DATE} f4 01 e4 3e`))).toMatchObject({ weight: 80.5, scaleWeight: 161, unit: 'jin' });
+    });
+
+    it('drops an unset clock and rejects short frames', () => {
+        expect(parseBodyCompositionData(hexFrame('02 26 00 00 00 00 00 00 00 f4 01 e4 3e')).timestamp).toBeNull();
+        expect(parseBodyCompositionData(hexFrame(`02 26 ${DATE} f4 01 e4`))).toBeNull();
+    });
+});
+
+describe('parseMiScaleData (0x2A9D)', () => {
+    it('decodes a stabilized kg frame with timestamp', () => {
+        expect(parseMiScaleData(hexFrame(`22 e4 3e ${DATE}`))).toMatchObject({
+            weight: 80.5,
+            unit: 'kg',
+            isStable: true,
+            isLoadRemoved: false,
+            timestamp: AT
+        });
+    });
+
+    it('reads the Xiaomi status bits', () => {
+        expect(parseMiScaleData(hexFrame(`02 b8 3e ${DATE}`))).toMatchObject({ weight: 80.28, isStable: false });
+        expect(parseMiScaleData(hexFrame(`a2 e4 3e ${DATE}`))).toMatchObject({ isStable: true, isLoadRemoved: true });
+    });
+
+    it('converts lbs and jin to kg', () => {
+        expect(parseMiScaleData(hexFrame(`23 53 45 ${DATE}`))).toMatchObject({ weight: 80.5, scaleWeight: 177.47, unit: 'lbs' });
+        expect(parseMiScaleData(hexFrame(`32 e4 3e ${DATE}`))).toMatchObject({ weight: 80.5, scaleWeight: 161, unit: 'jin' });
+    });
+});
+
+describe('parseHistoryData', () => {
+    it('splits a notification into 13 byte records', () => {
+        // Dve uložené merania v jednej notifikácii (80.5 kg a 80.0 kg o deň skôr)
+        const { done, records } = parseHistoryData(hexFrame(`02 26 ${DATE} f4 01 e4 3e 02 26 e8 07 03 0e 07 0f 00 ea 01 80 3e`));
+        expect(done).toBe(false);
+        expect(records.map(r => [r.weight, r.impedance, r.timestamp])).toEqual([
+            [80.5, 500, AT],
+            [80, 490, new Date(2024, 2, 14, 7, 15, 0)]
+        ]);
+    });
+
+    it('recognizes the end of the transfer', () => {
+        expect(parseHistoryData(hexFrame('03'))).toEqual({ done: true, records: [] });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Váhy s QN protokolom (Yolanda) – Renpho, Eufy Smart Scale C1/P1 a ďalšie
+ * lacné váhy, ktoré sa hlásia ako "QN-Scale"
+ *
+ * Váha po zapnutí notifikácií pošle informácie o sebe (0x12), na ktoré
+ * treba odpovedať konfiguráciou (jednotka kg), a môže si vyžiadať čas (0x14).
+ * Až potom posiela merania (0x10).
+ */
+import { createReading, roundWeight, toUUID } from './gatt';
+
+const QN_SERVICE_UUID = 0xffe0;
+const QN_NOTIFY_CHAR_UUID = 0xffe1;
+const QN_CONFIG_CHAR_UUID = 0xffe3;
+const QN_TIME_CHAR_UUID = 0xffe4;
+
+// Novšie modely majú všetko na jednej službe 0xFFF0
+const QN_ALT_SERVICE_UUID = 0xfff0;
+const QN_ALT_NOTIFY_CHAR_UUID = 0xfff1;
+const QN_ALT_WRITE_CHAR_UUID = 0xfff2;
+
+const QN_OP_MEASUREMENT = 0x10;
+const QN_OP_SCALE_INFO = 0x12;
+const QN_OP_TIME_REQUEST = 0x14;
+
+const QN_STATE_MEASURING = 0x00;
+
+// Čas váhy sa počíta v sekundách od 1. 1. 2000 UTC
+const QN_EPOCH_SECONDS = 946684800;
+
+const withChecksum = (bytes) => {
+    const sum = bytes.reduce((a, b) => a + b, 0) & 0xff;
+    return new Uint8Array([...bytes, sum]);
+};
+
+/**
+ * Meranie (0x10)
+ *
+ * Byte 0:   0x10
+ * Byte 2:   Typ protokolu
+ * Byte 3-4: Váha (UINT16 BE; / 100 alebo / 10 podľa informácií o váhe)
+ * Byte 5:   Stav (0 = meria sa, inak stabilizované)
+ * Byte 6-9: Odpor R1, R2 (UINT16 BE) – vlastná škála QN, nie impedancia Xiaomi
+ * @param {DataView} data
+ * @param {number} factor
+ */
+export const parseQNMeasurement = (data, factor = 100) => {
+    if (data.byteLength < 6 || data.getUint8(0) !== QN_OP_MEASUREMENT) return null;
+
+    const weight = data.getUint16(3, false) / factor;
+    return createReading({
+        weight: roundWeight(weight),
+        scaleWeight: roundWeight(weight),
+        unit: 'kg',
+        isStable: data.getUint8(5) !== QN_STATE_MEASURING
+    });
+};
+
+export const qnScale = {
+    id: 'qn-scale',
+    name: 'QN Scale (Renpho, Eufy)',
+    filters: [
+        { namePrefix: 'QN-Scale' },
+        { namePrefix: 'Renpho' },
+        { namePrefix: 'eufy T914' },
+        { services: [QN_SERVICE_UUID] },
+        { services: [QN_ALT_SERVICE_UUID] }
+    ],
+    services: [QN_SERVICE_UUID, QN_ALT_SERVICE_UUID],
+    detect: (deviceName, serviceUUIDs) => {
+        if (serviceUUIDs.has(toUUID(QN_SERVICE_UUID))) {
+            return { service: QN_SERVICE_UUID, notify: QN_NOTIFY_CHAR_UUID, write: QN_CONFIG_CHAR_UUID, writeTime: QN_TIME_CHAR_UUID };
+        }
+        if (serviceUUIDs.has(toUUID(QN_ALT_SERVICE_UUID))) {
+            return { service: QN_ALT_SERVICE_UUID, notify: QN_ALT_NOTIFY_CHAR_UUID, write: QN_ALT_WRITE_CHAR_UUID, writeTime: QN_ALT_WRITE_CHAR_UUID };
+        }
+        return null;
+    },
+    decode: (data, session) => {
+        if (data.byteLength < 1) return null;
+        const op = data.getUint8(0);
+
+        if (op === QN_OP_SCALE_INFO && data.byteLength >= 11) {
+            const protocolType = data.getUint8(2);
+            session.state.factor = data.getUint8(10) === 1 ? 100 : 10;
+            // 0x01 = kg
+            session.write(session.profile.write, withChecksum([0x13, 0x09, protocolType, 0x01, 0x10, 0x00, 0x00, 0x00]));
+            return null;
+        }
+
+        if (op === QN_OP_TIME_REQUEST) {
+            const seconds = Math.floor(Date.now() / 1000) - QN_EPOCH_SECONDS;
+            session.write(session.profile.writeTime, new Uint8Array([
+                0x02, seconds & 0xff, (seconds >> 8) & 0xff, (seconds >> 16) & 0xff, (seconds >>> 24) & 0xff
+            ]));
+            return null;
+        }
+
+        return parseQNMeasurement(data, session.state.factor);
+    }
+};
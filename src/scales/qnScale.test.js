@@ -0,0 +1,58 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseQNMeasurement, qnScale } from './qnScale';
+import { hexFrame } from '../test/frames';
+
+const createSession = () => {
+    const writes = [];
+    return {
+        writes,
+        session: {
+            profile: qnScale.detect('QN-Scale', new Set(['0000ffe0-0000-1000-8000-00805f9b34fb'])),
+            state: {},
+            write: (uuid, bytes) => writes.push({ uuid, bytes: [...bytes] })
+        }
+    };
+};
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('parseQNMeasurement', () => {
+    it('decodes a settling and a stabilized frame', () => {
+        expect(parseQNMeasurement(hexFrame('10 0b ff 1f 5e 00 00 00 00 00 97'))).toMatchObject({ weight: 80.3, unit: 'kg', isStable: false });
+        expect(parseQNMeasurement(hexFrame('10 0b ff 1f 72 01 01 f4 02 0e b1'))).toMatchObject({ weight: 80.5, isStable: true });
+    });
+
+    it('uses the factor from the scale info', () => {
+        expect(parseQNMeasurement(hexFrame('10 0b ff 03 25 01 00 00 00 00 43'), 10).weight).toBe(80.5);
+    });
+
+    it('ignores other opcodes and short frames', () => {
+        expect(parseQNMeasurement(hexFrame('12 0b ff 00 00 00'))).toBeNull();
+        expect(parseQNMeasurement(hexFrame('10 0b ff 1f 72'))).toBeNull();
+    });
+});
+
+describe('qnScale.decode', () => {
+    it('ignores an empty notification', () => {
+        const { session, writes } = createSession();
+        expect(qnScale.decode(new DataView(new ArrayBuffer(0)), session)).toBeNull();
+        expect(writes).toEqual([]);
+    });
+
+    it('answers the scale info with the kg configuration', () => {
+        const { session, writes } = createSession();
+        expect(qnScale.decode(hexFrame('12 0b ff 00 00 00 00 00 00 00 0a 26'), session)).toBeNull();
+        expect(writes).toEqual([{ uuid: 0xffe3, bytes: [0x13, 0x09, 0xff, 0x01, 0x10, 0x00, 0x00, 0x00, 0x2c] }]);
+        // Bajt 10 iný ako 1 → váha v desatinách kg
+        expect(qnScale.decode(hexFrame('10 0b ff 03 25 01 00 00 00 00 43'), session).weight).toBe(80.5);
+    });
+
+    it('sends the time in seconds since 2000', () => {
+        vi.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+        const { session, writes } = createSession();
+        expect(qnScale.decode(hexFrame('14 04 ff 17'), session)).toBeNull();
+        expect(writes).toEqual([{ uuid: 0xffe4, bytes: [0x02, 0x00, 0xbd, 0x24, 0x2d] }]);
+    });
+});
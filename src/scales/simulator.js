@@ -0,0 +1,342 @@
+/**
+ * Simulovaná váha – falošné BluetoothDevice s rovnakým rozhraním ako
+ * Web Bluetooth (gatt.connect, getPrimaryServices, notifikácie), ktoré
+ * prehrá nahranú postupnosť rámcov. Používa sa v demo režime a v testoch,
+ * ktoré bežia v Node bez fyzickej váhy. Po opätovnom pripojení pokračuje
+ * prehrávanie tam, kde skončilo.
+ *
+ * Scenár: { name, services, service, notify, steps, connectError?,
+ *           respond?(charUUID, bytes) → rámce, ktoré váha pošle ako odpoveď na zápis }
+ * Krok:   { delay (ms od predchádzajúceho kroku), data?: number[],
+ *           disconnect?: true, offline?: true (ďalšie pripojenia zlyhajú) }
+ */
+import { toUUID } from './gatt';
+import { MIBCS_HISTORY_CHAR_UUID } from './miScale';
+
+const FRAME_INTERVAL_MS = 350;
+
+const createListeners = () => {
+    const listeners = new Map();
+    return {
+        add: (type, fn) => {
+            if (!listeners.has(type)) listeners.set(type, new Set());
+            listeners.get(type).add(fn);
+        },
+        remove: (type, fn) => listeners.get(type)?.delete(fn),
+        dispatch: (type, event) => listeners.get(type)?.forEach(fn => fn(event))
+    };
+};
+
+/**
+ * @param {object} scenario
+ * @param {{ speed?: number }} [options] - speed 0 prehrá všetko bez čakania
+ */
+export const createSimulatedScale = (scenario, { speed = 1 } = {}) => {
+    const deviceListeners = createListeners();
+    const timers = new Set();
+    // Všetko, čo aplikácia na váhu zapísala – pre testy handshaku
+    const writes = [];
+    let connected = false;
+    let offline = false;
+    // Index ďalšieho kroku nahrávky
+    let position = 0;
+
+    const stopReplay = () => {
+        timers.forEach(clearTimeout);
+        timers.clear();
+    };
+
+    const disconnect = () => {
+        stopReplay();
+        if (!connected) return;
+        connected = false;
+        deviceListeners.dispatch('gattserverdisconnected', { target: device });
+    };
+
+    const createCharacteristic = (uuid) => {
+        const listeners = createListeners();
+        const characteristic = {
+            uuid,
+            value: null,
+            addEventListener: listeners.add,
+            removeEventListener: listeners.remove,
+            startNotifications: async () => {
+                if (uuid !== toUUID(scenario.notify)) return characteristic;
+                let at = 0;
+                for (const step of scenario.steps.slice(position)) {
+                    at += step.delay || 0;
+                    const timer = setTimeout(() => {
+                        timers.delete(timer);
+                        position++;
+                        if (step.disconnect) {
+                            offline = !!step.offline;
+                            disconnect();
+                            return;
+                        }
+                        characteristic.value = new DataView(new Uint8Array(step.data).buffer);
+                        listeners.dispatch('characteristicvaluechanged', { target: characteristic });
+                    }, speed > 0 ? at / speed : 0);
+                    timers.add(timer);
+                }
+                return characteristic;
+            },
+            stopNotifications: async () => {
+                stopReplay();
+                return characteristic;
+            },
+            writeValue: async (bytes) => {
+                const data = Array.from(new Uint8Array(bytes.buffer ?? bytes));
+                writes.push({ uuid, data });
+
+                let at = 0;
+                for (const reply of scenario.respond?.(uuid, data) ?? []) {
+                    at += FRAME_INTERVAL_MS;
+                    const timer = setTimeout(() => {
+                        timers.delete(timer);
+                        characteristic.value = new DataView(new Uint8Array(reply).buffer);
+                        listeners.dispatch('characteristicvaluechanged', { target: characteristic });
+                    }, speed > 0 ? at / speed : 0);
+                    timers.add(timer);
+                }
+            }
+        };
+        characteristic.writeValueWithoutResponse = characteristic.writeValue;
+        return characteristic;
+    };
+
+    const createService = (uuid) => {
+        const characteristics = new Map();
+        return {
+            uuid,
+            getCharacteristic: async (charUUID) => {
+                const key = toUUID(charUUID);
+                if (!characteristics.has(key)) characteristics.set(key, createCharacteristic(key));
+                return characteristics.get(key);
+            }
+        };
+    };
+
+    const services = new Map(scenario.services.map(uuid => [toUUID(uuid), createService(toUUID(uuid))]));
+
+    const server = {
+        get connected() {
+            return connected;
+        },
+        device: null,
+        connect: async () => server,
+        disconnect,
+        getPrimaryServices: async () => [...services.values()],
+        getPrimaryService: async (uuid) => {
+            const service = services.get(toUUID(uuid));
+            if (!service) throw new Error(`No Services matching UUID ${toUUID(uuid)} found in Device.`);
+            return service;
+        }
+    };
+
+    const device = {
+        id: `simulated-${scenario.id}`,
+        name: scenario.name,
+        simulated: true,
+        writes,
+        addEventListener: deviceListeners.add,
+        removeEventListener: deviceListeners.remove,
+        gatt: {
+            get connected() {
+                return connected;
+            },
+            connect: async () => {
+                if (scenario.connectError) throw new Error(scenario.connectError);
+                if (offline) throw new Error('Bluetooth Device is no longer in range.');
+                connected = true;
+                return server;
+            },
+            disconnect
+        }
+    };
+    server.device = device;
+
+    return device;
+};
+
+/**
+ * Transport, ktorý namiesto výberu zariadenia vráti simulovanú váhu
+ * @param {object} scenario
+ * @param {{ speed?: number }} [options]
+ */
+export const createSimulatedTransport = (scenario, options) => ({
+    id: 'simulated',
+    isAvailable: () => true,
+    requestDevice: async () => createSimulatedScale(scenario, options),
+    getDevices: async () => []
+});
+
+// --- Kódovanie rámcov (opak dekóderov v driveroch) ---
+
+const uint16 = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+const dateTimeBytes = (date) => [
+    ...uint16(date.getFullYear()), date.getMonth() + 1, date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds()
+];
+
+/**
+ * Rámec Mi Body Composition Scale 2 (0x2A9C), váha v kg
+ */
+export const encodeBodyCompositionFrame = ({ weight, impedance = null, isStable = false, isLoadRemoved = false, date = new Date() }) => [
+    0x02,
+    (impedance != null ? 0x02 : 0) | (isStable ? 0x20 : 0) | (isLoadRemoved ? 0x80 : 0),
+    ...dateTimeBytes(date),
+    ...uint16(impedance ?? 0),
+    ...uint16(Math.round(weight * 200))
+];
+
+/**
+ * Rámec Mi Smart Scale (0x2A9D s Xiaomi bitmi), váha v kg
+ */
+export const encodeMiScaleFrame = ({ weight, isStable = false, isLoadRemoved = false, date = new Date() }) => [
+    0x02 | (isStable ? 0x20 : 0) | (isLoadRemoved ? 0x80 : 0),
+    ...uint16(Math.round(weight * 200)),
+    ...dateTimeBytes(date)
+];
+
+/**
+ * Meranie QN váhy (0x10), mierka 100
+ */
+export const encodeQNMeasurementFrame = ({ weight, isStable = false }) => {
+    const raw = Math.round(weight * 100);
+    return [0x10, 0x0b, 0xff, (raw >> 8) & 0xff, raw & 0xff, isStable ? 0x01 : 0x00, 0, 0, 0, 0];
+};
+
+// Informácie o QN váhe (0x12) – bajt 10 = 1 znamená mierku 100
+const QN_SCALE_INFO_FRAME = [0x12, 0x0b, 0xff, 0, 0, 0, 0, 0, 0, 0, 0x01, 0];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pamäť meraní Mi Body Composition Scale – na požiadavku (0x02) pošle
+ * uložené merania po dvoch v notifikácii a na konci 0x03, po potvrdení
+ * (0x04) ich vymaže
+ * @param {{ weight: number, impedance: number|null, date: Date }[]} stored
+ */
+const createHistoryResponder = (stored) => {
+    let pending = stored.map(record => encodeBodyCompositionFrame({ ...record, isStable: true }));
+    return (uuid, data) => {
+        if (uuid !== toUUID(MIBCS_HISTORY_CHAR_UUID)) return [];
+        if (data[0] === 0x04) pending = [];
+        if (data[0] !== 0x02) return [];
+
+        const replies = [];
+        for (let i = 0; i < pending.length; i += 2) {
+            replies.push(pending.slice(i, i + 2).flat());
+        }
+        return [...replies, [0x03]];
+    };
+};
+
+// Merania z posledných dní, ktoré váha "odmerala" bez telefónu
+const demoHistory = (weight, impedance) => [3, 2, 1].map(days => {
+    const date = new Date(Date.now() - days * DAY_MS);
+    date.setHours(7, 15, 0, 0);
+    return { weight: Math.round((weight + days * 0.2) * 20) / 20, impedance, date };
+});
+
+// Váha sa pri stúpaní na ňu ustaľuje – hodnoty sa približujú k cieľovej
+const settlingWeights = (weight) => [0.15, 0.55, 0.85, 0.96, 0.99, 1.004, 0.998]
+    .map(ratio => Math.round(weight * ratio * 20) / 20);
+
+const frames = (encode, values) => values.map(value => ({ delay: FRAME_INTERVAL_MS, data: encode(value) }));
+
+/**
+ * Nahrané priebehy váženia pre demo režim a testy
+ * @param {string} id
+ * @param {{ weight?: number, impedance?: number, history?: object[] }} [options] - cieľová
+ *        váha v kg a merania uložené v pamäti váhy ({ weight, impedance, date })
+ */
+export const createScenario = (id, { weight = 75, impedance = 480, history = null } = {}) => {
+    const settling = settlingWeights(weight).map(w => ({ weight: w }));
+    const bodyComposition = {
+        name: 'MIBFS',
+        services: [0x181b, 0x181d],
+        service: 0x181b,
+        notify: 0x2a9c,
+        respond: createHistoryResponder(history ?? demoHistory(weight, impedance))
+    };
+
+    switch (id) {
+        case 'mi-scale':
+            return {
+                id,
+                name: 'MI SCALE2',
+                services: [0x181d],
+                service: 0x181d,
+                notify: 0x2a9d,
+                steps: [
+                    ...frames(encodeMiScaleFrame, settling),
+                    ...frames(encodeMiScaleFrame, [{ weight, isStable: true }, { weight, isStable: true }]),
+                    { delay: 1500, data: encodeMiScaleFrame({ weight, isStable: true, isLoadRemoved: true }) }
+                ]
+            };
+        case 'qn-scale':
+            return {
+                id,
+                name: 'QN-Scale',
+                services: [0xffe0],
+                service: 0xffe0,
+                notify: 0xffe1,
+                steps: [
+                    { delay: 200, data: QN_SCALE_INFO_FRAME },
+                    ...frames(encodeQNMeasurementFrame, settling),
+                    ...frames(encodeQNMeasurementFrame, [{ weight, isStable: true }])
+                ]
+            };
+        case 'reconnect':
+            return {
+                id,
+                ...bodyComposition,
+                steps: [
+                    ...frames(encodeBodyCompositionFrame, settling.slice(0, 4)),
+                    { delay: 500, disconnect: true },
+                    ...frames(encodeBodyCompositionFrame, settling.slice(4)),
+                    ...frames(encodeBodyCompositionFrame, [{ weight, isStable: true }]),
+                    { delay: 1200, data: encodeBodyCompositionFrame({ weight, impedance, isStable: true }) }
+                ]
+            };
+        case 'disconnect':
+            return {
+                id,
+                ...bodyComposition,
+                steps: [
+                    ...frames(encodeBodyCompositionFrame, settling.slice(0, 4)),
+                    { delay: 500, disconnect: true, offline: true }
+                ]
+            };
+        case 'connect-error':
+            return {
+                id,
+                ...bodyComposition,
+                connectError: 'GATT Server is disconnected. Cannot perform GATT operations.',
+                steps: []
+            };
+        default:
+            return {
+                id: 'body-composition',
+                ...bodyComposition,
+                steps: [
+                    ...frames(encodeBodyCompositionFrame, settling),
+                    // Stabilizovaná váha chodí niekoľkokrát, impedancia až po chvíli
+                    ...frames(encodeBodyCompositionFrame, [{ weight, isStable: true }, { weight, isStable: true }]),
+                    { delay: 1200, data: encodeBodyCompositionFrame({ weight, impedance, isStable: true }) },
+                    ...frames(encodeBodyCompositionFrame, [{ weight, impedance, isStable: true, isLoadRemoved: true }])
+                ]
+            };
+    }
+};
+
+export const SIMULATED_SCENARIOS = [
+    { value: 'body-composition', labelKey: 'settings.scenarios.bodyComposition' },
+    { value: 'mi-scale', labelKey: 'settings.scenarios.miScale' },
+    { value: 'qn-scale', labelKey: 'settings.scenarios.qnScale' },
+    { value: 'reconnect', labelKey: 'settings.scenarios.reconnect' },
+    { value: 'disconnect', labelKey: 'settings.scenarios.disconnect' },
+    { value: 'connect-error', labelKey: 'settings.scenarios.connectError' }
+];
@@ -0,0 +1,15 @@
+/**
+ * Transport – odkiaľ sa berú BLE zariadenia. Aplikácia používa Web Bluetooth,
+ * demo režim a testy simulovanú váhu (simulator.js) s rovnakým rozhraním.
+ *
+ *   isAvailable()          – či sa dá transport použiť
+ *   requestDevice(options) – výber zariadenia (options ako pre navigator.bluetooth)
+ *   getDevices()           – zariadenia, ku ktorým už máme povolenie
+ */
+
+export const webBluetoothTransport = {
+    id: 'web-bluetooth',
+    isAvailable: () => typeof navigator !== 'undefined' && !!navigator.bluetooth,
+    requestDevice: (options) => navigator.bluetooth.requestDevice(options),
+    getDevices: async () => (navigator.bluetooth?.getDevices ? navigator.bluetooth.getDevices() : [])
+};
@@ -0,0 +1,86 @@
+/**
+ * Bluetooth SIG Weight Scale Profile (služba 0x181D, charakteristika 0x2A9D)
+ */
+import { scaleWeightToKg } from '../units';
+import { createReading, readDateTime, roundWeight, toUUID } from './gatt';
+
+export const WEIGHT_SCALE_SERVICE_UUID = 0x181d;
+export const WEIGHT_MEASUREMENT_CHAR_UUID = 0x2a9d;
+
+// Flags štandardného Weight Measurement (0x2A9D)
+const WSS_FLAG_IMPERIAL = 0x01;
+const WSS_FLAG_TIMESTAMP = 0x02;
+const WSS_FLAG_USER_ID = 0x04;
+const WSS_FLAG_BMI_HEIGHT = 0x08;
+
+const UNKNOWN_USER_ID = 0xff;
+
+/**
+ * Weight Measurement (0x2A9D)
+ *
+ * Byte 0:   Flags (bit 0: imperial, bit 1: timestamp, bit 2: user ID,
+ *           bit 3: BMI a výška; bity 4-7 sú rezervované)
+ * Byte 1-2: Váha (UINT16 LE; kg * 0.005, lb * 0.01)
+ * Ďalej voliteľne: timestamp (7 B), user ID (1 B), BMI (UINT16, 0.1) a výška
+ * (UINT16; m * 0.001 alebo palce * 0.1)
+ * @param {DataView} data
+ * @param {(flags: number, isLbs: boolean) => string} [resolveUnit] - výrobcovia
+ *        s vlastnými jednotkami (jin) ich kódujú v rezervovaných bitoch
+ */
+export const parseWeightMeasurementData = (data, resolveUnit = (flags, isLbs) => (isLbs ? 'lbs' : 'kg')) => {
+    if (data.byteLength < 3) return null;
+
+    const flags = data.getUint8(0);
+    const isLbs = (flags & WSS_FLAG_IMPERIAL) !== 0;
+    const unit = resolveUnit(flags, isLbs);
+
+    const rawWeight = data.getUint16(1, true);
+    const weight = unit === 'kg' ? rawWeight * 0.005 : rawWeight * 0.01;
+
+    let offset = 3;
+    let timestamp = null;
+    let userId = null;
+    let bmi = null;
+    let height = null;
+
+    if (flags & WSS_FLAG_TIMESTAMP) {
+        timestamp = readDateTime(data, offset);
+        offset += 7;
+    }
+    if ((flags & WSS_FLAG_USER_ID) && data.byteLength >= offset + 1) {
+        const id = data.getUint8(offset);
+        userId = id === UNKNOWN_USER_ID ? null : id;
+        offset += 1;
+    }
+    if ((flags & WSS_FLAG_BMI_HEIGHT) && data.byteLength >= offset + 4) {
+        bmi = data.getUint16(offset, true) / 10;
+        const rawHeight = data.getUint16(offset + 2, true);
+        // Výšku vraciame v cm, rovnako ako je uložená v profile
+        height = isLbs ? Math.round(rawHeight * 0.1 * 2.54) : Math.round(rawHeight * 0.1);
+        offset += 4;
+    }
+
+    return createReading({
+        weight: roundWeight(scaleWeightToKg(weight, unit)),
+        scaleWeight: roundWeight(weight),
+        unit,
+        // Podľa špecifikácie váha posiela (indikuje) až dokončené meranie
+        isStable: true,
+        timestamp,
+        userId,
+        bmi,
+        height
+    });
+};
+
+export const weightScaleProfile = {
+    id: 'weight-scale-profile',
+    name: 'Bluetooth Weight Scale',
+    filters: [{ services: [WEIGHT_SCALE_SERVICE_UUID] }],
+    services: [WEIGHT_SCALE_SERVICE_UUID],
+    detect: (deviceName, serviceUUIDs) => {
+        if (!serviceUUIDs.has(toUUID(WEIGHT_SCALE_SERVICE_UUID))) return null;
+        return { service: WEIGHT_SCALE_SERVICE_UUID, notify: WEIGHT_MEASUREMENT_CHAR_UUID };
+    },
+    decode: (data) => parseWeightMeasurementData(data)
+};
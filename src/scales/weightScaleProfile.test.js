@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { parseWeightMeasurementData } from './weightScaleProfile';
+import { hexFrame } from '../test/frames';
+
+describe('parseWeightMeasurementData', () => {
+    it('decodes weight only', () => {
+        expect(parseWeightMeasurementData(hexFrame('00 e4 3e'))).toMatchObject({
+            weight: 80.5,
+            unit: 'kg',
+            isStable: true,
+            timestamp: null,
+            userId: null
+        });
+    });
+
+    it('reads timestamp, user, BMI and height in metric units', () => {
+        // 15. 3. 2024 7:30, používateľ 1, BMI 24.5, výška 1750 mm
+        expect(parseWeightMeasurementData(hexFrame('0e e4 3e e8 07 03 0f 07 1e 00 01 f5 00 d6 06'))).toMatchObject({
+            weight: 80.5,
+            timestamp: new Date(2024, 2, 15, 7, 30, 0),
+            userId: 1,
+            bmi: 24.5,
+            height: 175
+        });
+    });
+
+    it('reads imperial weight and height and an unknown user', () => {
+        // 177.47 lb, používateľ 0xFF, výška 68.9 palca
+        expect(parseWeightMeasurementData(hexFrame('0d 53 45 ff f5 00 b1 02'))).toMatchObject({
+            weight: 80.5,
+            scaleWeight: 177.47,
+            unit: 'lbs',
+            userId: null,
+            bmi: 24.5,
+            height: 175
+        });
+    });
+
+    it('skips optional fields the frame is too short for', () => {
+        expect(parseWeightMeasurementData(hexFrame('0c e4 3e 01 f5'))).toMatchObject({ userId: 1, bmi: null, height: null });
+        expect(parseWeightMeasurementData(hexFrame('00 e4'))).toBeNull();
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Nastavenia aplikácie (jazyk, jednotky, formát dátumu, spárovaná váha, demo režim,
+ * pripomienky, synchronizácia), uložené v localStorage – platia pre celé
+ * zariadenie, nie pre používateľa
+ */
+
+const SETTINGS_KEY = 'smartscale.settings';
+
+export const DEFAULT_SETTINGS = {
+    // Jazyk rozhrania (src/i18n) – 'auto' podľa prehliadača
+    language: 'auto',
+    unit: 'kg',
+    dateFormat: 'locale',
+    pairedScale: null,
+    // Simulovaná váha namiesto Web Bluetooth (src/scales/simulator.js)
+    demoMode: false,
+    demoScenario: 'body-composition',
+    // 16-bitové id tejto aplikácie, podľa ktorého si váha pamätá už stiahnuté merania
+    scaleClientId: null,
+    // Denná pripomienka váženia (src/reminders.js), čas "HH:MM"
+    reminder: { enabled: false, time: '07:30' },
+    // Šifrovaná synchronizácia (src/sync) – heslá sú v DB (syncState), nie tu
+    sync: { enabled: false, url: '', username: '' }
+};
+
+export const getSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        return { ...DEFAULT_SETTINGS, ...stored };
+    } catch {
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+export const saveSettings = (settings) => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+};
+
+export const clearSettings = () => {
+    localStorage.removeItem(SETTINGS_KEY);
+};
@@ -0,0 +1,32 @@
+/**
+ * Zdieľanie súboru cez Web Share API, s fallbackom na klasické stiahnutie
+ * @param {Blob} blob
+ * @param {string} fileName
+ * @param {{ title: string, text: string }} shareData
+ */
+export const shareOrDownload = async (blob, fileName, shareData) => {
+    const file = new File([blob], fileName, { type: blob.type.split(';')[0] });
+
+    // Try Web Share API first (Native iOS/Android share sheet)
+    if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], ...shareData });
+            return; // Success
+        } catch (err) {
+            if (err.name !== 'AbortError') console.error('Share failed:', err);
+            // Fallback to traditional download if share failed or was cancelled
+        }
+    }
+
+    // Fallback: Traditional Download
+    const url = URL.createObjectURL(blob);
+    const link = document.body.appendChild(document.createElement("a"));
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    link.click();
+    setTimeout(() => {
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }, 100);
+};
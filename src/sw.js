@@ -0,0 +1,160 @@
+/**
+ * Service worker – offline app shell a pripomienky váženia
+ *
+ * Nie je súčasťou bundlu aplikácie: pri builde ho plugin vo vite.config.js
+ * skopíruje do dist/sw.js a doplní self.__PRECACHE_MANIFEST (verzia a zoznam
+ * súborov buildu). Nová verzia sa nainštaluje na pozadí a čaká, kým ju
+ * používateľ nepotvrdí (správa SKIP_WAITING).
+ */
+
+const MANIFEST = self.__PRECACHE_MANIFEST || { version: 'dev', files: [] };
+const SHELL_CACHE_PREFIX = 'smartscale-shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + MANIFEST.version;
+// Nastavenia pripomienky – service worker nemá prístup k localStorage
+const CONFIG_CACHE = 'smartscale-config';
+const REMINDER_TAG = 'weigh-in-reminder';
+const DB_NAME = 'SmartScaleDB';
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(MANIFEST.files.map(scopeUrl)))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const { type, reminder } = event.data || {};
+    if (type === 'SKIP_WAITING') self.skipWaiting();
+    // Nové nastavenia nesmú zabudnúť, že dnes už pripomienka bola
+    if (type === 'REMINDER') event.waitUntil(loadReminder().then(current => saveReminder({ ...current, ...reminder })));
+    if (type === 'CHECK_REMINDER') event.waitUntil(checkReminder());
+});
+
+/**
+ * Navigácia vždy dostane index.html z cache (aplikácia je jedna stránka),
+ * ostatné súbory v rozsahu aplikácie najprv z cache, potom zo siete.
+ * Hashované súbory, ktoré v zozname chýbali (napr. lazy chunky), sa uložia.
+ */
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        if (request.mode === 'navigate') {
+            const shell = await cache.match(scopeUrl('index.html'));
+            if (shell) return shell;
+            return fetch(request);
+        }
+
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        const response = await fetch(request);
+        if (response.ok && new URL(request.url).pathname.includes('/assets/')) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    })());
+});
+
+// --- Pripomienky váženia ---
+
+const loadReminder = async () => {
+    const cache = await caches.open(CONFIG_CACHE);
+    const response = await cache.match(scopeUrl('reminder.json'));
+    return response ? await response.json() : null;
+};
+
+const saveReminder = async (reminder) => {
+    const cache = await caches.open(CONFIG_CACHE);
+    await cache.put(scopeUrl('reminder.json'), new Response(JSON.stringify(reminder), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+};
+
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+/**
+ * Id používateľov s meraním od `since` – priamo z IndexedDB (Dexie v service
+ * workeri nemáme). Ak databáza ešte neexistuje, nevytvárame ju.
+ */
+const measuredUserIds = (since) => new Promise((resolve) => {
+    const open = indexedDB.open(DB_NAME);
+    open.onupgradeneeded = () => open.transaction.abort();
+    open.onerror = () => resolve(new Set());
+    open.onsuccess = () => {
+        const db = open.result;
+        const query = db
+            .transaction('measurements')
+            .objectStore('measurements')
+            .index('createdAt')
+            .getAll(IDBKeyRange.lowerBound(since));
+        query.onsuccess = () => {
+            db.close();
+            resolve(new Set(query.result.map(m => m.userId)));
+        };
+        query.onerror = () => {
+            db.close();
+            resolve(new Set());
+        };
+    };
+});
+
+// Texty prichádzajú z aplikácie v jej jazyku (src/reminders.js), {names} je zoznam mien
+const reminderBody = (reminder, names) => {
+    const template = names.length === 1 ? reminder.body.one : reminder.body.other;
+    const list = new Intl.ListFormat(reminder.locale, { type: 'conjunction' }).format(names);
+    return template.replace('{names}', list);
+};
+
+/**
+ * Kontrola pripomienky – na žiadosť otvorenej aplikácie (časovač) alebo pri
+ * periodickej synchronizácii. Tú prehliadač spúšťa nepravidelne, preto
+ * pripomienku ukážeme najviac raz za deň a až po nastavenom čase.
+ */
+const checkReminder = async () => {
+    const reminder = await loadReminder();
+    // Bez textov od aplikácie (nastavenia zo staršej verzie) počkáme, kým ich aplikácia pošle
+    if (!reminder?.enabled || !reminder.users?.length || !reminder.body || Notification.permission !== 'granted') return;
+
+    const now = new Date();
+    const [hours, minutes] = reminder.time.split(':').map(Number);
+    if (reminder.notifiedOn === dayKey(now) || now.getHours() * 60 + now.getMinutes() < hours * 60 + minutes) return;
+
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const measured = await measuredUserIds(startOfDay);
+    const missing = reminder.users.filter(u => !measured.has(u.id));
+    if (missing.length > 0) {
+        await self.registration.showNotification(reminder.title, {
+            body: reminderBody(reminder, missing.map(u => u.name)),
+            tag: REMINDER_TAG,
+            icon: scopeUrl('icons/icon-192.png')
+        });
+    }
+    await saveReminder({ ...reminder, notifiedOn: dayKey(now) });
+};
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_TAG) event.waitUntil(checkReminder());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const app = windows.find(client => client.url.startsWith(self.registration.scope));
+        if (app) return app.focus();
+        return self.clients.openWindow(self.registration.scope);
+    })());
+});
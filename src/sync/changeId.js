@@ -0,0 +1,51 @@
+/**
+ * Identifikátory pre synchronizáciu medzi zariadeniami
+ *
+ * syncId   – trvalé id záznamu, rovnaké na všetkých zariadeniach (lokálne ++id sa líšia)
+ * changeId – id poslednej zmeny záznamu: čas, počítadlo a zariadenie. Reťazce sa
+ *            dajú priamo porovnať (novšia zmena > staršia) a sú unikátne aj pri
+ *            zmenách v rovnakej milisekunde na dvoch zariadeniach.
+ */
+
+const DEVICE_ID_KEY = 'smartscale.deviceId';
+
+// Hybridné logické hodiny – po synchronizácii musia byť lokálne zmeny novšie
+// ako všetky videné, aj keď hodiny zariadenia meškajú
+let clockTime = 0;
+let clockCounter = 0;
+
+const pad = (value, length) => value.toString(36).padStart(length, '0');
+
+export const newSyncId = () => crypto.randomUUID();
+
+export const getDeviceId = () => {
+    let id = localStorage.getItem(DEVICE_ID_KEY);
+    if (!id) {
+        id = crypto.randomUUID().slice(0, 8);
+        localStorage.setItem(DEVICE_ID_KEY, id);
+    }
+    return id;
+};
+
+export const nextChangeId = () => {
+    const now = Date.now();
+    if (now > clockTime) {
+        clockTime = now;
+        clockCounter = 0;
+    } else {
+        clockCounter++;
+    }
+    return `${pad(clockTime, 9)}-${pad(clockCounter, 4)}-${getDeviceId()}`;
+};
+
+/**
+ * Posunie hodiny za zmenu z iného zariadenia
+ * @param {string} changeId
+ */
+export const observeChangeId = (changeId) => {
+    const [time, counter] = changeId.split('-').map(part => parseInt(part, 36));
+    if (time > clockTime || (time === clockTime && counter > clockCounter)) {
+        clockTime = time;
+        clockCounter = counter;
+    }
+};
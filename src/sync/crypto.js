@@ -0,0 +1,74 @@
+/**
+ * Šifrovanie synchronizovaných dát heslom – AES-GCM s kľúčom odvodeným
+ * z hesla cez PBKDF2. Heslo ani kľúč zariadenie neopustia, server vidí iba
+ * šifrovaný obsah, soľ a parametre odvodenia kľúča.
+ */
+import { createSyncError } from './errors';
+import { t } from '../i18n';
+
+export const KDF_ITERATIONS = 310000;
+
+const toBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Po častiach – celé pole ako argumenty by pri veľkej histórii prekročilo zásobník
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+/**
+ * Parametre odvodenia kľúča pre nové úložisko (náhodná soľ)
+ */
+export const createKdfParams = () => ({
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: KDF_ITERATIONS,
+    salt: toBase64(crypto.getRandomValues(new Uint8Array(16)))
+});
+
+/**
+ * Kľúč z hesla. Nedá sa exportovať, takže ho možno bezpečne uložiť do IndexedDB.
+ * @param {string} passphrase
+ * @param {{ hash: string, iterations: number, salt: string }} kdf
+ * @returns {Promise<CryptoKey>}
+ */
+export const deriveKey = async (passphrase, kdf) => {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+/**
+ * @returns {Promise<{ iv: string, data: string }>}
+ */
+export const encryptJSON = async (key, value) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+/**
+ * Dešifruje obsah. Nesprávne heslo (alebo poškodené dáta) AES-GCM odhalí
+ * overením tagu – vtedy vyhodí SyncPassphraseError.
+ */
+export const decryptJSON = async (key, { iv, data }) => {
+    let plain;
+    try {
+        plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+    } catch {
+        throw createSyncError('SyncPassphraseError', t('errors.sync.decrypt'));
+    }
+    return JSON.parse(new TextDecoder().decode(plain));
+};
@@ -0,0 +1,9 @@
+/**
+ * Chyby synchronizácie – name rozlišuje typ (SyncAuthError, SyncNetworkError,
+ * SyncConflictError, SyncPassphraseError, SyncFormatError), message je pre používateľa
+ */
+export const createSyncError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+};
@@ -0,0 +1,203 @@
+/**
+ * Voliteľná šifrovaná synchronizácia profilov a meraní medzi zariadeniami
+ * cez vlastný HTTP alebo WebDAV server
+ *
+ * Na serveri je jeden súbor (src/sync/remote.js) – obálka s parametrami
+ * odvodenia kľúča a šifrovanou snímkou všetkých záznamov (src/sync/crypto.js).
+ * Synchronizácia ju stiahne, zlúči s lokálnymi zmenami (src/sync/merge.js),
+ * zapíše späť a zmeny zo servera uloží do DB. Ak server medzitým zmenilo
+ * iné zariadenie, skúsi to znova.
+ *
+ * Lokálny stav (kľúč, heslo k serveru, base, čas poslednej synchronizácie)
+ * je v tabuľke syncState – nie je súčasťou zálohy a zariadenie neopustí.
+ * Na vyskúšanie bez servera: npm run sync-server (scripts/sync-server.js).
+ */
+import { db } from '../db';
+import { t } from '../i18n';
+import { createSyncError } from './errors';
+import { createKdfParams, deriveKey, encryptJSON, decryptJSON } from './crypto';
+import { createRemote } from './remote';
+import { mergeSnapshots } from './merge';
+import { nextChangeId, observeChangeId } from './changeId';
+
+export const SYNC_FORMAT = 'smartscale-sync';
+export const SYNC_VERSION = 1;
+
+const STATE_KEY = 'state';
+const MAX_ATTEMPTS = 3;
+const EMPTY_SNAPSHOT = { users: {}, measurements: {}, deleted: {} };
+
+const getState = () => db.syncState.get(STATE_KEY);
+
+/**
+ * Stav synchronizácie na tomto zariadení
+ * @returns {Promise<{ lastSyncedAt: Date|null }|null>} null ak nie je nastavená
+ */
+export const getSyncStatus = async () => {
+    const state = await getState();
+    return state ? { lastSyncedAt: state.lastSyncedAt ?? null } : null;
+};
+
+const checkEnvelope = (envelope) => {
+    if (envelope?.format !== SYNC_FORMAT || !envelope.kdf?.salt || !envelope.payload) {
+        throw createSyncError('SyncFormatError', t('errors.sync.notSmartScale'));
+    }
+    if (envelope.version > SYNC_VERSION) {
+        throw createSyncError('SyncFormatError', t('errors.sync.newerVersion'));
+    }
+};
+
+/**
+ * Zapne synchronizáciu. Ak na serveri dáta už sú (iné zariadenie), heslo
+ * sa overí ich rozšifrovaním; inak prvá synchronizácia vytvorí nové úložisko.
+ * @param {{ url: string, username: string, password: string, passphrase: string }} options
+ */
+export const enableSync = async ({ url, username, password, passphrase }) => {
+    if (!passphrase) {
+        throw createSyncError('SyncPassphraseError', t('errors.sync.passphraseRequired'));
+    }
+    const existing = await createRemote({ url, username, password }).read();
+    if (existing) checkEnvelope(existing.envelope);
+
+    const kdf = existing ? existing.envelope.kdf : createKdfParams();
+    const key = await deriveKey(passphrase, kdf);
+    if (existing) await decryptJSON(key, existing.envelope.payload);
+
+    await db.syncState.put({ key: STATE_KEY, password, cryptoKey: key, kdf, base: {}, lastSyncedAt: null });
+};
+
+/**
+ * Vypne synchronizáciu na tomto zariadení (dáta na serveri ostanú)
+ */
+export const disableSync = async () => {
+    await db.syncState.delete(STATE_KEY);
+};
+
+// --- Prevod medzi lokálnymi záznamami a formátom servera ---
+// Lokálne id sa na zariadeniach líšia, merania preto odkazujú na syncId používateľa
+
+const byId = (records) => Object.fromEntries(records.map(r => [r.syncId, r]));
+
+const withoutId = (record) => {
+    const { id: _id, ...rest } = record;
+    return rest;
+};
+
+const readLocal = () => db.transaction('r', db.users, db.measurements, async () => {
+    const users = await db.users.toArray();
+    const measurements = await db.measurements.toArray();
+    const userSyncIds = new Map(users.map(u => [u.id, u.syncId]));
+
+    return {
+        users: byId(users.map(withoutId)),
+        measurements: byId(measurements.map(({ userId, ...m }) => ({
+            ...withoutId(m),
+            userSyncId: userSyncIds.get(userId) ?? null,
+            createdAt: new Date(m.createdAt).toISOString()
+        })))
+    };
+});
+
+/**
+ * Uloží zmeny zo servera. Záznam, ktorý sa lokálne zmenil počas
+ * synchronizácie, preskočí – jeho zmena sa odošle nabudúce.
+ */
+const applyLocal = (result, local) => db.transaction('rw', db.users, db.measurements, async () => {
+    const findLocal = (table, syncId) => table.where('syncId').equals(syncId).first();
+    const untouched = (existing, before) => !existing || existing.changeId === before?.changeId;
+
+    for (const user of result.users.upserts) {
+        const existing = await findLocal(db.users, user.syncId);
+        if (!untouched(existing, local.users[user.syncId])) continue;
+        await db.users.put(existing ? { ...user, id: existing.id } : user);
+    }
+
+    const userIds = new Map((await db.users.toArray()).map(u => [u.syncId, u.id]));
+    for (const { userSyncId, ...measurement } of result.measurements.upserts) {
+        const existing = await findLocal(db.measurements, measurement.syncId);
+        if (!untouched(existing, local.measurements[measurement.syncId])) continue;
+        const record = { ...measurement, userId: userIds.get(userSyncId), createdAt: new Date(measurement.createdAt) };
+        await db.measurements.put(existing ? { ...record, id: existing.id } : record);
+    }
+
+    for (const [table, deletes, before] of [
+        [db.measurements, result.measurements.deletes, local.measurements],
+        [db.users, result.users.deletes, local.users]
+    ]) {
+        for (const syncId of deletes) {
+            const existing = await findLocal(table, syncId);
+            if (existing && untouched(existing, before[syncId])) await table.delete(existing.id);
+        }
+    }
+});
+
+/**
+ * Počet záznamov a zmazaní, ktoré server nemal
+ */
+const countSent = (snapshot, remote) => {
+    const changed = (records, remoteRecords) => Object.values(records)
+        .filter(r => remoteRecords[r.syncId]?.changeId !== r.changeId).length;
+    const newDeletes = Object.keys(snapshot.deleted).filter(id => !(id in remote.deleted)).length;
+    return changed(snapshot.users, remote.users) + changed(snapshot.measurements, remote.measurements) + newDeletes;
+};
+
+/**
+ * Synchronizácia so serverom
+ * @param {{ url: string, username: string }} config - settings.sync
+ * @returns {Promise<{ received: number, removed: number, sent: number, lastSyncedAt: Date }>}
+ */
+export const syncNow = async ({ url, username }) => {
+    const state = await getState();
+    if (!state) {
+        throw createSyncError('SyncPassphraseError', t('errors.sync.notConfigured'));
+    }
+    const remote = createRemote({ url, username, password: state.password });
+
+    for (let attempt = 1; ; attempt++) {
+        const current = await remote.read();
+        let remoteSnapshot = EMPTY_SNAPSHOT;
+        if (current) {
+            checkEnvelope(current.envelope);
+            if (current.envelope.kdf.salt !== state.kdf.salt) {
+                throw createSyncError('SyncPassphraseError', t('errors.sync.otherPassphrase'));
+            }
+            remoteSnapshot = { ...EMPTY_SNAPSHOT, ...await decryptJSON(state.cryptoKey, current.envelope.payload) };
+        }
+
+        // Nové zmeny a zmazania musia byť novšie ako všetko na serveri
+        for (const record of [...Object.values(remoteSnapshot.users), ...Object.values(remoteSnapshot.measurements)]) {
+            observeChangeId(record.changeId);
+        }
+        Object.values(remoteSnapshot.deleted).forEach(observeChangeId);
+
+        const local = await readLocal();
+        const result = mergeSnapshots(local, remoteSnapshot, state.base, nextChangeId);
+        const sent = countSent(result.snapshot, remoteSnapshot);
+
+        if (sent > 0 || !current) {
+            const envelope = {
+                format: SYNC_FORMAT,
+                version: SYNC_VERSION,
+                kdf: state.kdf,
+                payload: await encryptJSON(state.cryptoKey, result.snapshot)
+            };
+            try {
+                await remote.write(envelope, { etag: current?.etag ?? null, exists: current != null });
+            } catch (err) {
+                if (err.name === 'SyncConflictError' && attempt < MAX_ATTEMPTS) continue;
+                throw err;
+            }
+        }
+
+        await applyLocal(result, local);
+        const lastSyncedAt = new Date();
+        await db.syncState.put({ ...state, base: result.base, lastSyncedAt });
+
+        return {
+            received: result.users.upserts.length + result.measurements.upserts.length,
+            removed: result.users.deletes.length + result.measurements.deletes.length,
+            sent,
+            lastSyncedAt
+        };
+    }
+};
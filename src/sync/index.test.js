@@ -0,0 +1,190 @@
+/**
+ * Synchronizácia dvoch zariadení cez scripts/sync-server.js. Každé zariadenie
+ * má vlastnú IndexedDB, localStorage (id zariadenia) a vlastnú inštanciu modulov.
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Dexie from 'dexie';
+import { IDBFactory } from 'fake-indexeddb';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+};
+
+/**
+ * Nové zariadenie – moduly sa načítajú znova nad vlastnou IndexedDB.
+ * Pred každou operáciou treba zariadenie aktivovať (use), lebo localStorage je globálny.
+ */
+const createDevice = async () => {
+    const storage = createStorage();
+    globalThis.localStorage = storage;
+    Dexie.dependencies.indexedDB = new IDBFactory();
+    vi.resetModules();
+    const [db, sync, backup] = await Promise.all([import('../db'), import('./index'), import('../backup')]);
+    const use = () => {
+        globalThis.localStorage = storage;
+        return { ...db, ...sync, ...backup };
+    };
+    return { use };
+};
+
+let server;
+let dataDir;
+let config;
+
+beforeAll(async () => {
+    const port = await freePort();
+    dataDir = await mkdtemp(join(tmpdir(), 'smartscale-sync-'));
+    server = spawn(process.execPath, ['scripts/sync-server.js', '--port', String(port), '--dir', dataDir], {
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('SmartScale sync server')) resolve();
+        });
+    });
+    config = { url: `http://localhost:${port}/smartscale/`, username: '' };
+});
+
+afterAll(async () => {
+    server?.kill();
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+const measurementsOf = async (device) => {
+    const { db } = device.use();
+    return (await db.measurements.toArray()).sort((a, b) => a.createdAt - b.createdAt);
+};
+
+describe('sync between two devices', () => {
+    let phone;
+    let tablet;
+
+    it('sends the first snapshot and copies it to another device', async () => {
+        phone = await createDevice();
+        let api = phone.use();
+        const userId = await api.saveUser({ name: 'Anna', height: 165 });
+        await api.addMeasurement({ userId, weight: 60.2, bmi: 22.1, createdAt: new Date('2024-03-01T07:00:00Z') });
+        await api.addMeasurement({ userId, weight: 59.8, bmi: 22.0, createdAt: new Date('2024-03-02T07:00:00Z') });
+        await api.enableSync({ ...config, password: '', passphrase: PASSPHRASE });
+        const first = await api.syncNow(config);
+        expect(first).toMatchObject({ sent: 3, received: 0, removed: 0 });
+
+        tablet = await createDevice();
+        api = tablet.use();
+        await api.enableSync({ ...config, password: '', passphrase: PASSPHRASE });
+        const copied = await api.syncNow(config);
+        expect(copied).toMatchObject({ received: 3, sent: 0 });
+
+        const users = await api.db.users.toArray();
+        expect(users.map(u => u.name)).toEqual(['Anna']);
+        expect((await measurementsOf(tablet)).map(m => [m.weight, m.userId])).toEqual([[60.2, users[0].id], [59.8, users[0].id]]);
+    });
+
+    it('rejects a wrong passphrase', async () => {
+        const laptop = await createDevice();
+        await expect(laptop.use().enableSync({ ...config, password: '', passphrase: 'wrong' }))
+            .rejects.toMatchObject({ name: 'SyncPassphraseError' });
+    });
+
+    it('retries when another device wrote in between (If-Match conflict)', async () => {
+        const realFetch = globalThis.fetch;
+        let interleaved = false;
+        // Tablet zapíše svoju zmenu tesne pred prvým zápisom telefónu
+        globalThis.fetch = async (url, init = {}) => {
+            if (init.method === 'PUT' && !interleaved) {
+                interleaved = true;
+                const api = tablet.use();
+                const [m] = await measurementsOf(tablet);
+                await api.updateMeasurement(m, { note: 'from tablet' }, { height: 165 });
+                await api.syncNow(config);
+                phone.use();
+            }
+            return realFetch(url, init);
+        };
+
+        try {
+            const api = phone.use();
+            const [, second] = await measurementsOf(phone);
+            await api.updateMeasurement(second, { note: 'from phone' }, { height: 165 });
+            const result = await api.syncNow(config);
+            expect(interleaved).toBe(true);
+            expect(result).toMatchObject({ received: 1, sent: 1 });
+        } finally {
+            globalThis.fetch = realFetch;
+        }
+
+        await tablet.use().syncNow(config);
+        for (const device of [phone, tablet]) {
+            expect((await measurementsOf(device)).map(m => m.note)).toEqual(['from tablet', 'from phone']);
+        }
+    });
+
+    it('propagates deletes and lets a restored backup bring the record back', async () => {
+        let api = phone.use();
+        const backup = await api.createBackup();
+
+        api = tablet.use();
+        const [first] = await measurementsOf(tablet);
+        await api.deleteMeasurement(first.id);
+        expect(await api.syncNow(config)).toMatchObject({ sent: 1 });
+
+        api = phone.use();
+        expect(await api.syncNow(config)).toMatchObject({ removed: 1 });
+        expect(await measurementsOf(phone)).toHaveLength(1);
+
+        // Obnova zo zálohy je nová zmena – nesmie ju zmazať náhrobok na serveri
+        await api.restoreBackup(api.parseBackup(JSON.stringify(backup)), 'replace');
+        expect(await measurementsOf(phone)).toHaveLength(2);
+        const restored = await api.syncNow(config);
+        expect(restored.removed).toBe(0);
+        expect(await measurementsOf(phone)).toHaveLength(2);
+
+        expect(await tablet.use().syncNow(config)).toMatchObject({ received: 3 });
+        expect((await measurementsOf(tablet)).map(m => m.weight)).toEqual([60.2, 59.8]);
+    });
+
+    it('gives merged backup records their own syncId', async () => {
+        let api = phone.use();
+        const backup = await api.createBackup();
+        const result = await api.restoreBackup(api.parseBackup(JSON.stringify(backup)), 'merge');
+        // Rovnaké merania sa preskočia, nič sa nezdvojí
+        expect(result).toMatchObject({ users: 0, measurements: 0, skipped: 2 });
+
+        // Záloha iného profilu – pridané merania nesmú prevziať syncId zo zálohy
+        const other = JSON.parse(JSON.stringify(backup));
+        other.tables.users[0].name = 'Peter';
+        const merged = await api.restoreBackup(api.parseBackup(JSON.stringify(other)), 'merge');
+        expect(merged).toMatchObject({ users: 1, measurements: 2 });
+        const syncIds = (await api.db.measurements.toArray()).map(m => m.syncId);
+        expect(new Set(syncIds).size).toBe(4);
+
+        await api.syncNow(config);
+        api = tablet.use();
+        await api.syncNow(config);
+        expect((await api.db.users.toArray()).map(u => u.name).sort()).toEqual(['Anna', 'Peter']);
+        expect(await measurementsOf(tablet)).toHaveLength(4);
+    });
+});
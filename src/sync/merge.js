@@ -0,0 +1,104 @@
+/**
+ * Zlúčenie lokálnych a vzdialených zmien
+ *
+ * Obe strany sú mapy syncId -> záznam s changeId. Server navyše drží
+ * `deleted` (syncId -> changeId zmazania) a každé zariadenie si pamätá
+ * `base` – changeId záznamov po svojej poslednej synchronizácii. Z neho
+ * vieme, čo sa od vtedy zmenilo alebo zmazalo lokálne.
+ *
+ * - záznam je na oboch stranách: vyhráva novší changeId
+ * - lokálne zmazaný (je v base, lokálne chýba): zmaže sa aj na serveri,
+ *   ak ho medzitým iné zariadenie nezmenilo – zmena má prednosť pred
+ *   zmazaním, takže súbežnou úpravou sa meranie nestratí
+ * - zmazaný na serveri: lokálne sa zmaže, ak sa od poslednej synchronizácie
+ *   lokálne nezmenil (zariadenie bez base porovná changeId so zmazaním)
+ * - záznam iba na jednej strane a bez histórie je nový – skopíruje sa
+ */
+
+/**
+ * @param {{
+ *   local: Record<string, object>,
+ *   remote: Record<string, object>,
+ *   deleted: Record<string, string>,
+ *   base: Record<string, string>,
+ *   nextChangeId: () => string
+ * }} input - deleted sa upraví na mieste
+ * @returns {{ merged: Record<string, object>, upserts: object[], deletes: string[] }}
+ *   merged – nový stav na serveri, upserts/deletes – zmeny, ktoré treba urobiť lokálne
+ */
+export const mergeRecords = ({ local, remote, deleted, base, nextChangeId }) => {
+    const merged = {};
+    const upserts = [];
+    const deletes = [];
+    const ids = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base)]);
+
+    for (const id of ids) {
+        const ours = local[id];
+        const theirs = remote[id];
+        const synced = base[id];
+
+        if (ours && theirs) {
+            if (theirs.changeId > ours.changeId) {
+                merged[id] = theirs;
+                upserts.push(theirs);
+            } else {
+                merged[id] = ours;
+            }
+        } else if (ours) {
+            const tombstone = deleted[id];
+            const unchanged = synced != null ? ours.changeId === synced : tombstone != null && ours.changeId <= tombstone;
+            if (tombstone != null && unchanged) {
+                deletes.push(id);
+            } else {
+                merged[id] = ours;
+            }
+        } else if (theirs) {
+            if (synced == null || theirs.changeId !== synced) {
+                merged[id] = theirs;
+                upserts.push(theirs);
+            } else {
+                deleted[id] = nextChangeId();
+            }
+        }
+    }
+
+    // Obnovený záznam už nie je zmazaný
+    for (const id of Object.keys(merged)) delete deleted[id];
+
+    return { merged, upserts, deletes };
+};
+
+/**
+ * Zlúčenie celých snímok (používatelia + merania). Meranie, ktorého
+ * používateľ po zlúčení neexistuje, sa zmaže tiež.
+ * @param {{ users: object, measurements: object }} local - záznamy vo formáte servera
+ * @param {{ users: object, measurements: object, deleted: object }} remote
+ * @param {Record<string, string>} base
+ * @param {() => string} nextChangeId
+ */
+export const mergeSnapshots = (local, remote, base, nextChangeId) => {
+    const deleted = { ...remote.deleted };
+    const users = mergeRecords({ local: local.users, remote: remote.users, deleted, base, nextChangeId });
+    const measurements = mergeRecords({ local: local.measurements, remote: remote.measurements, deleted, base, nextChangeId });
+
+    for (const [id, measurement] of Object.entries(measurements.merged)) {
+        if (users.merged[measurement.userSyncId]) continue;
+        delete measurements.merged[id];
+        deleted[id] = nextChangeId();
+        if (local.measurements[id]) measurements.deletes.push(id);
+        measurements.upserts = measurements.upserts.filter(m => m.syncId !== id);
+    }
+
+    const snapshot = { users: users.merged, measurements: measurements.merged, deleted };
+    const nextBase = {};
+    for (const record of [...Object.values(snapshot.users), ...Object.values(snapshot.measurements)]) {
+        nextBase[record.syncId] = record.changeId;
+    }
+
+    return {
+        snapshot,
+        base: nextBase,
+        users: { upserts: users.upserts, deletes: users.deletes },
+        measurements: { upserts: measurements.upserts, deletes: measurements.deletes }
+    };
+};
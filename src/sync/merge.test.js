@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { mergeRecords, mergeSnapshots } from './merge';
+import { nextChangeId, observeChangeId } from './changeId';
+
+// changeId v tvare ako z changeId.js, porovnateľné ako reťazce
+const id = (time, device = 'aaaaaaaa') => `${time.toString(36).padStart(9, '0')}-0000-${device}`;
+const record = (syncId, time, fields = {}) => ({ syncId, changeId: id(time), ...fields });
+
+let counter = 1000;
+const clock = () => id(counter++, 'zzzzzzzz');
+
+const merge = ({ local = {}, remote = {}, deleted = {}, base = {} }) => {
+    const tombstones = { ...deleted };
+    return { ...mergeRecords({ local, remote, deleted: tombstones, base, nextChangeId: clock }), deleted: tombstones };
+};
+
+describe('mergeRecords', () => {
+    it('keeps the newer change when both sides have the record', () => {
+        const ours = record('a', 20, { weight: 80 });
+        const theirs = record('a', 30, { weight: 81 });
+        const result = merge({ local: { a: ours }, remote: { a: theirs }, base: { a: id(10) } });
+        expect(result.merged.a).toBe(theirs);
+        expect(result.upserts).toEqual([theirs]);
+
+        const reverse = merge({ local: { a: theirs }, remote: { a: ours }, base: { a: id(10) } });
+        expect(reverse.merged.a).toBe(theirs);
+        expect(reverse.upserts).toEqual([]);
+    });
+
+    it('copies records that exist only on one side and have no history', () => {
+        const ours = record('a', 10);
+        const theirs = record('b', 10);
+        const result = merge({ local: { a: ours }, remote: { b: theirs } });
+        expect(result.merged).toEqual({ a: ours, b: theirs });
+        expect(result.upserts).toEqual([theirs]);
+        expect(result.deletes).toEqual([]);
+    });
+
+    it('deletes on the server what was deleted locally since the last sync', () => {
+        const theirs = record('a', 10);
+        const result = merge({ remote: { a: theirs }, base: { a: id(10) } });
+        expect(result.merged).toEqual({});
+        expect(result.deleted.a).toBeTruthy();
+        expect(result.upserts).toEqual([]);
+    });
+
+    it('prefers a change on another device over a local delete', () => {
+        const theirs = record('a', 20);
+        const result = merge({ remote: { a: theirs }, base: { a: id(10) } });
+        expect(result.merged.a).toBe(theirs);
+        expect(result.upserts).toEqual([theirs]);
+        expect(result.deleted).toEqual({});
+    });
+
+    it('deletes locally what another device deleted, unless it changed here', () => {
+        const unchanged = merge({ local: { a: record('a', 10) }, deleted: { a: id(20) }, base: { a: id(10) } });
+        expect(unchanged.deletes).toEqual(['a']);
+        expect(unchanged.merged).toEqual({});
+
+        const edited = record('a', 30);
+        const kept = merge({ local: { a: edited }, deleted: { a: id(20) }, base: { a: id(10) } });
+        expect(kept.deletes).toEqual([]);
+        expect(kept.merged.a).toBe(edited);
+        // Obnovený záznam už nie je zmazaný
+        expect(kept.deleted).toEqual({});
+    });
+
+    it('compares with the tombstone on a device that never synced the record', () => {
+        const older = merge({ local: { a: record('a', 10) }, deleted: { a: id(20) } });
+        expect(older.deletes).toEqual(['a']);
+
+        const newer = record('a', 30);
+        const restored = merge({ local: { a: newer }, deleted: { a: id(20) } });
+        expect(restored.deletes).toEqual([]);
+        expect(restored.merged.a).toBe(newer);
+    });
+});
+
+describe('mergeSnapshots', () => {
+    it('drops measurements of a user deleted on another device', () => {
+        const user = record('u1', 10, { name: 'Anna' });
+        const measurement = record('m1', 10, { userSyncId: 'u1', weight: 60 });
+        const base = { u1: id(10), m1: id(10) };
+
+        const result = mergeSnapshots(
+            { users: { u1: user }, measurements: { m1: measurement } },
+            { users: {}, measurements: { m1: measurement }, deleted: { u1: id(20) } },
+            base,
+            clock
+        );
+
+        expect(result.users.deletes).toEqual(['u1']);
+        expect(result.measurements.deletes).toEqual(['m1']);
+        expect(result.snapshot.measurements).toEqual({});
+        expect(Object.keys(result.snapshot.deleted).sort()).toEqual(['m1', 'u1']);
+        expect(result.base).toEqual({});
+    });
+
+    it('returns the new base with the changeId of every synced record', () => {
+        const user = record('u1', 10);
+        const measurement = record('m1', 20, { userSyncId: 'u1' });
+        const result = mergeSnapshots(
+            { users: { u1: user }, measurements: {} },
+            { users: {}, measurements: { m1: measurement }, deleted: {} },
+            {},
+            clock
+        );
+        expect(result.base).toEqual({ u1: id(10), m1: id(20) });
+        expect(result.measurements.upserts).toEqual([measurement]);
+    });
+});
+
+describe('changeId clock', () => {
+    it('orders local changes after every change seen from another device', () => {
+        // Iné zariadenie má hodiny rok dopredu
+        const future = `${(Date.now() + 365 * 24 * 60 * 60 * 1000).toString(36).padStart(9, '0')}-0005-bbbbbbbb`;
+        observeChangeId(future);
+        const next = nextChangeId();
+        expect(next > future).toBe(true);
+        expect(nextChangeId() > next).toBe(true);
+    });
+});
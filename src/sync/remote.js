@@ -0,0 +1,95 @@
+/**
+ * Úložisko synchronizácie – jeden súbor v priečinku na HTTP alebo WebDAV
+ * serveri (GET / PUT). Súbežné zápisy z viacerých zariadení stráži ETag
+ * (If-Match); server bez ETagov funguje tiež, len bez tejto ochrany.
+ */
+import { createSyncError } from './errors';
+import { t } from '../i18n';
+
+export const SYNC_FILE_NAME = 'smartscale-sync.json';
+
+const basicAuth = (username, password) => {
+    const bytes = new TextEncoder().encode(`${username}:${password}`);
+    return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+};
+
+/**
+ * @param {{ url: string, username?: string, password?: string }} config - url priečinka
+ * @param {{ fetch?: typeof fetch }} [options] - vlastný fetch (testy)
+ */
+export const createRemote = ({ url, username = '', password = '' }, { fetch = globalThis.fetch } = {}) => {
+    let fileUrl;
+    try {
+        fileUrl = new URL(SYNC_FILE_NAME, url.endsWith('/') ? url : `${url}/`).href;
+    } catch {
+        throw createSyncError('SyncFormatError', t('errors.sync.invalidUrl'));
+    }
+    const headers = username ? { Authorization: basicAuth(username, password) } : {};
+
+    const request = async (method, target, init = {}) => {
+        let response;
+        try {
+            response = await fetch(target, {
+                method,
+                cache: 'no-store',
+                ...init,
+                headers: { ...headers, ...init.headers }
+            });
+        } catch {
+            throw createSyncError('SyncNetworkError', t('errors.sync.unreachable'));
+        }
+        if (response.status === 401 || response.status === 403) {
+            throw createSyncError('SyncAuthError', t('errors.sync.auth'));
+        }
+        return response;
+    };
+
+    return {
+        url: fileUrl,
+
+        /**
+         * @returns {Promise<{ envelope: object, etag: string|null }|null>} null ak súbor ešte neexistuje
+         */
+        async read() {
+            const response = await request('GET', fileUrl);
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw createSyncError('SyncNetworkError', t('errors.sync.readFailed', { status: String(response.status) }));
+            }
+            let envelope;
+            try {
+                envelope = await response.json();
+            } catch {
+                throw createSyncError('SyncFormatError', t('errors.sync.invalidJson'));
+            }
+            return { envelope, etag: response.headers.get('ETag') };
+        },
+
+        /**
+         * Zapíše obálku iba ak sa súbor od prečítania nezmenil (etag), resp.
+         * ak stále neexistuje (exists: false) – inak vyhodí SyncConflictError
+         * @param {object} envelope
+         * @param {{ etag: string|null, exists: boolean }} previous - stav súboru pri čítaní
+         */
+        async write(envelope, { etag, exists }) {
+            const condition = etag ? { 'If-Match': etag } : exists ? {} : { 'If-None-Match': '*' };
+            const put = () => request('PUT', fileUrl, {
+                headers: { 'Content-Type': 'application/json', ...condition },
+                body: JSON.stringify(envelope)
+            });
+
+            let response = await put();
+            // WebDAV: priečinok ešte neexistuje
+            if (response.status === 409) {
+                await request('MKCOL', fileUrl.slice(0, fileUrl.lastIndexOf('/') + 1));
+                response = await put();
+            }
+            if (response.status === 412) {
+                throw createSyncError('SyncConflictError', t('errors.sync.conflict'));
+            }
+            if (!response.ok) {
+                throw createSyncError('SyncNetworkError', t('errors.sync.writeFailed', { status: String(response.status) }));
+            }
+        }
+    };
+};
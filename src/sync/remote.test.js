@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { createRemote, SYNC_FILE_NAME } from './remote';
+
+// fetch, ktorý odpovedá podľa zoznamu a zapisuje požiadavky
+const scriptedFetch = (responses) => {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url, method: init.method, headers: init.headers });
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return new Response(next.body ?? null, { status: next.status, headers: next.headers });
+    };
+    return { fetch, requests };
+};
+
+const URL_BASE = 'https://dav.example.com/smartscale';
+
+describe('createRemote', () => {
+    it('reads the file with its ETag and treats 404 as no data yet', async () => {
+        const { fetch, requests } = scriptedFetch([
+            { status: 404 },
+            { status: 200, body: '{"format":"smartscale-sync"}', headers: { ETag: '"v1"' } }
+        ]);
+        const remote = createRemote({ url: URL_BASE, username: 'anna', password: 'heslo' }, { fetch });
+
+        expect(remote.url).toBe(`${URL_BASE}/${SYNC_FILE_NAME}`);
+        expect(await remote.read()).toBeNull();
+        expect(await remote.read()).toEqual({ envelope: { format: 'smartscale-sync' }, etag: '"v1"' });
+        expect(requests[0].headers.Authorization).toBe(`Basic ${btoa('anna:heslo')}`);
+    });
+
+    it('writes with If-Match, or If-None-Match for a new file', async () => {
+        const { fetch, requests } = scriptedFetch([{ status: 204 }, { status: 201 }]);
+        const remote = createRemote({ url: URL_BASE }, { fetch });
+
+        await remote.write({}, { etag: '"v1"', exists: true });
+        await remote.write({}, { etag: null, exists: false });
+        expect(requests[0].headers['If-Match']).toBe('"v1"');
+        expect(requests[1].headers['If-None-Match']).toBe('*');
+        expect(requests[0].headers.Authorization).toBeUndefined();
+    });
+
+    it('creates the WebDAV folder when it does not exist yet', async () => {
+        const { fetch, requests } = scriptedFetch([{ status: 409 }, { status: 201 }, { status: 201 }]);
+        await createRemote({ url: `${URL_BASE}/` }, { fetch }).write({}, { etag: null, exists: false });
+        expect(requests.map(r => [r.method, r.url])).toEqual([
+            ['PUT', `${URL_BASE}/${SYNC_FILE_NAME}`],
+            ['MKCOL', `${URL_BASE}/`],
+            ['PUT', `${URL_BASE}/${SYNC_FILE_NAME}`]
+        ]);
+    });
+
+    it('maps HTTP failures to sync errors', async () => {
+        const { fetch } = scriptedFetch([{ status: 412 }, { status: 401 }, new TypeError('Failed to fetch'), { status: 500 }]);
+        const remote = createRemote({ url: URL_BASE }, { fetch });
+
+        await expect(remote.write({}, { etag: '"old"', exists: true })).rejects.toMatchObject({ name: 'SyncConflictError' });
+        await expect(remote.read()).rejects.toMatchObject({ name: 'SyncAuthError' });
+        await expect(remote.read()).rejects.toMatchObject({ name: 'SyncNetworkError' });
+        await expect(remote.read()).rejects.toMatchObject({ name: 'SyncNetworkError' });
+    });
+
+    it('rejects an invalid server address', () => {
+        expect(() => createRemote({ url: 'not a url' })).toThrow(expect.objectContaining({ name: 'SyncFormatError' }));
+    });
+});
@@ -0,0 +1,12 @@
+/**
+ * Pomôcky pre testy nad databázou (fake-indexeddb z src/test/setup.js)
+ */
+import { db } from '../db';
+
+/**
+ * Prázdna databáza a localStorage pred každým testom
+ */
+export const resetDatabase = async () => {
+    await Promise.all(db.tables.map(table => table.clear()));
+    localStorage.clear();
+};
@@ -0,0 +1,5 @@
+/**
+ * Rámec z váhy zapísaný ako hex bajty ("02 26 e8 07 …") → DataView, aký dostane driver
+ * @param {string} hex
+ */
+export const hexFrame = (hex) => new DataView(Uint8Array.from(hex.trim().split(/\s+/), byte => parseInt(byte, 16)).buffer);
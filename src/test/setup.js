@@ -0,0 +1,18 @@
+/**
+ * Prostredie testov v Node – IndexedDB pre Dexie (fake-indexeddb) a
+ * localStorage (aktívny profil, id zariadenia pre synchronizáciu)
+ */
+import 'fake-indexeddb/auto';
+
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+};
+
+// Novšie verzie Node majú vlastný localStorage, ktorý bez --localstorage-file nefunguje
+Object.defineProperty(globalThis, 'localStorage', { value: createStorage(), configurable: true, writable: true });
@@ -0,0 +1,108 @@
+/**
+ * Analýza trendu váhy – exponenciálne vyhladený priemer, rýchlosť zmeny
+ * a odhad dátumu dosiahnutia cieľovej váhy
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Podiel novej hodnoty na trende za jeden deň (ako v "The Hacker's Diet")
+export const DAILY_SMOOTHING = 0.1;
+// Koľko dní histórie stačí na analýzu trendu
+export const TREND_WINDOW_DAYS = 90;
+// Rýchlosť zmeny počítame z trendu za posledné obdobie
+const RATE_WINDOW_DAYS = 28;
+// Pri pomalšej zmene (kg/týždeň) už odhad dátumu nedáva zmysel
+const MIN_WEEKLY_RATE = 0.05;
+// Odhad ďalej ako dva roky dopredu nezobrazujeme
+const MAX_PROJECTION_DAYS = 730;
+
+/**
+ * Exponenciálne vyhladený priemer s ohľadom na čas medzi meraniami –
+ * merania po dlhšej pauze majú väčšiu váhu ako niekoľko meraní za deň
+ * @param {{ weight: number, createdAt: Date }[]} measurements
+ * @returns {{ weight: number, createdAt: Date, trend: number }[]} zoradené od najstaršieho
+ */
+export const smoothWeights = (measurements, dailySmoothing = DAILY_SMOOTHING) => {
+    const sorted = measurements
+        .slice()
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    let trend = null;
+    let lastTime = null;
+
+    return sorted.map(m => {
+        const time = new Date(m.createdAt).getTime();
+        if (trend == null) {
+            trend = m.weight;
+        } else {
+            const days = Math.max((time - lastTime) / DAY_MS, 0);
+            // Aspoň malý vplyv aj pre viac meraní v jeden deň
+            const alpha = 1 - Math.pow(1 - dailySmoothing, Math.max(days, 0.1));
+            trend += alpha * (m.weight - trend);
+        }
+        lastTime = time;
+        return { ...m, trend: Math.round(trend * 100) / 100 };
+    });
+};
+
+/**
+ * Sklon trendu v kg za deň (lineárna regresia za posledných `windowDays`)
+ * @param {{ createdAt: Date, trend: number }[]} points - zoradené od najstaršieho
+ */
+export const trendSlope = (points, windowDays = RATE_WINDOW_DAYS) => {
+    if (points.length < 2) return null;
+
+    const end = new Date(points[points.length - 1].createdAt).getTime();
+    const recent = points.filter(p => end - new Date(p.createdAt).getTime() <= windowDays * DAY_MS);
+    if (recent.length < 2) return null;
+
+    const xs = recent.map(p => (new Date(p.createdAt).getTime() - end) / DAY_MS);
+    const ys = recent.map(p => p.trend);
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+    const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    // Všetky merania v rovnakom čase – sklon nevieme určiť
+    if (sxx < 0.5) return null;
+
+    return xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / sxx;
+};
+
+/**
+ * Odhad, kedy trend dosiahne cieľovú váhu
+ * @returns {{ reached: boolean, date: Date|null, days: number|null }|null} null ak cieľ nie je nastavený
+ */
+export const projectGoal = (currentTrend, slopePerDay, targetWeight, from = new Date()) => {
+    if (targetWeight == null || currentTrend == null) return null;
+
+    const remaining = targetWeight - currentTrend;
+    if (Math.abs(remaining) < 0.1) return { reached: true, date: null, days: 0 };
+
+    // Smer zmeny nevedie k cieľu alebo je príliš pomalý
+    if (slopePerDay == null || Math.abs(slopePerDay * 7) < MIN_WEEKLY_RATE || Math.sign(slopePerDay) !== Math.sign(remaining)) {
+        return { reached: false, date: null, days: null };
+    }
+
+    const days = Math.ceil(remaining / slopePerDay);
+    if (days > MAX_PROJECTION_DAYS) return { reached: false, date: null, days: null };
+
+    return { reached: false, date: new Date(from.getTime() + days * DAY_MS), days };
+};
+
+/**
+ * Kompletná analýza pre dashboard a graf
+ * @param {object[]} measurements - ľubovoľné poradie
+ * @param {number|null} targetWeight - v kg
+ */
+export const analyzeTrend = (measurements, targetWeight, now = new Date()) => {
+    const points = smoothWeights(measurements);
+    const current = points.length > 0 ? points[points.length - 1].trend : null;
+    const slope = trendSlope(points);
+
+    return {
+        points,
+        current,
+        weeklyRate: slope != null ? slope * 7 : null,
+        monthlyRate: slope != null ? slope * 30 : null,
+        goal: projectGoal(current, slope, targetWeight, now)
+    };
+};
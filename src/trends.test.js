@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { smoothWeights, trendSlope, projectGoal, analyzeTrend } from './trends';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2024-03-01T07:00:00Z');
+
+const day = (days, hours = 0) => new Date(START.getTime() + days * DAY_MS + hours * 60 * 60 * 1000);
+
+describe('smoothWeights', () => {
+    it('starts at the first weight and moves a tenth of the difference per day between readings', () => {
+        const points = smoothWeights([
+            { weight: 79, createdAt: day(1) },
+            { weight: 80, createdAt: day(0) },
+            { weight: 79, createdAt: day(11) }
+        ]);
+        expect(points.map(p => p.weight)).toEqual([80, 79, 79]);
+        // Po desiatich dňoch má nové meranie podiel 1 - 0.9^10
+        expect(points.map(p => p.trend)).toEqual([80, 79.9, 79.31]);
+    });
+
+    it('gives several readings on the same day only a small influence', () => {
+        const [, second] = smoothWeights([
+            { weight: 80, createdAt: day(0) },
+            { weight: 90, createdAt: day(0) }
+        ]);
+        expect(second.trend).toBeCloseTo(80.1, 1);
+    });
+});
+
+describe('trendSlope', () => {
+    it('fits the trend of the last four weeks', () => {
+        // Pred oknom rástla váha, v posledných 28 dňoch klesá o 0.1 kg za deň
+        const points = [
+            { createdAt: day(0), trend: 70 },
+            ...Array.from({ length: 29 }, (_, i) => ({ createdAt: day(30 + i), trend: 85 - i * 0.1 }))
+        ];
+        expect(trendSlope(points)).toBeCloseTo(-0.1, 10);
+    });
+
+    it('needs at least two readings on different days', () => {
+        expect(trendSlope([{ createdAt: day(0), trend: 80 }])).toBeNull();
+        expect(trendSlope([{ createdAt: day(0), trend: 80 }, { createdAt: day(0, 2), trend: 79 }])).toBeNull();
+    });
+});
+
+describe('projectGoal', () => {
+    it('estimates the date the trend reaches the target', () => {
+        expect(projectGoal(80, -0.1, 78, START)).toEqual({ reached: false, date: day(20), days: 20 });
+        expect(projectGoal(60, 0.05, 61, START)).toMatchObject({ days: 20 });
+    });
+
+    it('reports a reached goal', () => {
+        expect(projectGoal(78.05, -0.1, 78, START)).toEqual({ reached: true, date: null, days: 0 });
+    });
+
+    it('gives no date when the trend leads away, is too slow or too far', () => {
+        const none = { reached: false, date: null, days: null };
+        expect(projectGoal(80, 0.1, 78, START)).toEqual(none);
+        expect(projectGoal(80, -0.005, 78, START)).toEqual(none);
+        expect(projectGoal(120, -0.01, 78, START)).toEqual(none);
+        expect(projectGoal(80, null, 78, START)).toEqual(none);
+    });
+
+    it('returns null without a target', () => {
+        expect(projectGoal(80, -0.1, null, START)).toBeNull();
+    });
+});
+
+describe('analyzeTrend', () => {
+    it('combines the current trend, rates and goal', () => {
+        const measurements = Array.from({ length: 60 }, (_, i) => ({ weight: 90 - i * 0.1, createdAt: day(i) }));
+        const { points, current, weeklyRate, monthlyRate, goal } = analyzeTrend(measurements, 80, day(59));
+        expect(points).toHaveLength(60);
+        expect(current).toBe(points.at(-1).trend);
+        // Vyhladený trend zaostáva za meraniami, ale klesá rovnako rýchlo
+        expect(current).toBeGreaterThan(84.1);
+        expect(weeklyRate).toBeCloseTo(-0.7, 1);
+        expect(monthlyRate).toBeCloseTo(weeklyRate / 7 * 30, 10);
+        expect(goal.days).toBeGreaterThan(0);
+    });
+
+    it('handles an empty history', () => {
+        expect(analyzeTrend([], 80)).toMatchObject({ points: [], current: null, weeklyRate: null, goal: null });
+    });
+});
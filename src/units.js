@@ -0,0 +1,82 @@
+/**
+ * Prevody jednotiek hmotnosti. V databáze je váha vždy v kg,
+ * jednotka z nastavení sa použije iba pri zobrazení, grafe a exporte.
+ */
+import { formatNumber } from './i18n';
+
+export const KG_PER_LB = 0.45359237;
+export const LB_PER_STONE = 14;
+// Čínsky jin (斤) – režim, do ktorého sa dá Xiaomi váha prepnúť
+export const KG_PER_JIN = 0.5;
+
+export const WEIGHT_UNITS = [
+    { value: 'kg', labelKey: 'settings.units.kg' },
+    { value: 'lb', labelKey: 'settings.units.lb' },
+    { value: 'st', labelKey: 'settings.units.st' }
+];
+
+/**
+ * Váha z váhy (v jednotke, na ktorú je váha prepnutá) prevedená na kg
+ * @param {number} value
+ * @param {'kg'|'lbs'|'jin'} scaleUnit
+ */
+export const scaleWeightToKg = (value, scaleUnit) => {
+    if (scaleUnit === 'lbs') return value * KG_PER_LB;
+    if (scaleUnit === 'jin') return value * KG_PER_JIN;
+    return value;
+};
+
+/**
+ * Číselná hodnota v zvolenej jednotke (stone ako desatinné číslo – pre graf)
+ */
+export const kgToUnit = (kg, unit) => {
+    if (unit === 'lb') return kg / KG_PER_LB;
+    if (unit === 'st') return kg / KG_PER_LB / LB_PER_STONE;
+    return kg;
+};
+
+export const unitToKg = (value, unit) => {
+    if (unit === 'lb') return value * KG_PER_LB;
+    if (unit === 'st') return value * LB_PER_STONE * KG_PER_LB;
+    return value;
+};
+
+/**
+ * Jednotka pre zadávanie hodnôt, rozdiely, menšie hmotnosti (svaly, kosti)
+ * a export – pri stone sa používajú libry
+ */
+export const entryUnit = (unit) => (unit === 'st' ? 'lb' : unit);
+
+/**
+ * Označenie za hodnotou z formatWeight (pri stone je to zvyšok v librách)
+ */
+export const unitLabel = (unit) => (unit === 'kg' ? 'kg' : 'lb');
+
+/**
+ * Váha v kg naformátovaná v zvolenej jednotke (bez koncového označenia
+ * jednotky) s desatinnou čiarkou alebo bodkou podľa jazyka.
+ * Stone sa zobrazuje ako "11 st 4.2" + unitLabel.
+ */
+export const formatWeight = (kg, unit, digits = 1) => {
+    if (kg == null) return '--.-';
+    if (unit !== 'st') return formatNumber(kgToUnit(kg, unit), digits);
+
+    const totalLb = Math.round(kg / KG_PER_LB * 10 ** digits) / 10 ** digits;
+    const sign = totalLb < 0 ? '-' : '';
+    const stones = Math.floor(Math.abs(totalLb) / LB_PER_STONE);
+    const pounds = Math.abs(totalLb) - stones * LB_PER_STONE;
+    return `${sign}${stones} st ${formatNumber(pounds, digits)}`;
+};
+
+export const formatWeightWithUnit = (kg, unit, digits = 1) => {
+    return `${formatWeight(kg, unit, digits)} ${unitLabel(unit)}`;
+};
+
+/**
+ * Rozdiel váh alebo menšia hmotnosť (svaly, kosti) – pri stone v librách
+ */
+export const formatMass = (kg, unit, digits = 1) => {
+    if (kg == null) return '--';
+    const u = entryUnit(unit);
+    return `${formatNumber(kgToUnit(kg, u), digits)} ${u}`;
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { scaleWeightToKg, kgToUnit, unitToKg, formatWeight, formatWeightWithUnit, formatMass } from './units';
+import { applyLanguage } from './i18n';
+
+beforeEach(() => {
+    applyLanguage('en');
+});
+
+describe('unit conversions', () => {
+    it('converts scale units to kg', () => {
+        expect(scaleWeightToKg(177.47, 'lbs')).toBeCloseTo(80.5, 2);
+        expect(scaleWeightToKg(161, 'jin')).toBe(80.5);
+        expect(scaleWeightToKg(80.5, 'kg')).toBe(80.5);
+    });
+
+    it('converts to the display unit and back', () => {
+        for (const unit of ['kg', 'lb', 'st']) {
+            expect(unitToKg(kgToUnit(80.5, unit), unit)).toBeCloseTo(80.5, 10);
+        }
+        expect(kgToUnit(63.5029318, 'st')).toBeCloseTo(10, 6);
+    });
+});
+
+describe('formatWeight', () => {
+    it('formats kg and lb with the locale decimal separator', () => {
+        expect(formatWeight(80.5, 'kg')).toBe('80.5');
+        expect(formatWeightWithUnit(80.5, 'lb')).toBe('177.5 lb');
+        applyLanguage('sk');
+        expect(formatWeightWithUnit(80.5, 'kg')).toBe('80,5 kg');
+    });
+
+    it('shows stone with the remaining pounds', () => {
+        // 80.5 kg = 177.47 lb = 12 st 9.5 lb
+        expect(formatWeight(80.5, 'st')).toBe('12 st 9.5');
+        expect(formatWeightWithUnit(80.5, 'st')).toBe('12 st 9.5 lb');
+        // Zaokrúhlenie na 14.0 lb prejde do ďalšieho stone
+        expect(formatWeight(6.35, 'st')).toBe('1 st 0.0');
+        expect(formatWeight(-1, 'st')).toBe('-0 st 2.2');
+    });
+
+    it('uses placeholders for a missing value', () => {
+        expect(formatWeight(null, 'kg')).toBe('--.-');
+        expect(formatMass(null, 'kg')).toBe('--');
+    });
+});
+
+describe('formatMass', () => {
+    it('shows differences and smaller masses in pounds for stone', () => {
+        expect(formatMass(-0.5, 'st')).toBe('-1.1 lb');
+        expect(formatMass(3.1, 'kg')).toBe('3.1 kg');
+    });
+});
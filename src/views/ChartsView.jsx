@@ -0,0 +1,373 @@
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
+import { getAllMeasurements } from '../db';
+import { useAppData } from '../appData';
+import { t, formatNumber, getLocale } from '../i18n';
+import { formatDate, formatTime, formatMonth, percent } from '../format';
+import { navigate, useRoute } from '../router';
+import { formatWeightWithUnit, formatMass, entryUnit, kgToUnit } from '../units';
+import {
+  ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { RefreshCw, AlertCircle, ZoomOut } from 'lucide-react';
+import {
+  CHART_RANGES, CHART_METRICS, CHART_GROUPINGS, defaultGrouping, chartPoints, withGaps, rangeBounds,
+  zoomDomain, panDomain, timeTicks
+} from '../charts';
+import TabBar from '../components/TabBar';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Šírka osí a okraj grafu – podľa nich sa pozícia prsta prepočíta na čas
+const AXIS_WIDTH = 40;
+const CHART_MARGIN = { top: 10, right: 5, bottom: 0, left: 5 };
+const METRIC_COLOR = '#f97316';
+
+// Hodnota metriky na druhej osi (hmotnosti v menšej jednotke ako pri zložení tela)
+const metricToAxis = (value, metric, unit) => (metric.kind === 'mass' ? kgToUnit(value, entryUnit(unit)) : value);
+
+const formatMetric = (value, metric, unit) => {
+  if (metric.kind === 'mass') return formatMass(value, unit, metric.digits);
+  if (metric.kind === 'percent') return percent(formatNumber(value, metric.digits));
+  return formatNumber(value, metric.digits);
+};
+
+// Priemer, pri súhrne za obdobie aj rozpätie a počet meraní
+function ChartTooltip({ active, payload, grouping, metric, settings }) {
+  const point = payload?.[0]?.payload?.point;
+  if (!active || !point) return null;
+
+  const label = grouping === 'month'
+    ? formatMonth(point.time)
+    : grouping === 'week'
+      ? t('charts.weekOf', { date: formatDate(point.time, settings.dateFormat) })
+      : `${formatDate(point.time, settings.dateFormat)} ${formatTime(point.time)}`;
+  const describe = (summary, format) => (grouping === 'none' || summary.min === summary.max
+    ? format(summary.avg)
+    : `${format(summary.avg)} (${t('charts.range', { min: format(summary.min), max: format(summary.max) })})`);
+
+  return (
+    <div className="bg-[var(--ios-secondary-system-background)] rounded-lg shadow-lg px-3 py-2 text-xs space-y-0.5">
+      <p className="font-bold text-[var(--ios-label)]">{label}</p>
+      <p className="text-[var(--ios-system-blue)]">
+        {t('chart.weight')}: {describe(point.weight, (kg) => formatWeightWithUnit(kg, settings.unit))}
+      </p>
+      {metric && point.metric && (
+        <p style={{ color: METRIC_COLOR }}>
+          {t(metric.labelKey)}: {describe(point.metric, (value) => formatMetric(value, metric, settings.unit))}
+        </p>
+      )}
+      {grouping !== 'none' && <p className="text-[var(--ios-secondary-label)]">{t('charts.readings', { count: point.count })}</p>}
+    </div>
+  );
+}
+
+// Grafy (/charts?range=&metric=&group=) – váha v čase, voliteľne s ďalšou metrikou, súhrnmi a priblížením
+function ChartsView({ user, settings }) {
+  const { query } = useRoute();
+  const { dataVersion } = useAppData();
+  const range = CHART_RANGES.find(r => r.value === query.get('range'))?.value ?? '3m';
+  const metric = CHART_METRICS.find(m => m.value === query.get('metric')) ?? null;
+  const key = `${user.id}:${range}`;
+  // { key, measurements, bounds } – bounds je celé obdobie predvoľby
+  const [loaded, setLoaded] = useState(null);
+  // Priblížené okno { key, domain }; pri zmene obdobia alebo osoby sa zruší
+  const [zoom, setZoom] = useState(null);
+  const chartRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const now = Date.now();
+    const { days } = CHART_RANGES.find(r => r.value === range);
+    getAllMeasurements(user.id, { from: days != null ? new Date(now - days * DAY_MS) : null, trustedOnly: true })
+      .then(data => {
+        if (cancelled) return;
+        const first = data.length > 0 ? Math.min(...data.map(m => new Date(m.createdAt).getTime())) : null;
+        setLoaded({ key: `${user.id}:${range}`, measurements: data, bounds: rangeBounds(range, first, now) });
+      });
+    return () => { cancelled = true; };
+  }, [user.id, range, dataVersion]);
+
+  const current = loaded?.key === key ? loaded : null;
+  const bounds = current?.bounds ?? null;
+  const domain = zoom?.key === key ? zoom.domain : bounds;
+  // Bez voľby v adrese sa zoskupenie riadi dĺžkou obdobia
+  const autoGrouping = bounds ? defaultGrouping((bounds[1] - bounds[0]) / DAY_MS) : 'none';
+  const groupParam = CHART_GROUPINGS.find(g => g.value === query.get('group'))?.value ?? '';
+  const grouping = groupParam || autoGrouping;
+
+  const points = current
+    ? withGaps(chartPoints(current.measurements, grouping, metric?.value), CHART_GROUPINGS.find(g => g.value === grouping).gapDays)
+    : [];
+  const unit = settings.unit;
+  // Prázdny bod (pauza v meraniach) má hodnoty null – čiara sa v ňom preruší
+  const rows = points.map(p => (p.gap ? { time: p.time, weight: null, metric: null } : {
+    time: p.time,
+    point: p,
+    weight: kgToUnit(p.weight.avg, unit),
+    weightRange: [kgToUnit(p.weight.min, unit), kgToUnit(p.weight.max, unit)],
+    metric: metric && p.metric ? metricToAxis(p.metric.avg, metric, unit) : null,
+    metricRange: metric && p.metric ? [metricToAxis(p.metric.min, metric, unit), metricToAxis(p.metric.max, metric, unit)] : null
+  }));
+  const { ticks, monthly } = domain ? timeTicks(domain) : { ticks: [], monthly: false };
+
+  // Voľby sú v adrese – obnovenie stránky aj odkaz otvorí rovnaký graf
+  const changeOptions = (patch) => {
+    const params = new URLSearchParams(Object.entries({
+      range: query.get('range') ?? '',
+      metric: query.get('metric') ?? '',
+      group: query.get('group') ?? '',
+      ...patch
+    }).filter(([, value]) => value));
+    navigate(params.size > 0 ? `/charts?${params}` : '/charts', { replace: true });
+  };
+
+  // Čas pod vodorovnou pozíciou prsta / kurzora v rámci plochy grafu
+  const plotArea = () => {
+    const rect = chartRef.current.getBoundingClientRect();
+    const left = rect.left + CHART_MARGIN.left + AXIS_WIDTH;
+    const right = rect.right - CHART_MARGIN.right - (metric ? AXIS_WIDTH : 0);
+    return { left, width: Math.max(right - left, 1) };
+  };
+  const timeAt = (clientX, visible) => {
+    const { left, width } = plotArea();
+    return visible[0] + ((clientX - left) / width) * (visible[1] - visible[0]);
+  };
+
+  // Každá zmena počtu prstov začne gesto odznova z aktuálneho okna
+  const startGesture = () => {
+    gestureRef.current = { domain, pointers: new Map(pointersRef.current) };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!domain) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, e.clientX);
+    startGesture();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointersRef.current.has(e.pointerId) || !gestureRef.current) return;
+    pointersRef.current.set(e.pointerId, e.clientX);
+    const start = gestureRef.current;
+    const [a, b] = [...pointersRef.current.keys()];
+
+    if (pointersRef.current.size === 1) {
+      const dx = e.clientX - start.pointers.get(a);
+      const span = start.domain[1] - start.domain[0];
+      setZoom({ key, domain: panDomain(start.domain, -dx / plotArea().width * span, bounds) });
+    } else if (pointersRef.current.size === 2 && start.pointers.size === 2) {
+      const startDistance = Math.abs(start.pointers.get(a) - start.pointers.get(b));
+      const distance = Math.abs(pointersRef.current.get(a) - pointersRef.current.get(b));
+      if (startDistance < 10 || distance < 10) return;
+      const anchor = timeAt((start.pointers.get(a) + start.pointers.get(b)) / 2, start.domain);
+      setZoom({ key, domain: zoomDomain(start.domain, startDistance / distance, anchor, bounds) });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    if (pointersRef.current.size > 0) startGesture();
+    else gestureRef.current = null;
+  };
+
+  // Pinch na touchpade (a Ctrl + koliesko) prichádza ako wheel s ctrlKey – stránku vtedy nezväčšujeme
+  const onWheel = useEffectEvent((e) => {
+    if (!e.ctrlKey || !domain) return;
+    e.preventDefault();
+    setZoom({ key, domain: zoomDomain(domain, Math.exp(e.deltaY * 0.01), timeAt(e.clientX, domain), bounds) });
+  });
+  useEffect(() => {
+    const element = chartRef.current;
+    const handleWheel = (e) => onWheel(e);
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const zoomed = domain !== bounds && (domain[0] !== bounds[0] || domain[1] !== bounds[1]);
+
+  return (
+    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] font-sans pb-32">
+      <header className="px-6 pt-12 pb-6">
+        <h2 className="text-3xl font-bold tracking-tight">{t('charts.title')}</h2>
+      </header>
+
+      <main className="px-4 space-y-6">
+        <div className="bg-[var(--ios-tertiary-system-background)] rounded-lg p-0.5 flex">
+          {CHART_RANGES.map(r => (
+            <button
+              key={r.value}
+              onClick={() => changeOptions({ range: r.value })}
+              className={`flex-1 py-1.5 rounded-md text-sm font-semibold ${r.value === range ? 'bg-[var(--ios-secondary-system-background)] shadow-sm' : 'text-[var(--ios-secondary-label)]'}`}
+            >
+              {t(r.labelKey)}
+            </button>
+          ))}
+        </div>
+
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-4 shadow-sm">
+          <div className="flex justify-between items-center mb-3 min-h-6">
+            <span className="text-[var(--ios-secondary-label)] text-xs">
+              {domain && `${formatDate(domain[0], settings.dateFormat)} – ${formatDate(domain[1], settings.dateFormat)}`}
+            </span>
+            {zoomed && (
+              <button onClick={() => setZoom(null)} className="text-[var(--ios-system-blue)] text-sm font-medium flex items-center gap-1">
+                <ZoomOut className="w-4 h-4" /> {t('charts.resetZoom')}
+              </button>
+            )}
+          </div>
+
+          <div
+            ref={chartRef}
+            className="h-[300px] w-full select-none"
+            style={{ touchAction: 'pan-y' }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onDoubleClick={() => setZoom(null)}
+          >
+            {!current ? (
+              <div className="h-full flex items-center justify-center">
+                <RefreshCw className="w-6 h-6 text-[var(--ios-secondary-label)] animate-spin" />
+              </div>
+            ) : current.measurements.length > 0 ? (
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={rows} margin={CHART_MARGIN}>
+                  <CartesianGrid vertical={false} stroke="var(--ios-separator)" strokeDasharray="0" />
+                  <XAxis
+                    dataKey="time"
+                    type="number"
+                    scale="time"
+                    domain={domain}
+                    ticks={ticks}
+                    allowDataOverflow
+                    tickFormatter={(time) => (monthly
+                      ? new Date(time).toLocaleDateString(getLocale(), { month: 'short', year: '2-digit' })
+                      : formatDate(time, settings.dateFormat, 'short'))}
+                    tick={{ fontSize: 10, fill: 'var(--ios-secondary-label)' }}
+                    axisLine={false}
+                    tickLine={false}
+                  />
+                  <YAxis
+                    yAxisId="weight"
+                    width={AXIS_WIDTH}
+                    domain={[min => min - kgToUnit(1, unit), max => max + kgToUnit(1, unit)]}
+                    tickFormatter={(v) => formatNumber(v, unit === 'st' ? 1 : 0)}
+                    tick={{ fontSize: 10, fill: 'var(--ios-secondary-label)' }}
+                    axisLine={false}
+                    tickLine={false}
+                  />
+                  {metric && (
+                    <YAxis
+                      yAxisId="metric"
+                      orientation="right"
+                      width={AXIS_WIDTH}
+                      domain={['auto', 'auto']}
+                      tickFormatter={(v) => formatNumber(v, metric.digits)}
+                      tick={{ fontSize: 10, fill: METRIC_COLOR }}
+                      axisLine={false}
+                      tickLine={false}
+                    />
+                  )}
+                  <Tooltip content={<ChartTooltip grouping={grouping} metric={metric} settings={settings} />} />
+                  {user.targetWeight != null && (
+                    <ReferenceLine
+                      yAxisId="weight"
+                      y={kgToUnit(user.targetWeight, unit)}
+                      stroke="#4ade80"
+                      strokeDasharray="4 4"
+                      ifOverflow="extendDomain"
+                      label={{ value: t('chart.goal'), position: 'insideTopLeft', fontSize: 10, fill: '#4ade80' }}
+                    />
+                  )}
+                  {grouping !== 'none' && (
+                    <Area
+                      yAxisId="weight"
+                      dataKey="weightRange"
+                      stroke="none"
+                      fill="var(--ios-system-blue)"
+                      fillOpacity={0.15}
+                      isAnimationActive={false}
+                      activeDot={false}
+                    />
+                  )}
+                  {metric && grouping !== 'none' && (
+                    <Area
+                      yAxisId="metric"
+                      dataKey="metricRange"
+                      stroke="none"
+                      fill={METRIC_COLOR}
+                      fillOpacity={0.12}
+                      isAnimationActive={false}
+                      activeDot={false}
+                    />
+                  )}
+                  <Line
+                    yAxisId="weight"
+                    dataKey="weight"
+                    name={t('chart.weight')}
+                    stroke="var(--ios-system-blue)"
+                    strokeWidth={2.5}
+                    dot={{ r: 2, fill: 'var(--ios-system-blue)', strokeWidth: 0 }}
+                    activeDot={{ r: 5, fill: 'var(--ios-system-blue)', stroke: '#fff', strokeWidth: 2 }}
+                    isAnimationActive={false}
+                  />
+                  {metric && (
+                    <Line
+                      yAxisId="metric"
+                      dataKey="metric"
+                      name={t(metric.labelKey)}
+                      stroke={METRIC_COLOR}
+                      strokeWidth={2}
+                      dot={{ r: 2, fill: METRIC_COLOR, strokeWidth: 0 }}
+                      activeDot={{ r: 4, fill: METRIC_COLOR, stroke: '#fff', strokeWidth: 2 }}
+                      isAnimationActive={false}
+                    />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            ) : (
+              <div className="h-full flex flex-col items-center justify-center text-[var(--ios-secondary-label)] gap-2">
+                <AlertCircle className="w-8 h-8 opacity-20" />
+                <p className="text-sm italic">{t('charts.empty')}</p>
+              </div>
+            )}
+          </div>
+          <p className="text-[var(--ios-secondary-label)] text-xs mt-3">{t('charts.zoomHint')}</p>
+        </div>
+
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+            <span>{t('charts.secondMetric')}</span>
+            <select
+              className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+              value={metric?.value ?? ''}
+              onChange={e => changeOptions({ metric: e.target.value })}
+            >
+              <option value="">{t('common.none')}</option>
+              {CHART_METRICS.map(m => <option key={m.value} value={m.value}>{t(m.labelKey)}</option>)}
+            </select>
+          </label>
+          <label className="px-4 py-3 flex justify-between items-center gap-4">
+            <span>{t('charts.grouping')}</span>
+            <select
+              className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+              value={groupParam}
+              onChange={e => changeOptions({ group: e.target.value })}
+            >
+              <option value="">
+                {t('charts.automaticGrouping', { grouping: t(CHART_GROUPINGS.find(g => g.value === autoGrouping).labelKey) })}
+              </option>
+              {CHART_GROUPINGS.map(g => <option key={g.value} value={g.value}>{t(g.labelKey)}</option>)}
+            </select>
+          </label>
+        </div>
+      </main>
+
+      <TabBar />
+    </div>
+  );
+}
+
+export default ChartsView;
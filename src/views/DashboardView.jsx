@@ -0,0 +1,280 @@
+import React from 'react';
+import { calculateBMI } from '../bluetooth';
+import { getBMICategory, getHealthyWeightRange, classificationContext } from '../classification';
+import { SCALE_STATUS } from '../weighing';
+import { analyzeTrend } from '../trends';
+import { t, formatNumber, formatOrdinal } from '../i18n';
+import { formatDate, formatTime, signed } from '../format';
+import { navigate } from '../router';
+import { formatWeight, formatWeightWithUnit, formatMass, unitLabel, kgToUnit, unitToKg } from '../units';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import {
+  Scale, Plus, User as UserIcon, RefreshCw, AlertCircle, Check, TrendingUp, TrendingDown, Target
+} from 'lucide-react';
+import { timeTicks } from '../charts';
+import TabBar from '../components/TabBar';
+
+const SCALE_STATUS_LABELS = {
+  [SCALE_STATUS.SEARCHING]: 'scaleStatus.searching',
+  [SCALE_STATUS.CONNECTED]: 'scaleStatus.connected',
+  [SCALE_STATUS.SETTLING]: 'scaleStatus.settling',
+  [SCALE_STATUS.LOST]: 'scaleStatus.lost',
+  [SCALE_STATUS.SAVED]: 'scaleStatus.saved'
+};
+
+// Prehľad (/) – posledná váha, BMI, zloženie tela, váženie a graf trendu
+function DashboardView({
+  user, users, settings, measurements, trendSource, latestWeight, liveReading, scaleStatus,
+  onWeigh, onCancelWeighing, onAddMeasurement
+}) {
+  const scanning = ![SCALE_STATUS.IDLE, SCALE_STATUS.SAVED].includes(scaleStatus);
+  const trend = analyzeTrend(trendSource, user.targetWeight ?? null);
+  const trendById = new Map(trend.points.map(p => [p.id, p.trend]));
+  const currentBMI = latestWeight ? calculateBMI(latestWeight, user.height) : null;
+  const currentCategory = currentBMI != null ? getBMICategory(currentBMI, classificationContext(user)) : null;
+  const healthyRange = getHealthyWeightRange(user.height, classificationContext(user));
+  // Posledné merania na časovej osi – dlhšia pauza je v grafe vidieť
+  const chartData = measurements.slice().reverse().map(m => ({
+    ...m,
+    time: new Date(m.createdAt).getTime(),
+    displayWeight: kgToUnit(m.weight, settings.unit),
+    displayTrend: trendById.has(m.id) ? kgToUnit(trendById.get(m.id), settings.unit) : null
+  }));
+  const chartDomain = chartData.length > 1 ? [chartData[0].time, chartData[chartData.length - 1].time] : null;
+
+  return (
+    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] font-sans pb-32">
+      <header className="px-6 pt-12 pb-6 flex justify-between items-end">
+        <div>
+          {users.length > 1 && <p className="text-[var(--ios-secondary-label)] text-sm font-semibold">{user.name}</p>}
+          <h2 className="text-3xl font-bold tracking-tight">{t('dashboard.title')}</h2>
+        </div>
+        <button onClick={() => navigate('/profiles')} className="w-10 h-10 bg-[var(--ios-secondary-system-background)] rounded-full flex items-center justify-center shadow-sm">
+          <UserIcon className="w-5 h-5 text-[var(--ios-system-blue)]" />
+        </button>
+      </header>
+
+      <main className="px-4 space-y-6">
+        {/* Main Status Cell */}
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-6 shadow-sm">
+          <div className="flex justify-between items-start mb-4">
+            <div className="flex items-center gap-2">
+              <div className="p-2 bg-[rgba(var(--ios-system-blue-rgb),0.1)] rounded-lg">
+                <Scale className="w-5 h-5 text-[var(--ios-system-blue)]" />
+              </div>
+              <span className="font-semibold text-lg">{t('dashboard.weight')}</span>
+            </div>
+            <span className="text-[var(--ios-secondary-label)] text-sm">
+              {liveReading && !liveReading.isStable ? t('scaleStatus.settling') : measurements.length > 0 ? formatTime(measurements[0].createdAt) : t('dashboard.noData')}
+            </span>
+          </div>
+
+          <div className="flex items-baseline gap-1 mb-6">
+            <span className={`text-5xl font-black ${liveReading && !liveReading.isStable ? 'opacity-40 animate-pulse' : ''}`}>{formatWeight(latestWeight, settings.unit)}</span>
+            <span className="text-[var(--ios-secondary-label)] font-bold text-xl uppercase">{unitLabel(settings.unit)}</span>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="bg-[var(--ios-tertiary-system-background)] p-4 rounded-xl">
+              <p className="text-[var(--ios-secondary-label)] text-[10px] font-bold uppercase mb-1">BMI</p>
+              <div className="flex items-center gap-1.5">
+                <div className={`w-2 h-2 rounded-full ${currentCategory ? (
+                  currentCategory.status === 'green' ? 'bg-green-500' :
+                    currentCategory.status === 'blue' ? 'bg-[var(--ios-system-blue)]' :
+                      currentCategory.status === 'orange' ? 'bg-orange-500' :
+                        currentCategory.status === 'red' ? 'bg-red-500' : 'bg-gray-300'
+                ) : 'bg-gray-300'}`}></div>
+                <span className="font-bold text-sm">
+                  {currentCategory ? currentCategory.label : '--'}
+                </span>
+              </div>
+              {currentBMI != null && (
+                <p className="text-[var(--ios-secondary-label)] text-xs mt-1">
+                  {formatNumber(currentBMI, 1)}{currentCategory.percentile != null && ` · ${t('dashboard.percentile', { ordinal: formatOrdinal(currentCategory.percentile) })}`}
+                </p>
+              )}
+            </div>
+            <div className="bg-[var(--ios-tertiary-system-background)] p-4 rounded-xl">
+              <p className="text-[var(--ios-secondary-label)] text-[10px] font-bold uppercase mb-1">{t('dashboard.perWeek')}</p>
+              <span className="font-bold text-sm text-[var(--ios-system-blue)] flex items-center gap-1">
+                {trend.weeklyRate != null && (trend.weeklyRate < 0 ? <TrendingDown className="w-4 h-4" /> : <TrendingUp className="w-4 h-4" />)}
+                {trend.weeklyRate != null ? signed(formatMass(trend.weeklyRate, settings.unit), trend.weeklyRate) : "--"}
+              </span>
+            </div>
+          </div>
+          {healthyRange && (
+            <p className="text-[var(--ios-secondary-label)] text-xs mt-3 flex items-center gap-1.5">
+              <Target className="w-3.5 h-3.5" />
+              {t(currentCategory?.reference === 'bmi-for-age' ? 'dashboard.healthyRangeForAge' : 'dashboard.healthyRange', {
+                min: formatWeight(healthyRange.min, settings.unit),
+                max: formatWeightWithUnit(healthyRange.max, settings.unit)
+              })}
+            </p>
+          )}
+        </div>
+
+        {/* Body Composition Cell */}
+        {measurements.length > 0 && measurements[0].bodyFat != null && (
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-6 shadow-sm">
+            <h3 className="font-bold text-lg mb-4">{t('composition.title')}</h3>
+            <div className="grid grid-cols-2 gap-3">
+              {[
+                ['bodyFat', formatNumber(measurements[0].bodyFat), '%'],
+                ['muscle', formatMass(measurements[0].muscleMass, settings.unit)],
+                ['water', formatNumber(measurements[0].water), '%'],
+                ['boneMass', formatMass(measurements[0].boneMass, settings.unit)],
+                ['visceralFat', measurements[0].visceralFat],
+                ['bmr', measurements[0].bmr, t('composition.kcal')],
+                ['leanMass', formatMass(measurements[0].leanMass, settings.unit)],
+                ['metabolicAge', measurements[0].metabolicAge, t('composition.years')]
+              ].map(([key, value, suffix]) => (
+                <div key={key} className="bg-[var(--ios-tertiary-system-background)] p-4 rounded-xl">
+                  <p className="text-[var(--ios-secondary-label)] text-[10px] font-bold uppercase mb-1">{t(`composition.${key}`)}</p>
+                  <span className="font-bold text-sm">
+                    {value} {suffix && <span className="text-[var(--ios-secondary-label)]">{suffix}</span>}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Action Button */}
+        <button
+          onClick={onWeigh}
+          disabled={scanning}
+          className={`w-full py-4 rounded-2xl flex items-center justify-center gap-3 transition-all ${scanning ? 'bg-[var(--ios-secondary-system-background)] text-[var(--ios-secondary-label)]' : 'bg-[var(--ios-system-blue)] text-white font-semibold shadow-sm active:opacity-60'
+            }`}
+        >
+          {scanning ? <RefreshCw className="animate-spin w-5 h-5" /> : scaleStatus === SCALE_STATUS.SAVED ? <Check className="w-5 h-5" /> : <Plus className="w-5 h-5" />}
+          {scaleStatus === SCALE_STATUS.IDLE
+            ? (settings.demoMode ? t('dashboard.recordWeightDemo') : t('dashboard.recordWeight'))
+            : scaleStatus === SCALE_STATUS.SEARCHING && settings.pairedScale && !settings.demoMode
+              ? t('scaleStatus.stepOn', { name: settings.pairedScale.name })
+              : t(SCALE_STATUS_LABELS[scaleStatus])}
+        </button>
+        {scanning && (
+          <button onClick={onCancelWeighing} className="w-full -mt-3 text-[var(--ios-system-blue)] text-sm font-medium">
+            {t('common.cancel')}
+          </button>
+        )}
+        {!scanning && (
+          <button onClick={onAddMeasurement} className="w-full -mt-3 text-[var(--ios-system-blue)] text-sm font-medium">
+            {t('dashboard.enterManually')}
+          </button>
+        )}
+
+        {/* Chart Cell */}
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-6 shadow-sm">
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="font-bold text-lg">{t('dashboard.trends')}</h3>
+            <div className="flex gap-4">
+              <button onClick={() => navigate('/charts')} className="text-[var(--ios-system-blue)] text-sm font-medium">
+                {t('dashboard.openCharts')}
+              </button>
+              <button onClick={() => navigate('/history')} className="text-[var(--ios-system-blue)] text-sm font-medium">
+                {t('dashboard.showAll')}
+              </button>
+            </div>
+          </div>
+
+          {trend.current != null && (
+            <div className="grid grid-cols-3 gap-3 mb-6">
+              <div className="bg-[var(--ios-tertiary-system-background)] p-3 rounded-xl">
+                <p className="text-[var(--ios-secondary-label)] text-[10px] font-bold uppercase mb-1">{t('chart.trend')}</p>
+                <span className="font-bold text-sm">{formatWeightWithUnit(trend.current, settings.unit)}</span>
+              </div>
+              <div className="bg-[var(--ios-tertiary-system-background)] p-3 rounded-xl">
+                <p className="text-[var(--ios-secondary-label)] text-[10px] font-bold uppercase mb-1">{t('dashboard.perMonth')}</p>
+                <span className="font-bold text-sm">
+                  {trend.monthlyRate != null ? signed(formatMass(trend.monthlyRate, settings.unit), trend.monthlyRate) : '--'}
+                </span>
+              </div>
+              <div className="bg-[var(--ios-tertiary-system-background)] p-3 rounded-xl">
+                <p className="text-[var(--ios-secondary-label)] text-[10px] font-bold uppercase mb-1 flex items-center gap-1">
+                  <Target className="w-3 h-3" /> {t('chart.goal')}
+                </p>
+                <span className="font-bold text-sm">
+                  {!trend.goal ? t('dashboard.goalNotSet') : trend.goal.reached ? t('common.reached') : trend.goal.date ? formatDate(trend.goal.date, settings.dateFormat) : t('dashboard.offTrack')}
+                </span>
+              </div>
+            </div>
+          )}
+
+          <div className="h-[200px] w-full">
+            {measurements.length > 1 ? (
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData}>
+                  <CartesianGrid vertical={false} stroke="var(--ios-separator)" strokeDasharray="0" />
+                  <XAxis
+                    dataKey="time"
+                    type="number"
+                    scale="time"
+                    domain={chartDomain}
+                    ticks={timeTicks(chartDomain, 4).ticks}
+                    tickFormatter={(d) => formatDate(d, settings.dateFormat, 'short')}
+                    tick={{ fontSize: 10, fill: 'var(--ios-secondary-label)' }}
+                    axisLine={false}
+                    tickLine={false}
+                  />
+                  <YAxis
+                    domain={[min => min - kgToUnit(1, settings.unit), max => max + kgToUnit(1, settings.unit)]}
+                    tickFormatter={(v) => formatNumber(v, settings.unit === 'st' ? 1 : 0)}
+                    tick={{ fontSize: 10, fill: 'var(--ios-secondary-label)' }}
+                    axisLine={false}
+                    tickLine={false}
+                    orientation="right"
+                  />
+                  <Tooltip
+                    contentStyle={{ backgroundColor: 'var(--ios-secondary-system-background)', border: 'none', borderRadius: '8px', boxShadow: '0 4px 12px rgba(0,0,0,0.1)' }}
+                    labelStyle={{ color: 'var(--ios-label)', fontWeight: 'bold' }}
+                    labelFormatter={(d) => formatDate(d, settings.dateFormat)}
+                    formatter={(value, name) => [formatWeightWithUnit(unitToKg(value, settings.unit), settings.unit), name]}
+                  />
+                  {user.targetWeight != null && (
+                    <ReferenceLine
+                      y={kgToUnit(user.targetWeight, settings.unit)}
+                      stroke="#4ade80"
+                      strokeDasharray="4 4"
+                      ifOverflow="extendDomain"
+                      label={{ value: t('chart.goal'), position: 'insideTopLeft', fontSize: 10, fill: '#4ade80' }}
+                    />
+                  )}
+                  <Line
+                    type="monotone"
+                    dataKey="displayTrend"
+                    name={t('chart.trend')}
+                    stroke="var(--ios-secondary-label)"
+                    strokeWidth={2}
+                    strokeDasharray="6 4"
+                    dot={false}
+                    activeDot={false}
+                    connectNulls
+                  />
+                  <Line
+                    type="monotone"
+                    name={t('chart.weight')}
+                    dataKey="displayWeight"
+                    stroke="var(--ios-system-blue)"
+                    strokeWidth={3}
+                    dot={false}
+                    activeDot={{ r: 6, fill: 'var(--ios-system-blue)', stroke: '#fff', strokeWidth: 2 }}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            ) : (
+              <div className="h-full flex flex-col items-center justify-center text-[var(--ios-secondary-label)] gap-2">
+                <AlertCircle className="w-8 h-8 opacity-20" />
+                <p className="text-sm italic">{t('dashboard.needMore')}</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+
+      <TabBar />
+    </div>
+  );
+}
+
+export default DashboardView;
@@ -0,0 +1,333 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getMeasurementsPage, getAllMeasurements, getTags } from '../db';
+import { useAppData, acceptMeasurement, confirmDeleteMeasurement } from '../appData';
+import { getBMICategory, classificationContext } from '../classification';
+import { MEASUREMENT_STATUS } from '../anomaly';
+import { shareOrDownload } from '../share';
+import { t, formatNumber } from '../i18n';
+import { exportMeasurements, EXPORT_FORMATS } from '../exporters';
+import { formatDate, formatMonth, percent } from '../format';
+import { navigate, goBack, useRoute } from '../router';
+import { formatWeight, formatMass, unitLabel, entryUnit, kgToUnit } from '../units';
+import { Scale, Plus, Trash2, Users, ArrowLeft, AlertCircle, Download, Check, Pencil, Printer } from 'lucide-react';
+import LoadMoreSentinel from '../components/LoadMoreSentinel';
+import ExportFormatSheet from '../components/ExportFormatSheet';
+
+const HISTORY_PAGE_SIZE = 50;
+const EMPTY_HISTORY = { items: [], hasMore: false, loaded: false };
+const EMPTY_FILTER = { from: '', to: '', tag: '' };
+
+// Filter histórie ako parametre dotazu (dátumy z <input type="date">, "do" vrátane celého dňa)
+const historyQuery = (filter) => ({
+  from: filter.from ? new Date(`${filter.from}T00:00:00`) : null,
+  to: filter.to ? new Date(`${filter.to}T23:59:59.999`) : null,
+  tag: filter.tag || null
+});
+
+// Merania rozdelené do skupín podľa mesiaca (vstup je zoradený od najnovších)
+const groupByMonth = (items) => {
+  const groups = [];
+  for (const m of items) {
+    const date = new Date(m.createdAt);
+    const key = `${date.getFullYear()}-${date.getMonth()}`;
+    if (groups.length === 0 || groups[groups.length - 1].key !== key) {
+      groups.push({ key, label: formatMonth(date), items: [] });
+    }
+    groups[groups.length - 1].items.push(m);
+  }
+  return groups;
+};
+
+// Kategória BMI podľa veku v čase merania, pohlavia a zvolených hraníc
+const bmiCategory = (user, m) => getBMICategory(m.bmi, classificationContext(user, new Date(m.createdAt)));
+
+// Stone sa exportuje v librách – "11 st 4.2" by tabuľkový procesor nevedel spracovať
+const spreadsheetCSV = (data, user, settings) => {
+  const unit = entryUnit(settings.unit);
+  const mass = (kg) => (kg == null ? '' : formatNumber(kgToUnit(kg, unit), 1));
+  // Čísla v jazyku aplikácie; pri desatinnej čiarke oddeľujeme stĺpce bodkočiarkou ako Excel
+  const delimiter = formatNumber(0.5).includes(',') ? ';' : ',';
+
+  const headers = [
+    t('export.csv.date'), t('export.csv.weight', { unit }), t('export.csv.bmi'), t('export.csv.category'),
+    t('export.csv.bodyFat'), t('export.csv.muscle', { unit }), t('export.csv.water'),
+    t('export.csv.bone', { unit }), t('export.csv.visceralFat'), t('export.csv.bmr'), t('export.csv.metabolicAge'),
+    t('export.csv.note'), t('export.csv.tags'), t('export.csv.suspect')
+  ];
+  const optional = (value) => (value == null ? '' : formatNumber(value));
+  // Text od používateľa môže obsahovať oddeľovač a úvodzovky
+  const quote = (text) => (/["\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text);
+  const rows = data.map(m => {
+    const date = formatDate(m.createdAt, settings.dateFormat);
+    const weight = mass(m.weight);
+    const bmi = formatNumber(m.bmi, 1);
+    const category = bmiCategory(user, m).label;
+    return [
+      date, weight, bmi, quote(category), optional(m.bodyFat), mass(m.muscleMass), optional(m.water),
+      mass(m.boneMass), optional(m.visceralFat), optional(m.bmr), optional(m.metabolicAge),
+      quote(m.note || ''), quote((m.tags || []).join('; ')),
+      m.status === MEASUREMENT_STATUS.SUSPECT ? t('common.yes') : ''
+    ].join(delimiter);
+  });
+
+  const csvContent = "\uFEFF" + headers.map(quote).join(delimiter) + "\n" + rows.join("\n");
+  return { blob: new Blob([csvContent], { type: 'text/csv;charset=utf-8' }), extension: 'csv' };
+};
+
+// História (/history?from=&to=&tag=) – filter je v adrese, takže prežije obnovenie stránky a dá sa naň odkázať
+function HistoryView({ user, users, settings, onAdd, onReassign }) {
+  const { query } = useRoute();
+  const { dataVersion } = useAppData();
+  const filter = { from: query.get('from') ?? '', to: query.get('to') ?? '', tag: query.get('tag') ?? '' };
+  const { from, to, tag } = filter;
+  // História sa načítava po stránkach, nezávisle od posledných meraní na dashboarde
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [knownTags, setKnownTags] = useState([]);
+  const [exportOpen, setExportOpen] = useState(false);
+  const loadingRef = useRef(false);
+  // Po zmene dát znova načítame toľko meraní, koľko už bolo zobrazených, aby zoznam neodskočil na začiatok
+  const loadedRef = useRef(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const limit = Math.max(HISTORY_PAGE_SIZE, loadedRef.current);
+    loadingRef.current = true;
+    Promise.all([
+      getMeasurementsPage(user.id, { ...historyQuery({ from, to, tag }), limit }),
+      getTags(user.id)
+    ]).then(([items, tags]) => {
+      if (cancelled) return;
+      loadedRef.current = items.length;
+      setHistory({ items, hasMore: items.length === limit, loaded: true });
+      setKnownTags(tags);
+    }).finally(() => {
+      if (!cancelled) loadingRef.current = false;
+    });
+    return () => { cancelled = true; };
+  }, [user.id, from, to, tag, dataVersion]);
+
+  const loadMore = async () => {
+    if (loadingRef.current || !history.hasMore) return;
+    loadingRef.current = true;
+    const last = history.items[history.items.length - 1];
+    try {
+      const page = await getMeasurementsPage(user.id, {
+        ...historyQuery(filter),
+        before: new Date(last.createdAt),
+        beforeId: last.id,
+        limit: HISTORY_PAGE_SIZE
+      });
+      loadedRef.current = history.items.length + page.length;
+      setHistory(h => ({ ...h, items: [...h.items, ...page], hasMore: page.length === HISTORY_PAGE_SIZE }));
+    } catch (err) {
+      // Ďalšie posunutie na koniec zoznamu skúsi stránku načítať znova
+      console.error('Loading history failed:', err);
+    } finally {
+      loadingRef.current = false;
+    }
+  };
+
+  // Zmena filtra nahradí aktuálny záznam histórie – Späť nevracia jednotlivé zmeny filtra
+  const changeFilter = (patch) => {
+    const params = new URLSearchParams(Object.entries({ ...filter, ...patch }).filter(([, value]) => value));
+    loadedRef.current = 0;
+    navigate(params.size > 0 ? `/history?${params}` : '/history', { replace: true });
+  };
+
+  const exportHistory = async (format) => {
+    setExportOpen(false);
+    // Exportujeme celú (filtrovanú) históriu z DB, nie len načítané stránky
+    const data = await getAllMeasurements(user.id, historyQuery(filter));
+    if (data.length === 0) return;
+
+    const { blob, extension } = format === 'csv'
+      ? spreadsheetCSV(data, user, settings)
+      : exportMeasurements(format, data, user);
+    const fileName = `${t('export.fileName')}_${new Date().toISOString().split('T')[0]}.${extension}`;
+    const label = t(EXPORT_FORMATS.find(f => f.value === format).labelKey);
+
+    await shareOrDownload(blob, fileName, {
+      title: t('export.shareTitle'),
+      text: t('export.shareText', { format: label })
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] pb-20">
+      <header className="px-6 pt-12 pb-6 flex justify-between items-end">
+        <div>
+          <button onClick={() => goBack()} className="flex items-center gap-1 text-[var(--ios-system-blue)] font-medium mb-4">
+            <ArrowLeft className="w-5 h-5" /> {t('common.back')}
+          </button>
+          <h1 className="text-3xl font-bold">{t('history.title')}</h1>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onAdd}
+            className="p-3 bg-[var(--ios-secondary-system-background)] rounded-full text-[var(--ios-system-blue)] shadow-sm active:opacity-60"
+            title={t('measurement.addTitle')}
+          >
+            <Plus className="w-5 h-5" />
+          </button>
+          <button
+            onClick={() => navigate('/history/report')}
+            className="p-3 bg-[var(--ios-secondary-system-background)] rounded-full text-[var(--ios-system-blue)] shadow-sm active:opacity-60"
+            title={t('report.title')}
+          >
+            <Printer className="w-5 h-5" />
+          </button>
+          <button
+            onClick={() => setExportOpen(true)}
+            disabled={history.items.length === 0}
+            className="p-3 bg-[var(--ios-secondary-system-background)] rounded-full text-[var(--ios-system-blue)] shadow-sm disabled:opacity-30 active:opacity-60"
+            title={t('export.title')}
+          >
+            <Download className="w-5 h-5" />
+          </button>
+        </div>
+      </header>
+
+      <div className="px-4 space-y-6">
+        {/* Date Range Filter */}
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+            <span>{t('history.from')}</span>
+            <input
+              type="date"
+              className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+              value={filter.from}
+              max={filter.to || undefined}
+              onChange={e => changeFilter({ from: e.target.value })}
+            />
+          </label>
+          <label className="px-4 py-3 flex justify-between items-center gap-4">
+            <span>{t('history.to')}</span>
+            <input
+              type="date"
+              className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+              value={filter.to}
+              min={filter.from || undefined}
+              onChange={e => changeFilter({ to: e.target.value })}
+            />
+          </label>
+          {knownTags.length > 0 && (
+            <label className="px-4 py-3 border-t-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('history.tag')}</span>
+              <select
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={filter.tag}
+                onChange={e => changeFilter({ tag: e.target.value })}
+              >
+                <option value="">{t('history.allTags')}</option>
+                {knownTags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+              </select>
+            </label>
+          )}
+          {(filter.from || filter.to || filter.tag) && (
+            <button
+              onClick={() => changeFilter(EMPTY_FILTER)}
+              className="w-full px-4 py-3 text-left text-[var(--ios-system-blue)] border-t-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)]"
+            >
+              {t('history.clearFilter')}
+            </button>
+          )}
+        </div>
+
+        {groupByMonth(history.items).map(group => (
+          <div key={group.key} className="space-y-2">
+            <p className="text-[var(--ios-secondary-label)] text-xs font-bold uppercase px-4">{group.label}</p>
+            <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+              {group.items.map((m, index) => (
+                <div key={m.id} className={`p-4 flex justify-between items-center group ${index !== group.items.length - 1 ? 'border-b-[0.5px] border-[var(--ios-separator)]' : ''}`}>
+                  <button onClick={() => navigate(`/history/${m.id}`)} className="flex flex-col items-start text-left min-w-0">
+                    <span className="font-semibold text-lg flex items-center gap-1.5">
+                      {formatWeight(m.weight, settings.unit)} <span className="text-sm font-bold text-[var(--ios-secondary-label)]">{unitLabel(settings.unit)}</span>
+                      {m.source === 'manual' && <Pencil className="w-3 h-3 text-[var(--ios-secondary-label)]" />}
+                    </span>
+                    <span className="text-[var(--ios-secondary-label)] text-xs">{formatDate(m.createdAt, settings.dateFormat, 'long')}</span>
+                    {m.status === MEASUREMENT_STATUS.SUSPECT && (
+                      <span className="text-orange-500 text-xs font-medium flex items-center gap-1">
+                        <AlertCircle className="w-3 h-3" /> {t('history.unusual')}
+                      </span>
+                    )}
+                    {m.bodyFat != null && (
+                      <span className="text-[var(--ios-secondary-label)] text-xs">
+                        {t('history.composition', {
+                          bodyFat: percent(m.bodyFat),
+                          muscle: formatMass(m.muscleMass, settings.unit),
+                          water: percent(m.water)
+                        })}
+                      </span>
+                    )}
+                    {m.note && <span className="text-[var(--ios-label)] text-xs italic mt-1 truncate max-w-full">{m.note}</span>}
+                    {m.tags?.length > 0 && (
+                      <span className="flex flex-wrap gap-1 mt-1">
+                        {m.tags.map(tag => (
+                          <span key={tag} className="px-1.5 py-0.5 rounded text-[10px] font-semibold bg-[var(--ios-tertiary-system-background)] text-[var(--ios-secondary-label)]">{tag}</span>
+                        ))}
+                      </span>
+                    )}
+                  </button>
+
+                  <div className="flex items-center gap-1">
+                    {m.status === MEASUREMENT_STATUS.SUSPECT && (
+                      <button
+                        onClick={() => acceptMeasurement(m)}
+                        className="p-2 text-[var(--ios-system-blue)] rounded-full active:bg-[var(--ios-fill)]"
+                        title={t('measurement.includeInTrends')}
+                      >
+                        <Check className="w-4 h-4" />
+                      </button>
+                    )}
+                    {users.length > 1 && (
+                      <button
+                        onClick={() => onReassign(m)}
+                        className="p-2 text-[var(--ios-system-blue)] rounded-full active:bg-[var(--ios-fill)]"
+                        title={t('history.assign')}
+                      >
+                        <Users className="w-4 h-4" />
+                      </button>
+                    )}
+                    <div className={`mr-2 px-2 py-1 rounded-md text-[10px] font-bold uppercase tracking-wide ${bmiCategory(user, m).status === 'green' ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' :
+                      bmiCategory(user, m).status === 'blue' ? 'bg-[rgba(var(--ios-system-blue-rgb),0.1)] text-[var(--ios-system-blue)]' :
+                        bmiCategory(user, m).status === 'orange' ? 'bg-orange-100 text-orange-700 dark:bg-orange-900/30 dark:text-orange-400' :
+                          bmiCategory(user, m).status === 'gray' ? 'bg-[var(--ios-tertiary-system-background)] text-[var(--ios-secondary-label)]' :
+                          'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+                      }`}>
+                      {t('history.bmi', { bmi: formatNumber(m.bmi, 1) })}
+                    </div>
+                    <button
+                      onClick={() => confirmDeleteMeasurement(m)}
+                      className="p-2 text-red-500 rounded-full active:bg-red-50 dark:active:bg-red-900/20"
+                      title={t('common.delete')}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {history.hasMore && <LoadMoreSentinel onVisible={loadMore} />}
+
+        {history.loaded && history.items.length === 0 && (
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl shadow-sm text-center py-20 px-6">
+            <Scale className="w-12 h-12 text-[var(--ios-separator)] mx-auto mb-4" />
+            <p className="text-[var(--ios-secondary-label)]">{t('history.empty')}</p>
+          </div>
+        )}
+      </div>
+
+      {exportOpen && (
+        <ExportFormatSheet
+          onSelect={exportHistory}
+          onCancel={() => setExportOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default HistoryView;
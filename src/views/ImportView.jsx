@@ -0,0 +1,232 @@
+import React, { useState, useRef } from 'react';
+import { t, formatNumber } from '../i18n';
+import {
+  parseCSV, parseZeppLifeCSV, parseAppleHealthXML, parseGenericCSV, guessMapping, prepareImport, importMeasurements
+} from '../importers';
+import { formatDate, percent } from '../format';
+import { goBack } from '../router';
+import { formatWeightWithUnit } from '../units';
+import { ChevronRight, ArrowLeft, RefreshCw, AlertCircle, Check, FileText } from 'lucide-react';
+
+const IMPORT_SOURCES = [
+  { value: 'zepp', labelKey: 'import.sources.zepp', descriptionKey: 'import.sources.zeppDescription', accept: '.csv,text/csv' },
+  { value: 'apple', labelKey: 'import.sources.apple', descriptionKey: 'import.sources.appleDescription', accept: '.xml,text/xml,application/xml' },
+  { value: 'csv', labelKey: 'import.sources.csv', descriptionKey: 'import.sources.csvDescription', accept: '.csv,text/csv,text/plain' }
+];
+
+// Import histórie z iných aplikácií: výber zdroja → súbor → (mapovanie stĺpcov) → náhľad → import
+function ImportView({ user, unit, dateFormat, onDone }) {
+  const [source, setSource] = useState(null);
+  const [csv, setCsv] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const showPreview = async (rows) => {
+    setPreview(await prepareImport(rows, user));
+  };
+
+  const chooseSource = (value) => {
+    setSource(value);
+    setCsv(null);
+    setMapping(null);
+    setPreview(null);
+    setError(null);
+    // Po vykreslení s novým `accept`
+    setTimeout(() => fileInputRef.current.click(), 0);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    setError(null);
+    setPreview(null);
+    try {
+      const text = await file.text();
+      if (source === 'zepp') {
+        await showPreview(parseZeppLifeCSV(text));
+      } else if (source === 'apple') {
+        await showPreview(parseAppleHealthXML(text));
+      } else {
+        const parsed = parseCSV(text);
+        const guessed = guessMapping(parsed.headers);
+        setCsv(parsed);
+        setMapping(guessed);
+        if (guessed.date !== -1 && guessed.weight !== -1) await showPreview(parseGenericCSV(parsed, guessed));
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const changeMapping = async (patch) => {
+    const next = { ...mapping, ...patch };
+    setMapping(next);
+    setError(null);
+    try {
+      await showPreview(parseGenericCSV(csv, next));
+    } catch (err) {
+      setPreview(null);
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    await importMeasurements(preview.records);
+    setBusy(false);
+    onDone(preview.records.length);
+  };
+
+  const columnSelect = (key, label, optional) => (
+    <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+      <span>{label}</span>
+      <select
+        className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none max-w-[60%]"
+        value={mapping[key]}
+        onChange={e => changeMapping({ [key]: parseInt(e.target.value) })}
+      >
+        <option value={-1}>{optional ? t('common.none') : t('import.chooseColumn')}</option>
+        {csv.headers.map((h, index) => <option key={index} value={index}>{h || t('import.column', { number: index + 1 })}</option>)}
+      </select>
+    </label>
+  );
+
+  const records = preview ? preview.records : [];
+
+  return (
+    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] pb-20">
+      <header className="px-6 pt-12 pb-6">
+        <button onClick={() => goBack()} className="flex items-center gap-1 text-[var(--ios-system-blue)] font-medium mb-4">
+          <ArrowLeft className="w-5 h-5" /> {t('common.back')}
+        </button>
+        <h1 className="text-3xl font-bold">{t('import.title')}</h1>
+        <p className="text-[var(--ios-secondary-label)] text-sm mt-1">{t('import.addedTo', { name: user.name })}</p>
+      </header>
+
+      <div className="px-4 space-y-6">
+        <input
+          ref={fileInputRef} type="file" className="hidden" onChange={handleFile}
+          accept={IMPORT_SOURCES.find(s => s.value === source)?.accept}
+        />
+
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          {IMPORT_SOURCES.map((s, index) => (
+            <button
+              key={s.value}
+              onClick={() => chooseSource(s.value)}
+              className={`w-full p-4 flex justify-between items-center text-left active:bg-[var(--ios-fill)] ${index !== IMPORT_SOURCES.length - 1 ? 'border-b-[0.5px] border-[var(--ios-separator)]' : ''}`}
+            >
+              <div className="flex items-center gap-3">
+                <FileText className="w-5 h-5 text-[var(--ios-system-blue)]" />
+                <div className="flex flex-col">
+                  <span className="font-semibold">{t(s.labelKey)}</span>
+                  <span className="text-[var(--ios-secondary-label)] text-xs">{t(s.descriptionKey)}</span>
+                </div>
+              </div>
+              {source === s.value ? <Check className="w-5 h-5 text-[var(--ios-system-blue)]" /> : <ChevronRight className="w-5 h-5 text-[var(--ios-separator)]" />}
+            </button>
+          ))}
+        </div>
+
+        {busy && (
+          <div className="flex justify-center py-6">
+            <RefreshCw className="w-6 h-6 text-[var(--ios-system-blue)] animate-spin" />
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400 rounded-2xl p-4 text-sm flex gap-2">
+            <AlertCircle className="w-5 h-5 shrink-0" /> {error}
+          </div>
+        )}
+
+        {/* Column Mapping */}
+        {csv && mapping && (
+          <div className="space-y-2">
+            <p className="text-[var(--ios-secondary-label)] text-xs font-bold uppercase px-4">{t('import.columns')}</p>
+            <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+              {columnSelect('date', t('import.dateColumn'))}
+              {columnSelect('weight', t('import.weightColumn'))}
+              {columnSelect('bodyFat', t('import.bodyFatColumn'), true)}
+              {columnSelect('note', t('import.noteColumn'), true)}
+              <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+                <span>{t('import.weightUnit')}</span>
+                <select
+                  className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                  value={mapping.unit}
+                  onChange={e => changeMapping({ unit: e.target.value })}
+                >
+                  <option value="kg">kg</option>
+                  <option value="lb">lb</option>
+                  <option value="st">st</option>
+                </select>
+              </label>
+              <label className="px-4 py-3 flex justify-between items-center gap-4">
+                <span>{t('import.dateOrder')}</span>
+                <select
+                  className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                  value={mapping.dateOrder}
+                  onChange={e => changeMapping({ dateOrder: e.target.value })}
+                >
+                  <option value="auto">{t('common.automatic')}</option>
+                  <option value="dmy">{t('import.dateOrders.dmy')}</option>
+                  <option value="mdy">{t('import.dateOrders.mdy')}</option>
+                </select>
+              </label>
+            </div>
+          </div>
+        )}
+
+        {/* Preview */}
+        {preview && (
+          <div className="space-y-2">
+            <p className="text-[var(--ios-secondary-label)] text-xs font-bold uppercase px-4">{t('import.preview')}</p>
+            <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-4 shadow-sm space-y-1 text-sm">
+              <p className="font-semibold">
+                {t('import.newReadings', { count: records.length })}
+                {records.length > 0 && ` (${formatDate(records[0].createdAt, dateFormat)} – ${formatDate(records[records.length - 1].createdAt, dateFormat)})`}
+              </p>
+              {preview.duplicates.length > 0 && (
+                <p className="text-[var(--ios-secondary-label)]">{t('import.duplicates', { count: preview.duplicates.length })}</p>
+              )}
+              {preview.invalid > 0 && (
+                <p className="text-[var(--ios-secondary-label)]">{t('import.invalid', { count: preview.invalid })}</p>
+              )}
+            </div>
+
+            {records.length > 0 && (
+              <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+                {records.slice(-10).reverse().map((m, index, shown) => (
+                  <div key={index} className={`px-4 py-3 flex justify-between items-center text-sm ${index !== shown.length - 1 ? 'border-b-[0.5px] border-[var(--ios-separator)]' : ''}`}>
+                    <span className="text-[var(--ios-secondary-label)]">{formatDate(m.createdAt, dateFormat)}</span>
+                    <span className="font-semibold">
+                      {formatWeightWithUnit(m.weight, unit)}
+                      <span className="text-[var(--ios-secondary-label)] font-normal"> · BMI {formatNumber(m.bmi, 1)}{m.bodyFat != null && ` · ${percent(m.bodyFat)}`}</span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <button
+              onClick={handleImport}
+              disabled={busy || records.length === 0}
+              className="w-full bg-[var(--ios-system-blue)] text-white font-semibold py-4 rounded-2xl shadow-sm active:opacity-60 disabled:opacity-30 transition-opacity"
+            >
+              {t('import.importButton', { count: records.length })}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImportView;
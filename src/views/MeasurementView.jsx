@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useEffectEvent } from 'react';
+import { getMeasurement } from '../db';
+import { useAppData, switchUser, acceptMeasurement, confirmDeleteMeasurement } from '../appData';
+import { getBMICategory, classificationContext } from '../classification';
+import { MEASUREMENT_STATUS } from '../anomaly';
+import { t, formatNumber } from '../i18n';
+import { formatDate, formatTime } from '../format';
+import { goBack } from '../router';
+import { formatWeight, formatMass, unitLabel } from '../units';
+import { Scale, Trash2, Users, ArrowLeft, AlertCircle, Check, Pencil } from 'lucide-react';
+
+// Detail merania (/history/:id) – všetky hodnoty jedného merania a akcie nad ním
+function MeasurementView({ id, user, users, settings, onEdit, onReassign }) {
+  const { dataVersion } = useAppData();
+  // { id, measurement } – measurement je null, ak meranie neexistuje
+  const [loaded, setLoaded] = useState(null);
+  const measurement = loaded?.id === id ? loaded.measurement : undefined;
+
+  // Odkaz môže viesť na meranie inej osoby v domácnosti – prepneme sa na ňu.
+  // Pri opätovnom načítaní (napr. po presune merania) už nie.
+  const onLoaded = useEffectEvent((m) => {
+    if (loaded?.id === id) return;
+    const owner = m && m.userId !== user.id ? users.find(u => u.id === m.userId) : null;
+    if (owner) switchUser(owner);
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    getMeasurement(id).then(m => {
+      if (cancelled) return;
+      onLoaded(m);
+      setLoaded({ id, measurement: m ?? null });
+    });
+    return () => { cancelled = true; };
+  }, [id, dataVersion]);
+
+  const m = measurement;
+  const category = m ? getBMICategory(m.bmi, classificationContext(user, new Date(m.createdAt))) : null;
+
+  return (
+    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] pb-20">
+      <header className="px-6 pt-12 pb-6 flex justify-between items-end">
+        <div>
+          <button onClick={() => goBack()} className="flex items-center gap-1 text-[var(--ios-system-blue)] font-medium mb-4">
+            <ArrowLeft className="w-5 h-5" /> {t('common.back')}
+          </button>
+          <h1 className="text-3xl font-bold">{t('measurement.title')}</h1>
+        </div>
+        {m && (
+          <button
+            onClick={() => onEdit(m)}
+            className="p-3 bg-[var(--ios-secondary-system-background)] rounded-full text-[var(--ios-system-blue)] shadow-sm active:opacity-60"
+            title={t('common.edit')}
+          >
+            <Pencil className="w-5 h-5" />
+          </button>
+        )}
+      </header>
+
+      {m === null && (
+        <div className="px-4">
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl shadow-sm text-center py-20 px-6">
+            <Scale className="w-12 h-12 text-[var(--ios-separator)] mx-auto mb-4" />
+            <p className="text-[var(--ios-secondary-label)]">{t('measurement.notFound')}</p>
+          </div>
+        </div>
+      )}
+
+      {m && (
+        <main className="px-4 space-y-6">
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-6 shadow-sm">
+            <p className="text-[var(--ios-secondary-label)] text-sm mb-2">
+              {formatDate(m.createdAt, settings.dateFormat, 'long')} · {formatTime(m.createdAt)}
+            </p>
+            <div className="flex items-baseline gap-1 mb-4">
+              <span className="text-5xl font-black">{formatWeight(m.weight, settings.unit)}</span>
+              <span className="text-[var(--ios-secondary-label)] font-bold text-xl uppercase">{unitLabel(settings.unit)}</span>
+            </div>
+            <div className="flex items-center gap-1.5">
+              <div className={`w-2 h-2 rounded-full ${category.status === 'green' ? 'bg-green-500' :
+                category.status === 'blue' ? 'bg-[var(--ios-system-blue)]' :
+                  category.status === 'orange' ? 'bg-orange-500' :
+                    category.status === 'red' ? 'bg-red-500' : 'bg-gray-300'
+                }`}></div>
+              <span className="font-bold text-sm">{t('history.bmi', { bmi: formatNumber(m.bmi, 1) })} · {category.label}</span>
+            </div>
+            {m.status === MEASUREMENT_STATUS.SUSPECT && (
+              <div className="mt-4 flex items-center justify-between gap-3">
+                <span className="text-orange-500 text-xs font-medium flex items-center gap-1">
+                  <AlertCircle className="w-3 h-3" /> {t('history.unusual')}
+                </span>
+                <button onClick={() => acceptMeasurement(m)} className="text-[var(--ios-system-blue)] text-sm font-semibold flex items-center gap-1 active:opacity-60">
+                  <Check className="w-4 h-4" /> {t('measurement.includeInTrends')}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {m.bodyFat != null && (
+            <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl p-6 shadow-sm">
+              <h3 className="font-bold text-lg mb-4">{t('composition.title')}</h3>
+              <div className="grid grid-cols-2 gap-3">
+                {[
+                  ['bodyFat', formatNumber(m.bodyFat), '%'],
+                  ['muscle', formatMass(m.muscleMass, settings.unit)],
+                  ['water', formatNumber(m.water), '%'],
+                  ['boneMass', formatMass(m.boneMass, settings.unit)],
+                  ['visceralFat', m.visceralFat],
+                  ['bmr', m.bmr, t('composition.kcal')],
+                  ['leanMass', formatMass(m.leanMass, settings.unit)],
+                  ['metabolicAge', m.metabolicAge, t('composition.years')]
+                ].map(([key, value, suffix]) => (
+                  <div key={key} className="bg-[var(--ios-tertiary-system-background)] p-4 rounded-xl">
+                    <p className="text-[var(--ios-secondary-label)] text-[10px] font-bold uppercase mb-1">{t(`composition.${key}`)}</p>
+                    <span className="font-bold text-sm">
+                      {value} {suffix && <span className="text-[var(--ios-secondary-label)]">{suffix}</span>}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            <div className="px-4 py-3 flex justify-between items-center gap-4">
+              <span>{t('measurement.source')}</span>
+              <span className="text-[var(--ios-secondary-label)]">{t(`measurement.sources.${m.source}`)}</span>
+            </div>
+            {m.impedance != null && (
+              <div className="px-4 py-3 border-t-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+                <span>{t('measurement.impedance')}</span>
+                <span className="text-[var(--ios-secondary-label)]">{t('measurement.impedanceValue', { value: m.impedance })}</span>
+              </div>
+            )}
+            {m.note && (
+              <div className="px-4 py-3 border-t-[0.5px] border-[var(--ios-separator)]">
+                <p className="text-[var(--ios-secondary-label)] text-xs mb-1">{t('measurement.note')}</p>
+                <p className="italic">{m.note}</p>
+              </div>
+            )}
+            {m.tags?.length > 0 && (
+              <div className="px-4 py-3 border-t-[0.5px] border-[var(--ios-separator)]">
+                <p className="text-[var(--ios-secondary-label)] text-xs mb-1">{t('measurement.tags')}</p>
+                <span className="flex flex-wrap gap-1">
+                  {m.tags.map(tag => (
+                    <span key={tag} className="px-1.5 py-0.5 rounded text-[10px] font-semibold bg-[var(--ios-tertiary-system-background)] text-[var(--ios-secondary-label)]">{tag}</span>
+                  ))}
+                </span>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            {users.length > 1 && (
+              <button onClick={() => onReassign(m)} className="w-full px-4 py-3 flex items-center gap-2 text-[var(--ios-system-blue)] border-b-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)]">
+                <Users className="w-4 h-4" /> {t('history.assign')}
+              </button>
+            )}
+            <button onClick={async () => (await confirmDeleteMeasurement(m)) && goBack()} className="w-full px-4 py-3 flex items-center gap-2 text-red-500 active:bg-[var(--ios-fill)]">
+              <Trash2 className="w-4 h-4" /> {t('common.delete')}
+            </button>
+          </div>
+        </main>
+      )}
+    </div>
+  );
+}
+
+export default MeasurementView;
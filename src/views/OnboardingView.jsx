@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { t } from '../i18n';
+import { goBack } from '../router';
+import { entryUnit } from '../units';
+import { Scale, ArrowLeft, Upload, Cloud } from 'lucide-react';
+import { EMPTY_FORM, formToProfile } from './profileForm';
+
+// Úvodné nastavenie prvého profilu (/welcome) a pridanie ďalšej osoby (/profiles/new)
+function OnboardingView({ hasUsers, syncEnabled, unit, onCreate, onRestoreBackup, onSetUpSync }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onCreate(formToProfile(form, unit));
+  };
+
+  return (
+    <div className="min-h-screen bg-[var(--ios-system-background)] flex flex-col p-8 pt-20">
+      <div className="w-full max-w-sm mx-auto flex flex-col items-center">
+        {hasUsers && (
+          <button onClick={() => goBack('/profiles')} className="self-start flex items-center gap-1 text-[var(--ios-system-blue)] font-medium -mt-12 mb-8">
+            <ArrowLeft className="w-5 h-5" /> {t('common.back')}
+          </button>
+        )}
+        <div className="w-20 h-20 bg-[var(--ios-system-blue)] rounded-[22%] flex items-center justify-center mb-8 shadow-sm">
+          <Scale className="w-10 h-10 text-white" />
+        </div>
+        <h1 className="text-[var(--ios-label)] text-3xl font-extrabold mb-2 text-center">SmartScale</h1>
+        <p className="text-[var(--ios-secondary-label)] text-center mb-12">{t('onboarding.tagline')}</p>
+
+        <form onSubmit={handleSubmit} className="w-full space-y-4">
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            <div className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)]">
+              <input
+                required
+                className="w-full bg-transparent text-[var(--ios-label)] focus:outline-none placeholder:text-[var(--ios-secondary-label)]"
+                placeholder={t('profile.name')}
+                value={form.name}
+                onChange={e => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)]">
+              <input
+                required type="number"
+                className="w-full bg-transparent text-[var(--ios-label)] focus:outline-none placeholder:text-[var(--ios-secondary-label)]"
+                placeholder={t('profile.heightCm')}
+                value={form.height}
+                onChange={e => setForm({ ...form, height: e.target.value })}
+              />
+            </div>
+            <div className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)]">
+              <input
+                type="number" step="0.1"
+                className="w-full bg-transparent text-[var(--ios-label)] focus:outline-none placeholder:text-[var(--ios-secondary-label)]"
+                placeholder={t('profile.targetWeight', { unit: entryUnit(unit) })}
+                value={form.targetWeight}
+                onChange={e => setForm({ ...form, targetWeight: e.target.value })}
+              />
+            </div>
+            <div className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span className="text-[var(--ios-secondary-label)]">{t('profile.birthDate')}</span>
+              <input
+                type="date"
+                className="bg-transparent text-[var(--ios-label)] focus:outline-none text-right"
+                value={form.birthDate}
+                onChange={e => setForm({ ...form, birthDate: e.target.value })}
+              />
+            </div>
+            <div className="px-4 py-3 flex justify-between items-center gap-4">
+              <span className="text-[var(--ios-secondary-label)]">{t('profile.sex')}</span>
+              <select
+                className="bg-transparent text-[var(--ios-label)] focus:outline-none text-right"
+                value={form.sex}
+                onChange={e => setForm({ ...form, sex: e.target.value })}
+              >
+                <option value="">{t('profile.sexes.notSet')}</option>
+                <option value="male">{t('profile.sexes.male')}</option>
+                <option value="female">{t('profile.sexes.female')}</option>
+              </select>
+            </div>
+          </div>
+          <p className="text-[var(--ios-secondary-label)] text-xs px-4">
+            {t('onboarding.compositionNote')}
+          </p>
+          <button className="w-full bg-[var(--ios-system-blue)] text-white font-semibold py-4 rounded-2xl shadow-sm active:opacity-60 transition-opacity">
+            {t('common.continue')}
+          </button>
+        </form>
+
+        {!hasUsers && (
+          <button onClick={onRestoreBackup} className="mt-6 text-[var(--ios-system-blue)] text-sm font-medium flex items-center gap-2">
+            <Upload className="w-4 h-4" /> {t('backup.restoreFromBackup')}
+          </button>
+        )}
+        {!hasUsers && !syncEnabled && (
+          <button onClick={onSetUpSync} className="mt-4 text-[var(--ios-system-blue)] text-sm font-medium flex items-center gap-2">
+            <Cloud className="w-4 h-4" /> {t('sync.fromAnotherDevice')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OnboardingView;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { t } from '../i18n';
+import { navigate, goBack } from '../router';
+import { Plus, User as UserIcon, ChevronRight, ArrowLeft, Check } from 'lucide-react';
+
+// Domácnosť (/profiles) – prepínanie medzi osobami a pridanie ďalšej
+function ProfilesView({ users, user, onSelect }) {
+  return (
+    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] pb-20">
+      <header className="px-6 pt-12 pb-6">
+        <button onClick={() => goBack()} className="flex items-center gap-1 text-[var(--ios-system-blue)] font-medium mb-4">
+          <ArrowLeft className="w-5 h-5" /> {t('common.back')}
+        </button>
+        <h1 className="text-3xl font-bold">{t('profiles.title')}</h1>
+      </header>
+
+      <div className="px-4 space-y-4">
+        <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+          {users.map((u, index) => (
+            <button
+              key={u.id}
+              onClick={() => onSelect(u)}
+              className={`w-full p-4 flex justify-between items-center text-left active:bg-[var(--ios-fill)] ${index !== users.length - 1 ? 'border-b-[0.5px] border-[var(--ios-separator)]' : ''}`}
+            >
+              <div className="flex items-center gap-3">
+                <div className="w-9 h-9 bg-[rgba(var(--ios-system-blue-rgb),0.1)] rounded-full flex items-center justify-center">
+                  <UserIcon className="w-5 h-5 text-[var(--ios-system-blue)]" />
+                </div>
+                <div className="flex flex-col">
+                  <span className="font-semibold">{u.name}</span>
+                  <span className="text-[var(--ios-secondary-label)] text-xs">{t('profiles.height', { height: u.height })}</span>
+                </div>
+              </div>
+              {u.id === user.id ? <Check className="w-5 h-5 text-[var(--ios-system-blue)]" /> : <ChevronRight className="w-5 h-5 text-[var(--ios-separator)]" />}
+            </button>
+          ))}
+        </div>
+
+        <button onClick={() => navigate('/profiles/new')} className="w-full bg-[var(--ios-secondary-system-background)] text-[var(--ios-system-blue)] font-semibold py-4 rounded-2xl shadow-sm flex items-center justify-center gap-2 active:opacity-60">
+          <Plus className="w-5 h-5" /> {t('profiles.add')}
+        </button>
+        <p className="text-[var(--ios-secondary-label)] text-xs px-4">
+          {t('profiles.assignmentNote')}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ProfilesView;
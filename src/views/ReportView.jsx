@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { getAllMeasurements } from '../db';
+import { getBMICategory, classificationContext } from '../classification';
+import { t, formatNumber } from '../i18n';
+import { formatDate, formatTime, signed, percent } from '../format';
+import { buildReport, listPeriods, REPORT_PERIODS } from '../report';
+import { goBack } from '../router';
+import { formatWeightWithUnit, formatMass, unitLabel, entryUnit, kgToUnit } from '../units';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, ReferenceLine } from 'recharts';
+import { ArrowLeft, RefreshCw, Printer } from 'lucide-react';
+
+// Tlačová zostava pokroku za mesiac / štvrťrok – tlač alebo uloženie do PDF cez prehliadač
+function ReportView({ user, unit, dateFormat }) {
+  const [kind, setKind] = useState('month');
+  const periods = listPeriods(kind);
+  const [periodKey, setPeriodKey] = useState(periods[0].key);
+  const period = periods.find(p => p.key === periodKey) ?? periods[0];
+  const [measurements, setMeasurements] = useState(null);
+
+  // Dátumy obdobia ako čísla – objekty Date sa vytvárajú pri každom vykreslení
+  const fromTime = period.from.getTime();
+  const toTime = period.to.getTime();
+  useEffect(() => {
+    let cancelled = false;
+    getAllMeasurements(user.id, { from: new Date(fromTime), to: new Date(toTime), trustedOnly: true })
+      .then(data => {
+        if (!cancelled) setMeasurements(data);
+      });
+    return () => { cancelled = true; };
+  }, [user.id, fromTime, toTime]);
+
+  const changeKind = (value) => {
+    setKind(value);
+    setPeriodKey(listPeriods(value)[0].key);
+  };
+
+  const report = measurements ? buildReport(measurements, user, period) : null;
+  const stats = report?.stats;
+  const chartData = (report?.readings ?? []).map(m => ({
+    time: new Date(m.createdAt).getTime(),
+    weight: kgToUnit(m.weight, unit),
+    bmi: m.bmi
+  }));
+
+  const statCell = (label, value, detail = null) => (
+    <div className="border border-gray-200 rounded-lg p-3 break-inside-avoid">
+      <p className="text-gray-500 text-[10px] font-bold uppercase mb-1">{label}</p>
+      <p className="font-bold">{value}</p>
+      {detail && <p className="text-gray-500 text-xs">{detail}</p>}
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] pb-20 print:bg-white print:pb-0">
+      <header className="px-6 pt-12 pb-6 print:hidden">
+        <button onClick={() => goBack()} className="flex items-center gap-1 text-[var(--ios-system-blue)] font-medium mb-4">
+          <ArrowLeft className="w-5 h-5" /> {t('common.back')}
+        </button>
+        <h1 className="text-3xl font-bold">{t('report.title')}</h1>
+      </header>
+
+      <div className="px-4 space-y-6 print:p-0">
+        <div className="space-y-2 print:hidden">
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('report.period')}</span>
+              <select
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={kind}
+                onChange={e => changeKind(e.target.value)}
+              >
+                {REPORT_PERIODS.map(p => <option key={p.value} value={p.value}>{t(p.labelKey)}</option>)}
+              </select>
+            </label>
+            <label className="px-4 py-3 flex justify-between items-center gap-4">
+              <span>{t(REPORT_PERIODS.find(p => p.value === kind).labelKey)}</span>
+              <select
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={period.key}
+                onChange={e => setPeriodKey(e.target.value)}
+              >
+                {periods.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+              </select>
+            </label>
+          </div>
+          <button
+            onClick={() => window.print()}
+            disabled={!stats}
+            className="w-full bg-[var(--ios-system-blue)] text-white font-semibold py-4 rounded-2xl shadow-sm active:opacity-60 disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            <Printer className="w-5 h-5" /> {t('report.print')}
+          </button>
+        </div>
+
+        {/* Stránka zostavy – vždy svetlá, aby vyzerala rovnako na obrazovke aj na papieri */}
+        <article className="bg-white text-gray-900 rounded-2xl shadow-sm p-6 space-y-5 overflow-x-auto print:overflow-visible print:shadow-none print:rounded-none print:p-0">
+          <div className="flex justify-between items-end gap-4 border-b border-gray-200 pb-3">
+            <div>
+              <p className="text-gray-500 text-xs font-bold uppercase">{t('report.heading')}</p>
+              <h2 className="text-2xl font-bold">{user.name}</h2>
+              <p className="text-gray-500 text-sm">
+                {period.label} · {formatDate(period.from, dateFormat)} – {formatDate(period.to, dateFormat)}
+              </p>
+            </div>
+            <p className="text-gray-500 text-xs text-right">{t('report.generated', { date: formatDate(new Date(), dateFormat) })}</p>
+          </div>
+
+          {!report && <RefreshCw className="w-6 h-6 text-gray-400 animate-spin mx-auto" />}
+          {report && !stats && (
+            <p className="text-gray-500 text-center py-8">{t('report.empty')}</p>
+          )}
+
+          {stats && (
+            <>
+              <div className="grid grid-cols-4 gap-2 text-sm">
+                {statCell(t('report.stats.start'), formatWeightWithUnit(stats.start, unit), formatDate(report.readings[0].createdAt, dateFormat, 'short'))}
+                {statCell(t('report.stats.end'), formatWeightWithUnit(stats.end, unit), formatDate(report.readings[report.readings.length - 1].createdAt, dateFormat, 'short'))}
+                {statCell(t('report.stats.change'), signed(formatMass(stats.change, unit), stats.change))}
+                {statCell(t('report.stats.perWeek'), stats.weeklyRate != null ? signed(formatMass(stats.weeklyRate, unit), stats.weeklyRate) : '--')}
+                {statCell(t('report.stats.lowest'), formatWeightWithUnit(stats.min.weight, unit), formatDate(stats.min.createdAt, dateFormat, 'short'))}
+                {statCell(t('report.stats.highest'), formatWeightWithUnit(stats.max.weight, unit), formatDate(stats.max.createdAt, dateFormat, 'short'))}
+                {statCell(t('report.stats.average'), formatWeightWithUnit(stats.average, unit))}
+                {statCell(t('report.stats.readings'), formatNumber(stats.count))}
+              </div>
+
+              {report.goal && (
+                <div className="break-inside-avoid space-y-1.5">
+                  <div className="flex justify-between text-sm">
+                    <span className="font-semibold">{t('report.goal', { weight: formatWeightWithUnit(report.goal.target, unit) })}</span>
+                    <span className="text-gray-500">
+                      {Math.abs(report.goal.remaining) < 0.1 ? t('common.reached') : t('report.toGo', { amount: formatMass(Math.abs(report.goal.remaining), unit) })}
+                      {report.goal.percent != null && ` · ${t('report.goalPercent', { percent: report.goal.percent })}`}
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-green-500 rounded-full"
+                      style={{ width: `${Math.min(Math.max(report.goal.percent ?? 100, 0), 100)}%` }}
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div className="break-inside-avoid">
+                <p className="text-gray-500 text-[10px] font-bold uppercase mb-2">{t('report.chartTitle')}</p>
+                <LineChart width={640} height={220} data={chartData} margin={{ top: 5, right: 5, bottom: 5, left: 5 }}>
+                  <CartesianGrid vertical={false} stroke="#e5e7eb" />
+                  <XAxis
+                    dataKey="time"
+                    type="number"
+                    scale="time"
+                    domain={[fromTime, toTime]}
+                    tickFormatter={(t) => formatDate(t, dateFormat, 'short')}
+                    tick={{ fontSize: 10, fill: '#6b7280' }}
+                    axisLine={false}
+                    tickLine={false}
+                  />
+                  <YAxis
+                    yAxisId="weight"
+                    domain={['dataMin - 1', 'dataMax + 1']}
+                    tickFormatter={(v) => formatNumber(v, unit === 'st' ? 1 : 0)}
+                    tick={{ fontSize: 10, fill: '#6b7280' }}
+                    axisLine={false}
+                    tickLine={false}
+                    width={40}
+                  />
+                  <YAxis
+                    yAxisId="bmi"
+                    orientation="right"
+                    domain={['dataMin - 0.5', 'dataMax + 0.5']}
+                    tickFormatter={(v) => formatNumber(v, 1)}
+                    tick={{ fontSize: 10, fill: '#6b7280' }}
+                    axisLine={false}
+                    tickLine={false}
+                    width={40}
+                  />
+                  {user.targetWeight != null && (
+                    <ReferenceLine
+                      yAxisId="weight"
+                      y={kgToUnit(user.targetWeight, unit)}
+                      stroke="#22c55e"
+                      strokeDasharray="4 4"
+                      label={{ value: t('chart.goal'), position: 'insideTopLeft', fontSize: 10, fill: '#22c55e' }}
+                    />
+                  )}
+                  <Line yAxisId="weight" type="monotone" dataKey="weight" name={t('chart.weightWithUnit', { unit: entryUnit(unit) })} stroke="#007aff" strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+                  <Line yAxisId="bmi" type="monotone" dataKey="bmi" name="BMI" stroke="#f59e0b" strokeWidth={1.5} strokeDasharray="3 3" dot={false} isAnimationActive={false} />
+                </LineChart>
+                <div className="flex gap-4 text-xs text-gray-500">
+                  <span className="flex items-center gap-1.5"><span className="w-3 h-0.5 bg-[#007aff]" /> {t('report.weightAxis', { unit: unitLabel(unit) })}</span>
+                  <span className="flex items-center gap-1.5"><span className="w-3 h-0.5 bg-[#f59e0b]" /> {t('report.bmiAxis')}</span>
+                </div>
+              </div>
+
+              <div className="break-inside-avoid space-y-2">
+                <div className="flex justify-between text-sm">
+                  <span className="font-semibold">BMI {formatNumber(stats.startBMI, 1)} → {formatNumber(stats.endBMI, 1)}</span>
+                  <span className="text-gray-500">{t('report.averageBMI', { value: formatNumber(stats.averageBMI, 1) })}</span>
+                </div>
+                <div className="h-3 flex rounded-full overflow-hidden">
+                  {report.distribution.map(c => (
+                    <div key={c.label} style={{ width: `${c.share * 100}%`, backgroundColor: c.color }} />
+                  ))}
+                </div>
+                <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500">
+                  {report.distribution.map(c => (
+                    <span key={c.label} className="flex items-center gap-1.5">
+                      <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: c.color }} />
+                      {c.label}: {formatNumber(c.count)} ({percent(Math.round(c.share * 100))})
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-500 text-left border-b border-gray-200">
+                    <th className="py-1.5 font-semibold">{t('report.table.date')}</th>
+                    <th className="py-1.5 font-semibold">{t('report.table.time')}</th>
+                    <th className="py-1.5 font-semibold text-right">{t('report.table.weight')}</th>
+                    <th className="py-1.5 font-semibold text-right">BMI</th>
+                    <th className="py-1.5 font-semibold pl-3">{t('report.table.category')}</th>
+                    <th className="py-1.5 font-semibold text-right">{t('report.table.bodyFat')}</th>
+                    <th className="py-1.5 font-semibold pl-3">{t('report.table.note')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.readings.map(m => {
+                    const category = getBMICategory(m.bmi, classificationContext(user, new Date(m.createdAt)));
+                    return (
+                      <tr key={m.id} className="border-b border-gray-100 break-inside-avoid">
+                        <td className="py-1">{formatDate(m.createdAt, dateFormat)}</td>
+                        <td className="py-1">{formatTime(m.createdAt)}</td>
+                        <td className="py-1 text-right">{formatWeightWithUnit(m.weight, unit)}</td>
+                        <td className="py-1 text-right">{formatNumber(m.bmi, 1)}</td>
+                        <td className="py-1 pl-3">{category.label}</td>
+                        <td className="py-1 text-right">{m.bodyFat != null ? percent(m.bodyFat) : ''}</td>
+                        <td className="py-1 pl-3">{m.note}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </>
+          )}
+        </article>
+      </div>
+    </div>
+  );
+}
+
+export default ReportView;
@@ -0,0 +1,310 @@
+import React, { useState } from 'react';
+import { BMI_STANDARDS } from '../classification';
+import { SIMULATED_SCENARIOS } from '../scales/simulator';
+import { remindersSupported } from '../reminders';
+import { t, LANGUAGES } from '../i18n';
+import { formatDate, formatTime, DATE_FORMATS } from '../format';
+import { navigate, goBack } from '../router';
+import { entryUnit, WEIGHT_UNITS } from '../units';
+import { Scale, ArrowLeft, RefreshCw, Download, Bluetooth, Upload, FileText, Bell, Cloud } from 'lucide-react';
+import { profileToForm, formToProfile } from './profileForm';
+
+// Nastavenia (/settings) – profil aktívnej osoby, zobrazenie, váha, pripomienky, synchronizácia a dáta
+function SettingsView({
+  user, users, settings, syncInfo, canSyncHistory, syncingHistory, scanning,
+  onUpdateSettings, onUpdateReminder, onSaveProfile, onForgetScale, onSyncHistory,
+  onSync, onDisableSync, onSetUpSync, onBackup, onRestoreBackup, onDeleteProfile, onDeleteAll
+}) {
+  const [profileForm, setProfileForm] = useState(() => profileToForm(user, settings.unit));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onSaveProfile(formToProfile(profileForm, settings.unit));
+  };
+
+  return (
+    <div className="min-h-screen bg-[var(--ios-system-background)] text-[var(--ios-label)] pb-20">
+      <header className="px-6 pt-12 pb-6">
+        <button onClick={() => goBack()} className="flex items-center gap-1 text-[var(--ios-system-blue)] font-medium mb-4">
+          <ArrowLeft className="w-5 h-5" /> {t('common.back')}
+        </button>
+        <h1 className="text-3xl font-bold">{t('settings.title')}</h1>
+      </header>
+
+      <div className="px-4 space-y-6">
+        {/* Profile */}
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <p className="text-[var(--ios-secondary-label)] text-xs font-bold uppercase px-4">{t('settings.profile')}</p>
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('profile.name')}</span>
+              <input
+                required
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={profileForm.name}
+                onChange={e => setProfileForm({ ...profileForm, name: e.target.value })}
+              />
+            </label>
+            <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('profile.heightCm')}</span>
+              <input
+                required type="number"
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={profileForm.height}
+                onChange={e => setProfileForm({ ...profileForm, height: e.target.value })}
+              />
+            </label>
+            <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('profile.targetWeight', { unit: entryUnit(settings.unit) })}</span>
+              <input
+                type="number" step="0.1"
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                placeholder={t('profile.targetWeightPlaceholder')}
+                value={profileForm.targetWeight}
+                onChange={e => setProfileForm({ ...profileForm, targetWeight: e.target.value })}
+              />
+            </label>
+            <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('profile.birthDate')}</span>
+              <input
+                type="date"
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={profileForm.birthDate}
+                onChange={e => setProfileForm({ ...profileForm, birthDate: e.target.value })}
+              />
+            </label>
+            <label className="px-4 py-3 flex justify-between items-center gap-4">
+              <span>{t('profile.sex')}</span>
+              <select
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={profileForm.sex}
+                onChange={e => setProfileForm({ ...profileForm, sex: e.target.value })}
+              >
+                <option value="">{t('profile.sexes.notSet')}</option>
+                <option value="male">{t('profile.sexes.male')}</option>
+                <option value="female">{t('profile.sexes.female')}</option>
+              </select>
+            </label>
+            <label className="px-4 py-3 border-t-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('settings.bmiStandard')}</span>
+              <select
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={profileForm.bmiStandard}
+                onChange={e => setProfileForm({ ...profileForm, bmiStandard: e.target.value })}
+              >
+                {BMI_STANDARDS.map(b => <option key={b.value} value={b.value}>{t(b.labelKey)}</option>)}
+              </select>
+            </label>
+          </div>
+          <p className="text-[var(--ios-secondary-label)] text-xs px-4">
+            {t('settings.bmiStandardNote')}
+          </p>
+          <button className="w-full bg-[var(--ios-system-blue)] text-white font-semibold py-3 rounded-2xl shadow-sm active:opacity-60 transition-opacity">
+            {t('settings.saveProfile')}
+          </button>
+        </form>
+
+        {/* Preferences */}
+        <div className="space-y-2">
+          <p className="text-[var(--ios-secondary-label)] text-xs font-bold uppercase px-4">{t('settings.display')}</p>
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('settings.language')}</span>
+              <select
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={settings.language}
+                onChange={e => onUpdateSettings({ language: e.target.value })}
+              >
+                <option value="auto">{t('common.automatic')}</option>
+                {LANGUAGES.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+              </select>
+            </label>
+            <label className="px-4 py-3 border-b-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('settings.unitsLabel')}</span>
+              <select
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={settings.unit}
+                onChange={e => onUpdateSettings({ unit: e.target.value })}
+              >
+                {WEIGHT_UNITS.map(u => <option key={u.value} value={u.value}>{t(u.labelKey)}</option>)}
+              </select>
+            </label>
+            <label className="px-4 py-3 flex justify-between items-center gap-4">
+              <span>{t('settings.dateFormat')}</span>
+              <select
+                className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                value={settings.dateFormat}
+                onChange={e => onUpdateSettings({ dateFormat: e.target.value })}
+              >
+                {DATE_FORMATS.map(f => <option key={f.value} value={f.value}>{t(f.labelKey)}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        {/* Paired Scale */}
+        <div className="space-y-2">
+          <p className="text-[var(--ios-secondary-label)] text-xs font-bold uppercase px-4">{t('settings.scale')}</p>
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            <div className="px-4 py-3 flex justify-between items-center gap-4">
+              <div className="flex items-center gap-3">
+                <Bluetooth className="w-5 h-5 text-[var(--ios-system-blue)]" />
+                <div className="flex flex-col">
+                  <span>{settings.pairedScale ? settings.pairedScale.name : t('settings.noScale')}</span>
+                  {settings.pairedScale?.model && (
+                    <span className="text-xs text-[var(--ios-secondary-label)]">{settings.pairedScale.model}</span>
+                  )}
+                </div>
+              </div>
+              {settings.pairedScale && (
+                <button onClick={onForgetScale} className="text-red-500 font-medium active:opacity-60">
+                  {t('settings.forgetScale')}
+                </button>
+              )}
+            </div>
+            {canSyncHistory && (
+              <button
+                onClick={onSyncHistory}
+                disabled={syncingHistory || scanning}
+                className="w-full px-4 py-3 text-left text-[var(--ios-system-blue)] border-t-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)] flex items-center gap-3 disabled:opacity-50"
+              >
+                <RefreshCw className={`w-5 h-5 ${syncingHistory ? 'animate-spin' : ''}`} />
+                {syncingHistory ? t('scaleHistory.syncing') : t('scaleHistory.sync')}
+              </button>
+            )}
+            <label className="px-4 py-3 border-t-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+              <span>{t('settings.demoScale')}</span>
+              <input
+                type="checkbox"
+                className="w-5 h-5 accent-[var(--ios-system-blue)]"
+                checked={settings.demoMode}
+                onChange={e => onUpdateSettings({ demoMode: e.target.checked })}
+              />
+            </label>
+            {settings.demoMode && (
+              <label className="px-4 py-3 border-t-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+                <span>{t('settings.scenario')}</span>
+                <select
+                  className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                  value={settings.demoScenario}
+                  onChange={e => onUpdateSettings({ demoScenario: e.target.value })}
+                >
+                  {SIMULATED_SCENARIOS.map(s => <option key={s.value} value={s.value}>{t(s.labelKey)}</option>)}
+                </select>
+              </label>
+            )}
+          </div>
+          <p className="text-[var(--ios-secondary-label)] text-xs px-4">
+            {t('settings.demoNote')}
+          </p>
+        </div>
+
+        {/* Reminders */}
+        <div className="space-y-2">
+          <p className="text-[var(--ios-secondary-label)] text-xs font-bold uppercase px-4">{t('reminders.title')}</p>
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            <label className="px-4 py-3 flex justify-between items-center gap-4">
+              <span className="flex items-center gap-3">
+                <Bell className="w-5 h-5 text-[var(--ios-system-blue)]" /> {t('reminders.daily')}
+              </span>
+              <input
+                type="checkbox"
+                className="w-5 h-5 accent-[var(--ios-system-blue)]"
+                checked={settings.reminder.enabled}
+                disabled={!remindersSupported()}
+                onChange={e => onUpdateReminder({ enabled: e.target.checked })}
+              />
+            </label>
+            {settings.reminder.enabled && (
+              <label className="px-4 py-3 border-t-[0.5px] border-[var(--ios-separator)] flex justify-between items-center gap-4">
+                <span>{t('reminders.time')}</span>
+                <input
+                  type="time"
+                  required
+                  className="bg-transparent text-right text-[var(--ios-secondary-label)] focus:outline-none"
+                  value={settings.reminder.time}
+                  onChange={e => e.target.value && onUpdateReminder({ time: e.target.value })}
+                />
+              </label>
+            )}
+          </div>
+          <p className="text-[var(--ios-secondary-label)] text-xs px-4">
+            {remindersSupported() ? t('reminders.note') : t('errors.reminders.unsupported')}
+          </p>
+        </div>
+
+        {/* Sync */}
+        <div className="space-y-2">
+          <p className="text-[var(--ios-secondary-label)] text-xs font-bold uppercase px-4">{t('sync.title')}</p>
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            {settings.sync.enabled ? (
+              <>
+                <div className="px-4 py-3 flex items-center gap-3">
+                  <Cloud className="w-5 h-5 text-[var(--ios-system-blue)] shrink-0" />
+                  <div className="flex flex-col min-w-0">
+                    <span className="truncate">{settings.sync.url}</span>
+                    <span className={`text-xs ${syncInfo.error ? 'text-red-500' : 'text-[var(--ios-secondary-label)]'}`}>
+                      {syncInfo.error ?? (syncInfo.lastSyncedAt
+                        ? t('sync.lastSynced', {
+                          date: formatDate(syncInfo.lastSyncedAt, settings.dateFormat),
+                          time: formatTime(syncInfo.lastSyncedAt)
+                        })
+                        : t('sync.notSynced'))}
+                    </span>
+                  </div>
+                </div>
+                <button
+                  onClick={onSync}
+                  disabled={syncInfo.syncing}
+                  className="w-full px-4 py-3 text-left text-[var(--ios-system-blue)] border-t-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)] flex items-center gap-3 disabled:opacity-50"
+                >
+                  <RefreshCw className={`w-5 h-5 ${syncInfo.syncing ? 'animate-spin' : ''}`} />
+                  {syncInfo.syncing ? t('sync.syncing') : t('sync.syncNow')}
+                </button>
+                <button onClick={onDisableSync} className="w-full px-4 py-3 text-left text-red-500 border-t-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)]">
+                  {t('sync.turnOff')}
+                </button>
+              </>
+            ) : (
+              <button onClick={onSetUpSync} className="w-full px-4 py-3 text-left text-[var(--ios-system-blue)] active:bg-[var(--ios-fill)] flex items-center gap-3">
+                <Cloud className="w-5 h-5" /> {t('sync.setUp')}
+              </button>
+            )}
+          </div>
+          <p className="text-[var(--ios-secondary-label)] text-xs px-4">
+            {t('sync.note')}
+          </p>
+        </div>
+
+        {/* Data */}
+        <div className="space-y-2">
+          <p className="text-[var(--ios-secondary-label)] text-xs font-bold uppercase px-4">{t('settings.data')}</p>
+          <div className="bg-[var(--ios-secondary-system-background)] rounded-2xl overflow-hidden shadow-sm">
+            <button onClick={onBackup} className="w-full px-4 py-3 text-left text-[var(--ios-system-blue)] border-b-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)] flex items-center gap-3">
+              <Download className="w-5 h-5" /> {t('backup.backUp')}
+            </button>
+            <button onClick={onRestoreBackup} className="w-full px-4 py-3 text-left text-[var(--ios-system-blue)] border-b-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)] flex items-center gap-3">
+              <Upload className="w-5 h-5" /> {t('backup.restoreFromBackup')}
+            </button>
+            <button onClick={() => navigate('/settings/import')} className="w-full px-4 py-3 text-left text-[var(--ios-system-blue)] border-b-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)] flex items-center gap-3">
+              <FileText className="w-5 h-5" /> {t('import.fromOtherApps')}
+            </button>
+            {users.length > 1 && (
+              <button onClick={onDeleteProfile} className="w-full px-4 py-3 text-left text-red-500 border-b-[0.5px] border-[var(--ios-separator)] active:bg-[var(--ios-fill)]">
+                {t('settings.deleteProfile', { name: user.name })}
+              </button>
+            )}
+            <button onClick={onDeleteAll} className="w-full px-4 py-3 text-left text-red-500 font-semibold active:bg-[var(--ios-fill)]">
+              {t('settings.deleteAll')}
+            </button>
+          </div>
+          <p className="text-[var(--ios-secondary-label)] text-xs px-4">
+            {t('settings.dataNote')}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SettingsView;
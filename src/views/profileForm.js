@@ -0,0 +1,25 @@
+/**
+ * Formulár profilu – spoločný pre úvodné nastavenie, pridanie osoby a nastavenia
+ */
+import { kgToUnit, unitToKg, entryUnit } from '../units';
+
+export const EMPTY_FORM = { name: '', height: '', targetWeight: '', birthDate: '', sex: '', bmiStandard: 'who' };
+
+// Cieľová váha sa vo formulári zadáva v jednotke z nastavení, ukladá v kg
+export const profileToForm = (user, unit) => ({
+    name: user.name,
+    height: String(user.height),
+    targetWeight: user.targetWeight != null ? kgToUnit(user.targetWeight, entryUnit(unit)).toFixed(1) : '',
+    birthDate: user.birthDate || '',
+    sex: user.sex || '',
+    bmiStandard: user.bmiStandard || 'who'
+});
+
+export const formToProfile = (form, unit) => ({
+    name: form.name,
+    height: parseInt(form.height),
+    targetWeight: form.targetWeight ? unitToKg(parseFloat(form.targetWeight), entryUnit(unit)) : null,
+    birthDate: form.birthDate || null,
+    sex: form.sex || null,
+    bmiStandard: form.bmiStandard || 'who'
+});
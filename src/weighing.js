@@ -0,0 +1,264 @@
+/**
+ * Priebeh jedného váženia nezávislý od UI – zbiera merania z váhy,
+ * počká na impedanciu, pripíše výsledok používateľovi a uloží ho.
+ * Funguje s ľubovoľným zariadením (Web Bluetooth aj simulovaná váha).
+ */
+import {
+    subscribeToWeight, requestScale, getRememberedScale, waitForAdvertisement, createScaleError, createAbortError
+} from './bluetooth';
+import { addMeasurement, computeMetrics, getMeasurements } from './db';
+import { attributeReading, TREND_SAMPLE_SIZE } from './attribution';
+import { checkReading } from './anomaly';
+import { t } from './i18n';
+
+// Ako dlho po stabilizácii čakáme na impedanciu, kým uložíme len váhu
+export const IMPEDANCE_WAIT_MS = 4000;
+
+/**
+ * Z prúdu meraní vyberie jedno výsledné. Váha posiela stabilizovaný rámec
+ * viackrát a impedancia prichádza až chvíľu po stabilizácii.
+ * @param {object} options
+ * @param {(data: object) => void} options.onReading - výsledné meranie (zavolá sa najviac raz)
+ * @param {(data: object) => void} [options.onLive] - každé priebežné meranie
+ * @param {number} [options.impedanceWaitMs]
+ */
+export const createReadingCollector = ({ onReading, onLive, impedanceWaitMs = IMPEDANCE_WAIT_MS }) => {
+    let done = false;
+    let pending = null;
+    let impedanceTimer = null;
+
+    const commit = (data) => {
+        if (done) return;
+        done = true;
+        clearTimeout(impedanceTimer);
+        onReading(data);
+    };
+
+    return {
+        get done() {
+            return done;
+        },
+        push: (data) => {
+            if (done || data.weight <= 0) return;
+            onLive?.(data);
+            if (!data.isStable) return;
+
+            if (data.impedance != null || data.isLoadRemoved) {
+                commit(data);
+            } else {
+                pending = data;
+                clearTimeout(impedanceTimer);
+                impedanceTimer = setTimeout(() => commit(data), impedanceWaitMs);
+            }
+        },
+        /**
+         * Uloží stabilizované meranie, ktoré ešte čaká na impedanciu
+         * @returns {boolean} či bolo čo uložiť
+         */
+        flush: () => {
+            if (done || !pending) return false;
+            commit(pending);
+            return true;
+        },
+        cancel: () => {
+            done = true;
+            clearTimeout(impedanceTimer);
+        }
+    };
+};
+
+/**
+ * Stavy pripojenia počas váženia (idle → searching → connected → settling → saved,
+ * pri výpadku spojenia lost a opätovné pripájanie)
+ */
+export const SCALE_STATUS = {
+    IDLE: 'idle',
+    SEARCHING: 'searching',
+    CONNECTED: 'connected',
+    SETTLING: 'settling',
+    LOST: 'lost',
+    SAVED: 'saved'
+};
+
+// Oneskorenia pred ďalšími pokusmi o pripojenie – spolu ~15 s
+export const RECONNECT_DELAYS_MS = [500, 1000, 2000, 4000, 8000];
+// Ak dovtedy váha neposlala výsledné meranie, váženie ukončíme
+export const WEIGHING_TIMEOUT_MS = 90000;
+
+/**
+ * Zariadenie pre váženie – spárovaná váha bez výberu zariadenia, ak ju
+ * prehliadač pozná, inak výber zariadenia
+ * @param {object} transport
+ * @param {string|null} pairedScaleId
+ * @param {{ signal?: AbortSignal, onState?: (status: string) => void }} [options]
+ * @returns {Promise<{ device: BluetoothDevice, remembered: boolean }>}
+ */
+export const findScale = async (transport, pairedScaleId, { signal, onState } = {}) => {
+    onState?.(SCALE_STATUS.SEARCHING);
+
+    const remembered = await getRememberedScale(pairedScaleId, transport);
+    if (remembered) {
+        // Váha spí, kým sa na ňu nestúpi – počkáme, kým začne vysielať
+        await waitForAdvertisement(remembered, { signal });
+        return { device: remembered, remembered: true };
+    }
+
+    const device = await requestScale(transport);
+    if (signal?.aborted) throw createAbortError();
+    return { device, remembered: false };
+};
+
+/**
+ * Pripojí sa k váhe a počká na jedno výsledné meranie, potom sa odpojí.
+ * Pri výpadku spojenia sa znova pripája (s narastajúcim oneskorením),
+ * rozpracované meranie pritom zostáva.
+ * @param {BluetoothDevice} device
+ * @param {object} [options]
+ * @param {(data: object) => void} [options.onLive]
+ * @param {(driver: { id: string, name: string }) => void} [options.onDriver]
+ * @param {(status: string) => void} [options.onState] - SCALE_STATUS
+ * @param {AbortSignal} [options.signal] - zrušenie váženia
+ * @param {number} [options.impedanceWaitMs]
+ * @param {number} [options.timeoutMs]
+ * @param {number[]} [options.reconnectDelays]
+ * @returns {Promise<object>} meranie (weight v kg, impedance, …)
+ */
+export const weigh = (device, {
+    onLive,
+    onDriver,
+    onState,
+    signal,
+    impedanceWaitMs,
+    timeoutMs = WEIGHING_TIMEOUT_MS,
+    reconnectDelays = RECONNECT_DELAYS_MS
+} = {}) => new Promise((resolve, reject) => {
+    let cleanup = null;
+    let finished = false;
+    let status = null;
+    let reconnects = 0;
+    // Pri výpadku spojenia hlásime odpojenie, nie chybu posledného pokusu
+    let lostError = null;
+    let retryTimer = null;
+    let timeoutTimer = null;
+
+    const setStatus = (next) => {
+        if (finished || status === next) return;
+        status = next;
+        onState?.(next);
+    };
+
+    const finish = (error, data) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(retryTimer);
+        clearTimeout(timeoutTimer);
+        signal?.removeEventListener('abort', handleAbort);
+        collector.cancel();
+        if (cleanup) cleanup();
+        cleanup = null;
+        if (error) reject(error);
+        else resolve(data);
+    };
+
+    const collector = createReadingCollector({
+        impedanceWaitMs,
+        onLive: (data) => {
+            setStatus(SCALE_STATUS.SETTLING);
+            onLive?.(data);
+        },
+        onReading: (data) => finish(null, data)
+    });
+
+    const connect = async () => {
+        try {
+            const unsubscribe = await subscribeToWeight(device, collector.push, { onDriver, onDisconnect: handleDisconnect });
+            if (finished) {
+                unsubscribe();
+                return;
+            }
+            cleanup = unsubscribe;
+            lostError = null;
+            setStatus(SCALE_STATUS.CONNECTED);
+        } catch (error) {
+            // Nepodporovaná váha sa opakovaním nezmení
+            if (error.name === 'UnsupportedScaleError') finish(error);
+            else retry(error);
+        }
+    };
+
+    const retry = (error) => {
+        if (finished) return;
+        if (reconnects >= reconnectDelays.length) {
+            finish(lostError ?? error);
+            return;
+        }
+        retryTimer = setTimeout(connect, reconnectDelays[reconnects++]);
+    };
+
+    const handleDisconnect = () => {
+        cleanup = null;
+        if (finished) return;
+        // Ak už bola váha stabilizovaná, uložíme aspoň váhu bez impedancie
+        if (collector.flush()) return;
+        setStatus(SCALE_STATUS.LOST);
+        lostError = createScaleError('ScaleDisconnectedError', t('errors.scale.disconnected'));
+        retry(lostError);
+    };
+
+    const handleAbort = () => finish(createAbortError());
+
+    if (signal?.aborted) {
+        finish(createAbortError());
+        return;
+    }
+    signal?.addEventListener('abort', handleAbort);
+    timeoutTimer = setTimeout(() => {
+        if (collector.flush()) return;
+        finish(createScaleError('ScaleTimeoutError', t('errors.scale.timeout')));
+    }, timeoutMs);
+
+    setStatus(SCALE_STATUS.SEARCHING);
+    connect();
+});
+
+/**
+ * Nájde používateľa, ktorému meranie pravdepodobne patrí
+ * @param {object[]} users
+ * @param {number} weight - v kg
+ * @param {Date} [at] - čas merania (pri meraniach z pamäte váhy)
+ */
+export const attributeToUsers = async (users, weight, at = new Date()) => {
+    const candidates = await Promise.all(users.map(async u => ({
+        user: u,
+        recent: await getMeasurements(TREND_SAMPLE_SIZE, u.id, { trustedOnly: true })
+    })));
+    return attributeReading(weight, candidates, at);
+};
+
+/**
+ * Porovná meranie s posledným vývojom váhy používateľa (checkReading)
+ * @param {object} user
+ * @param {object} data - meranie z váhy
+ */
+export const reviewReading = async (user, data) => {
+    const recent = await getMeasurements(TREND_SAMPLE_SIZE, user.id, { trustedOnly: true });
+    return checkReading(data.weight, recent, data.createdAt ?? new Date());
+};
+
+/**
+ * Uloží meranie z váhy vrátane vypočítaných metrík
+ * @param {object} user
+ * @param {object} data - meranie z váhy; createdAt majú iba merania z pamäte váhy
+ * @param {'suspect'|'accepted'|null} [status]
+ * @returns {Promise<number>} id merania
+ */
+export const saveScaleReading = async (user, data, status = null) => {
+    return await addMeasurement({
+        userId: user.id,
+        weight: data.weight,
+        impedance: data.impedance,
+        createdAt: data.createdAt,
+        status,
+        ...computeMetrics(user, data.weight, data.impedance, data.createdAt)
+    });
+};
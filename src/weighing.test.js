@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { weigh, findScale, attributeToUsers, reviewReading, saveScaleReading, SCALE_STATUS } from './weighing';
+import { subscribeToWeight } from './bluetooth';
+import { createSimulatedScale, createSimulatedTransport, createScenario, encodeBodyCompositionFrame } from './scales/simulator';
+import { toUUID } from './scales/gatt';
+import { db } from './db';
+import { resetDatabase } from './test/db';
+
+// Simulátor bez čakania medzi rámcami, pokusy o pripojenie hneď za sebou
+const FAST = { speed: 0 };
+const QUICK_RETRIES = { reconnectDelays: [0, 0, 0], impedanceWaitMs: 20 };
+
+const runScenario = async (id, options = {}) => {
+    const device = createSimulatedScale(createScenario(id, { weight: 80.5, impedance: 500 }), FAST);
+    const states = [];
+    const live = [];
+    const drivers = [];
+    const result = weigh(device, {
+        ...QUICK_RETRIES,
+        onState: (state) => states.push(state),
+        onLive: (reading) => live.push(reading),
+        onDriver: (driver) => drivers.push(driver.id),
+        ...options
+    });
+    return { device, states, live, drivers, result };
+};
+
+describe('weigh with the simulated scale', () => {
+    it('waits for impedance from Mi Body Composition Scale 2', async () => {
+        const { result, states, drivers } = await runScenario('body-composition');
+        const data = await result;
+        expect(data.weight).toBe(80.5);
+        expect(data.impedance).toBe(500);
+        expect(data.isStable).toBe(true);
+        expect(drivers).toEqual(['mi-body-composition-scale']);
+        expect(states).toEqual([SCALE_STATUS.SEARCHING, SCALE_STATUS.CONNECTED, SCALE_STATUS.SETTLING]);
+    });
+
+    it('commits the Mi Smart Scale reading once the load is removed', async () => {
+        const { result, drivers } = await runScenario('mi-scale');
+        const data = await result;
+        expect(drivers).toEqual(['mi-scale']);
+        expect(data.weight).toBe(80.5);
+        expect(data.impedance).toBeNull();
+        expect(data.isLoadRemoved).toBe(true);
+    });
+
+    it('answers the QN handshake and saves the weight without impedance', async () => {
+        const { result, device, drivers } = await runScenario('qn-scale');
+        const data = await result;
+        expect(drivers).toEqual(['qn-scale']);
+        expect(data.weight).toBe(80.5);
+        expect(data.impedance).toBeNull();
+        // Konfigurácia (0x13, jednotka kg) na charakteristiku 0xFFE3
+        const config = device.writes.find(w => w.uuid === toUUID(0xffe3));
+        expect(config.data.slice(0, 2)).toEqual([0x13, 0x09]);
+        expect(config.data[3]).toBe(0x01);
+    });
+
+    it('reconnects after a dropped connection and delivers every frame once', async () => {
+        const { result, states, live } = await runScenario('reconnect');
+        const data = await result;
+        expect(data.weight).toBe(80.5);
+        expect(data.impedance).toBe(500);
+        expect(states).toContain(SCALE_STATUS.LOST);
+        expect(states.at(-1)).toBe(SCALE_STATUS.SETTLING);
+        // 4 rámce pred výpadkom, 3 po ňom, stabilizovaný a s impedanciou
+        expect(live).toHaveLength(9);
+    });
+
+    it('reports a disconnect when the scale stays out of range', async () => {
+        const { result, states } = await runScenario('disconnect');
+        await expect(result).rejects.toMatchObject({ name: 'ScaleDisconnectedError' });
+        expect(states).toContain(SCALE_STATUS.LOST);
+    });
+
+    it('gives up after the retries when connecting fails', async () => {
+        const { result, states } = await runScenario('connect-error');
+        await expect(result).rejects.toThrow('GATT Server is disconnected');
+        expect(states).toEqual([SCALE_STATUS.SEARCHING]);
+    });
+
+    it('can be cancelled while waiting for the reading', async () => {
+        const controller = new AbortController();
+        const device = createSimulatedScale(createScenario('body-composition'), { speed: 1 });
+        const result = weigh(device, { signal: controller.signal });
+        controller.abort();
+        await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+        expect(device.gatt.connected).toBe(false);
+    });
+});
+
+describe('subscribeToWeight', () => {
+    it('disconnects and rethrows when no driver supports the scale', async () => {
+        const device = createSimulatedScale({ id: 'unknown', name: 'Kitchen', services: [0x1234], service: 0x1234, notify: 0x2a00, steps: [] }, FAST);
+        let disconnects = 0;
+        await expect(subscribeToWeight(device, () => {}, { onDisconnect: () => disconnects++ }))
+            .rejects.toMatchObject({ name: 'UnsupportedScaleError' });
+        expect(device.gatt.connected).toBe(false);
+        expect(disconnects).toBe(0);
+    });
+
+    it('stops delivering frames after the returned cleanup', async () => {
+        const weight = 70;
+        const scenario = {
+            ...createScenario('body-composition', { weight }),
+            steps: [
+                { delay: 10, data: encodeBodyCompositionFrame({ weight }) },
+                { delay: 50, data: encodeBodyCompositionFrame({ weight, isStable: true }) }
+            ]
+        };
+        const device = createSimulatedScale(scenario);
+        const received = [];
+        const close = await subscribeToWeight(device, (reading) => received.push(reading));
+        await new Promise(resolve => setTimeout(resolve, 30));
+        close();
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(received).toHaveLength(1);
+        expect(device.gatt.connected).toBe(false);
+    });
+});
+
+describe('findScale', () => {
+    it('asks the transport for a device when no scale is paired', async () => {
+        const transport = createSimulatedTransport(createScenario('mi-scale'), FAST);
+        const states = [];
+        const { device, remembered } = await findScale(transport, null, { onState: (state) => states.push(state) });
+        expect(device.name).toBe('MI SCALE2');
+        expect(remembered).toBe(false);
+        expect(states).toEqual([SCALE_STATUS.SEARCHING]);
+    });
+});
+
+describe('attributing and saving a reading', () => {
+    beforeEach(resetDatabase);
+
+    it('saves the reading to the closest user with computed metrics', async () => {
+        const anna = { id: await db.users.add({ name: 'Anna', height: 165, sex: 'female', birthDate: '1990-04-02' }) };
+        const peter = { id: await db.users.add({ name: 'Peter', height: 182, sex: 'male', birthDate: '1988-01-15' }) };
+        const users = await db.users.toArray();
+        const day = 24 * 60 * 60 * 1000;
+        for (const [user, weight] of [[anna, 58], [peter, 84]]) {
+            for (let days = 1; days <= 3; days++) {
+                await db.measurements.add({ userId: user.id, weight, bmi: 0, createdAt: new Date(Date.now() - days * day), status: null });
+            }
+        }
+
+        const device = createSimulatedScale(createScenario('body-composition', { weight: 84.2, impedance: 510 }), FAST);
+        const data = await weigh(device, QUICK_RETRIES);
+        const attribution = await attributeToUsers(users, data.weight);
+        expect(attribution).toMatchObject({ userId: peter.id, ambiguous: false });
+
+        const owner = users.find(u => u.id === attribution.userId);
+        expect((await reviewReading(owner, data)).suspect).toBe(false);
+        const id = await saveScaleReading(owner, data);
+
+        const saved = await db.measurements.get(id);
+        expect(saved).toMatchObject({ userId: peter.id, weight: 84.2, impedance: 510, source: 'scale', status: null });
+        expect(saved.bmi).toBeCloseTo(25.4, 1);
+        expect(saved.bodyFat).toBeGreaterThan(0);
+        expect(saved.syncId).toBeTruthy();
+        expect(saved.changeId).toBeTruthy();
+    });
+});
@@ -1,14 +1,59 @@
+import { copyFileSync, readFileSync, readdirSync, statSync } from 'node:fs'
+import { join, sep } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Service worker (src/sw.js) so zoznamom súborov aktuálneho buildu na offline použitie.
+// Zoznam obsahuje hashované názvy, takže každý nový build je pre prehliadač nová verzia.
+const serviceWorker = () => ({
+  name: 'smartscale-service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf-8')
+    const publicDir = fileURLToPath(new URL('./public', import.meta.url))
+    const publicFiles = readdirSync(publicDir, { recursive: true })
+      .filter(file => statSync(join(publicDir, file)).isFile())
+      .map(file => file.split(sep).join('/'))
+    const files = [
+      'index.html',
+      ...Object.keys(bundle).filter(fileName => !fileName.endsWith('.html')),
+      ...publicFiles,
+    ].sort()
+    const version = createHash('sha256').update(source).update(files.join('\n')).digest('hex').slice(0, 12)
+
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: `self.__PRECACHE_MANIFEST = ${JSON.stringify({ version, files })};\n\n${source}`,
+    })
+  },
+})
+
+// GitHub Pages nepozná adresy aplikácie (/history/42) a vráti na ne 404.html – kópia index.html
+// tak otvorí aplikáciu a tá podľa adresy zobrazí správnu obrazovku
+const spaFallback = () => ({
+  name: 'smartscale-spa-fallback',
+  apply: 'build',
+  writeBundle(options) {
+    copyFileSync(join(options.dir, 'index.html'), join(options.dir, '404.html'))
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
   base: '/SmartScale-Web-App/',
   plugins: [
     react(),
     tailwindcss(),
+    serviceWorker(),
+    spaFallback(),
   ],
+  // npm test – moduly bez UI v Node; IndexedDB (Dexie) a localStorage doplní src/test/setup.js
+  test: {
+    environment: 'node',
+    setupFiles: ['./src/test/setup.js'],
+  },
 })
-
-